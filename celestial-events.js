@@ -0,0 +1,335 @@
+/**
+ * CELESTIAL EVENTS
+ *
+ * Root finding over the ephemeris for the sky's calendar:
+ * - Equinoxes and solstices (apparent solar longitude crossings)
+ * - Lunar phases (Moon-Sun elongation in longitude)
+ * - Planetary conjunctions and oppositions (geocentric longitude)
+ * - Rise, transit and set times for a WGS84 observer
+ * - Eclipses, through EclipsePredictor on the same ephemeris
+ *
+ * Each function is sampled on a coarse grid and every sign change refined
+ * by bisection to the finder's precision (seconds). Events are records
+ * { type, time (TDB JulianDate), ... } that
+ * VerificationManager.verifyCelestialEvent accepts as they are.
+ *
+ * Philosophy: "AN EVENT IS A ROOT. FIND IT TO THE SECOND."
+ */
+
+import * as THREE from 'three';
+import { TIME_SCALES, FRAMES } from './truth-contracts.js';
+import { ORIGINS, PrecessionNutation, IAUTransform, Refraction, EclipsePredictor } from './celestial-mechanics.js';
+import { AnalyticEphemeris } from './ephemeris.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+const LIGHT_SPEED_KM_S = 299792.458;
+
+// The ICRF ecliptic of J2000 that heliocentric states are given in
+const ECLIPTIC_J2000_TO_GCRS = new THREE.Matrix4().makeRotationX(84381.448 / 3600 / RAD_TO_DEG);
+
+// Standard refraction at the horizon; rise and set refer to the upper limb
+const HORIZON_REFRACTION_DEG = 34 / 60;
+const BODY_RADII_KM = { sun: 696000, moon: 1737.4 };
+
+// Sampling steps (seconds): short enough that no two roots share a step
+const SCAN_STEP = {
+    seasons: 5 * 86400,
+    phases: 86400,
+    longitude: 86400,
+    horizon: 600
+};
+
+export const EVENT_TYPES = {
+    VERNAL_EQUINOX: 'vernal_equinox',
+    SUMMER_SOLSTICE: 'summer_solstice',
+    AUTUMNAL_EQUINOX: 'autumnal_equinox',
+    WINTER_SOLSTICE: 'winter_solstice',
+    NEW_MOON: 'new_moon',
+    FIRST_QUARTER: 'first_quarter',
+    FULL_MOON: 'full_moon',
+    LAST_QUARTER: 'last_quarter',
+    CONJUNCTION: 'conjunction',
+    GREAT_CONJUNCTION: 'great_conjunction',
+    OPPOSITION: 'opposition',
+    RISE: 'rise',
+    TRANSIT: 'transit',
+    SET: 'set'
+};
+
+// Seasons are named for the northern hemisphere, as KNOWN_EVENTS names them
+const SEASONS = [
+    { longitude: 0, type: EVENT_TYPES.VERNAL_EQUINOX },
+    { longitude: 90, type: EVENT_TYPES.SUMMER_SOLSTICE },
+    { longitude: 180, type: EVENT_TYPES.AUTUMNAL_EQUINOX },
+    { longitude: 270, type: EVENT_TYPES.WINTER_SOLSTICE }
+];
+
+const LUNAR_PHASES = [
+    { elongation: 0, type: EVENT_TYPES.NEW_MOON },
+    { elongation: 90, type: EVENT_TYPES.FIRST_QUARTER },
+    { elongation: 180, type: EVENT_TYPES.FULL_MOON },
+    { elongation: 270, type: EVENT_TYPES.LAST_QUARTER }
+];
+
+/**
+ * Angle in degrees wrapped to [0, 360)
+ */
+function wrap360(deg) {
+    return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Angle in degrees wrapped to (-180, 180]
+ */
+function wrap180(deg) {
+    const wrapped = wrap360(deg);
+    return wrapped > 180 ? wrapped - 360 : wrapped;
+}
+
+function byTime(a, b) {
+    return a.time.diffSeconds(b.time);
+}
+
+function vector(v) {
+    return new THREE.Vector3(v.x, v.y, v.z);
+}
+
+export class EventFinder {
+    /**
+     * ephemeris: any provider with state(body, time), e.g. AnalyticEphemeris
+     * precision: seconds to which event times are refined
+     */
+    constructor({ ephemeris = new AnalyticEphemeris(), precision = 1 } = {}) {
+        this.ephemeris = ephemeris;
+        this.precision = precision;
+        this.eclipses = new EclipsePredictor(ephemeris);
+    }
+
+    // ===== ROOT FINDING =====
+
+    /**
+     * Zero crossings of f(epoch) between start and end: f is sampled every
+     * step seconds and each sign change bisected to this.precision
+     * f returns degrees in (-180, 180]; a jump of more than 180° between
+     * samples is a wrap-around, not a crossing
+     * Returns [{ time, rising }], rising when f goes from negative to positive
+     */
+    roots(f, start, end, step) {
+        const from = AnalyticEphemeris.toTDB(start);
+        const span = AnalyticEphemeris.toTDB(end).diffSeconds(from);
+        const at = seconds => f(from.addSeconds(seconds));
+
+        const roots = [];
+        let t0 = 0;
+        let f0 = at(0);
+        while (t0 < span) {
+            const t1 = Math.min(t0 + step, span);
+            const f1 = at(t1);
+            if ((f0 < 0) !== (f1 < 0) && Math.abs(f1 - f0) < 180) {
+                roots.push({ time: from.addSeconds(this.bisect(at, t0, t1, f0)), rising: f1 > f0 });
+            }
+            t0 = t1;
+            f0 = f1;
+        }
+        return roots;
+    }
+
+    /**
+     * Bisect a bracketed sign change of at(seconds) down to this.precision
+     */
+    bisect(at, a, b, fa = at(a)) {
+        while (b - a > this.precision) {
+            const mid = (a + b) / 2;
+            const fm = at(mid);
+            if ((fm < 0) === (fa < 0)) {
+                a = mid;
+                fa = fm;
+            } else {
+                b = mid;
+            }
+        }
+        return (a + b) / 2;
+    }
+
+    // ===== POSITIONS =====
+
+    /**
+     * Geometric geocentric position (km, GCRS axes) at a TDB epoch
+     * Heliocentric ecliptic states are differenced with the Earth's
+     */
+    geometric(body, epoch) {
+        const state = this.ephemeris.state(body, epoch);
+        const { frame, origin } = state.contract;
+
+        if (frame === FRAMES.ECI && origin === ORIGINS.GEOCENTRIC) {
+            return vector(state.position);
+        }
+        if (frame === FRAMES.HELIOCENTRIC_ECLIPTIC && origin === ORIGINS.HELIOCENTRIC && body !== 'earth') {
+            const earth = this.ephemeris.state('earth', epoch);
+            earth.contract.assertCompatible(state.contract, `EventFinder ${body}`);
+            return vector(state.position).sub(vector(earth.position)).applyMatrix4(ECLIPTIC_J2000_TO_GCRS);
+        }
+        throw new Error(`EventFinder cannot place ${body} geocentrically from ${state.contract}`);
+    }
+
+    /**
+     * Apparent geocentric position: the body where it was when the light
+     * now arriving left it, reckoned in the geocentric frame so that the
+     * annual aberration comes with the light-time
+     */
+    apparent(body, epoch) {
+        const geometric = this.geometric(body, epoch);
+        return this.geometric(body, epoch.addSeconds(-geometric.length() / LIGHT_SPEED_KM_S));
+    }
+
+    /**
+     * Apparent ecliptic longitude and latitude (degrees) referred to the
+     * true ecliptic and equinox of date
+     */
+    eclipticOfDate(body, epoch) {
+        const jdTT = epoch.to(TIME_SCALES.TT).jd;
+        const trueEquator = this.apparent(body, epoch).applyMatrix4(PrecessionNutation.bpnMatrix(jdTT));
+        const obliquity = PrecessionNutation.meanObliquity(jdTT) + PrecessionNutation.nutation(jdTT).deps;
+        const ecliptic = trueEquator.applyMatrix4(new THREE.Matrix4().makeRotationX(-obliquity));
+
+        return {
+            lon: wrap360(Math.atan2(ecliptic.y, ecliptic.x) * RAD_TO_DEG),
+            lat: Math.asin(ecliptic.z / ecliptic.length()) * RAD_TO_DEG
+        };
+    }
+
+    /**
+     * Apparent angular separation of two bodies, degrees
+     */
+    separation(bodyA, bodyB, epoch) {
+        return this.apparent(bodyA, epoch).angleTo(this.apparent(bodyB, epoch)) * RAD_TO_DEG;
+    }
+
+    // ===== EVENTS =====
+
+    /**
+     * Equinoxes and solstices: apparent solar longitude 0°, 90°, 180°, 270°
+     */
+    findSeasons(start, end) {
+        return SEASONS.flatMap(({ longitude, type }) =>
+            this.roots(epoch => wrap180(this.eclipticOfDate('sun', epoch).lon - longitude), start, end, SCAN_STEP.seasons)
+                .map(({ time }) => ({ type, time, body: 'sun', longitude }))
+        ).sort(byTime);
+    }
+
+    /**
+     * New moon, first quarter, full moon and last quarter: the Moon's
+     * apparent longitude 0°, 90°, 180°, 270° east of the Sun's
+     */
+    findLunarPhases(start, end) {
+        return LUNAR_PHASES.flatMap(({ elongation, type }) =>
+            this.roots(epoch => wrap180(this.longitudeGap('moon', 'sun', epoch) - elongation), start, end, SCAN_STEP.phases)
+                .filter(({ rising }) => rising)
+                .map(({ time }) => ({ type, time, body: 'moon', elongation }))
+        ).sort(byTime);
+    }
+
+    /**
+     * Conjunctions in apparent geocentric longitude, with the separation at
+     * that instant (degrees); retrograde loops give several per encounter
+     * Jupiter with Saturn is a great conjunction
+     */
+    findConjunctions(bodyA, bodyB, start, end) {
+        const pair = [bodyA, bodyB].sort().join('-');
+        const type = pair === 'jupiter-saturn' ? EVENT_TYPES.GREAT_CONJUNCTION : EVENT_TYPES.CONJUNCTION;
+
+        return this.roots(epoch => this.longitudeGap(bodyA, bodyB, epoch), start, end, SCAN_STEP.longitude)
+            .map(({ time }) => ({ type, time, bodies: [bodyA, bodyB], separation: this.separation(bodyA, bodyB, time) }));
+    }
+
+    /**
+     * Oppositions: apparent longitude 180° from the Sun's
+     */
+    findOppositions(body, start, end) {
+        return this.roots(epoch => wrap180(this.longitudeGap(body, 'sun', epoch) - 180), start, end, SCAN_STEP.longitude)
+            .map(({ time }) => ({
+                type: EVENT_TYPES.OPPOSITION,
+                time,
+                body,
+                distance: this.apparent(body, time).length()
+            }));
+    }
+
+    /**
+     * Apparent longitude of bodyA minus bodyB, degrees in (-180, 180]
+     */
+    longitudeGap(bodyA, bodyB, epoch) {
+        return wrap180(this.eclipticOfDate(bodyA, epoch).lon - this.eclipticOfDate(bodyB, epoch).lon);
+    }
+
+    // ===== OBSERVER EVENTS =====
+
+    /**
+     * Topocentric azimuth/elevation (degrees) and range (km) of a body for
+     * a WGS84 observer (degrees, metres above the ellipsoid); no refraction
+     */
+    horizontal(body, lat, lon, h, epoch) {
+        const gcrf = this.apparent(body, epoch).multiplyScalar(1000);
+        const { azimuth, elevation, range } = IAUTransform.gcrfToTopocentric(gcrf, lat, lon, h, epoch.to(TIME_SCALES.UTC));
+        return { azimuth, elevation, range: range / 1000 };
+    }
+
+    /**
+     * Local hour angle of a body, degrees in (-180, 180]; 0 at upper transit
+     */
+    hourAngle(body, lon, epoch) {
+        const gcrf = this.apparent(body, epoch);
+        const ecef = IAUTransform.gcrfToECEF(gcrf, epoch.to(TIME_SCALES.UTC));
+        return wrap180(lon - Math.atan2(ecef.y, ecef.x) * RAD_TO_DEG);
+    }
+
+    /**
+     * Rise, upper transit and set of a body in the 24 hours from start for
+     * a WGS84 observer. Rise and set are the upper limb on the refracted
+     * horizon; each is null when it does not happen in the window.
+     * The horizon sits the standard 34' of refraction below the true one,
+     * unless an apparent horizon altitude (degrees; negative for a sea
+     * horizon seen from height) or atmosphere conditions for
+     * Refraction.rayTraced are given, in which case it is ray traced
+     */
+    riseTransitSet(body, lat, lon, start, { h = 0, horizon = 0, atmosphere = null } = {}) {
+        const from = AnalyticEphemeris.toTDB(start);
+        const to = from.addSeconds(86400);
+        const radius = BODY_RADII_KM[body] || 0;
+        const trueHorizon = atmosphere || horizon !== 0
+            ? Refraction.apparentToTrue(horizon, { latitude: lat, ...atmosphere, height: h })
+            : -HORIZON_REFRACTION_DEG;
+
+        const altitude = epoch => {
+            const { elevation, range } = this.horizontal(body, lat, lon, h, epoch);
+            return elevation - trueHorizon + Math.asin(radius / range) * RAD_TO_DEG;
+        };
+        const crossings = this.roots(altitude, from, to, SCAN_STEP.horizon);
+        const transit = this.roots(epoch => this.hourAngle(body, lon, epoch), from, to, SCAN_STEP.horizon)
+            .find(({ rising }) => rising);
+
+        const event = (type, root, detail) => (root ? { type, time: root.time, body, ...detail(root.time) } : null);
+        const azimuth = time => ({ azimuth: this.horizontal(body, lat, lon, h, time).azimuth });
+
+        return {
+            rise: event(EVENT_TYPES.RISE, crossings.find(({ rising }) => rising), azimuth),
+            transit: event(EVENT_TYPES.TRANSIT, transit, time => ({ altitude: this.horizontal(body, lat, lon, h, time).elevation })),
+            set: event(EVENT_TYPES.SET, crossings.find(({ rising }) => !rising), azimuth)
+        };
+    }
+
+    /**
+     * Every season, lunar phase and eclipse between start and end
+     */
+    findEvents(start, end) {
+        const eclipses = this.eclipses.findEclipses(start, end)
+            .map(eclipse => ({ ...eclipse, type: `${eclipse.type}_${eclipse.kind}_eclipse` }));
+
+        return [...this.findSeasons(start, end), ...this.findLunarPhases(start, end), ...eclipses].sort(byTime);
+    }
+}
+
+export default {
+    EventFinder,
+    EVENT_TYPES
+};
@@ -4,10 +4,14 @@
  * NASA-grade coordinate transformations with:
  * - Full precession-nutation (IAU 2000/2006)
  * - Polar motion (IERS EOP)
- * - Earth rotation angle (ERA, not just GMST)
+ * - Earth rotation angle (ERA) and apparent sidereal time (GAST)
  * - Origin typing (geocenter/barycenter/observer)
- * - Light-time correction
- * - Atmospheric refraction
+ * - Light time (iterative, with Shapiro delay), solar light deflection
+ *   and stellar aberration: geometric, astrometric and apparent positions
+ * - Atmospheric refraction: Bennett, and a ray-traced layered atmosphere
+ *   (Hohenkerk & Sinclair) with humidity, wavelength and observer height
+ * - Eclipse prediction: Besselian elements, WGS84 central lines, local
+ *   circumstances and lunar eclipse magnitudes
  *
  * For eclipse path accuracy, not just "pretty sky"
  *
@@ -15,7 +19,16 @@
  */
 
 import * as THREE from 'three';
-import { TIME_SCALES, FRAMES, TruthContract, TimeConverter } from './truth-contracts.js';
+import {
+    TIME_SCALES,
+    FRAMES,
+    HEIGHT_DATUMS,
+    TruthContract,
+    TimeConverter,
+    FrameTransformer,
+    JulianDate
+} from './truth-contracts.js';
+import { Geodesy, WGS84 } from './geodesy.js';
 
 // ===== COORDINATE ORIGINS =====
 export const ORIGINS = {
@@ -37,151 +50,343 @@ export class CelestialContract extends TruthContract {
         }
     }
 
+    /**
+     * Origins are compared too, so a plain TruthContract (no origin) disagrees
+     */
+    mismatches(other, fields) {
+        if (fields) return super.mismatches(other, fields);
+        return [...super.mismatches(other), ...super.mismatches(other, ['origin'])];
+    }
+
     toString() {
         return `Contract(frame=${this.frame}, time=${this.timeScale}, origin=${this.origin}, datum=${this.heightDatum})`;
     }
 }
 
 // ===== IAU 2000/2006 PRECESSION-NUTATION =====
+
+// Arcseconds → radians
+const ARCSEC_TO_RAD = Math.PI / (180 * 3600);
+
+// Elementary rotations in the SOFA/ERFA (passive) sign convention.
+// THREE rotates vectors actively, so the angle is negated.
+function rotX(angle) {
+    return new THREE.Matrix4().makeRotationX(-angle);
+}
+
+function rotY(angle) {
+    return new THREE.Matrix4().makeRotationY(-angle);
+}
+
+function rotZ(angle) {
+    return new THREE.Matrix4().makeRotationZ(-angle);
+}
+
+/**
+ * Multiply matrices left to right: chain(A, B, C) = A * B * C
+ */
+function chain(...matrices) {
+    const result = new THREE.Matrix4();
+    matrices.forEach(m => result.multiply(m));
+    return result;
+}
+
+// IAU 2000B luni-solar nutation series (McCarthy & Luzum 2003), 77 terms
+// [l, l', F, D, Ω, ψ sin, ψ sin·t, ψ cos, ε cos, ε cos·t, ε sin] in 0.1 µas
+const NUTATION_2000B_TERMS = [
+    [ 0,  0,  0,  0,  1, -172064161, -174666,  33386, 92052331,  9086,  15377],
+    [ 0,  0,  2, -2,  2,  -13170906,   -1675, -13696,  5730336, -3015,  -4587],
+    [ 0,  0,  2,  0,  2,   -2276413,    -234,   2796,   978459,  -485,   1374],
+    [ 0,  0,  0,  0,  2,    2074554,     207,   -698,  -897492,   470,   -291],
+    [ 0,  1,  0,  0,  0,    1475877,   -3633,  11817,    73871,  -184,  -1924],
+    [ 0,  1,  2, -2,  2,    -516821,    1226,   -524,   224386,  -677,   -174],
+    [ 1,  0,  0,  0,  0,     711159,      73,   -872,    -6750,     0,    358],
+    [ 0,  0,  2,  0,  1,    -387298,    -367,    380,   200728,    18,    318],
+    [ 1,  0,  2,  0,  2,    -301461,     -36,    816,   129025,   -63,    367],
+    [ 0, -1,  2, -2,  2,     215829,    -494,    111,   -95929,   299,    132],
+    [ 0,  0,  2, -2,  1,     128227,     137,    181,   -68982,    -9,     39],
+    [-1,  0,  2,  0,  2,     123457,      11,     19,   -53311,    32,     -4],
+    [-1,  0,  0,  2,  0,     156994,      10,   -168,    -1235,     0,     82],
+    [ 1,  0,  0,  0,  1,      63110,      63,     27,   -33228,     0,     -9],
+    [-1,  0,  0,  0,  1,     -57976,     -63,   -189,    31429,     0,    -75],
+    [-1,  0,  2,  2,  2,     -59641,     -11,    149,    25543,   -11,     66],
+    [ 1,  0,  2,  0,  1,     -51613,     -42,    129,    26366,     0,     78],
+    [-2,  0,  2,  0,  1,      45893,      50,     31,   -24236,   -10,     20],
+    [ 0,  0,  0,  2,  0,      63384,      11,   -150,    -1220,     0,     29],
+    [ 0,  0,  2,  2,  2,     -38571,      -1,    158,    16452,   -11,     68],
+    [ 0, -2,  2, -2,  2,      32481,       0,      0,   -13870,     0,      0],
+    [-2,  0,  0,  2,  0,     -47722,       0,    -18,      477,     0,    -25],
+    [ 2,  0,  2,  0,  2,     -31046,      -1,    131,    13238,   -11,     59],
+    [ 1,  0,  2, -2,  2,      28593,       0,     -1,   -12338,    10,     -3],
+    [-1,  0,  2,  0,  1,      20441,      21,     10,   -10758,     0,     -3],
+    [ 2,  0,  0,  0,  0,      29243,       0,    -74,     -609,     0,     13],
+    [ 0,  0,  2,  0,  0,      25887,       0,    -66,     -550,     0,     11],
+    [ 0,  1,  0,  0,  1,     -14053,     -25,     79,     8551,    -2,    -45],
+    [-1,  0,  0,  2,  1,      15164,      10,     11,    -8001,     0,     -1],
+    [ 0,  2,  2, -2,  2,     -15794,      72,    -16,     6850,   -42,     -5],
+    [ 0,  0, -2,  2,  0,      21783,       0,     13,     -167,     0,     13],
+    [ 1,  0,  0, -2,  1,     -12873,     -10,    -37,     6953,     0,    -14],
+    [ 0, -1,  0,  0,  1,     -12654,      11,     63,     6415,     0,     26],
+    [-1,  0,  2,  2,  1,     -10204,       0,     25,     5222,     0,     15],
+    [ 0,  2,  0,  0,  0,      16707,     -85,    -10,      168,    -1,     10],
+    [ 1,  0,  2,  2,  2,      -7691,       0,     44,     3268,     0,     19],
+    [-2,  0,  2,  0,  0,     -11024,       0,    -14,      104,     0,      2],
+    [ 0,  1,  2,  0,  2,       7566,     -21,    -11,    -3250,     0,     -5],
+    [ 0,  0,  2,  2,  1,      -6637,     -11,     25,     3353,     0,     14],
+    [ 0, -1,  2,  0,  2,      -7141,      21,      8,     3070,     0,      4],
+    [ 0,  0,  0,  2,  1,      -6302,     -11,      2,     3272,     0,      4],
+    [ 1,  0,  2, -2,  1,       5800,      10,      2,    -3045,     0,     -1],
+    [ 2,  0,  2, -2,  2,       6443,       0,     -7,    -2768,     0,     -4],
+    [-2,  0,  0,  2,  1,      -5774,     -11,    -15,     3041,     0,     -5],
+    [ 2,  0,  2,  0,  1,      -5350,       0,     21,     2695,     0,     12],
+    [ 0, -1,  2, -2,  1,      -4752,     -11,     -3,     2719,     0,     -3],
+    [ 0,  0,  0, -2,  1,      -4940,     -11,    -21,     2720,     0,     -9],
+    [-1, -1,  0,  2,  0,       7350,       0,     -8,      -51,     0,      4],
+    [ 2,  0,  0, -2,  1,       4065,       0,      6,    -2206,     0,      1],
+    [ 1,  0,  0,  2,  0,       6579,       0,    -24,     -199,     0,      2],
+    [ 0,  1,  2, -2,  1,       3579,       0,      5,    -1900,     0,      1],
+    [ 1, -1,  0,  0,  0,       4725,       0,     -6,      -41,     0,      3],
+    [-2,  0,  2,  0,  2,      -3075,       0,     -2,     1313,     0,     -1],
+    [ 3,  0,  2,  0,  2,      -2904,       0,     15,     1233,     0,      7],
+    [ 0, -1,  0,  2,  0,       4348,       0,    -10,      -81,     0,      2],
+    [ 1, -1,  2,  0,  2,      -2878,       0,      8,     1232,     0,      4],
+    [ 0,  0,  0,  1,  0,      -4230,       0,      5,      -20,     0,     -2],
+    [-1, -1,  2,  2,  2,      -2819,       0,      7,     1207,     0,      3],
+    [-1,  0,  2,  0,  0,      -4056,       0,      5,       40,     0,     -2],
+    [ 0, -1,  2,  2,  2,      -2647,       0,     11,     1129,     0,      5],
+    [-2,  0,  0,  0,  1,      -2294,       0,    -10,     1266,     0,     -4],
+    [ 1,  1,  2,  0,  2,       2481,       0,     -7,    -1062,     0,     -3],
+    [ 2,  0,  0,  0,  1,       2179,       0,     -2,    -1129,     0,     -2],
+    [-1,  1,  0,  1,  0,       3276,       0,      1,       -9,     0,      0],
+    [ 1,  1,  0,  0,  0,      -3389,       0,      5,       35,     0,     -2],
+    [ 1,  0,  2,  0,  0,       3339,       0,    -13,     -107,     0,      1],
+    [-1,  0,  2, -2,  1,      -1987,       0,     -6,     1073,     0,     -2],
+    [ 1,  0,  0,  0,  2,      -1981,       0,      0,      854,     0,      0],
+    [-1,  0,  0,  1,  0,       4026,       0,   -353,     -553,     0,   -139],
+    [ 0,  0,  2,  1,  2,       1660,       0,     -5,     -710,     0,     -2],
+    [-1,  0,  2,  4,  2,      -1521,       0,      9,      647,     0,      4],
+    [-1,  1,  0,  1,  1,       1314,       0,      0,     -700,     0,      0],
+    [ 0, -2,  2, -2,  1,      -1283,       0,      0,      672,     0,      0],
+    [ 1,  0,  2,  2,  1,      -1331,       0,      8,      663,     0,      4],
+    [-2,  0,  2,  2,  2,       1383,       0,     -2,     -594,     0,     -2],
+    [-1,  0,  0,  0,  2,       1405,       0,      4,     -610,     0,      2],
+    [ 1,  1,  2, -2,  2,       1290,       0,      0,     -556,     0,      0]
+];
+
+// Fixed offsets standing in for the planetary nutation terms (arcseconds)
+const NUTATION_2000B_PLANETARY = { dpsi: -0.000135, deps: 0.000388 };
+
+// Equation of the equinoxes complementary terms (IERS 2003), truncated at 1 µas
+// [l, l', F, D, Ω, sin, cos] in arcseconds
+const EE_COMPLEMENTARY_TERMS = [
+    [0, 0, 0,  0,  1, 2640.96e-6, -0.39e-6],
+    [0, 0, 0,  0,  2,   63.52e-6, -0.02e-6],
+    [0, 0, 2, -2,  3,   11.75e-6,  0.01e-6],
+    [0, 0, 2, -2,  1,   11.21e-6,  0.01e-6],
+    [0, 0, 2, -2,  2,   -4.55e-6,  0.00e-6],
+    [0, 0, 2,  0,  3,    2.02e-6,  0.00e-6],
+    [0, 0, 2,  0,  1,    1.98e-6,  0.00e-6],
+    [0, 0, 0,  0,  3,   -1.72e-6,  0.00e-6],
+    [0, 1, 0,  0,  1,   -1.41e-6, -0.01e-6],
+    [0, 1, 0,  0, -1,   -1.26e-6, -0.01e-6]
+];
+
+// Secular complementary term: -0.87 µas · t · sin Ω
+const EE_COMPLEMENTARY_T1 = -0.87e-6;
+
 export class PrecessionNutation {
     /**
-     * Calculate precession matrix (IAU 2006 simplified)
-     * Full model requires ~14,000 terms; this is the truncated version
+     * Mean obliquity of the ecliptic (IAU 2006), radians
      */
-    static precessionMatrix(jdTT) {
-        // Centuries since J2000.0 (TT)
+    static meanObliquity(jdTT) {
         const T = (jdTT - 2451545.0) / 36525.0;
 
-        // Mean obliquity (arcseconds → radians)
-        const eps0 = (84381.406 - 46.836769 * T - 0.0001831 * T * T
-                     + 0.00200340 * T * T * T) / 3600 * Math.PI / 180;
+        return (84381.406 + (-46.836769 + (-0.0001831 + (0.00200340
+              + (-0.000000576 - 0.0000000434 * T) * T) * T) * T) * T) * ARCSEC_TO_RAD;
+    }
 
-        // Precession angles (arcseconds → radians)
-        const psi_A = (5038.481507 * T - 1.0790069 * T * T
-                      - 0.00114045 * T * T * T) / 3600 * Math.PI / 180;
+    /**
+     * Fukushima-Williams precession angles (IAU 2006), radians
+     * Bias is included: at J2000.0 they describe the frame bias alone
+     */
+    static fukushimaWilliamsAngles(jdTT) {
+        const T = (jdTT - 2451545.0) / 36525.0;
 
-        const omega_A = eps0 + (-0.025754 * T + 0.0512623 * T * T
-                               - 0.00772503 * T * T * T) / 3600 * Math.PI / 180;
+        const gamb = (-0.052928 + (10.556378 + (0.4932044 + (-0.00031238
+                   + (-0.000002788 + 0.0000000260 * T) * T) * T) * T) * T) * ARCSEC_TO_RAD;
 
-        const chi_A = (10.556403 * T - 2.3814292 * T * T
-                      - 0.00121197 * T * T * T) / 3600 * Math.PI / 180;
+        const phib = (84381.412819 + (-46.811016 + (0.0511268 + (0.00053289
+                   + (-0.000000440 - 0.0000000176 * T) * T) * T) * T) * T) * ARCSEC_TO_RAD;
 
-        // Build rotation matrices (simplified)
-        // Full IAU 2006: R = R_z(-chi_A) * R_x(omega_A) * R_z(psi_A) * R_x(-eps0)
+        const psib = (-0.041775 + (5038.481484 + (1.5584175 + (-0.00018522
+                   + (-0.000026452 - 0.0000000148 * T) * T) * T) * T) * T) * ARCSEC_TO_RAD;
 
-        return this.buildPrecessionMatrix(eps0, psi_A, omega_A, chi_A);
+        const epsa = this.meanObliquity(jdTT);
+
+        return { gamb, phib, psib, epsa };
     }
 
     /**
-     * Calculate nutation matrix (IAU 2000B - 77 terms)
-     * Full 2000A has 1365 terms
+     * Frame bias matrix (GCRS → mean J2000.0), IAU 2006
+     * Offsets the dynamical J2000.0 equator/equinox from the ICRS axes by ~23 mas
      */
-    static nutationMatrix(jdTT) {
+    static frameBiasMatrix() {
+        const { gamb, phib, psib, epsa } = this.fukushimaWilliamsAngles(2451545.0);
+        return this.buildFukushimaWilliamsMatrix(gamb, phib, psib, epsa);
+    }
+
+    /**
+     * Calculate precession matrix (IAU 2006, mean J2000.0 → mean of date)
+     * Capitaine et al. (2003) four-rotation form; excludes frame bias
+     */
+    static precessionMatrix(jdTT) {
+        // Centuries since J2000.0 (TT)
         const T = (jdTT - 2451545.0) / 36525.0;
 
-        // Mean anomaly of Moon
-        const l = (134.96340251 + 1717915923.2178 * T) * Math.PI / 180;
+        // Mean obliquity at J2000.0 (arcseconds → radians)
+        const eps0 = 84381.406 * ARCSEC_TO_RAD;
 
-        // Mean anomaly of Sun
-        const lPrime = (357.52910918 + 129596581.0481 * T) * Math.PI / 180;
+        // Precession angles (arcseconds → radians)
+        const psi_A = (5038.481507 + (-1.0790069 + (-0.00114045
+                      + (0.000132851 - 0.0000000951 * T) * T) * T) * T) * T * ARCSEC_TO_RAD;
 
-        // Moon's mean longitude - Omega
-        const F = (93.27209062 + 1739527262.8478 * T) * Math.PI / 180;
+        const omega_A = eps0 + (-0.025754 + (0.0512623 + (-0.00772503
+                        + (-0.000000467 + 0.0000003337 * T) * T) * T) * T) * T * ARCSEC_TO_RAD;
 
-        // Mean elongation of Moon from Sun
-        const D = (297.85019547 + 1602961601.2090 * T) * Math.PI / 180;
+        const chi_A = (10.556403 + (-2.3814292 + (-0.00121197
+                      + (0.000170663 - 0.0000000560 * T) * T) * T) * T) * T * ARCSEC_TO_RAD;
 
-        // Longitude of ascending node of Moon
-        const Omega = (125.04455501 - 6962890.5431 * T) * Math.PI / 180;
+        // P = R3(chi_A) * R1(-omega_A) * R3(-psi_A) * R1(eps0)
+        return this.buildPrecessionMatrix(eps0, psi_A, omega_A, chi_A);
+    }
 
-        // Nutation in longitude and obliquity (arcseconds, simplified 10-term model)
-        let dpsi = 0, deps = 0;
+    /**
+     * Bias-precession matrix (GCRS → mean of date)
+     */
+    static biasPrecessionMatrix(jdTT) {
+        return chain(this.precessionMatrix(jdTT), this.frameBiasMatrix());
+    }
 
-        // Simplified IAU 2000B terms (top 10 terms, ~98% accuracy)
-        const nutTerms = [
-            // [multipliers: l l' F D Omega, sin_coeff_psi, cos_coeff_eps]
-            [0,  0,  0,  0,  1, -171996, -174.2, 92025, 8.9],
-            [-2, 0,  0,  2,  2,  -13187,   -1.6,  5736, -3.1],
-            [0,  0,  0,  2,  2,   -2274,   -0.2,   977, -0.5],
-            [0,  0,  0,  0,  2,    2062,    0.2,  -895,  0.5],
-            [0,  1,  0,  0,  0,    1426,   -3.4,    54, -0.1],
-            [0,  0,  1,  0,  0,     712,    0.1,    -7,  0.0],
-            [-2, 1,  0,  2,  2,    -517,    1.2,   224, -0.6],
-            [0,  0,  0,  2,  1,    -386,   -0.4,   200,  0.0],
-            [0,  0,  1,  2,  2,    -301,    0.0,   129, -0.1],
-            [-2, -1, 0,  2,  2,     217,   -0.5,   -95,  0.3]
+    /**
+     * Delaunay fundamental arguments (Simon et al. 1994), radians
+     * l, l', F, D, Ω for Julian centuries TT since J2000.0
+     */
+    static fundamentalArguments(T) {
+        const arcsecMod = (a) => (a % 1296000) * ARCSEC_TO_RAD;
+
+        return [
+            arcsecMod(485868.249036 + 1717915923.2178 * T),  // l  Mean anomaly of Moon
+            arcsecMod(1287104.79305 + 129596581.0481 * T),   // l' Mean anomaly of Sun
+            arcsecMod(335779.526232 + 1739527262.8478 * T),  // F  Moon's mean longitude - Ω
+            arcsecMod(1072260.70369 + 1602961601.2090 * T),  // D  Mean elongation of Moon from Sun
+            arcsecMod(450160.398036 - 6962890.5431 * T)      // Ω  Longitude of Moon's ascending node
         ];
+    }
 
-        nutTerms.forEach(term => {
-            const arg = term[0] * l + term[1] * lPrime + term[2] * F
-                      + term[3] * D + term[4] * Omega;
-            dpsi += (term[5] + term[6] * T) * Math.sin(arg);
-            deps += (term[7] + term[8] * T) * Math.cos(arg);
-        });
+    /**
+     * Nutation in longitude and obliquity (IAU 2000B - 77 luni-solar terms)
+     * Within 1 mas of the full 1365-term IAU 2000A series, 1995-2050
+     * Returns { dpsi, deps } in radians
+     */
+    static nutation(jdTT) {
+        const T = (jdTT - 2451545.0) / 36525.0;
+        const args = this.fundamentalArguments(T);
 
-        // Convert to radians
-        dpsi = dpsi / 36000000 * Math.PI / 180;
-        deps = deps / 36000000 * Math.PI / 180;
+        let dpsi = 0, deps = 0;
+
+        // Smallest terms first to limit rounding error
+        for (let i = NUTATION_2000B_TERMS.length - 1; i >= 0; i--) {
+            const term = NUTATION_2000B_TERMS[i];
+
+            let arg = 0;
+            for (let k = 0; k < 5; k++) arg += term[k] * args[k];
+
+            const sinArg = Math.sin(arg);
+            const cosArg = Math.cos(arg);
+
+            dpsi += (term[5] + term[6] * T) * sinArg + term[7] * cosArg;
+            deps += (term[8] + term[9] * T) * cosArg + term[10] * sinArg;
+        }
+
+        // 0.1 µas → radians, plus the planetary offsets
+        return {
+            dpsi: dpsi * 1e-7 * ARCSEC_TO_RAD + NUTATION_2000B_PLANETARY.dpsi * ARCSEC_TO_RAD,
+            deps: deps * 1e-7 * ARCSEC_TO_RAD + NUTATION_2000B_PLANETARY.deps * ARCSEC_TO_RAD
+        };
+    }
 
-        // Mean obliquity
-        const eps0 = (84381.448 - 46.8150 * T) / 3600 * Math.PI / 180;
+    /**
+     * Calculate nutation matrix (IAU 2000B - 77 terms)
+     * Full 2000A has 1365 terms
+     */
+    static nutationMatrix(jdTT) {
+        const { dpsi, deps } = this.nutation(jdTT);
+        const eps0 = this.meanObliquity(jdTT);
 
         return this.buildNutationMatrix(dpsi, deps, eps0);
     }
 
-    static buildPrecessionMatrix(eps0, psi, omega, chi) {
-        // Simplified rotation matrix composition
-        // Full IAU 2006 uses more complex Fukushima-Williams angles
-
-        const c1 = Math.cos(-eps0);
-        const s1 = Math.sin(-eps0);
-        const c2 = Math.cos(psi);
-        const s2 = Math.sin(psi);
-        const c3 = Math.cos(omega);
-        const s3 = Math.sin(omega);
-        const c4 = Math.cos(-chi);
-        const s4 = Math.sin(-chi);
-
-        // Simplified combined matrix (proper IAU 2006 has more terms)
-        return new THREE.Matrix4().set(
-            c2 * c4, -c2 * s4, s2, 0,
-            c1 * s4 + s1 * s2 * c4, c1 * c4 - s1 * s2 * s4, -s1 * c2, 0,
-            s1 * s4 - c1 * s2 * c4, s1 * c4 + c1 * s2 * s4, c1 * c2, 0,
-            0, 0, 0, 1
+    /**
+     * Combined bias-precession-nutation matrix (GCRS → true equator and equinox of date)
+     * BPN = N * P * B
+     */
+    static bpnMatrix(jdTT) {
+        return chain(
+            this.nutationMatrix(jdTT),
+            this.precessionMatrix(jdTT),
+            this.frameBiasMatrix()
         );
     }
 
+    static buildPrecessionMatrix(eps0, psi, omega, chi) {
+        return chain(rotZ(chi), rotX(-omega), rotZ(-psi), rotX(eps0));
+    }
+
+    static buildFukushimaWilliamsMatrix(gamb, phib, psib, epsa) {
+        return chain(rotX(-epsa), rotZ(-psib), rotX(phib), rotZ(gamb));
+    }
+
     static buildNutationMatrix(dpsi, deps, eps0) {
-        const eps = eps0 + deps;
-
-        const c1 = Math.cos(-eps0);
-        const s1 = Math.sin(-eps0);
-        const c2 = Math.cos(dpsi);
-        const s2 = Math.sin(dpsi);
-        const c3 = Math.cos(eps);
-        const s3 = Math.sin(eps);
-
-        return new THREE.Matrix4().set(
-            c2, -s2 * c1, -s2 * s1, 0,
-            s2 * c3, c2 * c3 * c1 - s3 * s1, c2 * c3 * s1 + s3 * c1, 0,
-            s2 * s3, c2 * s3 * c1 + c3 * s1, c2 * s3 * s1 - c3 * c1, 0,
-            0, 0, 0, 1
-        );
+        // N = R1(-(eps0 + deps)) * R3(-dpsi) * R1(eps0)
+        return chain(rotX(-(eps0 + deps)), rotZ(-dpsi), rotX(eps0));
     }
 }
 
 // ===== EARTH ROTATION =====
+/**
+ * [day, fraction] from a JD number or a JulianDate tagged with timeScale
+ */
+function julianDateParts(jd, timeScale) {
+    if (jd instanceof JulianDate) {
+        jd.requireScale(timeScale);
+        return [jd.day, jd.fraction];
+    }
+    return [jd, 0];
+}
+
+/**
+ * Single-number JD from a JD number or a JulianDate tagged with timeScale
+ */
+function julianDateValue(jd, timeScale) {
+    const [day, fraction] = julianDateParts(jd, timeScale);
+    return day + fraction;
+}
+
 export class EarthRotation {
     /**
      * Earth Rotation Angle (ERA) - IAU 2000
      * More accurate than GMST for precise work
+     * Takes a JD number or a UT1 JulianDate; the day fractions are summed
+     * apart from the whole days so a JulianDate keeps its sub-ms precision
      */
     static earthRotationAngle(jdUT1) {
-        // Fraction of day since J2000
-        const Du = jdUT1 - 2451545.0;
+        const [day, fraction] = julianDateParts(jdUT1, TIME_SCALES.UT1);
+
+        // Days since J2000
+        const Du = (day - 2451545.0) + fraction;
 
-        // ERA in revolutions (IAU 2000 formula)
-        let theta = 0.7790572732640 + 1.00273781191135448 * Du;
+        // ERA in revolutions (IAU 2000 formula, whole turns split off)
+        let theta = (day % 1.0) + (fraction % 1.0) + 0.7790572732640 + 0.00273781191135448 * Du;
         theta = theta % 1.0;
         if (theta < 0) theta += 1.0;
 
@@ -190,68 +395,93 @@ export class EarthRotation {
     }
 
     /**
-     * Greenwich Mean Sidereal Time (GMST) - IAU 2000
+     * Greenwich Mean Sidereal Time (GMST) - IAU 2006
+     * ERA plus the accumulated precession in right ascension
      */
     static greenwichMeanSiderealTime(jdUT1, jdTT) {
-        const T = (jdTT - 2451545.0) / 36525.0;
-        const Du = jdUT1 - 2451545.0;
-
-        // GMST at 0h UT1 (seconds)
-        let gmst = 24110.54841 + 8640184.812866 * T
-                 + 0.093104 * T * T - 0.0000062 * T * T * T;
+        const [day, fraction] = julianDateParts(jdTT, TIME_SCALES.TT);
+        const T = ((day - 2451545.0) + fraction) / 36525.0;
 
-        // Add contribution from UT1 fraction of day
-        gmst += 1.002737909350795 * (Du % 1.0) * 86400;
+        // Polynomial part (arcseconds → radians)
+        const poly = (0.014506 + (4612.156534 + (1.3915817 + (-0.00000044
+                   + (-0.000029956 - 0.0000000368 * T) * T) * T) * T) * T) * ARCSEC_TO_RAD;
 
-        // Convert to radians
-        gmst = (gmst % 86400) / 86400 * 2 * Math.PI;
+        let gmst = (this.earthRotationAngle(jdUT1) + poly) % (2 * Math.PI);
         if (gmst < 0) gmst += 2 * Math.PI;
 
         return gmst;
     }
+
+    /**
+     * Equation of the equinoxes (IAU 2000/2006), radians
+     * EE = Δψ cos εA + complementary terms
+     */
+    static equationOfEquinoxes(jdTT) {
+        jdTT = julianDateValue(jdTT, TIME_SCALES.TT);
+        const T = (jdTT - 2451545.0) / 36525.0;
+        const args = PrecessionNutation.fundamentalArguments(T);
+        const { dpsi } = PrecessionNutation.nutation(jdTT);
+        const epsA = PrecessionNutation.meanObliquity(jdTT);
+
+        let ct = 0;
+        EE_COMPLEMENTARY_TERMS.forEach(term => {
+            let arg = 0;
+            for (let k = 0; k < 5; k++) arg += term[k] * args[k];
+            ct += term[5] * Math.sin(arg) + term[6] * Math.cos(arg);
+        });
+        ct += EE_COMPLEMENTARY_T1 * T * Math.sin(args[4]);
+
+        return dpsi * Math.cos(epsA) + ct * ARCSEC_TO_RAD;
+    }
+
+    /**
+     * Greenwich Apparent Sidereal Time (GAST) - IAU 2006/2000B
+     * Hour angle of the true equinox; pairs with PrecessionNutation.bpnMatrix
+     */
+    static greenwichApparentSiderealTime(jdUT1, jdTT) {
+        let gast = (this.greenwichMeanSiderealTime(jdUT1, jdTT)
+                  + this.equationOfEquinoxes(jdTT)) % (2 * Math.PI);
+        if (gast < 0) gast += 2 * Math.PI;
+
+        return gast;
+    }
 }
 
 // ===== POLAR MOTION =====
 export class PolarMotion {
     /**
-     * Polar motion correction matrix
+     * Polar motion correction matrix (ITRF → terrestrial intermediate frame)
      * Uses xp, yp from IERS Bulletin A
+     * TIO locator s' (< 0.1 mas this century) is neglected
      */
     static polarMotionMatrix(xp, yp) {
         // xp, yp in arcseconds
-        const xpRad = xp / 3600 * Math.PI / 180;
-        const ypRad = yp / 3600 * Math.PI / 180;
-
-        // Rotation matrices W = R_y(-x_p) * R_x(-y_p)
-        const cxp = Math.cos(xpRad);
-        const sxp = Math.sin(xpRad);
-        const cyp = Math.cos(ypRad);
-        const syp = Math.sin(ypRad);
-
-        return new THREE.Matrix4().set(
-            cyp, 0, -syp, 0,
-            sxp * syp, cxp, sxp * cyp, 0,
-            cxp * syp, -sxp, cxp * cyp, 0,
-            0, 0, 0, 1
-        );
+        const xpRad = xp * ARCSEC_TO_RAD;
+        const ypRad = yp * ARCSEC_TO_RAD;
+
+        // W^T = R2(x_p) * R1(y_p)
+        return chain(rotY(xpRad), rotX(ypRad));
     }
 }
 
 // ===== FULL ECEF ↔ GCRF TRANSFORMATION =====
 export class IAUTransform {
     /**
-     * ECEF (ITRF/WGS84) → GCRF (Geocentric Celestial Reference Frame)
+     * Rotation matrix ITRF → GCRF for a UTC instant
      * Full IAU 2000/2006 chain:
-     * GCRF = [BPN] * [GAST] * [PM] * ITRF
+     * GCRF = [BPN]^T * [GAST] * [PM] * ITRF
      *
      * Where:
      * - PM = Polar motion
      * - GAST = Greenwich Apparent Sidereal Time rotation
      * - BPN = Bias-Precession-Nutation
+     *
+     * Orthonormal, so its transpose is the GCRF → ITRF rotation
+     * eopData defaults to the TimeConverter's active EOP provider
      */
-    static ecefToGCRF(ecef, utcTime, eopData) {
+    static ecefToGCRFMatrix(utcTime, eopData = TimeConverter.getEOP(utcTime)) {
         // Convert times
-        const ut1Time = TimeConverter.utcToUT1(utcTime);
+        const ut1Time = TimeConverter.utcToUT1(utcTime, eopData.dut1);
         const ttTime = TimeConverter.utcToTT(utcTime);
 
         const jdUT1 = TimeConverter.dateToJulianDate(ut1Time);
@@ -260,20 +490,23 @@ export class IAUTransform {
         // 1. Polar Motion correction
         const W = PolarMotion.polarMotionMatrix(eopData.xp, eopData.yp);
 
-        // 2. Earth Rotation (using ERA for IAU 2000)
-        const era = EarthRotation.earthRotationAngle(jdUT1);
-        const R = new THREE.Matrix4().makeRotationZ(era);
+        // 2. Earth Rotation (GAST, measured from the true equinox that BPN targets)
+        const gast = EarthRotation.greenwichApparentSiderealTime(jdUT1, jdTT);
+        const R = new THREE.Matrix4().makeRotationZ(gast);
 
-        // 3. Precession-Nutation
-        const P = PrecessionNutation.precessionMatrix(jdTT);
-        const N = PrecessionNutation.nutationMatrix(jdTT);
+        // 3. Bias-Precession-Nutation (GCRS → true of date, so transpose)
+        const BPNt = PrecessionNutation.bpnMatrix(jdTT).transpose();
 
-        // 4. Compose transformation: GCRF = N * P * R * W * ITRF
-        const transform = new THREE.Matrix4();
-        transform.multiply(N);
-        transform.multiply(P);
-        transform.multiply(R);
-        transform.multiply(W);
+        // 4. Compose transformation: GCRF = BPN^T * R * W * ITRF
+        return chain(BPNt, R, W);
+    }
+
+    /**
+     * ECEF (ITRF/WGS84) → GCRF (Geocentric Celestial Reference Frame)
+     * Positions in metres
+     */
+    static ecefToGCRF(ecef, utcTime, eopData) {
+        const transform = this.ecefToGCRFMatrix(utcTime, eopData);
 
         // Apply to position vector
         const ecefVec = new THREE.Vector3(ecef.x, ecef.y, ecef.z);
@@ -294,6 +527,80 @@ export class IAUTransform {
         };
     }
 
+    /**
+     * GCRF → ECEF (ITRF/WGS84), the exact inverse of ecefToGCRF
+     * Earth-fixed results follow Earth rotation, so they are tagged UT1
+     */
+    static gcrfToECEF(gcrf, utcTime, eopData) {
+        const transform = this.ecefToGCRFMatrix(utcTime, eopData).transpose();
+
+        const gcrfVec = new THREE.Vector3(gcrf.x, gcrf.y, gcrf.z);
+        gcrfVec.applyMatrix4(transform);
+
+        return {
+            x: gcrfVec.x,
+            y: gcrfVec.y,
+            z: gcrfVec.z,
+            frame: FRAMES.ECEF,
+            origin: ORIGINS.GEOCENTRIC,
+            contract: new CelestialContract({
+                frame: FRAMES.ECEF,
+                timeScale: TIME_SCALES.UT1,
+                origin: ORIGINS.GEOCENTRIC,
+                tolerance: { position_m: 1 }
+            })
+        };
+    }
+
+    /**
+     * GCRF → topocentric horizon coordinates for a WGS84 observer
+     * lat/lon in degrees, h in metres above the ellipsoid
+     * Returns azimuth (degrees, from north through east), geometric
+     * elevation (degrees, no refraction) and range (metres)
+     */
+    static gcrfToTopocentric(gcrf, lat, lon, h, utcTime, eopData) {
+        const target = this.gcrfToECEF(gcrf, utcTime, eopData);
+        const observer = Geodesy.geodeticToECEF(lat, lon, h);
+
+        const dx = target.x - observer.x;
+        const dy = target.y - observer.y;
+        const dz = target.z - observer.z;
+
+        const latRad = lat * Math.PI / 180;
+        const lonRad = lon * Math.PI / 180;
+        const sinLat = Math.sin(latRad);
+        const cosLat = Math.cos(latRad);
+        const sinLon = Math.sin(lonRad);
+        const cosLon = Math.cos(lonRad);
+
+        // Rotate the line of sight into local East-North-Up
+        const east = -sinLon * dx + cosLon * dy;
+        const north = -sinLat * cosLon * dx - sinLat * sinLon * dy + cosLat * dz;
+        const up = cosLat * cosLon * dx + cosLat * sinLon * dy + sinLat * dz;
+
+        const range = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        let azimuth = Math.atan2(east, north) * 180 / Math.PI;
+        if (azimuth < 0) azimuth += 360;
+
+        const elevation = Math.asin(up / range) * 180 / Math.PI;
+
+        return {
+            azimuth,
+            elevation,
+            range,
+            frame: FRAMES.TOPOCENTRIC,
+            origin: ORIGINS.TOPOCENTRIC,
+            contract: new CelestialContract({
+                frame: FRAMES.TOPOCENTRIC,
+                timeScale: TIME_SCALES.UT1,
+                origin: ORIGINS.TOPOCENTRIC,
+                heightDatum: HEIGHT_DATUMS.ELLIPSOID,
+                tolerance: { position_m: 1 }
+            })
+        };
+    }
+
     /**
      * Simplified version using GMST (less accurate, but faster)
      * Good for ~1 arcsecond accuracy
@@ -316,15 +623,46 @@ export class IAUTransform {
             z: ecef.z
         };
     }
+
+    /**
+     * Have tagged positions (TaggedPosition.convertTo) take the full IAU
+     * chain for ECEF ↔ ECI instead of the simplified GMST rotation
+     */
+    static registerFrameConversions() {
+        FrameTransformer.registerConversion(FRAMES.ECEF, FRAMES.ECI,
+            (vector, epoch) => IAUTransform.ecefToGCRF(vector, epoch.to(TIME_SCALES.UTC)));
+        FrameTransformer.registerConversion(FRAMES.ECI, FRAMES.ECEF,
+            (vector, epoch) => IAUTransform.gcrfToECEF(vector, epoch.to(TIME_SCALES.UTC)));
+    }
 }
 
 // ===== LIGHT-TIME CORRECTION =====
+
+const LIGHT_SPEED_KM_S = 299792.458;
+const GM_SUN = 1.32712440018e11; // km³/s²
+
+// Schwarzschild radius of the Sun, 2GM/c² (km)
+const SUN_SCHWARZSCHILD_KM = 2 * GM_SUN / (LIGHT_SPEED_KM_S * LIGHT_SPEED_KM_S);
+
+// Horizons' position corrections: geometric (instantaneous), astrometric
+// (down-leg light time), apparent (light time, deflection by the Sun and
+// stellar aberration from the observer's velocity)
+export const LIGHT_TIME_CORRECTIONS = {
+    GEOMETRIC: 'GEOMETRIC',
+    ASTROMETRIC: 'ASTROMETRIC',
+    APPARENT: 'APPARENT'
+};
+
+function vec3(v) {
+    return new THREE.Vector3(v.x, v.y, v.z);
+}
+
 export class LightTime {
     /**
      * Correct for light travel time
      * Important for barycentric ephemerides
      */
-    static correctForLightTime(observerPos, targetPos, lightSpeed = 299792.458) {
+    static correctForLightTime(observerPos, targetPos, lightSpeed = LIGHT_SPEED_KM_S) {
         // Distance in km
         const distance = Math.sqrt(
             Math.pow(targetPos.x - observerPos.x, 2) +
@@ -341,13 +679,139 @@ export class LightTime {
             deltaT: lightTime / 86400 // days
         };
     }
+
+    /**
+     * Shapiro delay (s) of light between two points passing the Sun:
+     * (2GM/c³) ln((r1 + r2 + ρ) / (r1 + r2 − ρ)); positions in km
+     */
+    static shapiroDelay(from, to, sun = { x: 0, y: 0, z: 0 }) {
+        const r1 = vec3(from).sub(vec3(sun)).length();
+        const r2 = vec3(to).sub(vec3(sun)).length();
+        const rho = vec3(to).sub(vec3(from)).length();
+
+        return (SUN_SCHWARZSCHILD_KM / LIGHT_SPEED_KM_S) * Math.log((r1 + r2 + rho) / (r1 + r2 - rho));
+    }
+
+    /**
+     * Iterative down-leg light time
+     * target: function (seconds before reception → position in km), or a
+     * state { position, velocity } retarded along its velocity
+     * observer: position (km) at reception, in the same inertial frame
+     * Solves τ = |target(τ) − observer| / c (+ Shapiro delay) to tolerance
+     * seconds; returns the retarded target seen from the observer
+     */
+    static solve(target, observer, { shapiro = false, sun, tolerance = 1e-9, maxIterations = 10 } = {}) {
+        const positionAt = typeof target === 'function'
+            ? tau => vec3(target(tau))
+            : tau => vec3(target.position).addScaledVector(vec3(target.velocity), -tau);
+        const from = vec3(observer);
+
+        let tau = 0;
+        let retarded = positionAt(0);
+        let delay = 0;
+        let iterations = 0;
+
+        while (iterations < maxIterations) {
+            iterations++;
+            delay = shapiro ? this.shapiroDelay(retarded, from, sun) : 0;
+            const next = retarded.distanceTo(from) / LIGHT_SPEED_KM_S + delay;
+            const converged = Math.abs(next - tau) < tolerance;
+            tau = next;
+            retarded = positionAt(tau);
+            if (converged) break;
+        }
+
+        const position = retarded.clone().sub(from);
+        return {
+            position,
+            distance: position.length(),
+            target: retarded,
+            lightTime: tau,
+            shapiroDelay: delay,
+            iterations
+        };
+    }
+
+    /**
+     * Gravitational deflection by the Sun (SOFA ld, unit mass)
+     * p: observer → source, q: Sun → source, e: Sun → observer (unit
+     * vectors), sunDistance: Sun-observer distance in km
+     */
+    static deflect(p, q, e, sunDistance) {
+        const w = SUN_SCHWARZSCHILD_KM / sunDistance / Math.max(q.dot(q.clone().add(e)), 1e-6);
+        const bend = p.clone().cross(e.clone().cross(q)).multiplyScalar(w);
+        return p.clone().add(bend).normalize();
+    }
+
+    /**
+     * Relativistic stellar aberration (SOFA ab): natural direction p (unit)
+     * → proper direction for an observer moving at velocity (km/s,
+     * barycentric), sunDistance in km
+     */
+    static aberrate(p, velocity, sunDistance) {
+        const v = vec3(velocity).divideScalar(LIGHT_SPEED_KM_S);
+        const inverseGamma = Math.sqrt(1 - v.lengthSq());
+        const pv = p.dot(v);
+        const w1 = 1 + pv / (1 + inverseGamma);
+        const w2 = SUN_SCHWARZSCHILD_KM / sunDistance;
+
+        return p.clone().multiplyScalar(inverseGamma)
+            .add(v.clone().multiplyScalar(w1))
+            .add(v.clone().sub(p.clone().multiplyScalar(pv)).multiplyScalar(w2))
+            .normalize();
+    }
+
+    /**
+     * Target position relative to the observer as Horizons defines it for
+     * correction GEOMETRIC, ASTROMETRIC or APPARENT (LIGHT_TIME_CORRECTIONS)
+     * target: as for solve; observer: { position, velocity } (km, km/s) at
+     * reception; sun: the Sun's position (km), the frame origin by default
+     * Apparent positions keep the astrometric distance along the deflected,
+     * aberrated direction; the Sun itself is not deflected
+     */
+    static correct(target, observer, { correction = LIGHT_TIME_CORRECTIONS.APPARENT, sun = { x: 0, y: 0, z: 0 }, shapiro = false } = {}) {
+        if (!Object.values(LIGHT_TIME_CORRECTIONS).includes(correction)) {
+            throw new Error(`Unknown light-time correction: ${correction}`);
+        }
+
+        if (correction === LIGHT_TIME_CORRECTIONS.GEOMETRIC) {
+            const at = typeof target === 'function' ? target(0) : target.position;
+            const position = vec3(at).sub(vec3(observer.position));
+            return { correction, position, distance: position.length(), lightTime: 0, shapiroDelay: 0 };
+        }
+
+        const solution = this.solve(target, observer.position, { shapiro, sun });
+        const result = {
+            correction,
+            position: solution.position,
+            distance: solution.distance,
+            lightTime: solution.lightTime,
+            shapiroDelay: solution.shapiroDelay
+        };
+        if (correction === LIGHT_TIME_CORRECTIONS.ASTROMETRIC) return result;
+
+        const sunToObserver = vec3(observer.position).sub(vec3(sun));
+        const sunToTarget = solution.target.clone().sub(vec3(sun));
+        const sunDistance = sunToObserver.length();
+
+        let p = solution.position.clone().normalize();
+        if (sunToTarget.length() > 1) {
+            p = this.deflect(p, sunToTarget.normalize(), sunToObserver.clone().normalize(), sunDistance);
+        }
+        p = this.aberrate(p, observer.velocity || { x: 0, y: 0, z: 0 }, sunDistance);
+
+        result.position = p.multiplyScalar(solution.distance);
+        return result;
+    }
 }
 
 // ===== ATMOSPHERIC REFRACTION =====
 export class Refraction {
     /**
      * Atmospheric refraction correction
-     * Standard model for horizon effects
+     * Bennett's formula (~0.07' from 0° to 90°), scaled for pressure and
+     * temperature; 0 below -2°. rayTraced handles low altitudes, humidity
+     * and wavelength
      */
     static atmosphericRefraction(altitude, pressure = 1013.25, temperature = 10) {
         // altitude in degrees
@@ -356,17 +820,8 @@ export class Refraction {
 
         if (altitude < -2) return 0; // Below horizon
 
-        const altRad = altitude * Math.PI / 180;
-
-        // Bennett's formula (accurate to ~0.07' for alt > 15°)
-        let R;
-        if (altitude > 15) {
-            R = 1.0 / Math.tan(altRad + 7.31 / (altitude + 4.4));
-        } else {
-            // Low altitude correction
-            const h = altitude;
-            R = 34.1 / 60 - 4.193264 * h + 0.213640 * h * h;
-        }
+        // Arcminutes; the argument of the cotangent is in degrees
+        let R = 1.0 / Math.tan((altitude + 7.31 / (altitude + 4.4)) * Math.PI / 180);
 
         // Pressure and temperature correction
         R *= (pressure / 1013.25) * (283 / (273 + temperature));
@@ -374,14 +829,311 @@ export class Refraction {
         // Convert arcminutes to degrees
         return R / 60;
     }
+
+    /**
+     * Ray-traced refraction (degrees) at an apparent altitude (degrees):
+     * true altitude = apparent − refraction
+     * Hohenkerk & Sinclair (1985) layered atmosphere as in SLALIB refro:
+     * a polytropic troposphere with water vapour to 11 km, an isothermal
+     * stratosphere to 80 km, the refraction integral by Simpson's rule
+     * conditions (REFRACTION_CONDITIONS): observer height (m), temperature
+     * (°C), pressure (hPa), humidity (0-1), wavelength (µm; above 100 µm
+     * is radio), latitude (degrees), lapseRate (K/m), precision (rad)
+     * Valid down to −3° apparent, where an elevated observer's horizon lies
+     */
+    static rayTraced(apparentAltitude, conditions = {}) {
+        const atmosphere = refractionAtmosphere({ ...REFRACTION_CONDITIONS, ...conditions });
+        const zenithDistance = (90 - apparentAltitude) * DEG_TO_RAD;
+        const z = Math.min(Math.abs(zenithDistance), MAX_REFRACTION_ZENITH_DISTANCE);
+
+        const refraction = integrateRefraction(z, atmosphere);
+        return (zenithDistance < 0 ? -refraction : refraction) * RAD_TO_DEG;
+    }
+
+    /**
+     * Apparent → true (unrefracted) altitude, degrees
+     */
+    static apparentToTrue(apparentAltitude, conditions = {}) {
+        return apparentAltitude - this.rayTraced(apparentAltitude, conditions);
+    }
+
+    /**
+     * True → apparent altitude, degrees: the inverse of apparentToTrue,
+     * by secant iteration to 1e-9°
+     * Below the lowest traceable ray (−3° apparent) the refraction there
+     * is carried on unchanged, so sky positions stay continuous
+     */
+    static trueToApparent(trueAltitude, conditions = {}) {
+        const floor = -MAX_REFRACTION_ZENITH_DISTANCE * RAD_TO_DEG + 90;
+        const lowest = this.apparentToTrue(floor, conditions);
+        if (trueAltitude <= lowest) return trueAltitude + (floor - lowest);
+
+        const residual = apparent => this.apparentToTrue(apparent, conditions) - trueAltitude;
+        let a = trueAltitude;
+        let b = trueAltitude + this.rayTraced(Math.max(trueAltitude, floor), conditions);
+        let fa = residual(a);
+        let fb = residual(b);
+
+        for (let i = 0; i < 30 && Math.abs(b - a) > 1e-9 && fb !== fa; i++) {
+            const next = Math.max(b - fb * (b - a) / (fb - fa), floor);
+            [a, fa] = [b, fb];
+            b = next;
+            fb = residual(b);
+        }
+        return b;
+    }
+}
+
+// ===== RAY-TRACED REFRACTION =====
+
+export const REFRACTION_CONDITIONS = {
+    height: 0,
+    temperature: 10,
+    pressure: 1013.25,
+    humidity: 0.5,
+    wavelength: 0.574,
+    latitude: 45,
+    lapseRate: 0.0065,
+    precision: 1e-10
+};
+
+const MAX_REFRACTION_ZENITH_DISTANCE = 93 * Math.PI / 180;
+
+const GAS_CONSTANT = 8314.32;          // J/(kmol K)
+const DRY_AIR_MOLAR_MASS = 28.9644;    // kg/kmol
+const WATER_MOLAR_MASS = 18.0152;      // kg/kmol
+const REFRACTION_EARTH_RADIUS = 6378120; // m
+const VAPOUR_EXPONENT = 18.36;         // temperature exponent of water vapour pressure
+const TROPOPAUSE_HEIGHT = 11000;       // m
+const ATMOSPHERE_TOP = 80000;          // m
+const MAX_STRIPS = 16384;
+
+/**
+ * Model constants for the observer's conditions (SLALIB refro, clamped
+ * to its ranges)
+ */
+function refractionAtmosphere(conditions) {
+    const height = Math.min(Math.max(conditions.height, -1000), ATMOSPHERE_TOP);
+    const t0 = Math.min(Math.max(conditions.temperature + 273.15, 100), 500);
+    const pressure = Math.min(Math.max(conditions.pressure, 0), 10000);
+    const humidity = Math.min(Math.max(conditions.humidity, 0), 1);
+    const wavelength = Math.max(conditions.wavelength, 0.1);
+    const alpha = Math.min(Math.max(Math.abs(conditions.lapseRate), 0.001), 0.01);
+    const optical = wavelength <= 100;
+
+    const wlsq = wavelength * wavelength;
+    const gravity = 9.784 * (1 - 0.0026 * Math.cos(2 * conditions.latitude * DEG_TO_RAD) - 0.00000028 * height);
+    const a = optical
+        ? (287.6155 + (1.62887 + 0.01360 / wlsq) / wlsq) * 273.15e-6 / 1013.25
+        : 77.6890e-6;
+    const gamal = gravity * DRY_AIR_MOLAR_MASS / GAS_CONSTANT;
+    const gamma = gamal / alpha;
+
+    // Saturation and partial pressure of water vapour
+    const tdc = t0 - 273.15;
+    const psat = Math.pow(10, (0.7859 + 0.03477 * tdc) / (1 + 0.00412 * tdc)) * (1 + pressure * (4.5e-6 + 6e-10 * tdc * tdc));
+    const pw0 = pressure > 0 ? humidity * psat / (1 - (1 - humidity) * psat / pressure) : 0;
+
+    const w = pw0 * (1 - WATER_MOLAR_MASS / DRY_AIR_MOLAR_MASS) * gamma / (VAPOUR_EXPONENT - gamma);
+    const c1 = a * (pressure + w) / t0;
+    const c2 = (a * w + (optical ? 11.2684e-6 : 6.3938e-6) * pw0) / t0;
+    const c5 = optical ? 0 : 375463e-6 * pw0 / t0;
+
+    return {
+        r0: REFRACTION_EARTH_RADIUS + height,
+        t0,
+        alpha,
+        gamal,
+        gamm2: gamma - 2,
+        delm2: VAPOUR_EXPONENT - 2,
+        c1,
+        c2,
+        c3: (gamma - 1) * alpha * c1 / t0,
+        c4: (VAPOUR_EXPONENT - 1) * alpha * c2 / t0,
+        c5,
+        c6: c5 * (VAPOUR_EXPONENT - 2) * alpha / (t0 * t0),
+        tolerance: Math.min(Math.max(Math.abs(conditions.precision), 1e-12), 0.1) / 2
+    };
+}
+
+/**
+ * Troposphere at radius r (m): temperature, refractive index n and r·dn/dr
+ */
+function troposphere(m, r) {
+    const t = Math.max(Math.min(m.t0 - m.alpha * (r - m.r0), 320), 100);
+    const tt0 = t / m.t0;
+    const tt0gm2 = Math.pow(tt0, m.gamm2);
+    const tt0dm2 = Math.pow(tt0, m.delm2);
+
+    return {
+        t,
+        n: 1 + (m.c1 * tt0gm2 - (m.c2 - m.c5 / t) * tt0dm2) * tt0,
+        rdndr: r * (-m.c3 * tt0gm2 + (m.c4 - m.c6 / tt0) * tt0dm2)
+    };
+}
+
+/**
+ * Isothermal stratosphere above the tropopause (rt, tt, nt)
+ */
+function stratosphere(m, rt, tt, nt, r) {
+    const b = m.gamal / tt;
+    const w = (nt - 1) * Math.exp(-b * (r - rt));
+    return { n: 1 + w, rdndr: -r * b * w };
+}
+
+/**
+ * Integrand of the refraction integral over zenith distance
+ */
+function refractionIntegrand({ n, rdndr }) {
+    return rdndr / (n + rdndr);
+}
+
+/**
+ * Zenith distance where a ray with invariant n·r·sin z reaches radius r
+ */
+function zenithDistanceAt(invariant, r, n) {
+    const sine = invariant / (r * n);
+    return Math.atan2(sine, Math.sqrt(Math.max(1 - sine * sine, 0)));
+}
+
+/**
+ * Refraction (rad) for an observed zenith distance z (rad): the integral
+ * through the troposphere, then the stratosphere, each by Simpson's rule
+ * with the strips doubled until successive values agree
+ */
+function integrateRefraction(z, m) {
+    const rt = REFRACTION_EARTH_RADIUS + Math.max(TROPOPAUSE_HEIGHT, m.r0 - REFRACTION_EARTH_RADIUS);
+    const rs = REFRACTION_EARTH_RADIUS + ATMOSPHERE_TOP;
+
+    const observer = troposphere(m, m.r0);
+    const invariant = observer.n * m.r0 * Math.sin(z);
+
+    const tropopause = troposphere(m, rt);
+    const stratosphereBase = stratosphere(m, rt, tropopause.t, tropopause.n, rt);
+    const top = stratosphere(m, rt, tropopause.t, tropopause.n, rs);
+    const layers = [
+        {
+            model: r => troposphere(m, r),
+            start: z,
+            end: zenithDistanceAt(invariant, rt, tropopause.n),
+            r: m.r0,
+            fb: refractionIntegrand(observer),
+            ff: refractionIntegrand(tropopause)
+        },
+        {
+            model: r => stratosphere(m, rt, tropopause.t, tropopause.n, r),
+            start: zenithDistanceAt(invariant, rt, stratosphereBase.n),
+            end: zenithDistanceAt(invariant, rs, top.n),
+            r: rt,
+            fb: refractionIntegrand(stratosphereBase),
+            ff: refractionIntegrand(top)
+        }
+    ];
+
+    return layers.reduce((total, { model, start, end, r: r0, fb, ff }) => {
+        const range = end - start;
+        let strips = 8;
+        let odd = 0;
+        let even = 0;
+        let step = 1;
+        let previous = 1;
+        let refraction;
+
+        for (;;) {
+            const h = range / strips;
+            let r = r0;
+
+            for (let i = 1; i < strips; i += step) {
+                const sz = Math.sin(start + h * i);
+
+                // Radius where the ray has this zenith distance (Newton, to 1 m)
+                if (sz > 1e-20) {
+                    const w = invariant / sz;
+                    let rg = r;
+                    let dr = 1e6;
+                    for (let j = 0; j < 4 && Math.abs(dr) > 1; j++) {
+                        const { n, rdndr } = model(rg);
+                        dr = (rg * n - w) / (n + rdndr);
+                        rg -= dr;
+                    }
+                    r = rg;
+                }
+
+                const f = refractionIntegrand(model(r));
+                if (step === 1 && i % 2 === 0) {
+                    even += f;
+                } else {
+                    odd += f;
+                }
+            }
+
+            refraction = h * (fb + 4 * odd + 2 * even + ff) / 3;
+            if (Math.abs(refraction - previous) <= m.tolerance || strips >= MAX_STRIPS) break;
+
+            // Double the strips: this pass's points are the next one's evens
+            previous = refraction;
+            strips *= 2;
+            even += odd;
+            odd = 0;
+            step = 2;
+        }
+
+        return total + refraction;
+    }, 0);
 }
 
 // ===== ECLIPSE GEOMETRY =====
+
+const RAD_TO_DEG = 180 / Math.PI;
+const DEG_TO_RAD = Math.PI / 180;
+
+// km; IAU lunar radii are in Earth equatorial radii: the mean limb for
+// penumbral contacts, the limb valleys for umbral ones
+const EARTH_RADIUS_KM = WGS84.a / 1000;
+const SUN_RADIUS_KM = 696000;
+const MOON_K_PENUMBRA = 0.2725076;
+const MOON_K_UMBRA = 0.272281;
+
+const EARTH_ROTATION_RATE = 7.292115e-5; // rad/s
+
+/**
+ * Distance (km) along a ray to where it first meets the WGS84 ellipsoid,
+ * or null if it misses; origin in Earth-fixed km, direction a unit vector
+ */
+function intersectEllipsoid(origin, direction) {
+    const a = WGS84.a / 1000;
+    const b = WGS84.b / 1000;
+    const o = new THREE.Vector3(origin.x / a, origin.y / a, origin.z / b);
+    const d = new THREE.Vector3(direction.x / a, direction.y / a, direction.z / b);
+
+    const qa = d.dot(d);
+    const qb = o.dot(d);
+    const qc = o.dot(o) - 1;
+    const discriminant = qb * qb - qa * qc;
+    if (discriminant < 0) return null;
+
+    const s = (-qb - Math.sqrt(discriminant)) / qa;
+    return s >= 0 ? s : null;
+}
+
+/**
+ * Outward ellipsoid normal (unit, Earth-fixed) at a geodetic lat/lon in degrees
+ */
+function ellipsoidNormal(lat, lon) {
+    const latRad = lat * DEG_TO_RAD;
+    const lonRad = lon * DEG_TO_RAD;
+    return new THREE.Vector3(
+        Math.cos(latRad) * Math.cos(lonRad),
+        Math.cos(latRad) * Math.sin(lonRad),
+        Math.sin(latRad)
+    );
+}
+
 export class EclipseGeometry {
     /**
      * Calculate umbra/penumbra cone for lunar shadow
      */
-    static calculateShadowCone(sunPos, moonPos, sunRadius = 696000, moonRadius = 1737.4) {
+    static calculateShadowCone(sunPos, moonPos, sunRadius = SUN_RADIUS_KM, moonRadius = 1737.4) {
         // All in km
         const sunMoonDist = Math.sqrt(
             Math.pow(moonPos.x - sunPos.x, 2) +
@@ -402,6 +1154,7 @@ export class EclipseGeometry {
             umbraAngle,
             penumbraAngle,
             umbraLength,
+            sunMoonDist,
             axis: {
                 x: (moonPos.x - sunPos.x) / sunMoonDist,
                 y: (moonPos.y - sunPos.y) / sunMoonDist,
@@ -411,31 +1164,533 @@ export class EclipseGeometry {
     }
 
     /**
-     * Intersect shadow cone with Earth ellipsoid
-     * Returns eclipse path on ground
+     * Intersect the shadow axis with the WGS84 ellipsoid
+     * Cone and moonPos in km on Earth-fixed axes; moonVelocity and
+     * sunVelocity are geocentric inertial velocities (km/s) on those axes
+     *
+     * Returns the central point, the umbral radius there (km, negative in
+     * the antumbra), the path width across the ground track (km) and the
+     * central duration (s). Width and duration need moonVelocity; without
+     * it the width is the shadow's own diameter. centerline is null when
+     * the axis misses the Earth.
+     */
+    static shadowGroundTrack(shadowCone, moonPos, moonVelocity = null, sunVelocity = { x: 0, y: 0, z: 0 }) {
+        const axis = new THREE.Vector3(shadowCone.axis.x, shadowCone.axis.y, shadowCone.axis.z);
+        const moon = new THREE.Vector3(moonPos.x, moonPos.y, moonPos.z);
+
+        const s = intersectEllipsoid(moon, axis);
+        if (s === null) {
+            return { centerline: null, type: null, umbraRadius: null, pathWidth: null, totalityDuration: null };
+        }
+
+        const ground = moon.clone().addScaledVector(axis, s);
+        const { lat, lon } = Geodesy.ecefToGeodetic(ground.clone().multiplyScalar(1000));
+        const normal = ellipsoidNormal(lat, lon);
+        const sunAltitude = Math.asin(-axis.dot(normal)) * RAD_TO_DEG;
+
+        const umbraRadius = (shadowCone.umbraLength - s) * Math.tan(shadowCone.umbraAngle);
+        const result = {
+            centerline: { lat, lon, ecef: { x: ground.x, y: ground.y, z: ground.z } },
+            sunAltitude,
+            type: umbraRadius > 0 ? 'total' : 'annular',
+            umbraRadius,
+            pathWidth: 2 * Math.abs(umbraRadius),
+            totalityDuration: null
+        };
+        if (!moonVelocity) return result;
+
+        // The axis follows the Moon and swings with the Sun-Moon direction;
+        // the ground under it turns with the Earth
+        const vMoon = new THREE.Vector3(moonVelocity.x, moonVelocity.y, moonVelocity.z);
+        const vSun = new THREE.Vector3(sunVelocity.x, sunVelocity.y, sunVelocity.z);
+        const velocity = vMoon.clone()
+            .addScaledVector(vMoon.clone().sub(vSun), s / shadowCone.sunMoonDist)
+            .sub(new THREE.Vector3(0, 0, EARTH_ROTATION_RATE).cross(ground));
+        const across = velocity.clone().addScaledVector(axis, -velocity.dot(axis));
+        result.totalityDuration = 2 * Math.abs(umbraRadius) / across.length();
+
+        // The shadow's footprint is the cylinder cut obliquely by the ground:
+        // measure its extent perpendicular to the track
+        const obliquity = normal.dot(axis);
+        const track = velocity.clone().addScaledVector(axis, -normal.dot(velocity) / obliquity).normalize();
+        const side = new THREE.Vector3().crossVectors(normal, track);
+        const footprint = side.clone().addScaledVector(normal, -side.dot(axis) / obliquity);
+        footprint.addScaledVector(axis, -footprint.dot(axis));
+        result.pathWidth = 2 * Math.abs(umbraRadius) * footprint.length();
+
+        return result;
+    }
+}
+
+// ===== ECLIPSE PREDICTION =====
+
+// The ephemeris must give geocentric Sun and Moon in GCRS axes
+const GEOCENTRIC_ECI = new CelestialContract({
+    frame: FRAMES.ECI,
+    timeScale: TIME_SCALES.TDB,
+    origin: ORIGINS.GEOCENTRIC
+});
+
+// Danjon's rule: the atmosphere enlarges the Earth's shadow by 1/85 of its
+// radius. 0.998340 takes the Earth's radius at latitude 45°.
+const DANJON_ENLARGEMENT = 1 + 1 / 85;
+const SHADOW_FLATTENING = 0.998340;
+
+const SYZYGY_SCAN_DAYS = 1;
+const SYZYGY_WINDOW_S = 8 * 3600;   // greatest eclipse to conjunction in longitude
+const SOLAR_WINDOW_S = 4 * 3600;    // greatest eclipse to any local contact
+const LUNAR_WINDOW_S = 5 * 3600;    // greatest eclipse to P1/P4
+const TIME_PRECISION_S = 0.05;
+
+const OBLIQUITY_J2000 = PrecessionNutation.meanObliquity(2451545.0);
+
+/**
+ * Angle in degrees wrapped to [0, 360)
+ */
+function wrap360(deg) {
+    return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Angle in degrees wrapped to (-180, 180]
+ */
+function wrap180(deg) {
+    const wrapped = wrap360(deg);
+    return wrapped > 180 ? wrapped - 360 : wrapped;
+}
+
+/**
+ * Golden-section minimum of f on [a, b]
+ */
+function minimize(f, a, b, precision = TIME_PRECISION_S) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = f(c);
+    let fd = f(d);
+
+    while (b - a > precision) {
+        if (fc < fd) {
+            b = d; d = c; fd = fc;
+            c = b - ratio * (b - a); fc = f(c);
+        } else {
+            a = c; c = d; fc = fd;
+            d = a + ratio * (b - a); fd = f(d);
+        }
+    }
+    return (a + b) / 2;
+}
+
+/**
+ * Root of f on [a, b] by bisection, or null without a sign change
+ */
+function bisect(f, a, b, precision = TIME_PRECISION_S) {
+    let fa = f(a);
+    if (Math.sign(fa) === Math.sign(f(b))) return null;
+
+    while (b - a > precision) {
+        const mid = (a + b) / 2;
+        const fm = f(mid);
+        if (Math.sign(fm) === Math.sign(fa)) {
+            a = mid; fa = fm;
+        } else {
+            b = mid;
+        }
+    }
+    return (a + b) / 2;
+}
+
+/**
+ * Fraction of the Sun's diameter covered, for an observer at distance
+ * from the shadow axis with penumbral/umbral radii L1, L2 there; inside
+ * the umbra or antumbra it is the ratio of the apparent diameters
+ */
+function solarMagnitude(distance, L1, L2) {
+    if (distance < Math.abs(L2)) return (L1 - L2) / (L1 + L2);
+    return (L1 - distance) / (L1 + L2);
+}
+
+/**
+ * Date (taken as UTC) or JulianDate in any scale → TDB JulianDate
+ */
+function toTDB(time) {
+    const jd = time instanceof JulianDate ? time : JulianDate.fromDate(time, TIME_SCALES.UTC);
+    return TimeConverter.convert(jd, jd.timeScale, TIME_SCALES.TDB);
+}
+
+/**
+ * Solar and lunar eclipses from any ephemeris with state(body, time)
+ * giving geocentric ECI Sun and Moon, e.g. AnalyticEphemeris
+ *
+ * Times in results are TDB JulianDates; distances in the fundamental
+ * plane are Earth equatorial radii
+ */
+export class EclipsePredictor {
+    constructor(ephemeris) {
+        this.ephemeris = ephemeris;
+    }
+
+    /**
+     * Geocentric position (km) and velocity (km/s), GCRS axes, at a TDB epoch
+     */
+    geocentric(body, epoch) {
+        const state = this.ephemeris.state(body, epoch);
+        GEOCENTRIC_ECI.assertCompatible(state.contract, `EclipsePredictor ${body}`, ['frame', 'origin']);
+
+        const { position: p, velocity: v } = state;
+        return { position: new THREE.Vector3(p.x, p.y, p.z), velocity: new THREE.Vector3(v.x, v.y, v.z) };
+    }
+
+    /**
+     * Sun and Moon where they were when the light now arriving left them
+     * For the Sun, that geocentric light-time is the 20" annual aberration
+     */
+    apparentPositions(epoch) {
+        const retarded = ({ position, velocity }) =>
+            position.clone().addScaledVector(velocity, -position.length() / LIGHT_SPEED_KM_S);
+
+        const sun = this.geocentric('sun', epoch);
+        const moon = this.geocentric('moon', epoch);
+        return { sun: retarded(sun), moon: retarded(moon), sunVelocity: sun.velocity, moonVelocity: moon.velocity };
+    }
+
+    /**
+     * Fundamental plane through the Earth's centre, normal to the shadow
+     * axis, in the true equator and equinox of date, plus the Earth-fixed
+     * → true-of-date rotation for placing observers on it
+     */
+    fundamentalPlane(time) {
+        const epoch = toTDB(time);
+        const tt = epoch.to(TIME_SCALES.TT);
+        const utc = epoch.to(TIME_SCALES.UTC);
+
+        const bpn = PrecessionNutation.bpnMatrix(tt.jd);
+        const apparent = this.apparentPositions(epoch);
+        const sun = apparent.sun.applyMatrix4(bpn);
+        const moon = apparent.moon.applyMatrix4(bpn);
+
+        // Axis unit vectors: k toward the Sun from the Moon, i east, j north
+        const toSun = sun.clone().sub(moon);
+        const sunMoonDist = toSun.length();
+        const k = toSun.divideScalar(sunMoonDist);
+        const d = Math.asin(k.z);
+        const a = Math.atan2(k.y, k.x);
+        const i = new THREE.Vector3(-Math.sin(a), Math.cos(a), 0);
+        const j = new THREE.Vector3().crossVectors(k, i);
+
+        const sinF1 = (SUN_RADIUS_KM + MOON_K_PENUMBRA * EARTH_RADIUS_KM) / sunMoonDist;
+        const sinF2 = (SUN_RADIUS_KM - MOON_K_UMBRA * EARTH_RADIUS_KM) / sunMoonDist;
+        const cosF1 = Math.sqrt(1 - sinF1 * sinF1);
+        const cosF2 = Math.sqrt(1 - sinF2 * sinF2);
+
+        const x = moon.dot(i) / EARTH_RADIUS_KM;
+        const y = moon.dot(j) / EARTH_RADIUS_KM;
+        const z = moon.dot(k) / EARTH_RADIUS_KM;
+
+        const eop = TimeConverter.getEOP(utc);
+        const gast = EarthRotation.greenwichApparentSiderealTime(TimeConverter.utcToUT1(utc, eop.dut1), tt);
+        const earthFixed = chain(
+            new THREE.Matrix4().makeRotationZ(gast),
+            PolarMotion.polarMotionMatrix(eop.xp, eop.yp)
+        );
+
+        return {
+            epoch,
+            x,
+            y,
+            z,
+            d: d * RAD_TO_DEG,
+            mu: wrap360((gast - a) * RAD_TO_DEG),
+            tanF1: sinF1 / cosF1,
+            tanF2: sinF2 / cosF2,
+            l1: z * sinF1 / cosF1 + MOON_K_PENUMBRA / cosF1,
+            l2: z * sinF2 / cosF2 - MOON_K_UMBRA / cosF2,
+            axes: { i, j, k },
+            sun,
+            moon,
+            sunVelocity: apparent.sunVelocity.applyMatrix4(bpn),
+            moonVelocity: apparent.moonVelocity.applyMatrix4(bpn),
+            earthFixed
+        };
+    }
+
+    /**
+     * Besselian elements: Moon's shadow axis coordinates x, y (Earth radii),
+     * axis declination d and Greenwich hour angle mu (degrees), penumbral
+     * and umbral radii l1, l2 on the fundamental plane and their cone
+     * slopes tan f1, tan f2
+     */
+    besselianElements(time) {
+        const { epoch, x, y, d, mu, l1, l2, tanF1, tanF2 } = this.fundamentalPlane(time);
+        return { epoch, x, y, d, mu, l1, l2, tanF1, tanF2 };
+    }
+
+    /**
+     * New (phase 0) or full (phase 180) moons between start and end, as
+     * TDB epochs of equal ecliptic longitude (geocentric, apparent)
+     */
+    findSyzygies(start, end, phase) {
+        const from = toTDB(start);
+        const to = toTDB(end);
+        const cosE = Math.cos(OBLIQUITY_J2000);
+        const sinE = Math.sin(OBLIQUITY_J2000);
+        const longitude = v => Math.atan2(v.y * cosE + v.z * sinE, v.x) * RAD_TO_DEG;
+        const gap = seconds => {
+            const { sun, moon } = this.apparentPositions(from.addSeconds(seconds));
+            return wrap180(longitude(moon) - longitude(sun) - phase);
+        };
+
+        const span = to.diffSeconds(from);
+        const step = SYZYGY_SCAN_DAYS * 86400;
+        const syzygies = [];
+        let previous = gap(0);
+        for (let t = step; t < span + step; t += step) {
+            const stop = Math.min(t, span);
+            const current = gap(stop);
+            // The Moon gains ~12°/day; the only upward crossing is through 0
+            if (previous < 0 && current >= 0) {
+                syzygies.push(from.addSeconds(bisect(gap, stop - step, stop, 60)));
+            }
+            previous = current;
+            if (stop === span) break;
+        }
+        return syzygies;
+    }
+
+    /**
+     * Solar eclipses with greatest eclipse between start and end
+     * Each: { kind, type (total|annular|hybrid|partial), central, time of
+     * greatest eclipse, gamma, magnitude, elements, greatestEclipse } where
+     * greatestEclipse is the central-line point at that instant
+     */
+    findSolarEclipses(start, end) {
+        return this.findSyzygies(start, end, 0)
+            .map(newMoon => this.solarEclipseAt(newMoon))
+            .filter(eclipse => eclipse !== null);
+    }
+
+    /**
+     * The solar eclipse (or null) of the new moon nearest a given time
+     */
+    solarEclipseAt(newMoon) {
+        const reference = toTDB(newMoon);
+        const distance = seconds => {
+            const { x, y } = this.fundamentalPlane(reference.addSeconds(seconds));
+            return Math.hypot(x, y);
+        };
+        const plane = this.fundamentalPlane(reference.addSeconds(
+            minimize(distance, -SYZYGY_WINDOW_S, SYZYGY_WINDOW_S)
+        ));
+
+        // Stretch y so the flattened Earth's outline becomes the unit circle
+        const rho1 = Math.sqrt(1 - WGS84.e2 * Math.cos(plane.d * DEG_TO_RAD) ** 2);
+        const gamma = Math.sign(plane.y) * Math.hypot(plane.x, plane.y);
+        const m = Math.hypot(plane.x, plane.y / rho1);
+        if (m > 1 + plane.l1) return null;
+
+        const central = m < 1;
+        const zeta = central ? Math.sqrt(1 - m * m) : 0;
+        const L1 = plane.l1 - zeta * plane.tanF1;
+        const L2 = plane.l2 - zeta * plane.tanF2;
+
+        let type = 'partial';
+        if (m < 1 + Math.abs(L2)) {
+            if (L2 > 0) type = 'annular';
+            else type = plane.l2 > 0 ? 'hybrid' : 'total';
+        }
+
+        return {
+            kind: 'solar',
+            type,
+            central,
+            time: plane.epoch,
+            gamma,
+            magnitude: solarMagnitude(central ? 0 : m - 1, L1, L2),
+            elements: this.besselianElements(plane.epoch),
+            greatestEclipse: central ? this.centralPoint(plane.epoch) : null
+        };
+    }
+
+    /**
+     * Where the shadow axis meets the WGS84 ellipsoid at an instant, with
+     * the path width and central duration there (see shadowGroundTrack)
+     */
+    centralPoint(time) {
+        const plane = this.fundamentalPlane(time);
+        const toEarth = plane.earthFixed.clone().transpose();
+        const earthFixed = v => v.clone().applyMatrix4(toEarth);
+
+        const moon = earthFixed(plane.moon);
+        const cone = EclipseGeometry.calculateShadowCone(
+            earthFixed(plane.sun), moon, SUN_RADIUS_KM, MOON_K_UMBRA * EARTH_RADIUS_KM
+        );
+        const track = EclipseGeometry.shadowGroundTrack(
+            cone, moon, earthFixed(plane.moonVelocity), earthFixed(plane.sunVelocity)
+        );
+
+        return { time: plane.epoch, ...track };
+    }
+
+    /**
+     * Central line of a central solar eclipse, sampled every stepSeconds
+     * either side of greatest eclipse while the axis meets the Earth
      */
-    static shadowGroundTrack(shadowCone, moonPos, earthRadius = 6378.137) {
-        // Simplified: assumes spherical Earth
-        // Full version uses WGS84 ellipsoid
+    centralLine(eclipse, stepSeconds = 300) {
+        const greatest = toTDB(eclipse.time);
+        const points = [this.centralPoint(greatest)];
+        if (!points[0].centerline) return [];
+
+        [-1, 1].forEach(direction => {
+            for (let t = stepSeconds; t <= SOLAR_WINDOW_S; t += stepSeconds) {
+                const point = this.centralPoint(greatest.addSeconds(direction * t));
+                if (!point.centerline) break;
+                if (direction < 0) points.unshift(point); else points.push(point);
+            }
+        });
+        return points;
+    }
 
-        const coneVertex = {
-            x: moonPos.x + shadowCone.axis.x * shadowCone.umbraLength,
-            y: moonPos.y + shadowCone.axis.y * shadowCone.umbraLength,
-            z: moonPos.z + shadowCone.axis.z * shadowCone.umbraLength
+    /**
+     * Local circumstances of a solar eclipse for a WGS84 observer (degrees,
+     * metres above the ellipsoid): type seen there ('none' if the Sun is
+     * down throughout), magnitude and Sun altitude at maximum, contact
+     * times (null when not reached) and the duration of totality or
+     * annularity in seconds (null when either inner contact is missing)
+     */
+    localCircumstances(eclipse, lat, lon, h = 0) {
+        const greatest = toTDB(eclipse.time);
+        const site = Geodesy.geodeticToECEF(lat, lon, h);
+        const observer = new THREE.Vector3(site.x, site.y, site.z).divideScalar(1000 * EARTH_RADIUS_KM);
+        const up = ellipsoidNormal(lat, lon);
+
+        const at = seconds => {
+            const plane = this.fundamentalPlane(greatest.addSeconds(seconds));
+            const { i, j, k } = plane.axes;
+            const position = observer.clone().applyMatrix4(plane.earthFixed);
+            const zeta = position.dot(k);
+            return {
+                distance: Math.hypot(plane.x - position.dot(i), plane.y - position.dot(j)),
+                L1: plane.l1 - zeta * plane.tanF1,
+                L2: plane.l2 - zeta * plane.tanF2,
+                sunAltitude: Math.asin(up.clone().applyMatrix4(plane.earthFixed).dot(k)) * RAD_TO_DEG
+            };
         };
+        const penumbra = s => { const c = at(s); return c.distance - c.L1; };
+        const umbra = s => { const c = at(s); return c.distance - Math.abs(c.L2); };
+
+        const tMax = minimize(s => at(s).distance, -SOLAR_WINDOW_S, SOLAR_WINDOW_S);
+        const maximum = at(tMax);
+        const magnitude = solarMagnitude(maximum.distance, maximum.L1, maximum.L2);
+        const contact = s => (s === null ? null : greatest.addSeconds(s));
+        const none = { type: 'none', magnitude: 0, maximum: contact(tMax), sunAltitude: maximum.sunAltitude, contacts: null, duration: 0 };
+
+        if (magnitude <= 0) return none;
 
-        // Find intersection with sphere (ray-sphere intersection)
-        // This gives eclipse centerline
+        // The shadow geometry also holds through the night side; the
+        // eclipse is seen only if the Sun is up for some part of it
+        const t1 = bisect(penumbra, -SOLAR_WINDOW_S, tMax);
+        const t4 = bisect(penumbra, tMax, SOLAR_WINDOW_S);
+        if ([t1, tMax, t4].every(s => s === null || at(s).sunAltitude < 0)) return none;
 
-        // Path width at Earth surface
-        const pathWidth = 2 * earthRadius * Math.tan(shadowCone.umbraAngle);
+        const central = maximum.distance < Math.abs(maximum.L2);
+        const t2 = central ? bisect(umbra, t1 ?? -SOLAR_WINDOW_S, tMax) : null;
+        const t3 = central ? bisect(umbra, tMax, t4 ?? SOLAR_WINDOW_S) : null;
 
         return {
-            centerline: coneVertex,
-            pathWidth,
-            totalityDuration: null // Requires velocity calculation
+            type: central ? (maximum.L2 < 0 ? 'total' : 'annular') : 'partial',
+            magnitude,
+            maximum: contact(tMax),
+            sunAltitude: maximum.sunAltitude,
+            contacts: { first: contact(t1), second: contact(t2), third: contact(t3), fourth: contact(t4) },
+            duration: !central ? 0 : (t2 === null || t3 === null ? null : t3 - t2)
         };
     }
+
+    /**
+     * Lunar eclipse geometry at an instant, geocentric, radians: Moon's
+     * distance from the shadow axis, its semidiameter and the umbral and
+     * penumbral radii (Danjon's enlargement)
+     */
+    lunarGeometry(time) {
+        const { sun, moon } = this.apparentPositions(toTDB(time));
+        const moonDistance = moon.length();
+        const sunDistance = sun.length();
+
+        const moonParallax = Math.asin(EARTH_RADIUS_KM / moonDistance) * SHADOW_FLATTENING;
+        const sunParallax = Math.asin(EARTH_RADIUS_KM / sunDistance);
+        const sunSemidiameter = Math.asin(SUN_RADIUS_KM / sunDistance);
+
+        return {
+            separation: moon.angleTo(sun.clone().negate()),
+            moonSemidiameter: Math.asin(MOON_K_PENUMBRA * EARTH_RADIUS_KM / moonDistance),
+            umbra: DANJON_ENLARGEMENT * moonParallax + sunParallax - sunSemidiameter,
+            penumbra: DANJON_ENLARGEMENT * moonParallax + sunParallax + sunSemidiameter
+        };
+    }
+
+    /**
+     * Lunar eclipses with greatest eclipse between start and end
+     * Each: { kind, type (total|partial|penumbral), time of greatest
+     * eclipse, umbralMagnitude, penumbralMagnitude, contacts P1..P4 }
+     */
+    findLunarEclipses(start, end) {
+        return this.findSyzygies(start, end, 180)
+            .map(fullMoon => this.lunarEclipseAt(fullMoon))
+            .filter(eclipse => eclipse !== null);
+    }
+
+    /**
+     * The lunar eclipse (or null) of the full moon nearest a given time
+     */
+    lunarEclipseAt(fullMoon) {
+        const reference = toTDB(fullMoon);
+        const at = seconds => this.lunarGeometry(reference.addSeconds(seconds));
+        const tMax = minimize(s => at(s).separation, -SYZYGY_WINDOW_S, SYZYGY_WINDOW_S);
+        const greatest = at(tMax);
+
+        const magnitude = radius => (radius + greatest.moonSemidiameter - greatest.separation) / (2 * greatest.moonSemidiameter);
+        const umbralMagnitude = magnitude(greatest.umbra);
+        const penumbralMagnitude = magnitude(greatest.penumbra);
+        if (penumbralMagnitude <= 0) return null;
+
+        // Contacts: the Moon's limb touching a shadow edge, outer (P1, U1,
+        // U4, P4) or inner (U2, U3)
+        const edge = (radius, limb) => s => {
+            const g = at(s);
+            return g.separation - (g[radius] + limb * g.moonSemidiameter);
+        };
+        const total = umbralMagnitude >= 1;
+        const seconds = {
+            P1: bisect(edge('penumbra', 1), tMax - LUNAR_WINDOW_S, tMax),
+            U1: umbralMagnitude > 0 ? bisect(edge('umbra', 1), tMax - LUNAR_WINDOW_S, tMax) : null,
+            U2: total ? bisect(edge('umbra', -1), tMax - LUNAR_WINDOW_S, tMax) : null,
+            U3: total ? bisect(edge('umbra', -1), tMax, tMax + LUNAR_WINDOW_S) : null,
+            U4: umbralMagnitude > 0 ? bisect(edge('umbra', 1), tMax, tMax + LUNAR_WINDOW_S) : null,
+            P4: bisect(edge('penumbra', 1), tMax, tMax + LUNAR_WINDOW_S)
+        };
+        const contacts = {};
+        Object.entries(seconds).forEach(([key, s]) => {
+            contacts[key] = s === null ? null : reference.addSeconds(s);
+        });
+
+        return {
+            kind: 'lunar',
+            type: total ? 'total' : umbralMagnitude > 0 ? 'partial' : 'penumbral',
+            time: reference.addSeconds(tMax),
+            umbralMagnitude,
+            penumbralMagnitude,
+            contacts,
+            totality: total ? seconds.U3 - seconds.U2 : 0
+        };
+    }
+
+    /**
+     * Solar and lunar eclipses between start and end, in time order
+     */
+    findEclipses(start, end) {
+        return [...this.findSolarEclipses(start, end), ...this.findLunarEclipses(start, end)]
+            .sort((a, b) => a.time.diffSeconds(b.time));
+    }
 }
 
 export default {
@@ -447,5 +1702,7 @@ export default {
     LightTime,
     Refraction,
     EclipseGeometry,
-    ORIGINS
+    EclipsePredictor,
+    ORIGINS,
+    LIGHT_TIME_CORRECTIONS
 };
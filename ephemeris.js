@@ -0,0 +1,599 @@
+/**
+ * ANALYTIC EPHEMERIS
+ *
+ * Offline positions and velocities for the Sun, Moon and planets:
+ * - Earth: VSOP87 (Bretagnon & Francou 1988), Meeus' truncation, ~1"
+ * - Other planets: JPL approximate Keplerian elements (Standish), 1800-2050,
+ *   or any full VSOP87B/D series file loaded with VSOP87Series.fromFile
+ * - Moon: ELP-2000/82 truncated to Meeus' 120 terms, ~10" / ~10 km
+ * - Sun: the VSOP87 Earth reversed; the low-precision solar theory
+ *   (Meeus ch. 25, ~0.01°) remains available as SolarTheory
+ *
+ * Results carry a CelestialContract: planets are heliocentric in the ICRF
+ * ecliptic and equinox of J2000 (as Horizons' default vector tables),
+ * Sun and Moon are geocentric in ECI (GCRS axes). km, km/s, TDB.
+ *
+ * Philosophy: "NO NETWORK, NO EXCUSE. THE SKY IS COMPUTABLE."
+ */
+
+import * as THREE from 'three';
+import { TIME_SCALES, FRAMES, TimeConverter, JulianDate, TaggedPosition, TaggedVelocity } from './truth-contracts.js';
+import { CelestialContract, ORIGINS, PrecessionNutation } from './celestial-mechanics.js';
+
+const AU_KM = 149597870.7;
+const DEG_TO_RAD = Math.PI / 180;
+const ARCSEC_TO_RAD = Math.PI / (180 * 3600);
+
+// Obliquity of the ICRF ecliptic that Horizons uses (IAU 1976, J2000)
+const OBLIQUITY_J2000 = 84381.448 * ARCSEC_TO_RAD;
+
+// Half-width of the central difference used for velocities
+const VELOCITY_STEP_DAYS = 300 / 86400;
+
+// ===== VSOP87 SERIES =====
+
+/**
+ * Earth, VSOP87D truncated as in Meeus, Astronomical Algorithms, App. III
+ * [A, B, C] with A in 1e-8 rad (L, B) or 1e-8 AU (R); term = A cos(B + Cτ)
+ */
+const VSOP87_EARTH_TERMS = {
+    L: [
+        [
+            [175347046, 0, 0], [3341656, 4.6692568, 6283.07585], [34894, 4.6261, 12566.1517],
+            [3497, 2.7441, 5753.3849], [3418, 2.8289, 3.5231], [3136, 3.6277, 77713.7715],
+            [2676, 4.4181, 7860.4194], [2343, 6.1352, 3930.2097], [1324, 0.7425, 11506.7698],
+            [1273, 2.0371, 529.691], [1199, 1.1096, 1577.3435], [990, 5.233, 5884.927],
+            [902, 2.045, 26.298], [857, 3.508, 398.149], [780, 1.179, 5223.694],
+            [753, 2.533, 5507.553], [505, 4.583, 18849.228], [492, 4.205, 775.523],
+            [357, 2.92, 0.067], [317, 5.849, 11790.629], [284, 1.899, 796.298],
+            [271, 0.315, 10977.079], [243, 0.345, 5486.778], [206, 4.806, 2544.314],
+            [205, 1.869, 5573.143], [202, 2.458, 6069.777], [156, 0.833, 213.299],
+            [132, 3.411, 2942.463], [126, 1.083, 20.775], [115, 0.645, 0.98],
+            [103, 0.636, 4694.003], [102, 0.976, 15720.839], [102, 4.267, 7.114],
+            [99, 6.21, 2146.17], [98, 0.68, 155.42], [86, 5.98, 161000.69],
+            [85, 1.3, 6275.96], [85, 3.67, 71430.7], [80, 1.81, 17260.15],
+            [79, 3.04, 12036.46], [75, 1.76, 5088.63], [74, 3.5, 3154.69],
+            [74, 4.68, 801.82], [70, 0.83, 9437.76], [62, 3.98, 8827.39],
+            [61, 1.82, 7084.9], [57, 2.78, 6286.6], [56, 4.39, 14143.5],
+            [56, 3.47, 6279.55], [52, 0.19, 12139.55], [52, 1.33, 1748.02],
+            [51, 0.28, 5856.48], [49, 0.49, 1194.45], [41, 5.37, 8429.24],
+            [41, 2.4, 19651.05], [39, 6.17, 10447.39], [37, 6.04, 10213.29],
+            [37, 2.57, 1059.38], [36, 1.71, 2352.87], [36, 1.78, 6812.77],
+            [33, 0.59, 17789.85], [30, 0.44, 83996.85], [30, 2.74, 1349.87],
+            [25, 3.16, 4690.48]
+        ],
+        [
+            [628331966747, 0, 0], [206059, 2.678235, 6283.07585], [4303, 2.6351, 12566.1517],
+            [425, 1.59, 3.523], [119, 5.796, 26.298], [109, 2.966, 1577.344],
+            [93, 2.59, 18849.23], [72, 1.14, 529.69], [68, 1.87, 398.15],
+            [67, 4.41, 5507.55], [59, 2.89, 5223.69], [56, 2.17, 155.42],
+            [45, 0.4, 796.3], [36, 0.47, 775.52], [29, 2.65, 7.11],
+            [21, 5.34, 0.98], [19, 1.85, 5486.78], [19, 4.97, 213.3],
+            [17, 2.99, 6275.96], [16, 0.03, 2544.31], [16, 1.43, 2146.17],
+            [15, 1.21, 10977.08], [12, 2.83, 1748.02], [12, 3.26, 5088.63],
+            [12, 5.27, 1194.45], [12, 2.08, 4694], [11, 0.77, 553.57],
+            [10, 1.3, 6286.6], [10, 4.24, 1349.87], [9, 2.7, 242.73],
+            [9, 5.64, 951.72], [8, 5.3, 2352.87], [6, 2.65, 9437.76],
+            [6, 4.67, 4690.48]
+        ],
+        [
+            [52919, 0, 0], [8720, 1.0721, 6283.0758], [309, 0.867, 12566.152],
+            [27, 0.05, 3.52], [16, 5.19, 26.3], [16, 3.68, 155.42],
+            [10, 0.76, 18849.23], [9, 2.06, 77713.77], [7, 0.83, 775.52],
+            [5, 4.66, 1577.34], [4, 1.03, 7.11], [4, 3.44, 5573.14],
+            [3, 5.14, 796.3], [3, 6.05, 5507.55], [3, 1.19, 242.73],
+            [3, 6.12, 529.69], [3, 0.31, 398.15], [3, 2.28, 553.57],
+            [2, 4.38, 5223.69], [2, 3.75, 0.98]
+        ],
+        [
+            [289, 5.844, 6283.076], [35, 0, 0], [17, 5.49, 12566.15],
+            [3, 5.2, 155.42], [1, 4.72, 3.52], [1, 5.3, 18849.23],
+            [1, 5.97, 242.73]
+        ],
+        [[114, 3.142, 0], [8, 4.13, 6283.08], [1, 3.84, 12566.15]],
+        [[1, 3.14, 0]]
+    ],
+    B: [
+        [
+            [280, 3.199, 84334.662], [102, 5.422, 5507.553], [80, 3.88, 5223.69],
+            [44, 3.7, 2352.87], [32, 4, 1577.34]
+        ],
+        [[9, 3.9, 5507.55], [6, 1.73, 5223.69]]
+    ],
+    R: [
+        [
+            [100013989, 0, 0], [1670700, 3.0984635, 6283.07585], [13956, 3.05525, 12566.1517],
+            [3084, 5.1985, 77713.7715], [1628, 1.1739, 5753.3849], [1576, 2.8469, 7860.4194],
+            [925, 5.453, 11506.77], [542, 4.564, 3930.21], [472, 3.661, 5884.927],
+            [346, 0.964, 5507.553], [329, 5.9, 5223.694], [307, 0.299, 5573.143],
+            [243, 4.273, 11790.629], [212, 5.847, 1577.344], [186, 5.022, 10977.079],
+            [175, 3.012, 18849.228], [110, 5.055, 5486.778], [98, 0.89, 6069.78],
+            [86, 5.69, 15720.84], [86, 1.27, 161000.69], [65, 0.27, 17260.15],
+            [63, 0.92, 529.69], [57, 2.01, 83996.85], [56, 5.24, 71430.7],
+            [49, 3.25, 2544.31], [47, 2.58, 775.52], [45, 5.54, 9437.76],
+            [43, 6.01, 6275.96], [39, 5.36, 4694], [38, 2.39, 8827.39],
+            [37, 0.83, 19651.05], [37, 4.9, 12139.55], [36, 1.67, 12036.46],
+            [35, 1.84, 2942.46], [33, 0.24, 7084.9], [32, 0.18, 5088.63],
+            [32, 1.78, 398.15], [28, 1.21, 6286.6], [28, 1.9, 6279.55],
+            [26, 4.59, 10447.39]
+        ],
+        [
+            [103019, 1.10749, 6283.07585], [1721, 1.0644, 12566.1517], [702, 3.142, 0],
+            [32, 1.02, 18849.23], [31, 2.84, 5507.55], [25, 1.32, 5223.69],
+            [18, 1.42, 1577.34], [10, 5.91, 10977.08], [9, 1.42, 6275.96],
+            [9, 0.27, 5486.78]
+        ],
+        [
+            [4359, 5.7846, 6283.0758], [124, 5.579, 12566.152], [12, 3.14, 0],
+            [9, 3.63, 77713.77], [6, 1.87, 5573.14], [3, 5.47, 18849.23]
+        ],
+        [[145, 4.273, 6283.076], [7, 3.92, 12566.15]],
+        [[4, 2.56, 6283.08]]
+    ]
+};
+
+/**
+ * Heliocentric spherical VSOP87 series (versions B and D)
+ * terms: { L, B, R }, each a list of power-of-τ groups of [A, B, C]
+ */
+export class VSOP87Series {
+    constructor(terms, { body = 'UNKNOWN', ofDate = true, scale = 1, source = 'VSOP87' } = {}) {
+        this.terms = terms;
+        this.body = body;
+        this.ofDate = ofDate;   // D: ecliptic/equinox of date, B: J2000
+        this.scale = scale;     // amplitude units (1e-8 for Meeus tables)
+        this.source = source;
+    }
+
+    /**
+     * Parse an official VSOP87B or VSOP87D file (e.g. VSOP87D.ear)
+     * Term lines are fixed-width; A, B, C sit in columns 80-131
+     */
+    static parse(text, source = 'VSOP87') {
+        const terms = { L: [], B: [], R: [] };
+        const variables = ['L', 'B', 'R'];
+        let current = null;
+        let version = null;
+        let body = 'UNKNOWN';
+
+        text.split(/\r?\n/).forEach(line => {
+            const header = line.match(/VSOP87 VERSION\s+([A-Z])\d\s+(\S+)\s+VARIABLE\s+(\d)\s+\(\w+\)\s+\*T\*\*(\d)/);
+            if (header) {
+                version = header[1];
+                body = header[2];
+                const variable = variables[Number(header[3]) - 1];
+                const power = Number(header[4]);
+                if (version !== 'B' && version !== 'D') {
+                    throw new Error(`VSOP87 version ${version} is not spherical (need B or D)`);
+                }
+                current = terms[variable][power] = [];
+                return;
+            }
+            if (!current || line.trim() === '') return;
+
+            const a = Number(line.slice(79, 97));
+            const b = Number(line.slice(97, 111));
+            const c = Number(line.slice(111, 131));
+            if ([a, b, c].some(Number.isNaN)) {
+                throw new Error(`Malformed VSOP87 term in ${source}: ${line.trim()}`);
+            }
+            current.push([a, b, c]);
+        });
+
+        if (!version) {
+            throw new Error(`No VSOP87 series found in ${source}`);
+        }
+        variables.forEach(v => {
+            for (let i = 0; i < terms[v].length; i++) terms[v][i] = terms[v][i] || [];
+        });
+
+        return new VSOP87Series(terms, { body: body.toLowerCase(), ofDate: version === 'D', source });
+    }
+
+    static async fromFile(path) {
+        const { readFile } = await import('node:fs/promises');
+        return VSOP87Series.parse(await readFile(path, 'utf8'), String(path));
+    }
+
+    /**
+     * Heliocentric { L, B (rad), R (AU) } at a TDB Julian date
+     */
+    evaluate(jdTDB) {
+        // Julian millennia from J2000.0
+        const tau = (jdTDB - 2451545.0) / 365250;
+
+        const sum = groups => groups.reduce((total, group, power) => {
+            const value = group.reduce((acc, [A, B, C]) => acc + A * Math.cos(B + C * tau), 0);
+            return total + value * Math.pow(tau, power);
+        }, 0) * this.scale;
+
+        let L = sum(this.terms.L) % (2 * Math.PI);
+        if (L < 0) L += 2 * Math.PI;
+
+        return { L, B: sum(this.terms.B), R: sum(this.terms.R) };
+    }
+}
+
+export const VSOP87_EARTH = new VSOP87Series(VSOP87_EARTH_TERMS, {
+    body: 'earth',
+    ofDate: true,
+    scale: 1e-8,
+    source: 'VSOP87D (Meeus truncation)'
+});
+
+// ===== APPROXIMATE KEPLERIAN ELEMENTS =====
+
+// Standish, "Keplerian Elements for Approximate Positions of the Major
+// Planets" (JPL), 1800-2050, ecliptic and equinox of J2000
+// [a (AU), e, I, L, ϖ, Ω (deg)] and their rates per Julian century
+const KEPLERIAN_ELEMENTS = {
+    mercury: [[0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+        [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]],
+    venus: [[0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+        [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]],
+    emb: [[1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+        [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]],
+    mars: [[1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+        [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]],
+    jupiter: [[5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+        [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]],
+    saturn: [[9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+        [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]],
+    uranus: [[19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+        [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589]],
+    neptune: [[30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+        [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664]],
+    pluto: [[39.48211675, 0.24882730, 17.14001206, 238.92903833, 224.06891629, 110.30393684],
+        [-0.00031596, 0.00005170, 0.00004818, 145.20780515, -0.04062942, -0.01183482]]
+};
+
+export class KeplerianElements {
+    static bodies() {
+        return Object.keys(KEPLERIAN_ELEMENTS);
+    }
+
+    /**
+     * Heliocentric J2000 ecliptic position (AU) at a TDB Julian date
+     */
+    static position(body, jdTDB) {
+        const elements = KEPLERIAN_ELEMENTS[body];
+        if (!elements) {
+            throw new Error(`No Keplerian elements for ${body}`);
+        }
+
+        const T = (jdTDB - 2451545.0) / 36525.0;
+        const [a, e, I, L, varpi, node] = elements[0].map((value, k) => value + elements[1][k] * T);
+
+        // Argument of perihelion and mean anomaly, M in (-180, 180]
+        const omega = (varpi - node) * DEG_TO_RAD;
+        let M = (L - varpi) % 360;
+        if (M > 180) M -= 360;
+        if (M <= -180) M += 360;
+        M *= DEG_TO_RAD;
+
+        // Kepler's equation by Newton iteration
+        let E = M + e * Math.sin(M);
+        for (let i = 0; i < 20; i++) {
+            const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+            E -= dE;
+            if (Math.abs(dE) < 1e-14) break;
+        }
+
+        // Orbital plane, then rotate by ω, I, Ω
+        const xp = a * (Math.cos(E) - e);
+        const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+        const cw = Math.cos(omega), sw = Math.sin(omega);
+        const cO = Math.cos(node * DEG_TO_RAD), sO = Math.sin(node * DEG_TO_RAD);
+        const cI = Math.cos(I * DEG_TO_RAD), sI = Math.sin(I * DEG_TO_RAD);
+
+        return {
+            x: (cw * cO - sw * sO * cI) * xp + (-sw * cO - cw * sO * cI) * yp,
+            y: (cw * sO + sw * cO * cI) * xp + (-sw * sO + cw * cO * cI) * yp,
+            z: (sw * sI) * xp + (cw * sI) * yp
+        };
+    }
+}
+
+// ===== LUNAR THEORY (ELP-2000/82, MEEUS CH. 47) =====
+
+// [D, M, M', F, Σl (1e-6 deg), Σr (1e-3 km)]
+const LUNAR_LR_TERMS = [
+    [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403], [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884],
+    [0, 1, 2, 0, -2120, 5751], [0, 2, 0, 0, -2069, 0],
+    [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958],
+    [0, 0, 2, 2, -1110, 0], [3, 0, -1, 0, -892, 3258],
+    [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354],
+    [2, 1, -2, 0, 691, 0], [2, -1, 0, -2, 596, 0],
+    [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739],
+    [2, 1, 0, -2, -399, 0], [0, 0, 2, -2, -381, -4421],
+    [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0],
+    [0, 2, 1, 0, -323, 1165], [1, 1, -1, 0, 299, 0],
+    [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+];
+
+// [D, M, M', F, Σb (1e-6 deg)]
+const LUNAR_B_TERMS = [
+    [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198], [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211], [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794], [0, 0, 0, 3, -1749],
+    [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335],
+    [0, 0, 3, 1, 1107], [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833],
+    [0, 0, 1, -3, 777], [4, 0, -2, 1, 671], [2, 0, 0, -3, 607],
+    [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421],
+    [2, 1, -1, 1, -366], [2, 1, 0, 1, -351], [4, 0, 0, 1, 331],
+    [2, -1, 1, 1, 315], [2, -2, 0, -1, 302], [0, 0, 1, 3, -283],
+    [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185],
+    [2, -1, -2, -1, 181], [0, 1, 2, 1, -177], [4, 0, -2, -1, 176],
+    [4, -1, -1, -1, 166], [1, 0, 1, -1, -164], [4, 0, 1, -1, 132],
+    [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+];
+
+export class LunarTheory {
+    /**
+     * Geocentric Moon: { lon, lat (deg), distance (km) }, mean ecliptic and
+     * equinox of date, at a TDB (≈ TT) Julian date
+     */
+    static geocentric(jdTDB) {
+        const T = (jdTDB - 2451545.0) / 36525.0;
+        const T2 = T * T, T3 = T2 * T, T4 = T3 * T;
+        const rad = deg => (deg % 360) * DEG_TO_RAD;
+
+        // Mean longitude, elongation, anomalies and argument of latitude (deg)
+        const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000;
+        const D = rad(297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000);
+        const M = rad(357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000);
+        const Mp = rad(134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000);
+        const F = rad(93.2720950 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000);
+
+        // Venus, Jupiter and flattening perturbations
+        const A1 = rad(119.75 + 131.849 * T);
+        const A2 = rad(53.09 + 479264.290 * T);
+        const A3 = rad(313.45 + 481266.484 * T);
+
+        // Decreasing eccentricity of Earth's orbit scales terms in M
+        const E = 1 - 0.002516 * T - 0.0000074 * T2;
+        const eccentricity = m => Math.pow(E, Math.abs(m));
+
+        let sumL = 0, sumR = 0, sumB = 0;
+        LUNAR_LR_TERMS.forEach(([d, m, mp, f, l, r]) => {
+            const arg = d * D + m * M + mp * Mp + f * F;
+            sumL += l * eccentricity(m) * Math.sin(arg);
+            sumR += r * eccentricity(m) * Math.cos(arg);
+        });
+        LUNAR_B_TERMS.forEach(([d, m, mp, f, b]) => {
+            sumB += b * eccentricity(m) * Math.sin(d * D + m * M + mp * Mp + f * F);
+        });
+
+        const LpRad = rad(Lp);
+        sumL += 3958 * Math.sin(A1) + 1962 * Math.sin(LpRad - F) + 318 * Math.sin(A2);
+        sumB += -2235 * Math.sin(LpRad) + 382 * Math.sin(A3) + 175 * Math.sin(A1 - F)
+              + 175 * Math.sin(A1 + F) + 127 * Math.sin(LpRad - Mp) - 115 * Math.sin(LpRad + Mp);
+
+        let lon = (Lp + sumL / 1e6) % 360;
+        if (lon < 0) lon += 360;
+
+        return { lon, lat: sumB / 1e6, distance: 385000.56 + sumR / 1000 };
+    }
+}
+
+// ===== LOW-PRECISION SUN (MEEUS CH. 25) =====
+export class SolarTheory {
+    /**
+     * Geometric geocentric Sun: { lon, lat (deg), distance (AU) }, mean
+     * ecliptic and equinox of date, good to ~0.01°
+     */
+    static geocentric(jdTDB) {
+        const T = (jdTDB - 2451545.0) / 36525.0;
+
+        const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+        const M = (357.52911 + 35999.05029 * T - 0.0001537 * T * T) * DEG_TO_RAD;
+        const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+
+        // Equation of centre
+        const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M)
+                + (0.019993 - 0.000101 * T) * Math.sin(2 * M)
+                + 0.000289 * Math.sin(3 * M);
+
+        const nu = M + C * DEG_TO_RAD;
+        let lon = (L0 + C) % 360;
+        if (lon < 0) lon += 360;
+
+        return { lon, lat: 0, distance: 1.000001018 * (1 - e * e) / (1 + e * Math.cos(nu)) };
+    }
+}
+
+// ===== ANALYTIC EPHEMERIS PROVIDER =====
+
+// NAIF ids accepted alongside body names (as Horizons COMMAND values)
+const NAIF_IDS = {
+    10: 'sun', 199: 'mercury', 299: 'venus', 399: 'earth', 301: 'moon', 499: 'mars',
+    599: 'jupiter', 699: 'saturn', 799: 'uranus', 899: 'neptune', 999: 'pluto'
+};
+
+// Approximate accuracy of each theory, arcseconds
+const THEORY_ACCURACY_ARCSEC = {
+    VSOP87: 1,
+    KEPLERIAN: 600,
+    ELP: 10
+};
+
+function sphericalToCartesian(lonRad, latRad, r) {
+    const cosLat = Math.cos(latRad);
+    return new THREE.Vector3(r * cosLat * Math.cos(lonRad), r * cosLat * Math.sin(lonRad), r * Math.sin(latRad));
+}
+
+/**
+ * Mean ecliptic of date → GCRS: equator of date by εA, then (P·B)ᵀ
+ */
+function eclipticOfDateToGCRS(jdTDB) {
+    const equatorOfDate = new THREE.Matrix4().makeRotationX(PrecessionNutation.meanObliquity(jdTDB));
+    return PrecessionNutation.biasPrecessionMatrix(jdTDB).transpose().multiply(equatorOfDate);
+}
+
+/**
+ * GCRS (ICRF equatorial) → ICRF ecliptic of J2000
+ */
+function gcrsToEclipticJ2000() {
+    return new THREE.Matrix4().makeRotationX(-OBLIQUITY_J2000);
+}
+
+export class AnalyticEphemeris {
+    /**
+     * series: { body: VSOP87Series } to use instead of the built-in theory
+     * (e.g. full VSOP87D files); Earth's truncated VSOP87 is always available
+     */
+    constructor({ series = {} } = {}) {
+        this.series = { earth: VSOP87_EARTH, ...series };
+    }
+
+    static resolveBody(bodyId) {
+        const key = String(bodyId).toLowerCase();
+        return NAIF_IDS[key] || key;
+    }
+
+    /**
+     * Bodies this provider can compute
+     */
+    bodies() {
+        return [...new Set(['sun', 'moon', ...Object.keys(this.series), ...KeplerianElements.bodies()])]
+            .filter(body => body !== 'emb');
+    }
+
+    /**
+     * Epoch (Date taken as UTC, or a JulianDate in any scale) → TDB JulianDate
+     */
+    static toTDB(time) {
+        const jd = time instanceof JulianDate ? time : JulianDate.fromDate(time, TIME_SCALES.UTC);
+        return TimeConverter.convert(jd, jd.timeScale, TIME_SCALES.TDB);
+    }
+
+    /**
+     * Position (km) at a TDB Julian date, plus its contract details
+     */
+    positionAt(body, jdTDB) {
+        if (body === 'moon') {
+            const { lon, lat, distance } = LunarTheory.geocentric(jdTDB);
+            const v = sphericalToCartesian(lon * DEG_TO_RAD, lat * DEG_TO_RAD, distance);
+            return { vector: v.applyMatrix4(eclipticOfDateToGCRS(jdTDB)), theory: 'ELP', geocentric: true };
+        }
+
+        if (body === 'sun') {
+            // Heliocentric Earth reversed: ~1" against the solar theory's 36",
+            // which eclipse timing cannot afford
+            const earth = this.series.earth;
+            const { L, B, R } = earth.evaluate(jdTDB);
+            const v = sphericalToCartesian(L + Math.PI, -B, R * AU_KM);
+            const toGCRS = earth.ofDate
+                ? eclipticOfDateToGCRS(jdTDB)
+                : gcrsToEclipticJ2000().transpose();
+            return { vector: v.applyMatrix4(toGCRS), theory: 'VSOP87', geocentric: true };
+        }
+
+        const series = this.series[body];
+        if (series) {
+            const { L, B, R } = series.evaluate(jdTDB);
+            const v = sphericalToCartesian(L, B, R * AU_KM);
+            if (series.ofDate) {
+                v.applyMatrix4(eclipticOfDateToGCRS(jdTDB)).applyMatrix4(gcrsToEclipticJ2000());
+            }
+            return { vector: v, theory: 'VSOP87', geocentric: false, source: series.source };
+        }
+
+        if (KEPLERIAN_ELEMENTS[body] && body !== 'emb') {
+            const p = KeplerianElements.position(body, jdTDB);
+            return {
+                vector: new THREE.Vector3(p.x, p.y, p.z).multiplyScalar(AU_KM),
+                theory: 'KEPLERIAN',
+                geocentric: false
+            };
+        }
+
+        throw new Error(`Analytic ephemeris has no theory for body: ${body}`);
+    }
+
+    /**
+     * Position and velocity of a body at a Date (UTC) or JulianDate
+     * Returns TaggedPosition/TaggedVelocity (km, km/s) at the TDB epoch
+     * Velocity is a central difference of the analytic position
+     */
+    state(bodyId, time) {
+        const body = AnalyticEphemeris.resolveBody(bodyId);
+        const epoch = AnalyticEphemeris.toTDB(time);
+        const jd = epoch.jd;
+
+        const { vector, theory, geocentric, source } = this.positionAt(body, jd);
+        const ahead = this.positionAt(body, jd + VELOCITY_STEP_DAYS).vector;
+        const behind = this.positionAt(body, jd - VELOCITY_STEP_DAYS).vector;
+        const velocity = ahead.sub(behind).divideScalar(2 * VELOCITY_STEP_DAYS * 86400);
+
+        const distance = vector.length();
+        const contract = new CelestialContract({
+            frame: geocentric ? FRAMES.ECI : FRAMES.HELIOCENTRIC_ECLIPTIC,
+            timeScale: TIME_SCALES.TDB,
+            origin: geocentric ? ORIGINS.GEOCENTRIC : ORIGINS.HELIOCENTRIC,
+            tolerance: { position_km: distance * THEORY_ACCURACY_ARCSEC[theory] * ARCSEC_TO_RAD }
+        });
+
+        return {
+            body,
+            epoch,
+            position: new TaggedPosition(vector, contract, epoch),
+            velocity: new TaggedVelocity(velocity, contract, epoch),
+            contract,
+            source: source || `ANALYTIC_${theory}`
+        };
+    }
+
+    /**
+     * Same shape as HorizonsAPI.fetchPosition, so either can back the test suite
+     */
+    async fetchPosition(bodyId, timestamp) {
+        const state = this.state(bodyId, timestamp);
+        const plain = v => ({ x: v.x, y: v.y, z: v.z });
+
+        return {
+            body: bodyId,
+            timestamp,
+            position: plain(state.position),
+            velocity: plain(state.velocity),
+            contract: state.contract,
+            source: state.source
+        };
+    }
+}
+
+export default {
+    AnalyticEphemeris,
+    VSOP87Series,
+    VSOP87_EARTH,
+    KeplerianElements,
+    LunarTheory,
+    SolarTheory
+};
@@ -0,0 +1,434 @@
+/**
+ * GEODESY TOOLKIT
+ *
+ * WGS84 conversions between ECEF and geodetic coordinates, geodesic
+ * distances and azimuths, and ENU/NED local tangent frames.
+ * Metres and degrees throughout; heights are above the ellipsoid
+ * (HEIGHT_DATUMS.ELLIPSOID; use DatumConverter for geoid/MSL heights).
+ *
+ * Philosophy: "A METRE ON THE MAP IS A METRE ON THE EARTH."
+ */
+
+import { FRAMES, FrameTransformer, TaggedVector } from './truth-contracts.js';
+
+// ===== WGS84 ELLIPSOID =====
+const A = 6378137.0;
+const F = 1 / 298.257223563;
+const B = A * (1 - F);
+const E2 = F * (2 - F);
+
+export const WGS84 = {
+    a: A,                   // semi-major axis (m)
+    f: F,                   // flattening
+    b: B,                   // semi-minor axis (m)
+    e2: E2,                 // first eccentricity squared
+    ep2: E2 / (1 - E2)      // second eccentricity squared
+};
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Angle in degrees wrapped to [0, 360)
+ */
+function normalizeAzimuth(deg) {
+    const wrapped = deg % 360;
+    return wrapped < 0 ? wrapped + 360 : wrapped;
+}
+
+/**
+ * Angle in degrees wrapped to (-180, 180]
+ */
+function normalizeLongitude(deg) {
+    const wrapped = normalizeAzimuth(deg);
+    return wrapped > 180 ? wrapped - 360 : wrapped;
+}
+
+/**
+ * Tagged vectors must be in ECEF before geodetic conversion
+ */
+function requireECEF(ecef, operation) {
+    if (ecef instanceof TaggedVector) {
+        FrameTransformer.validateFrameCompatibility(FRAMES.ECEF, ecef.contract.frame, operation);
+    }
+}
+
+// ===== ECEF ↔ GEODETIC =====
+export class Geodesy {
+    /**
+     * Geodetic latitude/longitude (degrees) and ellipsoidal height (m) → ECEF (m)
+     */
+    static geodeticToECEF(lat, lon, h = 0) {
+        const latRad = lat * DEG_TO_RAD;
+        const lonRad = lon * DEG_TO_RAD;
+        const sinLat = Math.sin(latRad);
+        const cosLat = Math.cos(latRad);
+
+        // Prime vertical radius of curvature
+        const N = A / Math.sqrt(1 - E2 * sinLat * sinLat);
+
+        return {
+            x: (N + h) * cosLat * Math.cos(lonRad),
+            y: (N + h) * cosLat * Math.sin(lonRad),
+            z: (N * (1 - E2) + h) * sinLat
+        };
+    }
+
+    /**
+     * ECEF (m) → geodetic { lat, lon, h }, closed form (Vermeille 2004)
+     * No iteration; exact to rounding for any point outside the ~43 km
+     * evolute around the Earth's centre
+     */
+    static ecefToGeodetic(ecef) {
+        requireECEF(ecef, 'ecefToGeodetic');
+
+        const { x, y, z } = ecef;
+        const rho = Math.hypot(x, y);
+        const lon = Math.atan2(y, x) * RAD_TO_DEG;
+
+        // On the polar axis the formula divides by zero; the answer is direct
+        if (rho === 0) {
+            return { lat: z >= 0 ? 90 : -90, lon: 0, h: Math.abs(z) - B };
+        }
+
+        const e4 = E2 * E2;
+        const p = (rho * rho) / (A * A);
+        const q = (1 - E2) * (z * z) / (A * A);
+        const r = (p + q - e4) / 6;
+        const s = e4 * p * q / (4 * r * r * r);
+        const t = Math.cbrt(1 + s + Math.sqrt(s * (2 + s)));
+        const u = r * (1 + t + 1 / t);
+        const v = Math.sqrt(u * u + e4 * q);
+        const w = E2 * (u + v - q) / (2 * v);
+        const k = Math.sqrt(u + v + w * w) - w;
+        const D = k * rho / (k + E2);
+        const dz = Math.hypot(D, z);
+
+        return {
+            lat: 2 * Math.atan2(z, D + dz) * RAD_TO_DEG,
+            lon,
+            h: (k + E2 - 1) / k * dz
+        };
+    }
+}
+
+// ===== GEODESICS =====
+const VINCENTY_TOLERANCE = 1e-12;  // radians
+const VINCENTY_MAX_ITERATIONS = 200;
+const NEWTON_TOLERANCE_M = 1e-6;
+const NEWTON_MAX_ITERATIONS = 50;
+const NEWTON_START_SPACING_DEG = 15;
+
+/**
+ * Vincenty's A and B series for u² = cos²α · e'²
+ */
+function vincentyAB(cos2Alpha) {
+    const uSq = cos2Alpha * WGS84.ep2;
+    return {
+        bigA: 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq))),
+        bigB: uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)))
+    };
+}
+
+function deltaSigma(bigB, sinSigma, cosSigma, cos2SigmaM) {
+    const c2 = cos2SigmaM * cos2SigmaM;
+    return bigB * sinSigma * (cos2SigmaM + bigB / 4 * (cosSigma * (-1 + 2 * c2)
+        - bigB / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * c2)));
+}
+
+export class Geodesic {
+    /**
+     * Inverse problem: shortest path between two points
+     * Returns { distance (m), azimuth1, azimuth2 (degrees, forward azimuth
+     * at each end), method }. Vincenty (1975); nearly antipodal pairs, where
+     * his iteration does not converge, are solved by Newton on the direct problem
+     */
+    static inverse(lat1, lon1, lat2, lon2) {
+        const result = this.vincentyInverse(lat1, lon1, lat2, lon2);
+        if (result) return result;
+
+        return this.newtonInverse(lat1, lon1, lat2, lon2);
+    }
+
+    /**
+     * Direct problem: destination after distance (m) along azimuth1 (degrees)
+     * Returns { lat, lon, azimuth2 }
+     */
+    static direct(lat1, lon1, azimuth1, distance) {
+        const alpha1 = azimuth1 * DEG_TO_RAD;
+        const sinAlpha1 = Math.sin(alpha1);
+        const cosAlpha1 = Math.cos(alpha1);
+
+        const tanU1 = (1 - F) * Math.tan(lat1 * DEG_TO_RAD);
+        const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+        const sinU1 = tanU1 * cosU1;
+
+        const sigma1 = Math.atan2(tanU1, cosAlpha1);
+        const sinAlpha = cosU1 * sinAlpha1;
+        const cos2Alpha = 1 - sinAlpha * sinAlpha;
+        const { bigA, bigB } = vincentyAB(cos2Alpha);
+
+        let sigma = distance / (B * bigA);
+        let sinSigma, cosSigma, cos2SigmaM;
+        for (let i = 0; i < VINCENTY_MAX_ITERATIONS; i++) {
+            cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+            sinSigma = Math.sin(sigma);
+            cosSigma = Math.cos(sigma);
+
+            const previous = sigma;
+            sigma = distance / (B * bigA) + deltaSigma(bigB, sinSigma, cosSigma, cos2SigmaM);
+            if (Math.abs(sigma - previous) < VINCENTY_TOLERANCE) break;
+        }
+        cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+        sinSigma = Math.sin(sigma);
+        cosSigma = Math.cos(sigma);
+
+        const tmp = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+        const lat2 = Math.atan2(sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1,
+            (1 - F) * Math.hypot(sinAlpha, tmp));
+        const lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+        const C = F / 16 * cos2Alpha * (4 + F * (4 - 3 * cos2Alpha));
+        const L = lambda - (1 - C) * F * sinAlpha * (sigma + C * sinSigma
+            * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+        return {
+            lat: lat2 * RAD_TO_DEG,
+            lon: normalizeLongitude(lon1 + L * RAD_TO_DEG),
+            azimuth2: normalizeAzimuth(Math.atan2(sinAlpha, -tmp) * RAD_TO_DEG)
+        };
+    }
+
+    /**
+     * Vincenty's inverse iteration; null when it fails to converge
+     */
+    static vincentyInverse(lat1, lon1, lat2, lon2) {
+        const L = normalizeLongitude(lon2 - lon1) * DEG_TO_RAD;
+        const tanU1 = (1 - F) * Math.tan(lat1 * DEG_TO_RAD);
+        const tanU2 = (1 - F) * Math.tan(lat2 * DEG_TO_RAD);
+        const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+        const cosU2 = 1 / Math.sqrt(1 + tanU2 * tanU2);
+        const sinU1 = tanU1 * cosU1;
+        const sinU2 = tanU2 * cosU2;
+
+        let lambda = L;
+        let sinLambda, cosLambda, sinSigma, cosSigma, sigma, sinAlpha, cos2Alpha, cos2SigmaM;
+        let converged = false;
+
+        for (let i = 0; i < VINCENTY_MAX_ITERATIONS; i++) {
+            sinLambda = Math.sin(lambda);
+            cosLambda = Math.cos(lambda);
+            sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+
+            // Coincident points
+            if (sinSigma === 0) {
+                return { distance: 0, azimuth1: 0, azimuth2: 0, method: 'VINCENTY' };
+            }
+
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+            sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cos2Alpha = 1 - sinAlpha * sinAlpha;
+
+            // Equatorial lines have cos²α = 0
+            cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;
+
+            const C = F / 16 * cos2Alpha * (4 + F * (4 - 3 * cos2Alpha));
+            const previous = lambda;
+            lambda = L + (1 - C) * F * sinAlpha * (sigma + C * sinSigma
+                * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+            if (Math.abs(lambda) > Math.PI) break;
+            if (Math.abs(lambda - previous) < VINCENTY_TOLERANCE) {
+                converged = true;
+                break;
+            }
+        }
+
+        if (!converged) return null;
+
+        const { bigA, bigB } = vincentyAB(cos2Alpha);
+        const distance = B * bigA * (sigma - deltaSigma(bigB, sinSigma, cosSigma, cos2SigmaM));
+
+        const alpha1 = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+        const alpha2 = Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda);
+
+        return {
+            distance,
+            azimuth1: normalizeAzimuth(alpha1 * RAD_TO_DEG),
+            azimuth2: normalizeAzimuth(alpha2 * RAD_TO_DEG),
+            method: 'VINCENTY'
+        };
+    }
+
+    /**
+     * Solve the inverse problem by Newton iteration on (azimuth1, distance)
+     * of the direct problem. Near the antipode several geodesics join the
+     * two points, so Newton starts from the spherical azimuth and a fan of
+     * others, and the shortest converged line wins.
+     */
+    static newtonInverse(lat1, lon1, lat2, lon2) {
+        const phi1 = lat1 * DEG_TO_RAD;
+        const phi2 = lat2 * DEG_TO_RAD;
+        const dLambda = normalizeLongitude(lon2 - lon1) * DEG_TO_RAD;
+
+        // Spherical great circle as the first starting point
+        const sphericalAzimuth = Math.atan2(Math.sin(dLambda) * Math.cos(phi2),
+            Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLambda)) * RAD_TO_DEG;
+        const sphericalDistance = A * Math.acos(Math.min(1, Math.max(-1,
+            Math.sin(phi1) * Math.sin(phi2) + Math.cos(phi1) * Math.cos(phi2) * Math.cos(dLambda))));
+
+        const starts = [sphericalAzimuth];
+        for (let azimuth = 0; azimuth < 360; azimuth += NEWTON_START_SPACING_DEG) starts.push(azimuth);
+
+        let best = null;
+        starts.forEach(start => {
+            const solution = this.newtonSolve(lat1, lon1, lat2, lon2, start, sphericalDistance);
+            if (solution && solution.distance >= 0 && (!best || solution.distance < best.distance)) {
+                best = solution;
+            }
+        });
+
+        if (!best) {
+            throw new Error(`Geodesic inverse did not converge (${lat1}, ${lon1}) → (${lat2}, ${lon2})`);
+        }
+
+        return {
+            distance: best.distance,
+            azimuth1: normalizeAzimuth(best.azimuth),
+            azimuth2: this.direct(lat1, lon1, best.azimuth, best.distance).azimuth2,
+            method: 'NEWTON'
+        };
+    }
+
+    /**
+     * Newton iteration from one starting azimuth; null if it stalls
+     */
+    static newtonSolve(lat1, lon1, lat2, lon2, azimuth, distance) {
+        const residual = (az, s) => {
+            const end = this.direct(lat1, lon1, az, s);
+            const dLat = (end.lat - lat2) * DEG_TO_RAD;
+            const dLon = normalizeLongitude(end.lon - lon2) * DEG_TO_RAD;
+            return [dLat * A, dLon * A * Math.cos(lat2 * DEG_TO_RAD)];
+        };
+
+        let r = residual(azimuth, distance);
+        let error = Math.hypot(r[0], r[1]);
+
+        for (let i = 0; i < NEWTON_MAX_ITERATIONS && error > NEWTON_TOLERANCE_M; i++) {
+            // Numerical Jacobian with respect to azimuth (deg) and distance (m)
+            const dAz = 1e-6;
+            const dS = 1;
+            const ra = residual(azimuth + dAz, distance);
+            const rs = residual(azimuth, distance + dS);
+            const j11 = (ra[0] - r[0]) / dAz, j12 = (rs[0] - r[0]) / dS;
+            const j21 = (ra[1] - r[1]) / dAz, j22 = (rs[1] - r[1]) / dS;
+            const det = j11 * j22 - j12 * j21;
+            if (det === 0) return null;
+
+            const stepAz = (j22 * r[0] - j12 * r[1]) / det;
+            const stepS = (-j21 * r[0] + j11 * r[1]) / det;
+
+            // Halve the step until the miss distance shrinks
+            let scale = 1;
+            let next = residual(azimuth - stepAz, distance - stepS);
+            let nextError = Math.hypot(next[0], next[1]);
+            while (nextError >= error && scale > 1e-6) {
+                scale /= 2;
+                next = residual(azimuth - scale * stepAz, distance - scale * stepS);
+                nextError = Math.hypot(next[0], next[1]);
+            }
+            if (nextError >= error) return null;
+
+            azimuth -= scale * stepAz;
+            distance -= scale * stepS;
+            r = next;
+            error = nextError;
+        }
+
+        return error <= NEWTON_TOLERANCE_M ? { azimuth, distance } : null;
+    }
+}
+
+// ===== LOCAL TANGENT FRAMES =====
+
+/**
+ * East-north-up / north-east-down frame at a geodetic origin
+ */
+export class LocalFrame {
+    constructor(lat, lon, h = 0) {
+        this.origin = { lat, lon, h };
+        this.originECEF = Geodesy.geodeticToECEF(lat, lon, h);
+
+        const latRad = lat * DEG_TO_RAD;
+        const lonRad = lon * DEG_TO_RAD;
+        const sinLat = Math.sin(latRad);
+        const cosLat = Math.cos(latRad);
+        const sinLon = Math.sin(lonRad);
+        const cosLon = Math.cos(lonRad);
+
+        // Unit vectors of the local axes, in ECEF
+        this.east = { x: -sinLon, y: cosLon, z: 0 };
+        this.north = { x: -sinLat * cosLon, y: -sinLat * sinLon, z: cosLat };
+        this.up = { x: cosLat * cosLon, y: cosLat * sinLon, z: sinLat };
+    }
+
+    static fromECEF(ecef) {
+        const { lat, lon, h } = Geodesy.ecefToGeodetic(ecef);
+        return new LocalFrame(lat, lon, h);
+    }
+
+    ecefToENU(ecef) {
+        requireECEF(ecef, 'ecefToENU');
+
+        const dx = ecef.x - this.originECEF.x;
+        const dy = ecef.y - this.originECEF.y;
+        const dz = ecef.z - this.originECEF.z;
+        const dot = axis => axis.x * dx + axis.y * dy + axis.z * dz;
+
+        return { east: dot(this.east), north: dot(this.north), up: dot(this.up) };
+    }
+
+    enuToECEF({ east, north, up }) {
+        const component = key => this.originECEF[key]
+            + this.east[key] * east + this.north[key] * north + this.up[key] * up;
+
+        return { x: component('x'), y: component('y'), z: component('z') };
+    }
+
+    ecefToNED(ecef) {
+        const { east, north, up } = this.ecefToENU(ecef);
+        return { north, east, down: -up };
+    }
+
+    nedToECEF({ north, east, down }) {
+        return this.enuToECEF({ east, north, up: -down });
+    }
+
+    geodeticToENU(lat, lon, h = 0) {
+        return this.ecefToENU(Geodesy.geodeticToECEF(lat, lon, h));
+    }
+
+    enuToGeodetic(enu) {
+        return Geodesy.ecefToGeodetic(this.enuToECEF(enu));
+    }
+
+    /**
+     * Azimuth (degrees from north through east), elevation (degrees) and
+     * slant range (m) of an ENU offset
+     */
+    static enuToAzimuthElevation({ east, north, up }) {
+        const horizontal = Math.hypot(east, north);
+        return {
+            azimuth: normalizeAzimuth(Math.atan2(east, north) * RAD_TO_DEG),
+            elevation: Math.atan2(up, horizontal) * RAD_TO_DEG,
+            range: Math.hypot(horizontal, up)
+        };
+    }
+}
+
+export default {
+    WGS84,
+    Geodesy,
+    Geodesic,
+    LocalFrame
+};
@@ -0,0 +1,559 @@
+/**
+ * JPL HORIZONS VECTOR TABLES
+ *
+ * Reads Horizons vector-table exports (EPHEM_TYPE=VECTORS), text or CSV:
+ * - $$SOE/$$EOE data blocks, JDTDB/JDTT/JDUT epochs
+ * - KM-S, KM-D and AU-D units, normalised to km and km/s
+ * - Ecliptic or equatorial J2000 axes, Sun/SSB/Earth/Moon centres
+ *
+ * Parsed tables interpolate (Hermite or Lagrange) between samples and are
+ * kept in an on-disk cache keyed by body, span and step, so verification
+ * can run offline against real reference data.
+ *
+ * Philosophy: "DOWNLOAD ONCE. VERIFY FOREVER."
+ */
+
+import { TIME_SCALES, FRAMES, JulianDate, TaggedPosition, TaggedVelocity } from './truth-contracts.js';
+import { CelestialContract, ORIGINS } from './celestial-mechanics.js';
+import { AnalyticEphemeris } from './ephemeris.js';
+
+const AU_KM = 149597870.7;
+const SECONDS_PER_DAY = 86400;
+
+// Horizons centre body ids → contract origins
+const CENTER_ORIGINS = {
+    0: ORIGINS.BARYCENTRIC,
+    10: ORIGINS.HELIOCENTRIC,
+    399: ORIGINS.GEOCENTRIC,
+    301: ORIGINS.SELENOCENTRIC
+};
+
+// Epoch column names → time scales
+const EPOCH_SCALES = {
+    JDTDB: TIME_SCALES.TDB,
+    JDTT: TIME_SCALES.TT,
+    JDUT: TIME_SCALES.UTC
+};
+
+// Output units → [km per length unit, seconds per time unit]
+const OUTPUT_UNITS = {
+    'KM-S': [1, 1],
+    'KM-D': [1, SECONDS_PER_DAY],
+    'AU-D': [AU_KM, SECONDS_PER_DAY]
+};
+
+const STEP_UNITS_MINUTES = {
+    m: 1, min: 1, mins: 1, minute: 1, minutes: 1,
+    h: 60, hour: 60, hours: 60,
+    d: 1440, day: 1440, days: 1440
+};
+
+/**
+ * Horizons step size ('1d', '6 h', '1440 minutes') → canonical '<n>m'
+ */
+export function normalizeStep(step) {
+    const match = String(step).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]+)$/);
+    if (!match || !STEP_UNITS_MINUTES[match[2]]) {
+        throw new Error(`Unsupported Horizons step size: ${step}`);
+    }
+    return `${Number(match[1]) * STEP_UNITS_MINUTES[match[2]]}m`;
+}
+
+/**
+ * Calendar stamp of a Date, JulianDate or ISO string, read as Horizons
+ * reads START_TIME: the calendar fields themselves, in the table's scale
+ */
+function calendarStamp(time) {
+    if (time instanceof JulianDate) return time.toISOString(0).slice(0, 19);
+    if (time instanceof Date) return time.toISOString().slice(0, 19);
+    return JulianDate.fromISO(String(time)).toISOString(0).slice(0, 19);
+}
+
+/**
+ * Two-part JulianDate from a Horizons JD column, keeping every digit
+ */
+function parseJulianDate(text, timeScale) {
+    const [whole, decimals = ''] = text.trim().split('.');
+    return new JulianDate(Number(whole), Number(`0.${decimals || 0}`), timeScale);
+}
+
+/**
+ * "Earth (399)" → { name: 'earth', id: 399 }
+ */
+function parseBodyName(text) {
+    const match = text.match(/^(.*?)\s*\((-?\d+)\)/);
+    if (!match) {
+        throw new Error(`Unrecognised Horizons body name: ${text}`);
+    }
+    return { name: match[1].trim().toLowerCase(), id: Number(match[2]) };
+}
+
+// ===== INTERPOLATION =====
+
+/**
+ * Cubic Hermite basis on s ∈ [0, 1] and its derivative
+ */
+function hermiteBasis(s) {
+    const s2 = s * s, s3 = s2 * s;
+    return {
+        value: [2 * s3 - 3 * s2 + 1, s3 - 2 * s2 + s, -2 * s3 + 3 * s2, s3 - s2],
+        slope: [6 * s2 - 6 * s, 3 * s2 - 4 * s + 1, -6 * s2 + 6 * s, 3 * s2 - 2 * s]
+    };
+}
+
+/**
+ * Lagrange weights for nodes at t
+ */
+function lagrangeWeights(nodes, t) {
+    return nodes.map((tj, j) => nodes.reduce((w, tk, k) => (k === j ? w : w * (t - tk) / (tj - tk)), 1));
+}
+
+export const INTERPOLATION = {
+    HERMITE: 'hermite',
+    LAGRANGE: 'lagrange'
+};
+
+// ===== EPHEMERIS TABLE =====
+export class EphemerisTable {
+    /**
+     * samples: time-ordered { epoch: JulianDate, position, velocity } in km, km/s
+     * All epochs share the contract's time scale
+     */
+    constructor(samples, { body, center = null, contract, step = null, source = 'UNKNOWN' }) {
+        if (samples.length === 0) {
+            throw new Error(`Ephemeris table from ${source} has no samples`);
+        }
+        samples.forEach(sample => sample.epoch.requireScale(contract.timeScale));
+
+        this.samples = samples;
+        this.body = body;
+        this.center = center;
+        this.contract = contract;
+        this.source = source;
+
+        // Seconds from the first sample, taken from the two-part dates
+        const first = samples[0].epoch;
+        this.times = samples.map(sample => sample.epoch.diffSeconds(first));
+        for (let i = 1; i < this.times.length; i++) {
+            if (!(this.times[i] > this.times[i - 1])) {
+                throw new Error(`Ephemeris table from ${source} is not strictly time-ordered at sample ${i}`);
+            }
+        }
+
+        this.step = step || (samples.length > 1 ? normalizeStep(`${Math.round(this.times[1] / 60)}m`) : null);
+    }
+
+    get start() {
+        return this.samples[0].epoch;
+    }
+
+    get end() {
+        return this.samples[this.samples.length - 1].epoch;
+    }
+
+    /**
+     * Seconds past the first sample for a Date (UTC) or JulianDate
+     */
+    offsetOf(time) {
+        const epoch = time instanceof JulianDate ? time : JulianDate.fromDate(time, TIME_SCALES.UTC);
+        return epoch.to(this.contract.timeScale).diffSeconds(this.start);
+    }
+
+    /**
+     * Index i with times[i] <= t <= times[i + 1]
+     */
+    locate(t) {
+        const last = this.times.length - 1;
+        if (t < 0 || t > this.times[last]) {
+            throw new Error(`Epoch is outside the ${this.body} table span ${calendarStamp(this.start)} – ${calendarStamp(this.end)}`);
+        }
+
+        let lo = 0, hi = last;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (this.times[mid] <= t) lo = mid; else hi = mid;
+        }
+        return Math.min(lo, Math.max(last - 1, 0));
+    }
+
+    /**
+     * Cubic Hermite through the bracketing positions and velocities
+     */
+    hermite(t) {
+        if (this.samples.length === 1) {
+            const { position, velocity } = this.samples[0];
+            return { position: { ...position }, velocity: { ...velocity } };
+        }
+
+        const i = this.locate(t);
+        const a = this.samples[i], b = this.samples[i + 1];
+        const h = this.times[i + 1] - this.times[i];
+        const { value, slope } = hermiteBasis((t - this.times[i]) / h);
+
+        const position = {}, velocity = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            const terms = [a.position[axis], h * a.velocity[axis], b.position[axis], h * b.velocity[axis]];
+            position[axis] = terms.reduce((sum, term, k) => sum + value[k] * term, 0);
+            velocity[axis] = terms.reduce((sum, term, k) => sum + slope[k] * term, 0) / h;
+        });
+        return { position, velocity };
+    }
+
+    /**
+     * Lagrange polynomial through the `order` samples nearest t,
+     * applied to positions and velocities separately
+     */
+    lagrange(t, order = 8) {
+        const count = Math.min(order, this.samples.length);
+        const i = this.locate(t);
+        const first = Math.max(0, Math.min(i - Math.floor((count - 1) / 2), this.samples.length - count));
+
+        const window = this.samples.slice(first, first + count);
+        const weights = lagrangeWeights(this.times.slice(first, first + count), t);
+
+        const position = {}, velocity = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            position[axis] = window.reduce((sum, sample, k) => sum + weights[k] * sample.position[axis], 0);
+            velocity[axis] = window.reduce((sum, sample, k) => sum + weights[k] * sample.velocity[axis], 0);
+        });
+        return { position, velocity };
+    }
+
+    /**
+     * Interpolated state at a Date (UTC) or JulianDate, tagged like
+     * AnalyticEphemeris.state
+     */
+    state(time, { method = INTERPOLATION.HERMITE, order = 8 } = {}) {
+        const t = this.offsetOf(time);
+        let result;
+        if (method === INTERPOLATION.HERMITE) {
+            result = this.hermite(t);
+        } else if (method === INTERPOLATION.LAGRANGE) {
+            result = this.lagrange(t, order);
+        } else {
+            throw new Error(`Unsupported interpolation: ${method}`);
+        }
+
+        const epoch = this.start.addSeconds(t);
+        return {
+            body: this.body,
+            epoch,
+            position: new TaggedPosition(result.position, this.contract, epoch),
+            velocity: new TaggedVelocity(result.velocity, this.contract, epoch),
+            contract: this.contract,
+            source: this.source
+        };
+    }
+
+    /**
+     * Same shape as HorizonsAPI.fetchPosition, so a table can back the test suite
+     */
+    async fetchPosition(bodyId, timestamp) {
+        const body = AnalyticEphemeris.resolveBody(bodyId);
+        if (body !== this.body) {
+            throw new Error(`Ephemeris table holds ${this.body}, not ${body}`);
+        }
+
+        const state = this.state(timestamp);
+        const plain = v => ({ x: v.x, y: v.y, z: v.z });
+
+        return {
+            body: bodyId,
+            timestamp,
+            position: plain(state.position),
+            velocity: plain(state.velocity),
+            contract: this.contract,
+            source: this.source
+        };
+    }
+
+    /**
+     * The HorizonsAPI.fetchEphemeris structure for this table
+     */
+    toEphemeris() {
+        return {
+            body: this.body,
+            center: this.center,
+            start: this.start,
+            end: this.end,
+            step: this.step,
+            data: this.samples,
+            contract: this.contract,
+            source: this.source,
+            table: this
+        };
+    }
+
+    /**
+     * Sample any provider with state(body, time) on a regular TDB grid
+     */
+    static sample(provider, bodyId, start, end, step) {
+        const stepSeconds = parseFloat(normalizeStep(step)) * 60;
+        const first = start instanceof JulianDate ? start.to(TIME_SCALES.TDB) : JulianDate.fromDate(new Date(start), TIME_SCALES.TDB);
+        const last = end instanceof JulianDate ? end.to(TIME_SCALES.TDB) : JulianDate.fromDate(new Date(end), TIME_SCALES.TDB);
+
+        const samples = [];
+        let contract = null, body = null, source = null;
+        for (let k = 0; ; k++) {
+            const epoch = first.addSeconds(k * stepSeconds);
+            if (epoch.isAfter(last)) break;
+
+            const state = provider.state(bodyId, epoch);
+            ({ contract, body, source } = state);
+            samples.push({
+                epoch: state.epoch,
+                position: { x: state.position.x, y: state.position.y, z: state.position.z },
+                velocity: { x: state.velocity.x, y: state.velocity.y, z: state.velocity.z }
+            });
+        }
+
+        if (samples.length === 0) {
+            throw new Error(`Empty ephemeris span for ${bodyId}: ${calendarStamp(first)} – ${calendarStamp(last)}`);
+        }
+        return new EphemerisTable(samples, { body, contract, step: normalizeStep(step), source });
+    }
+}
+
+// ===== HORIZONS PARSER =====
+export class HorizonsVectorTable {
+    /**
+     * Parse a Horizons vector-table export (text or CSV_FORMAT=YES)
+     */
+    static parse(text, source = 'JPL_HORIZONS') {
+        const lines = text.split(/\r?\n/);
+        const soe = lines.findIndex(line => line.trim() === '$$SOE');
+        const eoe = lines.findIndex(line => line.trim() === '$$EOE');
+        if (soe < 0 || eoe < soe) {
+            throw new Error(`No $$SOE/$$EOE block in Horizons table ${source}`);
+        }
+
+        const header = this.parseHeader(lines.slice(0, soe), source);
+        const block = lines.slice(soe + 1, eoe).filter(line => line.trim() !== '');
+        const isCSV = block.length > 0 && block[0].includes(',');
+
+        const rows = isCSV
+            ? this.parseCSVRows(block, header.columns, source)
+            : this.parseTextRows(block, source);
+
+        const [kmPerUnit, secondsPerUnit] = header.units;
+        const samples = rows.map(row => ({
+            epoch: parseJulianDate(row.jd, header.timeScale),
+            position: { x: row.X * kmPerUnit, y: row.Y * kmPerUnit, z: row.Z * kmPerUnit },
+            velocity: {
+                x: row.VX * kmPerUnit / secondsPerUnit,
+                y: row.VY * kmPerUnit / secondsPerUnit,
+                z: row.VZ * kmPerUnit / secondsPerUnit
+            }
+        }));
+
+        const contract = new CelestialContract({
+            frame: header.frame,
+            timeScale: header.timeScale,
+            origin: header.origin
+        });
+
+        return new EphemerisTable(samples, {
+            body: header.body.name,
+            center: header.center.name,
+            contract,
+            step: header.step,
+            source
+        });
+    }
+
+    static async fromFile(path) {
+        const { readFile } = await import('node:fs/promises');
+        return HorizonsVectorTable.parse(await readFile(path, 'utf8'), String(path));
+    }
+
+    /**
+     * Target, centre, units, axes, step and epoch column from the preamble
+     */
+    static parseHeader(lines, source) {
+        const field = name => {
+            const line = lines.find(l => l.trimStart().toLowerCase().startsWith(name.toLowerCase()));
+            return line ? line.slice(line.indexOf(':') + 1).replace(/\{.*\}/, '').trim() : null;
+        };
+
+        const target = field('Target body name');
+        const centerName = field('Center body name');
+        if (!target || !centerName) {
+            throw new Error(`Horizons table ${source} names no target or centre body`);
+        }
+        const body = parseBodyName(target);
+        const center = parseBodyName(centerName);
+
+        const site = field('Center-site name');
+        if (site && site.toUpperCase() !== 'BODY CENTER') {
+            throw new Error(`Topocentric Horizons tables are not supported (centre site: ${site})`);
+        }
+
+        const origin = CENTER_ORIGINS[center.id];
+        if (!origin) {
+            throw new Error(`Unsupported Horizons centre ${centerName} in ${source}`);
+        }
+
+        const unitName = (field('Output units') || 'KM-S').split(',')[0].trim().toUpperCase();
+        const units = OUTPUT_UNITS[unitName];
+        if (!units) {
+            throw new Error(`Unsupported Horizons output units ${unitName} in ${source}`);
+        }
+
+        // Older exports say "Reference frame : Ecliptic of J2000.0"; newer
+        // ones say ICRF and put the plane under "Coordinate systm"/"Reference plane"
+        const axes = [field('Reference frame'), field('Reference plane'), field('Coordinate sys')]
+            .filter(Boolean).join(' ');
+        if (/B1950|FK4/i.test(axes)) {
+            throw new Error(`B1950 Horizons tables are not supported (${axes})`);
+        }
+        const frame = /ecliptic/i.test(axes)
+            ? FRAMES.HELIOCENTRIC_ECLIPTIC
+            : (origin === ORIGINS.GEOCENTRIC ? FRAMES.ECI : FRAMES.ICRF_BARYCENTRIC);
+
+        // Column legend: the last non-rule line before $$SOE
+        const legend = lines.filter(line => line.trim() !== '' && !/^\*+$/.test(line.trim()));
+        const columns = legend.length > 0
+            ? legend[legend.length - 1].split(',').map(name => name.trim()).filter(Boolean)
+            : [];
+        const epochColumn = lines
+            .map(line => line.trim().split(/[\s,]+/)[0])
+            .find(name => EPOCH_SCALES[name]);
+        if (!epochColumn) {
+            throw new Error(`Horizons table ${source} has no JDTDB/JDTT/JDUT epoch column`);
+        }
+
+        const stepField = field('Step-size');
+        return {
+            body,
+            center,
+            origin,
+            frame,
+            units,
+            columns,
+            timeScale: EPOCH_SCALES[epochColumn],
+            step: stepField ? normalizeStep(stepField) : null
+        };
+    }
+
+    /**
+     * Text rows: an epoch line "2460310.5 = A.D. ...", then X= Y= Z= VX= ...
+     */
+    static parseTextRows(block, source) {
+        const rows = [];
+        block.forEach(line => {
+            const epoch = line.match(/^\s*(\d+\.\d+)\s*=/);
+            if (epoch) {
+                rows.push({ jd: epoch[1] });
+                return;
+            }
+            if (rows.length === 0) {
+                throw new Error(`Horizons table ${source} has values before the first epoch: ${line.trim()}`);
+            }
+
+            const row = rows[rows.length - 1];
+            for (const [, name, value] of line.matchAll(/\b(VX|VY|VZ|X|Y|Z|LT|RG|RR)\s*=\s*([-+]?\d*\.?\d+(?:E[-+]?\d+)?)/gi)) {
+                row[name.toUpperCase()] = Number(value);
+            }
+        });
+
+        rows.forEach(row => this.requireComponents(row, source));
+        return rows;
+    }
+
+    /**
+     * CSV rows, mapped through the column legend
+     */
+    static parseCSVRows(block, columns, source) {
+        const index = name => columns.findIndex(column => column.toUpperCase() === name);
+        const jdColumn = columns.findIndex(column => EPOCH_SCALES[column]);
+        const positions = ['X', 'Y', 'Z', 'VX', 'VY', 'VZ'].map(index);
+        if (jdColumn < 0 || positions.some(i => i < 0)) {
+            throw new Error(`Horizons CSV table ${source} lacks epoch or X..VZ columns (${columns.join(', ')})`);
+        }
+
+        return block.map(line => {
+            const cells = line.split(',').map(cell => cell.trim());
+            const row = { jd: cells[jdColumn] };
+            ['X', 'Y', 'Z', 'VX', 'VY', 'VZ'].forEach((name, k) => {
+                row[name] = Number(cells[positions[k]]);
+            });
+            return this.requireComponents(row, source);
+        });
+    }
+
+    static requireComponents(row, source) {
+        const missing = ['X', 'Y', 'Z', 'VX', 'VY', 'VZ'].filter(name => !Number.isFinite(row[name]));
+        if (missing.length > 0) {
+            throw new Error(`Horizons table ${source} row ${row.jd} is missing ${missing.join(', ')}`);
+        }
+        return row;
+    }
+}
+
+// ===== ON-DISK CACHE =====
+export class EphemerisCache {
+    /**
+     * directory: where raw Horizons exports are kept, one file per table
+     */
+    constructor(directory) {
+        this.directory = String(directory).replace(/\/+$/, '');
+    }
+
+    /**
+     * Cache key for a body, span and step
+     */
+    static key(bodyId, start, end, step) {
+        const body = AnalyticEphemeris.resolveBody(bodyId);
+        const stamp = time => calendarStamp(time).replace(/[-:]/g, '');
+        return `${body}_${stamp(start)}_${stamp(end)}_${normalizeStep(step)}`.replace(/[^A-Za-z0-9_.]/g, '-');
+    }
+
+    path(key) {
+        return `${this.directory}/${key}.txt`;
+    }
+
+    /**
+     * Cached table for the request, or null
+     */
+    async get(bodyId, start, end, step) {
+        const { readFile } = await import('node:fs/promises');
+        const path = this.path(EphemerisCache.key(bodyId, start, end, step));
+
+        try {
+            return HorizonsVectorTable.parse(await readFile(path, 'utf8'), path);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Store a Horizons export under the key its own header and epochs give
+     */
+    async put(text) {
+        const table = HorizonsVectorTable.parse(text);
+        const { mkdir, writeFile } = await import('node:fs/promises');
+        const path = this.path(EphemerisCache.key(table.body, table.start, table.end, table.step));
+
+        await mkdir(this.directory, { recursive: true });
+        await writeFile(path, text, 'utf8');
+        table.source = path;
+        return table;
+    }
+
+    /**
+     * Import a hand-downloaded export file into the cache
+     */
+    async importFile(path) {
+        const { readFile } = await import('node:fs/promises');
+        return this.put(await readFile(path, 'utf8'));
+    }
+}
+
+export default {
+    HorizonsVectorTable,
+    EphemerisTable,
+    EphemerisCache,
+    INTERPOLATION,
+    normalizeStep
+};
@@ -1,7 +1,7 @@
 /**
  * MODULE LOADER - Dynamic import system for all BlackRoad systems
  *
- * This loader dynamically imports and initializes all 18 systems in the correct order
+ * This loader dynamically imports and initializes all 25 systems in the correct order
  * with proper dependency management and error handling.
  */
 
@@ -20,10 +20,17 @@ export class ModuleLoader {
         const moduleConfigs = [
             // Core infrastructure (no dependencies)
             { name: 'truth', path: './truth-contracts.js', deps: [] },
-            { name: 'verification', path: './verification-system.js', deps: ['truth'] },
+            { name: 'geodesy', path: './geodesy.js', deps: ['truth'] },
+            { name: 'reports', path: './verification-report.js', deps: [] },
+            { name: 'verification', path: './verification-system.js', deps: ['truth', 'geodesy', 'celestial', 'ephemeris', 'horizons', 'events', 'reports'] },
 
             // Scientific/mathematical systems
-            { name: 'celestial', path: './celestial-mechanics.js', deps: ['truth'] },
+            { name: 'celestial', path: './celestial-mechanics.js', deps: ['truth', 'geodesy'] },
+            { name: 'ephemeris', path: './ephemeris.js', deps: ['truth', 'celestial'] },
+            { name: 'horizons', path: './horizons.js', deps: ['truth', 'celestial', 'ephemeris'] },
+            { name: 'events', path: './celestial-events.js', deps: ['truth', 'celestial', 'ephemeris'] },
+            { name: 'stars', path: './star-catalogue.js', deps: ['truth', 'geodesy', 'celestial', 'ephemeris'] },
+            { name: 'nbody', path: './nbody-simulator.js', deps: ['truth', 'celestial', 'geodesy', 'ephemeris', 'verification'] },
             { name: 'physics', path: './physics-engine.js', deps: ['truth'] },
 
             // World generation
@@ -0,0 +1,677 @@
+/**
+ * N-BODY ORBITAL SIMULATOR
+ *
+ * Newtonian point-mass solar system (Sun, planets, Moon, Pluto):
+ * - Initial states from the analytic ephemeris at any epoch
+ * - Barycentric J2000 ecliptic axes, km and km/s, TDB
+ * - Integrators: leapfrog (symplectic), RK45 (Dormand-Prince, adaptive),
+ *   Gauss-Radau (Everhart 15th order, predictor-corrector)
+ *
+ * Implements the simulator interface AutomatedTestSuite drives.
+ *
+ * Philosophy: "EVERY ORBIT IS EARNED, STEP BY STEP."
+ */
+
+import { TIME_SCALES, FRAMES, JulianDate, TaggedPosition } from './truth-contracts.js';
+import { CelestialContract, ORIGINS } from './celestial-mechanics.js';
+import { Geodesy } from './geodesy.js';
+import { AnalyticEphemeris } from './ephemeris.js';
+import { ASTRO_CONSTANTS, WGS84_LANDMARKS } from './verification-system.js';
+
+const SECONDS_PER_DAY = 86400;
+
+// Newtonian constant, km³/(kg·s²)
+const G = 6.6743e-20;
+
+// Obliquity of the J2000 ecliptic (as ephemeris.js and Horizons use)
+const OBLIQUITY_J2000 = 84381.448 * Math.PI / (180 * 3600);
+
+// ===== SOLAR SYSTEM =====
+
+// GM (km³/s²) of each body and the body it orbits; planet values include
+// their satellites (DE440 system masses) except Earth, whose Moon is simulated
+export const SOLAR_SYSTEM_BODIES = [
+    { name: 'sun', gm: ASTRO_CONSTANTS.GM_SUN, parent: null },
+    { name: 'mercury', gm: 2.2031868551e4, parent: 'sun' },
+    { name: 'venus', gm: 3.24858592e5, parent: 'sun' },
+    { name: 'earth', gm: ASTRO_CONSTANTS.GM_EARTH, parent: 'sun' },
+    { name: 'moon', gm: ASTRO_CONSTANTS.GM_MOON, parent: 'earth' },
+    { name: 'mars', gm: 4.282837362e4, parent: 'sun' },
+    { name: 'jupiter', gm: 1.26712764e8, parent: 'sun' },
+    { name: 'saturn', gm: 3.7940584841e7, parent: 'sun' },
+    { name: 'uranus', gm: 5.794556400e6, parent: 'sun' },
+    { name: 'neptune', gm: 6.836527100e6, parent: 'sun' },
+    { name: 'pluto', gm: 9.75500e2, parent: 'sun' }
+];
+
+export const INTEGRATORS = {
+    LEAPFROG: 'leapfrog',
+    RK45: 'rk45',
+    GAUSS_RADAU: 'gauss-radau'
+};
+
+// Default step (days) for the fixed-step integrators, initial step for RK45
+const DEFAULT_STEP_DAYS = {
+    [INTEGRATORS.LEAPFROG]: 0.05,
+    [INTEGRATORS.RK45]: 0.05,
+    [INTEGRATORS.GAUSS_RADAU]: 0.5
+};
+
+/**
+ * Pairwise Newtonian accelerations (km/s²) for flat [x0, y0, z0, x1, ...] positions
+ */
+function accelerations(r, gm, out) {
+    out.fill(0);
+    const n = gm.length;
+
+    for (let i = 0; i < n; i++) {
+        const ix = 3 * i;
+        for (let j = i + 1; j < n; j++) {
+            const jx = 3 * j;
+            const dx = r[jx] - r[ix], dy = r[jx + 1] - r[ix + 1], dz = r[jx + 2] - r[ix + 2];
+            const d2 = dx * dx + dy * dy + dz * dz;
+            const inv = 1 / (d2 * Math.sqrt(d2));
+
+            out[ix] += gm[j] * dx * inv;
+            out[ix + 1] += gm[j] * dy * inv;
+            out[ix + 2] += gm[j] * dz * inv;
+            out[jx] -= gm[i] * dx * inv;
+            out[jx + 1] -= gm[i] * dy * inv;
+            out[jx + 2] -= gm[i] * dz * inv;
+        }
+    }
+    return out;
+}
+
+// ===== LEAPFROG =====
+class LeapfrogIntegrator {
+    constructor(stepDays) {
+        this.stepSeconds = stepDays * SECONDS_PER_DAY;
+    }
+
+    /**
+     * Kick-drift-kick over dt in equal substeps no longer than the step size
+     */
+    advance(state, dt) {
+        const count = Math.max(1, Math.ceil(Math.abs(dt) / this.stepSeconds - 1e-9));
+        const h = dt / count;
+        const { r, v, gm } = state;
+        const a = accelerations(r, gm, new Float64Array(r.length));
+
+        for (let s = 0; s < count; s++) {
+            for (let k = 0; k < r.length; k++) {
+                v[k] += 0.5 * h * a[k];
+                r[k] += h * v[k];
+            }
+            accelerations(r, gm, a);
+            for (let k = 0; k < r.length; k++) {
+                v[k] += 0.5 * h * a[k];
+            }
+        }
+    }
+}
+
+// ===== RK45 (DORMAND-PRINCE) =====
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+// Fifth-order weights minus the embedded fourth-order ones
+const DP_E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+class RK45Integrator {
+    constructor(stepDays, tolerance) {
+        this.h = stepDays * SECONDS_PER_DAY;
+        this.tolerance = tolerance;
+    }
+
+    /**
+     * Adaptive steps to cover dt exactly; the last accepted size carries over
+     */
+    advance(state, dt) {
+        const { r, v, gm } = state;
+        const size = r.length;
+        const y = new Float64Array(2 * size);
+        y.set(r);
+        y.set(v, size);
+
+        const derivative = (yy, out) => {
+            out.set(yy.subarray(size));
+            accelerations(yy.subarray(0, size), gm, out.subarray(size));
+            return out;
+        };
+
+        const k = DP_C.map(() => new Float64Array(2 * size));
+        const trial = new Float64Array(2 * size);
+        const direction = Math.sign(dt);
+        let remaining = Math.abs(dt);
+        derivative(y, k[0]);
+
+        while (remaining > 1e-9) {
+            const h = Math.min(this.h, remaining) * direction;
+
+            for (let s = 1; s < 7; s++) {
+                for (let i = 0; i < y.length; i++) {
+                    let sum = 0;
+                    for (let j = 0; j < s; j++) sum += DP_A[s][j] * k[j][i];
+                    trial[i] = y[i] + h * sum;
+                }
+                derivative(trial, k[s]);
+            }
+
+            // RMS of the embedded error, scaled per component
+            let err = 0;
+            for (let i = 0; i < y.length; i++) {
+                let e = 0;
+                for (let s = 0; s < 7; s++) e += DP_E[s] * k[s][i];
+                const scale = this.tolerance * Math.max(Math.abs(y[i]), Math.abs(trial[i]), 1e-3);
+                err += (h * e / scale) ** 2;
+            }
+            err = Math.sqrt(err / y.length);
+
+            const factor = err === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(err, -0.2)));
+            if (err <= 1) {
+                y.set(trial);
+                k[0].set(k[6]);     // first-same-as-last
+                remaining -= Math.abs(h);
+                if (Math.abs(h) === this.h || factor < 1) this.h = Math.abs(h) * factor;
+            } else {
+                this.h = Math.abs(h) * factor;
+            }
+        }
+
+        r.set(y.subarray(0, size));
+        v.set(y.subarray(size));
+    }
+}
+
+// ===== GAUSS-RADAU (EVERHART) =====
+
+// Gauss-Radau spacings for 15th order
+const RADAU_H = [
+    0,
+    0.05626256053692215,
+    0.18024069173689236,
+    0.3526247171131696,
+    0.5471536263305554,
+    0.7342101772154105,
+    0.8853209468390958,
+    0.9775206135612875
+];
+
+// C[k][m]: coefficient of h^m in h·(h − h1)···(h − h(k−1)), k = 1..7
+const RADAU_C = (() => {
+    const rows = [[]];
+    let poly = [0, 1];
+    for (let k = 1; k <= 7; k++) {
+        rows.push(poly.slice());
+        const next = new Array(poly.length + 1).fill(0);
+        poly.forEach((c, m) => {
+            next[m + 1] += c;
+            next[m] -= c * RADAU_H[k];
+        });
+        poly = next;
+    }
+    return rows;
+})();
+
+// Binomial coefficients for shifting the acceleration series to the next step
+const BINOMIAL = [[1]];
+for (let n = 1; n <= 8; n++) {
+    BINOMIAL.push(Array.from({ length: n + 1 }, (_, k) => (k === 0 || k === n ? 1 : BINOMIAL[n - 1][k - 1] + BINOMIAL[n - 1][k])));
+}
+
+class GaussRadauIntegrator {
+    constructor(stepDays, maxIterations = 12) {
+        this.stepSeconds = stepDays * SECONDS_PER_DAY;
+        this.maxIterations = maxIterations;
+        this.b = null;      // predicted series from the previous step
+        this.lastStep = null;
+    }
+
+    advance(state, dt) {
+        const count = Math.max(1, Math.ceil(Math.abs(dt) / this.stepSeconds - 1e-9));
+        for (let s = 0; s < count; s++) {
+            this.radauStep(state, dt / count);
+        }
+    }
+
+    /**
+     * a(h) = a0 + b0·h + … + b6·h⁷ over the step, h ∈ [0, 1]
+     */
+    radauStep(state, dt) {
+        const { r, v, gm } = state;
+        const size = r.length;
+        const x0 = Float64Array.from(r);
+        const v0 = Float64Array.from(v);
+        const a0 = accelerations(x0, gm, new Float64Array(size));
+
+        // Reuse the previous series only for an identical step
+        if (!this.b || this.lastStep !== dt || this.b[0].length !== size) {
+            this.b = Array.from({ length: 7 }, () => new Float64Array(size));
+        }
+        const b = this.b;
+        const g = this.gFromB(b, size);
+        const accel = Array.from({ length: 8 }, (_, n) => (n === 0 ? a0 : new Float64Array(size)));
+        const x = new Float64Array(size);
+
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            const previous = Float64Array.from(g[7]);
+
+            for (let n = 1; n <= 7; n++) {
+                const h = RADAU_H[n];
+                this.positionAt(x, x0, v0, a0, b, h, dt);
+                accelerations(x, gm, accel[n]);
+
+                // Divided differences through the accelerations so far
+                for (let i = 0; i < size; i++) {
+                    let value = (accel[n][i] - a0[i]) / h;
+                    for (let j = 1; j < n; j++) value = (value - g[j][i]) / (h - RADAU_H[j]);
+                    g[n][i] = value;
+                }
+                this.bFromG(g, b, size);
+            }
+
+            let change = 0, scale = 0;
+            for (let i = 0; i < size; i++) {
+                change = Math.max(change, Math.abs(g[7][i] - previous[i]));
+                scale = Math.max(scale, Math.abs(accel[7][i]));
+            }
+            if (change <= 1e-16 * scale) break;
+        }
+
+        this.positionAt(r, x0, v0, a0, b, 1, dt);
+        for (let i = 0; i < size; i++) {
+            let sum = 0;
+            for (let m = 7; m >= 1; m--) sum += b[m - 1][i] / (m + 1);
+            v[i] = v0[i] + dt * (a0[i] + sum);
+        }
+
+        // Predict the next step's series by re-expanding a(1 + h)
+        const shifted = Array.from({ length: 7 }, () => new Float64Array(size));
+        for (let m = 1; m <= 7; m++) {
+            for (let k = 1; k <= m; k++) {
+                for (let i = 0; i < size; i++) shifted[k - 1][i] += b[m - 1][i] * BINOMIAL[m][k];
+            }
+        }
+        this.b = shifted;
+        this.lastStep = dt;
+    }
+
+    positionAt(out, x0, v0, a0, b, h, dt) {
+        for (let i = 0; i < out.length; i++) {
+            let series = 0;
+            for (let m = 7; m >= 1; m--) series = (series + b[m - 1][i] / ((m + 1) * (m + 2))) * h;
+            out[i] = x0[i] + dt * h * v0[i] + dt * dt * h * h * (a0[i] / 2 + series);
+        }
+    }
+
+    bFromG(g, b, size) {
+        for (let m = 1; m <= 7; m++) {
+            const bm = b[m - 1];
+            bm.fill(0);
+            for (let k = m; k <= 7; k++) {
+                const c = RADAU_C[k][m];
+                for (let i = 0; i < size; i++) bm[i] += g[k][i] * c;
+            }
+        }
+    }
+
+    gFromB(b, size) {
+        const g = Array.from({ length: 8 }, () => new Float64Array(size));
+        for (let k = 7; k >= 1; k--) {
+            for (let i = 0; i < size; i++) {
+                let value = b[k - 1][i];
+                for (let j = k + 1; j <= 7; j++) value -= g[j][i] * RADAU_C[j][k];
+                g[k][i] = value;
+            }
+        }
+        return g;
+    }
+}
+
+// ===== SIMULATOR =====
+
+/**
+ * Rotate J2000 ecliptic → ICRF equatorial axes
+ */
+function eclipticToEquatorial({ x, y, z }) {
+    const c = Math.cos(OBLIQUITY_J2000), s = Math.sin(OBLIQUITY_J2000);
+    return { x, y: c * y - s * z, z: s * y + c * z };
+}
+
+function equatorialToEcliptic({ x, y, z }) {
+    const c = Math.cos(OBLIQUITY_J2000), s = Math.sin(OBLIQUITY_J2000);
+    return { x, y: c * y + s * z, z: -s * y + c * z };
+}
+
+export class NBodySimulator {
+    /**
+     * epoch: Date (UTC) or JulianDate for the initial states (default J2000.0)
+     * integrator: one of INTEGRATORS; stepSize in days; tolerance for RK45
+     * bodies: { name, gm, parent } plus optional position/velocity relative to
+     * the parent (ecliptic km, km/s); the ephemeris supplies the rest, and
+     * without one (ephemeris: null) every body needs its own state
+     */
+    constructor({
+        epoch = new JulianDate(2451545, 0, TIME_SCALES.TDB),
+        integrator = INTEGRATORS.GAUSS_RADAU,
+        stepSize = DEFAULT_STEP_DAYS[integrator],
+        tolerance = 1e-12,
+        ephemeris = new AnalyticEphemeris(),
+        bodies = SOLAR_SYSTEM_BODIES
+    } = {}) {
+        this.integratorName = integrator;
+        this.stepSize = stepSize;
+        this.tolerance = tolerance;
+        this.integrator = NBodySimulator.createIntegrator(integrator, stepSize, tolerance);
+        this.ephemeris = ephemeris;
+
+        this.bodies = bodies.map(body => ({ ...body }));
+        this.index = new Map(this.bodies.map((body, i) => [body.name, i]));
+        this.time = AnalyticEphemeris.toTDB(epoch);
+
+        this.state = {
+            r: new Float64Array(3 * bodies.length),
+            v: new Float64Array(3 * bodies.length),
+            gm: Float64Array.from(this.bodies, body => body.gm)
+        };
+        this.initializeFromEphemeris(ephemeris);
+    }
+
+    static createIntegrator(name, stepSize, tolerance) {
+        switch (name) {
+            case INTEGRATORS.LEAPFROG: return new LeapfrogIntegrator(stepSize);
+            case INTEGRATORS.RK45: return new RK45Integrator(stepSize, tolerance);
+            case INTEGRATORS.GAUSS_RADAU: return new GaussRadauIntegrator(stepSize);
+            default: throw new Error(`Unknown integrator: ${name}`);
+        }
+    }
+
+    /**
+     * Heliocentric (and geocentric lunar) states → barycentric ecliptic
+     */
+    initializeFromEphemeris(ephemeris) {
+        const heliocentric = this.bodies.map(() => null);
+        const resolve = i => {
+            if (heliocentric[i]) return heliocentric[i];
+            const body = this.bodies[i];
+            if (!body.parent) {
+                return (heliocentric[i] = { r: { x: 0, y: 0, z: 0 }, v: { x: 0, y: 0, z: 0 } });
+            }
+
+            let r, v, relativeToSun;
+            if (body.position && body.velocity) {
+                ({ position: r, velocity: v } = body);
+                relativeToSun = body.parent === 'sun';
+            } else if (!ephemeris) {
+                throw new Error(`Body ${body.name} has no state and there is no ephemeris`);
+            } else {
+                const state = ephemeris.state(body.name, this.time);
+                const equatorial = state.contract.frame !== FRAMES.HELIOCENTRIC_ECLIPTIC;
+                r = equatorial ? equatorialToEcliptic(state.position) : state.position;
+                v = equatorial ? equatorialToEcliptic(state.velocity) : state.velocity;
+                relativeToSun = state.contract.origin === ORIGINS.HELIOCENTRIC;
+            }
+
+            // Geocentric states hang off their parent's heliocentric state
+            const parent = relativeToSun
+                ? { r: { x: 0, y: 0, z: 0 }, v: { x: 0, y: 0, z: 0 } }
+                : resolve(this.index.get(body.parent));
+
+            return (heliocentric[i] = {
+                r: { x: parent.r.x + r.x, y: parent.r.y + r.y, z: parent.r.z + r.z },
+                v: { x: parent.v.x + v.x, y: parent.v.y + v.y, z: parent.v.z + v.z }
+            });
+        };
+        this.bodies.forEach((_, i) => resolve(i));
+
+        // Shift to the barycentre so total momentum is zero
+        const { r, v, gm } = this.state;
+        const total = gm.reduce((sum, value) => sum + value, 0);
+        const centre = { r: [0, 0, 0], v: [0, 0, 0] };
+        heliocentric.forEach((s, i) => {
+            ['x', 'y', 'z'].forEach((axis, k) => {
+                centre.r[k] += gm[i] * s.r[axis] / total;
+                centre.v[k] += gm[i] * s.v[axis] / total;
+            });
+        });
+        heliocentric.forEach((s, i) => {
+            ['x', 'y', 'z'].forEach((axis, k) => {
+                r[3 * i + k] = s.r[axis] - centre.r[k];
+                v[3 * i + k] = s.v[axis] - centre.v[k];
+            });
+        });
+    }
+
+    /**
+     * Independent copy (same integrator settings) for look-ahead runs
+     * Built like the original, then given the original's current state
+     */
+    clone() {
+        const copy = new NBodySimulator({
+            epoch: this.time,
+            integrator: this.integratorName,
+            stepSize: this.stepSize,
+            tolerance: this.tolerance,
+            ephemeris: this.ephemeris,
+            bodies: this.bodies
+        });
+        copy.state.r.set(this.state.r);
+        copy.state.v.set(this.state.v);
+        return copy;
+    }
+
+    // ===== TEST SUITE INTERFACE =====
+
+    /**
+     * Advance the simulation by days (negative runs backwards)
+     */
+    step(days) {
+        this.integrator.advance(this.state, days * SECONDS_PER_DAY);
+        this.time = this.time.addSeconds(days * SECONDS_PER_DAY);
+        return this;
+    }
+
+    /**
+     * Current epoch (TDB JulianDate)
+     */
+    getTime() {
+        return this.time;
+    }
+
+    /**
+     * Kinetic plus potential energy, kg·km²/s²
+     */
+    calculateTotalEnergy() {
+        const { r, v, gm } = this.state;
+        let kinetic = 0, potential = 0;
+
+        for (let i = 0; i < gm.length; i++) {
+            const ix = 3 * i;
+            kinetic += 0.5 * (gm[i] / G) * (v[ix] ** 2 + v[ix + 1] ** 2 + v[ix + 2] ** 2);
+            for (let j = i + 1; j < gm.length; j++) {
+                const jx = 3 * j;
+                const d = Math.hypot(r[jx] - r[ix], r[jx + 1] - r[ix + 1], r[jx + 2] - r[ix + 2]);
+                potential -= gm[i] * gm[j] / (G * d);
+            }
+        }
+        return kinetic + potential;
+    }
+
+    /**
+     * Total angular momentum about the barycentre, kg·km²/s
+     */
+    calculateAngularMomentum() {
+        const { r, v, gm } = this.state;
+        const L = { x: 0, y: 0, z: 0 };
+
+        for (let i = 0; i < gm.length; i++) {
+            const ix = 3 * i, m = gm[i] / G;
+            L.x += m * (r[ix + 1] * v[ix + 2] - r[ix + 2] * v[ix + 1]);
+            L.y += m * (r[ix + 2] * v[ix] - r[ix] * v[ix + 2]);
+            L.z += m * (r[ix] * v[ix + 1] - r[ix + 1] * v[ix]);
+        }
+        return L;
+    }
+
+    /**
+     * Bodies orbiting the Sun with their osculating two-body elements
+     * (semiMajorAxis in km, period in seconds, as verifyKeplersThirdLaw expects)
+     */
+    getBodies() {
+        return this.bodies
+            .filter(body => body.parent === 'sun')
+            .map(body => {
+                const { semiMajorAxis, eccentricity, period } = this.osculatingElements(body.name);
+                return { name: body.name, gm: body.gm, semiMajorAxis, eccentricity, period };
+            });
+    }
+
+    /**
+     * Position relative to the body's parent, tagged like the analytic
+     * ephemeris: planets heliocentric ecliptic, the Moon geocentric ECI
+     */
+    getPosition(name) {
+        const { r } = this.relativeState(name);
+        const body = this.bodies[this.index.get(name)];
+
+        if (body.parent === 'earth') {
+            const contract = new CelestialContract({
+                frame: FRAMES.ECI, timeScale: TIME_SCALES.TDB, origin: ORIGINS.GEOCENTRIC
+            });
+            return new TaggedPosition(eclipticToEquatorial(r), contract, this.time);
+        }
+        if (body.parent === 'sun') {
+            const contract = new CelestialContract({
+                frame: FRAMES.HELIOCENTRIC_ECLIPTIC, timeScale: TIME_SCALES.TDB, origin: ORIGINS.HELIOCENTRIC
+            });
+            return new TaggedPosition(r, contract, this.time);
+        }
+
+        const contract = new CelestialContract({
+            frame: FRAMES.ICRF_BARYCENTRIC, timeScale: TIME_SCALES.TDB, origin: ORIGINS.BARYCENTRIC
+        });
+        return new TaggedPosition(eclipticToEquatorial(r), contract, this.time);
+    }
+
+    /**
+     * Mean sidereal period (days) measured by integrating a copy until the
+     * body has swept whole turns about its parent (about a year's worth)
+     */
+    measureOrbitalPeriod(name) {
+        const { period } = this.osculatingElements(name);
+        const nominalDays = period / SECONDS_PER_DAY;
+        const turns = Math.max(1, Math.round(365.25 / nominalDays));
+        const chunk = nominalDays / 400;
+
+        const probe = this.clone();
+        const start = probe.relativeState(name);
+        const normal = cross(start.r, start.v);
+        let previous = start.r;
+        let swept = 0, elapsed = 0;
+
+        while (elapsed < 2 * turns * nominalDays) {
+            probe.step(chunk);
+            elapsed += chunk;
+
+            const current = probe.relativeState(name).r;
+            const angle = Math.atan2(dot(cross(previous, current), normal) / norm(normal), dot(previous, current));
+            if (swept + angle >= 2 * Math.PI * turns) {
+                const fraction = (2 * Math.PI * turns - swept) / angle;
+                return (elapsed - chunk + fraction * chunk) / turns;
+            }
+            swept += angle;
+            previous = current;
+        }
+
+        throw new Error(`${name} did not complete ${turns} orbit(s) in ${elapsed.toFixed(1)} days`);
+    }
+
+    /**
+     * WGS84 landmark in ECEF, km
+     */
+    getLandmarkPosition(landmark) {
+        const ref = WGS84_LANDMARKS[landmark];
+        if (!ref) {
+            throw new Error(`Unknown landmark: ${landmark}`);
+        }
+
+        const ecef = Geodesy.geodeticToECEF(ref.lat, ref.lon, ref.elevation);
+        const contract = new CelestialContract({
+            frame: FRAMES.ECEF, timeScale: TIME_SCALES.TDB, origin: ORIGINS.GEOCENTRIC
+        });
+        return new TaggedPosition({ x: ecef.x / 1000, y: ecef.y / 1000, z: ecef.z / 1000 }, contract, this.time);
+    }
+
+    // ===== ORBIT HELPERS =====
+
+    /**
+     * State relative to the parent body, ecliptic axes
+     */
+    relativeState(name) {
+        const i = this.index.get(name);
+        if (i === undefined) {
+            throw new Error(`Unknown body: ${name}`);
+        }
+
+        const { r, v } = this.state;
+        const parent = this.bodies[i].parent;
+        const p = parent ? this.index.get(parent) : null;
+        const at = (array, k) => array[3 * i + k] - (p === null ? 0 : array[3 * p + k]);
+
+        return {
+            r: { x: at(r, 0), y: at(r, 1), z: at(r, 2) },
+            v: { x: at(v, 0), y: at(v, 1), z: at(v, 2) }
+        };
+    }
+
+    /**
+     * Two-body osculating a, e and period about the parent
+     */
+    osculatingElements(name) {
+        const body = this.bodies[this.index.get(name)];
+        if (!body || !body.parent) {
+            throw new Error(`${name} has no parent body to orbit`);
+        }
+
+        const mu = body.gm + this.bodies[this.index.get(body.parent)].gm;
+        const { r, v } = this.relativeState(name);
+        const distance = norm(r);
+        const speed2 = dot(v, v);
+
+        const semiMajorAxis = 1 / (2 / distance - speed2 / mu);
+        const h = cross(r, v);
+        const eccentricity = Math.sqrt(Math.max(0, 1 - dot(h, h) / (mu * semiMajorAxis)));
+
+        return {
+            semiMajorAxis,
+            eccentricity,
+            period: 2 * Math.PI * Math.sqrt(semiMajorAxis ** 3 / mu)
+        };
+    }
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+function norm(a) {
+    return Math.sqrt(dot(a, a));
+}
+
+export default {
+    NBodySimulator,
+    INTEGRATORS,
+    SOLAR_SYSTEM_BODIES
+};
@@ -481,6 +481,24 @@ export class RealisticWater {
 }
 
 // ===== REALISTIC SKY SYSTEM =====
+// B−V colour index → star colour: blue-white, white, yellow, orange-red
+const STAR_COLORS = [
+    [-0.3, new THREE.Color(0.7, 0.8, 1.0)],
+    [0.3, new THREE.Color(1.0, 1.0, 1.0)],
+    [0.8, new THREE.Color(1.0, 0.9, 0.7)],
+    [1.8, new THREE.Color(1.0, 0.7, 0.5)]
+];
+
+function starColor(bv) {
+    const upper = STAR_COLORS.findIndex(([index]) => bv <= index);
+    if (upper === 0) return STAR_COLORS[0][1].clone();
+    if (upper === -1) return STAR_COLORS[STAR_COLORS.length - 1][1].clone();
+
+    const [from, low] = STAR_COLORS[upper - 1];
+    const [to, high] = STAR_COLORS[upper];
+    return low.clone().lerp(high, (bv - from) / (to - from));
+}
+
 export class RealisticSky {
     constructor(scene) {
         this.scene = scene;
@@ -588,6 +606,52 @@ export class RealisticSky {
         this.scene.add(this.stars);
     }
 
+    /**
+     * Real stars in place of the random field: places as returned by
+     * StarAstrometry.observeSky (direction in East-North-Up, magnitude, B−V)
+     * Scene axes are x east, y up, -z north; call again as time moves on
+     */
+    createStarField(places, radius = 400) {
+        const positions = new Float32Array(places.length * 3);
+        const colors = new Float32Array(places.length * 3);
+
+        places.forEach(({ direction, magnitude, bv }, i) => {
+            positions[i * 3] = direction.east * radius;
+            positions[i * 3 + 1] = direction.up * radius;
+            positions[i * 3 + 2] = -direction.north * radius;
+
+            // Brightness follows flux, floored so faint stars still show
+            const brightness = Math.min(1, Math.max(0.15, Math.pow(10, -0.4 * (magnitude - 1))));
+            const color = starColor(bv ?? 0.6).multiplyScalar(brightness);
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        });
+
+        const opacity = this.stars ? this.stars.material.opacity : 0;
+        if (this.stars) {
+            this.scene.remove(this.stars);
+            this.stars.geometry.dispose();
+            this.stars.material.dispose();
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        const material = new THREE.PointsMaterial({
+            size: 2,
+            vertexColors: true,
+            transparent: true,
+            opacity
+        });
+
+        this.stars = new THREE.Points(geometry, material);
+        this.scene.add(this.stars);
+
+        return this.stars;
+    }
+
     createAurora() {
         const shader = CustomShaders.aurora();
         const geometry = new THREE.PlaneGeometry(200, 50, 32, 32);
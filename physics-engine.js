@@ -3,6 +3,10 @@
  *
  * Realistic physics simulation with wind, gravity, water, temperature,
  * and environmental forces that affect all objects in the metaverse.
+ * Steps at a fixed rate whatever the frame rate, interpolates meshes
+ * between steps, and records sessions that replay bit-identically.
+ * Joints, ropes and springs tie objects together, and the whole moving
+ * state saves and loads as JSON.
  *
  * Philosophy: "THE UNIVERSE FOLLOWS NATURAL LAWS, BUT MAGIC EXISTS IN THE DETAILS"
  */
@@ -24,15 +28,472 @@ export const PHYSICS_CONSTANTS = {
     }
 };
 
+// ===== COLLISION LAYERS =====
+// Bit flags: two objects collide when each one's mask has the other's layer
+export const COLLISION_LAYERS = {
+    NONE: 0,
+    DEFAULT: 1 << 0,
+    STATIC: 1 << 1,
+    PLAYER: 1 << 2,
+    CREATURE: 1 << 3,
+    BLOCK: 1 << 4,
+    DEBRIS: 1 << 5,
+    ALL: 0xFFFFFFFF
+};
+
+// ===== COLLISION SHAPES =====
+export const COLLIDER_SHAPES = {
+    SPHERE: 'SPHERE',     // radius
+    BOX: 'BOX',           // halfExtents, turned by the orientation
+    CAPSULE: 'CAPSULE'    // radius around a segment of ±halfHeight on local y
+};
+
+// Contacts closer than this are treated as coincident centres
+const CONTACT_EPSILON = 1e-9;
+
+// Support points within this distance (m) share a contact face
+const CONTACT_SLOP = 0.01;
+
+// Bounces slower than this (m/s) come to rest instead
+const RESTING_SPEED = 0.1;
+
+// Sweeps over a contact's points, so several points share the load
+const CONTACT_PASSES = 4;
+
+function boxAxes(box) {
+    const q = box.orientation;
+    return [
+        new THREE.Vector3(1, 0, 0).applyQuaternion(q),
+        new THREE.Vector3(0, 1, 0).applyQuaternion(q),
+        new THREE.Vector3(0, 0, 1).applyQuaternion(q)
+    ];
+}
+
+function boxCorners(box) {
+    const axes = boxAxes(box);
+    const { x, y, z } = box.halfExtents;
+    const corners = [];
+    [-1, 1].forEach(i => [-1, 1].forEach(j => [-1, 1].forEach(k => {
+        corners.push(box.position.clone()
+            .addScaledVector(axes[0], i * x)
+            .addScaledVector(axes[1], j * y)
+            .addScaledVector(axes[2], k * z));
+    })));
+    return corners;
+}
+
+/**
+ * Ends of a capsule's core segment
+ */
+function capsuleSegment(capsule) {
+    const axis = new THREE.Vector3(0, capsule.halfHeight, 0).applyQuaternion(capsule.orientation);
+    return [capsule.position.clone().sub(axis), capsule.position.clone().add(axis)];
+}
+
+function closestPointOnSegment(point, a, b) {
+    const ab = b.clone().sub(a);
+    const lengthSq = ab.lengthSq();
+    const t = lengthSq > 0 ? THREE.MathUtils.clamp(point.clone().sub(a).dot(ab) / lengthSq, 0, 1) : 0;
+    return a.clone().addScaledVector(ab, t);
+}
+
+/**
+ * Closest points of segments p1q1 and p2q2 (Ericson, Real-Time Collision
+ * Detection 5.1.9)
+ */
+function closestPointsOfSegments(p1, q1, p2, q2) {
+    const d1 = q1.clone().sub(p1);
+    const d2 = q2.clone().sub(p2);
+    const r = p1.clone().sub(p2);
+    const a = d1.lengthSq();
+    const e = d2.lengthSq();
+    const f = d2.dot(r);
+    let s = 0;
+    let t = 0;
+
+    if (a <= CONTACT_EPSILON && e <= CONTACT_EPSILON) return [p1.clone(), p2.clone()];
+    if (a <= CONTACT_EPSILON) {
+        t = THREE.MathUtils.clamp(f / e, 0, 1);
+    } else {
+        const c = d1.dot(r);
+        if (e <= CONTACT_EPSILON) {
+            s = THREE.MathUtils.clamp(-c / a, 0, 1);
+        } else {
+            const b = d1.dot(d2);
+            const denominator = a * e - b * b;
+            s = denominator > 0 ? THREE.MathUtils.clamp((b * f - c * e) / denominator, 0, 1) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = THREE.MathUtils.clamp(-c / a, 0, 1);
+            } else if (t > 1) {
+                t = 1;
+                s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+            }
+        }
+    }
+
+    return [p1.clone().addScaledVector(d1, s), p2.clone().addScaledVector(d2, t)];
+}
+
+/**
+ * Points furthest along direction, within CONTACT_SLOP: a corner, an
+ * edge or a face
+ */
+function supportFeature(points, direction) {
+    const heights = points.map(point => point.dot(direction));
+    const top = Math.max(...heights);
+    return points.filter((_, i) => heights[i] >= top - CONTACT_SLOP);
+}
+
+/**
+ * Nearest point of a box to a world point
+ */
+function clampToBox(box, point) {
+    const axes = boxAxes(box);
+    const half = box.halfExtents.toArray();
+    const offset = point.clone().sub(box.position);
+    return axes.reduce((result, axis, i) =>
+        result.addScaledVector(axis, THREE.MathUtils.clamp(offset.dot(axis), -half[i], half[i])), box.position.clone());
+}
+
+function distinctPoints(points) {
+    return points.filter((point, i) => points.findIndex(other => other.distanceTo(point) < CONTACT_SLOP) === i);
+}
+
+/**
+ * Contact between spheres: normal from a to b, penetration depth, and the
+ * point midway through the overlap
+ */
+function sphereSphereContact(a, radiusA, b, radiusB) {
+    const offset = b.clone().sub(a);
+    const distance = offset.length();
+    if (distance >= radiusA + radiusB) return null;
+
+    const normal = distance > CONTACT_EPSILON ? offset.divideScalar(distance) : new THREE.Vector3(0, 1, 0);
+    const depth = radiusA + radiusB - distance;
+    return { normal, depth, points: [a.clone().addScaledVector(normal, radiusA - depth / 2)] };
+}
+
+/**
+ * Contact between a box and a sphere: normal from the box to the sphere
+ */
+function boxSphereContact(box, center, radius) {
+    const axes = boxAxes(box);
+    const half = box.halfExtents.toArray();
+    const offset = center.clone().sub(box.position);
+    const local = axes.map(axis => offset.dot(axis));
+    const clamped = local.map((value, i) => THREE.MathUtils.clamp(value, -half[i], half[i]));
+
+    const outside = local.some((value, i) => value !== clamped[i]);
+    if (outside) {
+        const normal = new THREE.Vector3();
+        axes.forEach((axis, i) => normal.addScaledVector(axis, local[i] - clamped[i]));
+        const distance = normal.length();
+        if (distance >= radius) return null;
+        normal.divideScalar(distance);
+        const depth = radius - distance;
+        return { normal, depth, points: [center.clone().addScaledVector(normal, depth / 2 - radius)] };
+    }
+
+    // Centre inside the box: out through the nearest face
+    let face = 0;
+    local.forEach((value, i) => {
+        if (half[i] - Math.abs(value) < half[face] - Math.abs(local[face])) face = i;
+    });
+    const sign = local[face] < 0 ? -1 : 1;
+    const normal = axes[face].clone().multiplyScalar(sign);
+    const depth = radius + half[face] - Math.abs(local[face]);
+    return { normal, depth, points: [center.clone().addScaledVector(normal, depth / 2 - radius)] };
+}
+
+/**
+ * Contact between a box and a capsule, normal from the box: alternate
+ * projections between the two convex shapes find the segment point
+ * nearest the box, then it is a sphere
+ */
+function boxCapsuleContact(box, capsule) {
+    const [a, b] = capsuleSegment(capsule);
+    let point = closestPointOnSegment(box.position, a, b);
+    for (let i = 0; i < 8; i++) {
+        point = closestPointOnSegment(clampToBox(box, point), a, b);
+    }
+    return boxSphereContact(box, point, capsule.radius);
+}
+
+/**
+ * Contact between oriented boxes by the separating axis test: the axis of
+ * least overlap, normal from a to b
+ */
+function boxBoxContact(a, b) {
+    const axesA = boxAxes(a);
+    const axesB = boxAxes(b);
+    const halfA = a.halfExtents.toArray();
+    const halfB = b.halfExtents.toArray();
+    const offset = b.position.clone().sub(a.position);
+
+    const candidates = [...axesA, ...axesB];
+    axesA.forEach(u => axesB.forEach(v => {
+        const cross = u.clone().cross(v);
+        if (cross.lengthSq() > CONTACT_EPSILON) candidates.push(cross.normalize());
+    }));
+
+    let best = null;
+    for (const [index, axis] of candidates.entries()) {
+        const extentA = axesA.reduce((sum, u, i) => sum + halfA[i] * Math.abs(u.dot(axis)), 0);
+        const extentB = axesB.reduce((sum, v, i) => sum + halfB[i] * Math.abs(v.dot(axis)), 0);
+        const distance = offset.dot(axis);
+        const overlap = extentA + extentB - Math.abs(distance);
+        if (overlap <= 0) return null;
+
+        // Edge axes only win clearly, so stacked boxes keep face normals
+        const face = index < 6;
+        if (!best || overlap < (face ? best.depth : best.depth * 0.95)) {
+            best = { normal: axis.clone().multiplyScalar(distance < 0 ? -1 : 1), depth: overlap };
+        }
+    }
+
+    // Contact points: the smaller touching feature (a corner or an edge on
+    // a face) clamped into the other box; two faces give their overlap
+    const fromA = supportFeature(boxCorners(a), best.normal);
+    const fromB = supportFeature(boxCorners(b), best.normal.clone().negate());
+    const points = [];
+    if (fromB.length <= fromA.length) points.push(...fromB.map(point => clampToBox(a, point)));
+    if (fromA.length <= fromB.length) points.push(...fromA.map(point => clampToBox(b, point)));
+    best.points = distinctPoints(points);
+    return best;
+}
+
+function flipped(contact) {
+    return contact && { normal: contact.normal.negate(), depth: contact.depth, points: contact.points };
+}
+
+/**
+ * Contact between two objects from their real shapes: { normal (from obj1
+ * towards obj2), depth, points }, or null when they do not touch
+ */
+export function findContact(obj1, obj2) {
+    const { SPHERE, BOX, CAPSULE } = COLLIDER_SHAPES;
+
+    switch (`${obj1.shape}:${obj2.shape}`) {
+        case `${SPHERE}:${SPHERE}`:
+            return sphereSphereContact(obj1.position, obj1.radius, obj2.position, obj2.radius);
+        case `${BOX}:${SPHERE}`:
+            return boxSphereContact(obj1, obj2.position, obj2.radius);
+        case `${BOX}:${CAPSULE}`:
+            return boxCapsuleContact(obj1, obj2);
+        case `${BOX}:${BOX}`:
+            return boxBoxContact(obj1, obj2);
+        case `${CAPSULE}:${SPHERE}`: {
+            const [a, b] = capsuleSegment(obj1);
+            return sphereSphereContact(closestPointOnSegment(obj2.position, a, b), obj1.radius, obj2.position, obj2.radius);
+        }
+        case `${CAPSULE}:${CAPSULE}`: {
+            const [p1, q1] = capsuleSegment(obj1);
+            const [p2, q2] = capsuleSegment(obj2);
+            const [c1, c2] = closestPointsOfSegments(p1, q1, p2, q2);
+            return sphereSphereContact(c1, obj1.radius, c2, obj2.radius);
+        }
+        case `${SPHERE}:${BOX}`:
+        case `${SPHERE}:${CAPSULE}`:
+        case `${CAPSULE}:${BOX}`:
+            return flipped(findContact(obj2, obj1));
+        default:
+            throw new Error(`Unsupported collider pair: ${obj1.shape} / ${obj2.shape}`);
+    }
+}
+
+// ===== HEIGHTFIELD =====
+/**
+ * Ground sampled from a height function, e.g. PangeaTerrainGenerator or
+ * InfiniteBiomeGenerator; normals come from central differences
+ */
+export class HeightfieldCollider {
+    /**
+     * sample: (x, z) => height; step: difference step for normals
+     */
+    constructor(sample, { step = 0.5 } = {}) {
+        this.sample = sample;
+        this.step = step;
+    }
+
+    /**
+     * Collider over a terrain generator's getElevation or getHeightAt
+     */
+    static from(terrain, options) {
+        if (typeof terrain.getElevation === 'function') {
+            return new HeightfieldCollider((x, z) => terrain.getElevation(x, z), options);
+        }
+        if (typeof terrain.getHeightAt === 'function') {
+            return new HeightfieldCollider((x, z) => terrain.getHeightAt(x, z), options);
+        }
+        throw new Error('Terrain has neither getElevation nor getHeightAt');
+    }
+
+    static flat(height = 0) {
+        return new HeightfieldCollider(() => height);
+    }
+
+    heightAt(x, z) {
+        return this.sample(x, z);
+    }
+
+    normalAt(x, z) {
+        const h = this.step;
+        const dx = (this.sample(x + h, z) - this.sample(x - h, z)) / (2 * h);
+        const dz = (this.sample(x, z + h) - this.sample(x, z - h)) / (2 * h);
+        return new THREE.Vector3(-dx, 1, -dz).normalize();
+    }
+
+    /**
+     * Penetration of a point below the local tangent plane, along its normal;
+     * point is where the probe meets the plane
+     */
+    pointContact(point, radius = 0) {
+        const normal = this.normalAt(point.x, point.z);
+        const surface = new THREE.Vector3(point.x, this.heightAt(point.x, point.z), point.z);
+        const depth = radius - point.clone().sub(surface).dot(normal);
+        return { normal, depth, point: point.clone().addScaledVector(normal, depth - radius) };
+    }
+
+    /**
+     * Deepest contact of an object with the ground: { normal (up, out of
+     * the ground), depth, points }, or null above it. Touching counts as
+     * contact; every probe touching, or nearly, is a point (a box's
+     * bottom face), so a resting contact keeps its points
+     */
+    contact(object) {
+        let probes;
+        if (object.shape === COLLIDER_SHAPES.BOX) {
+            probes = boxCorners(object).map(corner => [corner, 0]);
+        } else if (object.shape === COLLIDER_SHAPES.CAPSULE) {
+            probes = capsuleSegment(object).map(end => [end, object.radius]);
+        } else {
+            probes = [[object.position, object.radius]];
+        }
+
+        const contacts = probes.map(([point, radius]) => this.pointContact(point, radius));
+        const deepest = contacts.reduce((best, contact) => (contact.depth > best.depth ? contact : best));
+        if (deepest.depth < 0) return null;
+
+        const points = contacts
+            .filter(contact => contact.depth >= -CONTACT_SLOP)
+            .map(contact => contact.point);
+        return { normal: deepest.normal, depth: deepest.depth, points };
+    }
+}
+
+// ===== CONTACT IMPULSES =====
+/**
+ * Velocity of an object's material at a world point; the world (null) is still
+ */
+function velocityAt(obj, point) {
+    if (!obj) return new THREE.Vector3();
+    const arm = point.clone().sub(obj.position);
+    return obj.angularVelocity.clone().cross(arm).add(obj.velocity);
+}
+
+/**
+ * Inverse of the mass an impulse at point along direction sees
+ */
+function effectiveInverseMass(obj, point, direction) {
+    if (!obj || obj.isStatic) return 0;
+    const arm = point.clone().sub(obj.position);
+    const turn = obj.applyInverseInertia(arm.clone().cross(direction));
+    return obj.inverseMass + turn.cross(arm).dot(direction);
+}
+
+function impulseAt(obj, impulse, point) {
+    if (obj) obj.applyImpulse(impulse, point);
+}
+
+/**
+ * Impulse at one contact point: restitution along the normal (bounce
+ * false: none), then Coulomb friction (μ = √(μ1 μ2)) against sliding
+ * Returns 'bounce', 'rest', or null when the point is separating
+ */
+function pointImpulse(obj1, obj2, normal, point, bounce) {
+    const approach = velocityAt(obj2, point).sub(velocityAt(obj1, point)).dot(normal);
+    if (approach >= 0) return null;
+
+    const elasticity = obj1 ? Math.min(obj1.elasticity, obj2.elasticity) : obj2.elasticity;
+    const resting = !bounce || Math.abs(approach * elasticity) < RESTING_SPEED;
+    const restitution = resting ? 0 : elasticity;
+    const normalImpulse = -(1 + restitution) * approach
+        / (effectiveInverseMass(obj1, point, normal) + effectiveInverseMass(obj2, point, normal));
+
+    impulseAt(obj1, normal.clone().multiplyScalar(-normalImpulse), point);
+    impulseAt(obj2, normal.clone().multiplyScalar(normalImpulse), point);
+
+    const relative = velocityAt(obj2, point).sub(velocityAt(obj1, point));
+    const sliding = relative.addScaledVector(normal, -relative.dot(normal));
+    const speed = sliding.length();
+    if (speed > CONTACT_EPSILON) {
+        const tangent = sliding.divideScalar(speed);
+        const friction = obj1 ? Math.sqrt(obj1.friction * obj2.friction) : obj2.friction;
+        const stop = speed / (effectiveInverseMass(obj1, point, tangent) + effectiveInverseMass(obj2, point, tangent));
+        const frictionImpulse = Math.min(stop, friction * normalImpulse);
+
+        impulseAt(obj1, tangent.clone().multiplyScalar(frictionImpulse), point);
+        impulseAt(obj2, tangent.clone().multiplyScalar(-frictionImpulse), point);
+    }
+
+    return resting ? 'rest' : 'bounce';
+}
+
+/**
+ * Impulses between two touching objects (obj1 null for the ground), normal
+ * from obj1 towards obj2, applied through the inertia so off-centre
+ * contacts spin things. Several points are swept a few times; only the
+ * first sweep bounces. Returns true when the contact came to rest
+ */
+function applyContactImpulse(obj1, obj2, { normal, points }) {
+    const first = points.map(point => pointImpulse(obj1, obj2, normal, point, true));
+    for (let pass = 1; pass < CONTACT_PASSES; pass++) {
+        points.forEach(point => pointImpulse(obj1, obj2, normal, point, false));
+    }
+    return first.includes('rest') && !first.includes('bounce');
+}
+
+// Default simulation rate and the most steps one frame may take
+const FIXED_TIME_STEP = 1 / 60;
+const MAX_SUB_STEPS = 5;
+
+// ===== DETERMINISTIC RANDOM =====
+/**
+ * Seedable uniform generator in [0, 1) (mulberry32)
+ * Its whole state is one 32-bit integer, so it can be saved and restored
+ */
+export class SeededRandom {
+    constructor(seed = 0) {
+        this.state = seed >>> 0;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
 // ===== PHYSICAL OBJECT CLASS =====
 export class PhysicalObject {
     constructor(mesh, properties = {}) {
         this.mesh = mesh;
 
+        // Simulated pose; the mesh shows it interpolated between steps
+        this.position = mesh.position.clone();
+        this.previousPosition = mesh.position.clone();
+        this.orientation = mesh.quaternion.clone();
+        this.previousOrientation = mesh.quaternion.clone();
+
         // Physical properties
         this.mass = properties.mass || 1.0;
         this.density = properties.density || 1.0;
         this.drag = properties.drag || 0.1;
+        this.angularDrag = properties.angularDrag ?? 0.05;
         this.elasticity = properties.elasticity || 0.5; // Bounciness
         this.friction = properties.friction || 0.7;
         this.isStatic = properties.isStatic || false;
@@ -40,11 +501,20 @@ export class PhysicalObject {
         // State
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.acceleration = new THREE.Vector3(0, 0, 0);
-        this.angularVelocity = new THREE.Vector3(0, 0, 0);
+        this.angularVelocity = new THREE.Vector3(0, 0, 0); // World frame, rad/s
         this.forces = [];
+        this.torque = new THREE.Vector3(0, 0, 0);
 
         // Collision
         this.radius = properties.radius || 0.5;
+        this.shape = properties.shape || COLLIDER_SHAPES.SPHERE;
+        this.halfExtents = new THREE.Vector3().copy(properties.halfExtents || { x: this.radius, y: this.radius, z: this.radius });
+        this.halfHeight = properties.halfHeight || 0.5;
+        if (!Object.values(COLLIDER_SHAPES).includes(this.shape)) {
+            throw new Error(`Invalid collider shape: ${this.shape}`);
+        }
+        this.layer = properties.layer ?? COLLISION_LAYERS.DEFAULT;
+        this.mask = properties.mask ?? COLLISION_LAYERS.ALL;
         this.grounded = false;
         this.submerged = false;
         this.submersionDepth = 0;
@@ -55,14 +525,117 @@ export class PhysicalObject {
         this.canBurn = properties.canBurn || false;
     }
 
-    applyForce(force) {
+    /**
+     * Radius of a sphere around the whole shape, for the broad phase
+     */
+    get boundingRadius() {
+        if (this.shape === COLLIDER_SHAPES.BOX) return this.halfExtents.length();
+        if (this.shape === COLLIDER_SHAPES.CAPSULE) return this.halfHeight + this.radius;
+        return this.radius;
+    }
+
+    get inverseMass() {
+        return this.isStatic ? 0 : 1 / this.mass;
+    }
+
+    /**
+     * Principal moments of inertia about the centre, in the body frame
+     */
+    get inertia() {
+        const m = this.mass;
+        const r = this.radius;
+
+        if (this.shape === COLLIDER_SHAPES.BOX) {
+            const { x, y, z } = this.halfExtents;
+            return new THREE.Vector3(m * (y * y + z * z) / 3, m * (x * x + z * z) / 3, m * (x * x + y * y) / 3);
+        }
+        if (this.shape === COLLIDER_SHAPES.CAPSULE) {
+            // Cylinder plus two hemispheres, sharing the mass by volume
+            const h = this.halfHeight;
+            const cylinder = 2 * h * r * r;
+            const caps = 4 / 3 * r * r * r;
+            const mc = m * cylinder / (cylinder + caps);
+            const ms = m - mc;
+            const axial = mc * r * r / 2 + ms * 2 * r * r / 5;
+            const transverse = mc * (r * r / 4 + h * h / 3) + ms * (2 * r * r / 5 + h * h + 3 * h * r / 4);
+            return new THREE.Vector3(transverse, axial, transverse);
+        }
+        const moment = 2 / 5 * m * r * r;
+        return new THREE.Vector3(moment, moment, moment);
+    }
+
+    /**
+     * I⁻¹ v in world axes (zero for static objects)
+     */
+    applyInverseInertia(vector) {
+        if (this.isStatic) return new THREE.Vector3();
+        const inverse = this.orientation.clone().invert();
+        const local = vector.clone().applyQuaternion(inverse).divide(this.inertia);
+        return local.applyQuaternion(this.orientation);
+    }
+
+    /**
+     * A force at a world point also turns the object
+     */
+    applyForce(force, point = null) {
         if (this.isStatic) return;
         this.forces.push(force.clone());
+        if (point) this.applyTorque(point.clone().sub(this.position).cross(force));
     }
 
-    applyImpulse(impulse) {
+    applyTorque(torque) {
+        if (this.isStatic) return;
+        this.torque.add(torque);
+    }
+
+    /**
+     * Impulse through the centre, or at a world point: that one spins the
+     * object by I⁻¹ (r × J)
+     */
+    applyImpulse(impulse, point = null) {
         if (this.isStatic) return;
         this.velocity.add(impulse.clone().divideScalar(this.mass));
+        if (point) {
+            const arm = point.clone().sub(this.position);
+            this.angularVelocity.add(this.applyInverseInertia(arm.cross(impulse)));
+        }
+    }
+
+    /**
+     * Turn by a small rotation vector (rad, world axes): q += ½ θ q
+     */
+    rotate(rotation) {
+        const { x, y, z } = rotation;
+        const spin = new THREE.Quaternion(x, y, z, 0).multiply(this.orientation);
+        this.orientation.set(
+            this.orientation.x + spin.x / 2,
+            this.orientation.y + spin.y / 2,
+            this.orientation.z + spin.z / 2,
+            this.orientation.w + spin.w / 2
+        ).normalize();
+    }
+
+    /**
+     * Move without interpolating from the old position
+     */
+    setPosition(position) {
+        this.position.copy(position);
+        this.previousPosition.copy(position);
+        this.mesh.position.copy(position);
+    }
+
+    setOrientation(quaternion) {
+        this.orientation.copy(quaternion).normalize();
+        this.previousOrientation.copy(this.orientation);
+        this.mesh.quaternion.copy(this.orientation);
+    }
+
+    /**
+     * Place the mesh alpha (0-1) of the way from the previous step to the last
+     */
+    interpolate(alpha) {
+        this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha);
+        this.mesh.quaternion.slerpQuaternions(this.previousOrientation, this.orientation, alpha);
     }
 
     update(deltaTime) {
@@ -86,45 +659,42 @@ export class PhysicalObject {
 
         // Update position
         const deltaPosition = this.velocity.clone().multiplyScalar(deltaTime);
-        this.mesh.position.add(deltaPosition);
+        this.position.add(deltaPosition);
 
-        // Update rotation
-        this.mesh.rotation.x += this.angularVelocity.x * deltaTime;
-        this.mesh.rotation.y += this.angularVelocity.y * deltaTime;
-        this.mesh.rotation.z += this.angularVelocity.z * deltaTime;
+        // Update rotation: torque through the inertia, then q̇ = ½ ω q
+        // (no gyroscopic term; fine at these spin rates)
+        this.angularVelocity.add(this.applyInverseInertia(this.torque).multiplyScalar(deltaTime));
+        this.angularVelocity.multiplyScalar(Math.max(0, 1 - this.angularDrag * deltaTime));
+        this.torque.set(0, 0, 0);
+        this.rotate(this.angularVelocity.clone().multiplyScalar(deltaTime));
 
         // Reset acceleration
         this.acceleration.set(0, 0, 0);
     }
 
-    checkGroundCollision(groundHeight = 0) {
-        const objectBottom = this.mesh.position.y - this.radius;
-
-        if (objectBottom <= groundHeight) {
-            this.mesh.position.y = groundHeight + this.radius;
-
-            if (this.velocity.y < 0) {
-                // Bounce
-                this.velocity.y *= -this.elasticity;
-
-                // Stop bouncing if velocity is very small
-                if (Math.abs(this.velocity.y) < 0.1) {
-                    this.velocity.y = 0;
-                    this.grounded = true;
-                }
-            }
-
-            // Apply friction
-            this.velocity.x *= this.friction;
-            this.velocity.z *= this.friction;
+    /**
+     * Rest on the ground: a height, or a HeightfieldCollider whose contact
+     * normal pushes the object out; the impulse at the contact point
+     * bounces it and its friction (a Coulomb coefficient) spins it
+     */
+    checkGroundCollision(ground = 0) {
+        const collider = ground instanceof HeightfieldCollider ? ground : HeightfieldCollider.flat(ground);
+        const contact = collider.contact(this);
+
+        if (contact) {
+            // Straight up, so settling on a slope does not creep downhill
+            this.position.y += contact.depth / contact.normal.y;
+
+            // Bounce, or come to rest, with friction at the contact point
+            if (applyContactImpulse(null, this, contact)) this.grounded = true;
         } else {
             this.grounded = false;
         }
     }
 
     checkWaterSubmersion(waterLevel = 0) {
-        const objectBottom = this.mesh.position.y - this.radius;
-        const objectTop = this.mesh.position.y + this.radius;
+        const objectBottom = this.position.y - this.radius;
+        const objectTop = this.position.y + this.radius;
 
         if (objectTop > waterLevel && objectBottom < waterLevel) {
             // Partially submerged
@@ -160,12 +730,27 @@ export class PhysicalObject {
 
 // ===== WIND SYSTEM =====
 export class WindSystem {
-    constructor() {
+    /**
+     * seed: make gusts and turbulence reproducible (Math.random otherwise)
+     */
+    constructor({ seed = null } = {}) {
         this.globalWind = new THREE.Vector3(0, 0, 0);
         this.gusts = [];
         this.turbulence = 0.5;
         this.baseSpeed = 2.0;
         this.time = 0;
+        this.random = seed === null ? null : new SeededRandom(seed);
+    }
+
+    /**
+     * Restart the generator from a seed (or a saved state)
+     */
+    setSeed(seed) {
+        this.random = new SeededRandom(seed);
+    }
+
+    rand() {
+        return this.random ? this.random.next() : Math.random();
     }
 
     update(deltaTime) {
@@ -189,7 +774,7 @@ export class WindSystem {
         });
 
         // Spawn random gusts
-        if (Math.random() < 0.01) {
+        if (this.rand() < 0.01) {
             this.spawnGust();
         }
     }
@@ -197,18 +782,18 @@ export class WindSystem {
     spawnGust() {
         this.gusts.push({
             position: new THREE.Vector3(
-                (Math.random() - 0.5) * 100,
+                (this.rand() - 0.5) * 100,
                 0,
-                (Math.random() - 0.5) * 100
+                (this.rand() - 0.5) * 100
             ),
             direction: new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
+                (this.rand() - 0.5) * 2,
                 0,
-                (Math.random() - 0.5) * 2
+                (this.rand() - 0.5) * 2
             ).normalize(),
-            strength: 5 + Math.random() * 10,
-            radius: 10 + Math.random() * 20,
-            lifetime: 3 + Math.random() * 5
+            strength: 5 + this.rand() * 10,
+            radius: 10 + this.rand() * 20,
+            lifetime: 3 + this.rand() * 5
         });
     }
 
@@ -216,8 +801,8 @@ export class WindSystem {
         let wind = this.globalWind.clone();
 
         // Add turbulence
-        wind.x += (Math.random() - 0.5) * this.turbulence;
-        wind.z += (Math.random() - 0.5) * this.turbulence;
+        wind.x += (this.rand() - 0.5) * this.turbulence;
+        wind.z += (this.rand() - 0.5) * this.turbulence;
 
         // Add gusts
         this.gusts.forEach(gust => {
@@ -402,9 +987,28 @@ export class TemperatureSystem {
 }
 
 // ===== COLLISION DETECTION =====
+// Objects covering more grid cells than this (terrain blocks, buildings)
+// skip the grid and are tested against every object instead
+const MAX_OBJECT_CELLS = 64;
+
+/**
+ * Whether two objects' layers and masks let them collide
+ */
+export function layersCollide(obj1, obj2) {
+    return (obj1.layer & obj2.mask) !== 0 && (obj2.layer & obj1.mask) !== 0;
+}
+
 export class CollisionSystem {
-    constructor() {
+    /**
+     * cellSize: edge of the broad-phase grid cells, ideally about the
+     * diameter of a typical object; constraints: a ConstraintSystem whose
+     * joined pairs do not collide
+     */
+    constructor({ cellSize = 1, constraints = null } = {}) {
         this.objects = [];
+        this.cellSize = cellSize;
+        this.constraints = constraints;
+        this.stats = { cells: 0, oversized: 0, candidates: 0, contacts: 0 };
     }
 
     addObject(object) {
@@ -419,66 +1023,569 @@ export class CollisionSystem {
     }
 
     checkCollisions() {
-        for (let i = 0; i < this.objects.length; i++) {
-            for (let j = i + 1; j < this.objects.length; j++) {
-                this.checkCollision(this.objects[i], this.objects[j]);
+        const pairs = this.findCandidatePairs();
+        let contacts = 0;
+
+        pairs.forEach(([obj1, obj2]) => {
+            if (this.checkCollision(obj1, obj2)) contacts++;
+        });
+
+        this.stats.contacts = contacts;
+    }
+
+    /**
+     * Broad phase: a uniform grid (spatial hash) of each object's bounding
+     * box, plus the oversized objects checked against everyone by bounding
+     * sphere. Pairs sharing a cell whose layers collide, that are not both
+     * static nor joined by a constraint, in object order
+     */
+    findCandidatePairs() {
+        const grid = new Map();
+        const size = this.cellSize;
+        const oversized = [];
+
+        this.objects.forEach((obj, index) => {
+            const { x, y, z } = obj.position;
+            const r = obj.boundingRadius;
+            const x0 = Math.floor((x - r) / size), x1 = Math.floor((x + r) / size);
+            const y0 = Math.floor((y - r) / size), y1 = Math.floor((y + r) / size);
+            const z0 = Math.floor((z - r) / size), z1 = Math.floor((z + r) / size);
+
+            if ((x1 - x0 + 1) * (y1 - y0 + 1) * (z1 - z0 + 1) > MAX_OBJECT_CELLS) {
+                oversized.push(index);
+                return;
             }
-        }
+
+            for (let i = x0; i <= x1; i++) {
+                for (let j = y0; j <= y1; j++) {
+                    for (let k = z0; k <= z1; k++) {
+                        const key = `${i},${j},${k}`;
+                        const cell = grid.get(key);
+                        if (cell) cell.push(index);
+                        else grid.set(key, [index]);
+                    }
+                }
+            }
+        });
+
+        // Objects spanning several cells meet their neighbours more than once
+        const count = this.objects.length;
+        const seen = new Set();
+        grid.forEach(cell => {
+            for (let a = 0; a < cell.length; a++) {
+                for (let b = a + 1; b < cell.length; b++) {
+                    seen.add(cell[a] * count + cell[b]);
+                }
+            }
+        });
+
+        oversized.forEach(index => {
+            const big = this.objects[index];
+            this.objects.forEach((obj, other) => {
+                if (other === index) return;
+                const reach = big.boundingRadius + obj.boundingRadius;
+                if (big.position.distanceToSquared(obj.position) > reach * reach) return;
+                seen.add(Math.min(index, other) * count + Math.max(index, other));
+            });
+        });
+
+        const pairs = [...seen]
+            .sort((a, b) => a - b)
+            .map(key => [this.objects[Math.floor(key / count)], this.objects[key % count]])
+            .filter(([obj1, obj2]) => !(obj1.isStatic && obj2.isStatic) && layersCollide(obj1, obj2))
+            .filter(([obj1, obj2]) => !this.constraints || !this.constraints.connects(obj1, obj2));
+
+        this.stats.cells = grid.size;
+        this.stats.oversized = oversized.length;
+        this.stats.candidates = pairs.length;
+        return pairs;
     }
 
+    /**
+     * Narrow phase: resolve the pair if their shapes overlap; returns whether they did
+     */
     checkCollision(obj1, obj2) {
-        const distance = obj1.mesh.position.distanceTo(obj2.mesh.position);
-        const minDistance = obj1.radius + obj2.radius;
+        const contact = findContact(obj1, obj2);
 
-        if (distance < minDistance) {
-            this.resolveCollision(obj1, obj2, distance, minDistance);
+        if (contact) {
+            this.resolveCollision(obj1, obj2, contact);
+            return true;
         }
+        return false;
     }
 
-    resolveCollision(obj1, obj2, distance, minDistance) {
-        // Separate objects
-        const direction = obj2.mesh.position.clone()
-            .sub(obj1.mesh.position)
-            .normalize();
+    /**
+     * contact: { normal from obj1 towards obj2, depth, points }
+     */
+    resolveCollision(obj1, obj2, contact) {
+        const direction = contact.normal;
+        const inverseMass = obj1.inverseMass + obj2.inverseMass;
+        if (inverseMass === 0) return;
+
+        // Separate objects in proportion to their inverse masses, so a
+        // static one stays put
+        obj1.position.addScaledVector(direction, -contact.depth * obj1.inverseMass / inverseMass);
+        obj2.position.addScaledVector(direction, contact.depth * obj2.inverseMass / inverseMass);
+
+        // Collision response at the contact point, friction included
+        applyContactImpulse(obj1, obj2, contact);
+    }
+}
+
+// ===== CONSTRAINTS =====
+export const CONSTRAINT_TYPES = {
+    DISTANCE: 'DISTANCE',         // anchors kept a length apart (a rope: at most)
+    BALL_SOCKET: 'BALL_SOCKET',   // anchors kept together, free to turn
+    HINGE: 'HINGE',               // a ball socket turning only about an axis
+    SPRING: 'SPRING'              // Hooke's law with damping between anchors
+};
+
+// Sweeps over all constraints per step; a chain passes a correction one
+// link further each sweep
+const CONSTRAINT_PASSES = 8;
+
+/**
+ * A world point in an object's body frame; the world (null) keeps it as is
+ */
+function toLocal(obj, point) {
+    if (!obj) return point.clone();
+    return point.clone().sub(obj.position).applyQuaternion(obj.orientation.clone().invert());
+}
 
-        const overlap = minDistance - distance;
-        const separation = direction.clone().multiplyScalar(overlap / 2);
+function toWorld(obj, local) {
+    if (!obj) return local.clone();
+    return local.clone().applyQuaternion(obj.orientation).add(obj.position);
+}
 
-        if (!obj1.isStatic) obj1.mesh.position.sub(separation);
-        if (!obj2.isStatic) obj2.mesh.position.add(separation);
+function directionToLocal(obj, direction) {
+    if (!obj) return direction.clone();
+    return direction.clone().applyQuaternion(obj.orientation.clone().invert());
+}
 
-        // Calculate collision response
-        const relativeVelocity = obj2.velocity.clone().sub(obj1.velocity);
-        const velocityAlongNormal = relativeVelocity.dot(direction);
+function directionToWorld(obj, local) {
+    if (!obj) return local.clone();
+    return local.clone().applyQuaternion(obj.orientation);
+}
 
-        if (velocityAlongNormal < 0) {
-            // Objects are moving towards each other
-            const e = Math.min(obj1.elasticity, obj2.elasticity);
-            const impulse = -(1 + e) * velocityAlongNormal / (1/obj1.mass + 1/obj2.mass);
+/**
+ * Move and turn an object as an impulse at point would its velocities
+ */
+function shiftAt(obj, shift, point) {
+    if (!obj || obj.isStatic) return;
+    const arm = point.clone().sub(obj.position);
+    obj.rotate(obj.applyInverseInertia(arm.cross(shift)));
+    obj.position.addScaledVector(shift, obj.inverseMass);
+}
 
-            const impulseVector = direction.clone().multiplyScalar(impulse);
+function angularInverseMass(obj, axis) {
+    if (!obj || obj.isStatic) return 0;
+    return obj.applyInverseInertia(axis).dot(axis);
+}
 
-            if (!obj1.isStatic) {
-                obj1.velocity.sub(impulseVector.clone().divideScalar(obj1.mass));
-            }
-            if (!obj2.isStatic) {
-                obj2.velocity.add(impulseVector.clone().divideScalar(obj2.mass));
-            }
+function angularVelocityOf(obj) {
+    return obj ? obj.angularVelocity : new THREE.Vector3();
+}
+
+function angularImpulseOn(obj, impulse) {
+    if (obj) obj.angularVelocity.add(obj.applyInverseInertia(impulse));
+}
+
+/**
+ * Hold two anchor points along direction (from point1 towards point2):
+ * cancel their relative velocity along it, then close gap (m beyond the
+ * wanted separation), shared by inverse mass. The impulse along direction
+ * stays above minimum (a rope: minus what it carries, so it only pulls).
+ * Returns the impulse given obj1 (obj2 takes the opposite)
+ */
+function solveLinear(obj1, point1, obj2, point2, direction, gap, minimum = -Infinity) {
+    const k = effectiveInverseMass(obj1, point1, direction) + effectiveInverseMass(obj2, point2, direction);
+    if (k === 0) return new THREE.Vector3();
+
+    const speed = velocityAt(obj2, point2).sub(velocityAt(obj1, point1)).dot(direction);
+    const impulse = direction.clone().multiplyScalar(Math.max(speed / k, minimum));
+    impulseAt(obj1, impulse, point1);
+    impulseAt(obj2, impulse.clone().negate(), point2);
+
+    shiftAt(obj1, direction.clone().multiplyScalar(gap / k), point1);
+    shiftAt(obj2, direction.clone().multiplyScalar(-gap / k), point2);
+    return impulse;
+}
+
+/**
+ * Hold two objects' relative rotation about axis: cancel their relative
+ * spin about it, then turn obj2 by angle (rad) relative to obj1. Returns
+ * the angular impulse given obj1
+ */
+function solveAngular(obj1, obj2, axis, angle) {
+    const k = angularInverseMass(obj1, axis) + angularInverseMass(obj2, axis);
+    if (k === 0) return new THREE.Vector3();
+
+    const spin = angularVelocityOf(obj2).dot(axis) - angularVelocityOf(obj1).dot(axis);
+    const impulse = axis.clone().multiplyScalar(spin / k);
+    angularImpulseOn(obj1, impulse);
+    angularImpulseOn(obj2, impulse.clone().negate());
+
+    const turn = axis.clone().multiplyScalar(angle / k);
+    if (obj1) obj1.rotate(obj1.applyInverseInertia(turn).negate());
+    if (obj2) obj2.rotate(obj2.applyInverseInertia(turn));
+    return impulse;
+}
+
+/**
+ * Two unit vectors perpendicular to axis and to each other
+ */
+function perpendiculars(axis) {
+    const other = Math.abs(axis.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    const first = other.cross(axis).normalize();
+    return [first, axis.clone().cross(first)];
+}
+
+export class Constraint {
+    /**
+     * bodyA, bodyB: the objects joined, either null for the world
+     * anchorA, anchorB: world points where it holds each (default their
+     * centres); localA, localB: the same in body frames, as saved
+     * collideConnected: let the two objects still collide
+     */
+    constructor(type, bodyA, bodyB, { anchorA, anchorB, localA, localB, collideConnected = false } = {}) {
+        if (!bodyA && !bodyB) throw new Error('A constraint needs at least one object');
+        this.type = type;
+        this.bodyA = bodyA;
+        this.bodyB = bodyB;
+        this.localA = localA ? localA.clone() : toLocal(bodyA, anchorA ?? (bodyA ?? bodyB).position);
+        this.localB = localB ? localB.clone() : toLocal(bodyB, anchorB ?? (bodyB ?? bodyA).position);
+        this.collideConnected = collideConnected;
+
+        // Impulses given bodyA over the last step (bodyB takes the opposite);
+        // reapplied first next step, so steady loads need few passes
+        this.impulse = new THREE.Vector3();
+        this.angularImpulse = new THREE.Vector3();
+    }
+
+    get anchorA() {
+        return toWorld(this.bodyA, this.localA);
+    }
+
+    get anchorB() {
+        return toWorld(this.bodyB, this.localB);
+    }
+
+    joins(obj1, obj2) {
+        return (this.bodyA === obj1 && this.bodyB === obj2) || (this.bodyA === obj2 && this.bodyB === obj1);
+    }
+
+    /**
+     * Forces for the coming step (springs)
+     */
+    applyForces() {}
+
+    /**
+     * Reapply the last step's impulses before this step's sweeps
+     */
+    warmStart() {
+        const pointA = this.anchorA;
+        const pointB = this.anchorB;
+        impulseAt(this.bodyA, this.impulse, pointA);
+        impulseAt(this.bodyB, this.impulse.clone().negate(), pointB);
+        angularImpulseOn(this.bodyA, this.angularImpulse);
+        angularImpulseOn(this.bodyB, this.angularImpulse.clone().negate());
+    }
+
+    /**
+     * One sweep of the solver, after the step has moved everything
+     */
+    solve() {}
+
+    /**
+     * Plain JSON-ready data; objects are referred to by their index in objects
+     */
+    serialize(objects) {
+        const index = obj => {
+            if (!obj) return null;
+            const i = objects.indexOf(obj);
+            if (i === -1) throw new Error('Constraint joins an object outside the world');
+            return i;
+        };
+
+        return {
+            type: this.type,
+            bodies: [index(this.bodyA), index(this.bodyB)],
+            localA: this.localA.toArray(),
+            localB: this.localB.toArray(),
+            collideConnected: this.collideConnected,
+            impulse: this.impulse.toArray(),
+            angularImpulse: this.angularImpulse.toArray()
+        };
+    }
+
+    /**
+     * Rebuild a serialized constraint between objects of the same world
+     */
+    static fromJSON(data, objects) {
+        const Type = CONSTRAINT_CLASSES[data.type];
+        if (!Type) throw new Error(`Unknown constraint type: ${data.type}`);
+
+        const [bodyA, bodyB] = data.bodies.map(i => {
+            if (i === null) return null;
+            if (!objects[i]) throw new Error(`Constraint joins a missing object: ${i}`);
+            return objects[i];
+        });
+        const options = { ...data };
+        ['localA', 'localB', 'axisA', 'axisB'].forEach(field => {
+            if (data[field]) options[field] = new THREE.Vector3().fromArray(data[field]);
+        });
+        const constraint = new Type(bodyA, bodyB, options);
+        if (data.impulse) constraint.impulse.fromArray(data.impulse);
+        if (data.angularImpulse) constraint.angularImpulse.fromArray(data.angularImpulse);
+        return constraint;
+    }
+}
+
+export class DistanceConstraint extends Constraint {
+    /**
+     * length: kept between the anchors (default their distance now)
+     * rope: only keeps them from moving further apart
+     */
+    constructor(bodyA, bodyB, { length = null, rope = false, ...options } = {}) {
+        super(CONSTRAINT_TYPES.DISTANCE, bodyA, bodyB, options);
+        this.length = length ?? this.anchorA.distanceTo(this.anchorB);
+        this.rope = rope;
+    }
+
+    /**
+     * Only the part along the link now carries over, and only a pull on a
+     * taut rope
+     */
+    warmStart() {
+        const direction = this.anchorB.sub(this.anchorA);
+        const distance = direction.length();
+        const carried = distance < CONTACT_EPSILON ? 0 : this.impulse.dot(direction.divideScalar(distance));
+        const slack = this.rope && (distance < this.length || carried < 0);
+        this.impulse.copy(direction).multiplyScalar(slack ? 0 : carried);
+        super.warmStart();
+    }
+
+    solve() {
+        const pointA = this.anchorA;
+        const pointB = this.anchorB;
+        const direction = pointB.clone().sub(pointA);
+        const distance = direction.length();
+        if (distance < CONTACT_EPSILON) return;
+
+        const gap = distance - this.length;
+        if (this.rope && gap < 0) return;
+        direction.divideScalar(distance);
+        const minimum = this.rope ? -this.impulse.dot(direction) : -Infinity;
+        this.impulse.add(solveLinear(this.bodyA, pointA, this.bodyB, pointB, direction, gap, minimum));
+    }
+
+    serialize(objects) {
+        return { ...super.serialize(objects), length: this.length, rope: this.rope };
+    }
+}
+
+export class BallSocketConstraint extends Constraint {
+    /**
+     * pivot: world point both objects turn about (default bodyB's centre);
+     * anchorA and anchorB instead join two points apart, pulling them together
+     */
+    constructor(bodyA, bodyB, { pivot = (bodyB ?? bodyA).position, ...options } = {}, type = CONSTRAINT_TYPES.BALL_SOCKET) {
+        super(type, bodyA, bodyB, { anchorA: pivot, anchorB: pivot, ...options });
+    }
+
+    solve() {
+        [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)].forEach(axis => {
+            const pointA = this.anchorA;
+            const pointB = this.anchorB;
+            const gap = pointB.clone().sub(pointA).dot(axis);
+            this.impulse.add(solveLinear(this.bodyA, pointA, this.bodyB, pointB, axis, gap));
+        });
+    }
+}
+
+export class HingeConstraint extends BallSocketConstraint {
+    /**
+     * pivot and axis (world, default up): a door's hinge line
+     * axisA, axisB: the axis in each body frame, as saved
+     */
+    constructor(bodyA, bodyB, { axis = new THREE.Vector3(0, 1, 0), axisA, axisB, ...options } = {}) {
+        super(bodyA, bodyB, options, CONSTRAINT_TYPES.HINGE);
+        const direction = new THREE.Vector3().copy(axis).normalize();
+        this.axisA = axisA ? axisA.clone() : directionToLocal(bodyA, direction);
+        this.axisB = axisB ? axisB.clone() : directionToLocal(bodyB, direction);
+    }
+
+    solve() {
+        super.solve();
+
+        // Turning bodyB by axisB × axisA brings the axes back into line
+        const axisA = directionToWorld(this.bodyA, this.axisA);
+        const misalignment = directionToWorld(this.bodyB, this.axisB).cross(axisA);
+        perpendiculars(axisA).forEach(axis => {
+            this.angularImpulse.add(solveAngular(this.bodyA, this.bodyB, axis, misalignment.dot(axis)));
+        });
+    }
+
+    serialize(objects) {
+        return { ...super.serialize(objects), axisA: this.axisA.toArray(), axisB: this.axisB.toArray() };
+    }
+
+    /**
+     * Spin about the hinge axis is free, so none of it carries over
+     */
+    warmStart() {
+        const axis = directionToWorld(this.bodyA, this.axisA);
+        this.angularImpulse.addScaledVector(axis, -this.angularImpulse.dot(axis));
+        super.warmStart();
+    }
+}
+
+export class SpringConstraint extends Constraint {
+    /**
+     * restLength: unstretched length (default the anchors' distance now)
+     * stiffness: N/m; damping: N·s/m along the spring
+     */
+    constructor(bodyA, bodyB, { restLength = null, stiffness = 100, damping = 1, ...options } = {}) {
+        super(CONSTRAINT_TYPES.SPRING, bodyA, bodyB, options);
+        this.restLength = restLength ?? this.anchorA.distanceTo(this.anchorB);
+        this.stiffness = stiffness;
+        this.damping = damping;
+    }
+
+    applyForces() {
+        const pointA = this.anchorA;
+        const pointB = this.anchorB;
+        const direction = pointB.clone().sub(pointA);
+        const distance = direction.length();
+        if (distance < CONTACT_EPSILON) return;
+        direction.divideScalar(distance);
+
+        const speed = velocityAt(this.bodyB, pointB).sub(velocityAt(this.bodyA, pointA)).dot(direction);
+        const tension = this.stiffness * (distance - this.restLength) + this.damping * speed;
+        if (this.bodyA) this.bodyA.applyForce(direction.clone().multiplyScalar(tension), pointA);
+        if (this.bodyB) this.bodyB.applyForce(direction.clone().multiplyScalar(-tension), pointB);
+    }
+
+    serialize(objects) {
+        return {
+            ...super.serialize(objects),
+            restLength: this.restLength,
+            stiffness: this.stiffness,
+            damping: this.damping
+        };
+    }
+}
+
+const CONSTRAINT_CLASSES = {
+    [CONSTRAINT_TYPES.DISTANCE]: DistanceConstraint,
+    [CONSTRAINT_TYPES.BALL_SOCKET]: BallSocketConstraint,
+    [CONSTRAINT_TYPES.HINGE]: HingeConstraint,
+    [CONSTRAINT_TYPES.SPRING]: SpringConstraint
+};
+
+export class ConstraintSystem {
+    /**
+     * passes: solver sweeps per step; more keep long chains stiffer
+     */
+    constructor({ passes = CONSTRAINT_PASSES } = {}) {
+        this.constraints = [];
+        this.passes = passes;
+        this.attached = new Map(); // object → its constraints
+    }
+
+    addConstraint(constraint) {
+        this.constraints.push(constraint);
+        [constraint.bodyA, constraint.bodyB].forEach(obj => {
+            if (!obj) return;
+            if (!this.attached.has(obj)) this.attached.set(obj, []);
+            this.attached.get(obj).push(constraint);
+        });
+        return constraint;
+    }
+
+    removeConstraint(constraint) {
+        const index = this.constraints.indexOf(constraint);
+        if (index === -1) return;
+
+        this.constraints.splice(index, 1);
+        [constraint.bodyA, constraint.bodyB].forEach(obj => {
+            const list = obj && this.attached.get(obj);
+            if (!list) return;
+            list.splice(list.indexOf(constraint), 1);
+            if (list.length === 0) this.attached.delete(obj);
+        });
+    }
+
+    /**
+     * Drop every constraint on an object leaving the world
+     */
+    removeObject(object) {
+        [...(this.attached.get(object) || [])].forEach(constraint => this.removeConstraint(constraint));
+    }
+
+    clear() {
+        this.constraints = [];
+        this.attached.clear();
+    }
+
+    /**
+     * Whether a constraint joins the pair and keeps them from colliding
+     */
+    connects(obj1, obj2) {
+        const list = this.attached.get(obj1);
+        return Boolean(list) && list.some(constraint => !constraint.collideConnected && constraint.joins(obj1, obj2));
+    }
+
+    applyForces() {
+        this.constraints.forEach(constraint => constraint.applyForces());
+    }
+
+    /**
+     * Sweep all constraints a few times (Gauss-Seidel), each fixing its
+     * velocity error then its position error, starting from the impulses
+     * that held them last step
+     */
+    solve() {
+        this.constraints.forEach(constraint => constraint.warmStart());
+        for (let pass = 0; pass < this.passes; pass++) {
+            this.constraints.forEach(constraint => constraint.solve());
         }
     }
+
+    serialize(objects) {
+        return this.constraints.map(constraint => constraint.serialize(objects));
+    }
 }
 
 // ===== MAIN PHYSICS ENGINE =====
 export class PhysicsEngine {
-    constructor(scene) {
+    /**
+     * fixedTimeStep: seconds per simulation step; maxSubSteps: most steps
+     * one frame may run before the rest of its time is dropped (and counted
+     * in droppedTime); seed: seeds the wind; cellSize: collision grid
+     */
+    constructor(scene, { fixedTimeStep = FIXED_TIME_STEP, maxSubSteps = MAX_SUB_STEPS, seed = null, cellSize } = {}) {
         this.scene = scene;
         this.objects = [];
-        this.wind = new WindSystem();
+        this.wind = new WindSystem({ seed });
         this.gravity = new GravityField();
         this.water = new WaterFlowSystem();
         this.temperature = new TemperatureSystem();
-        this.collision = new CollisionSystem();
+        this.constraints = new ConstraintSystem();
+        this.collision = new CollisionSystem({ cellSize, constraints: this.constraints });
+        this.ground = HeightfieldCollider.flat(0);
         this.enabled = true;
+
+        // Fixed-step loop
+        this.fixedTimeStep = fixedTimeStep;
+        this.maxSubSteps = maxSubSteps;
+        this.accumulator = 0;
+        this.stepCount = 0;
+        this.droppedTime = 0;
+
+        // Inputs wait for the next step, where they are recorded
+        this.pendingInputs = [];
+        this.recording = null;
     }
 
     addObject(mesh, properties) {
@@ -493,22 +1600,70 @@ export class PhysicsEngine {
         if (index > -1) {
             this.objects.splice(index, 1);
             this.collision.removeObject(physObject);
+            this.constraints.removeObject(physObject);
         }
     }
 
+    /**
+     * Join objects with a DistanceConstraint, BallSocketConstraint,
+     * HingeConstraint or SpringConstraint
+     */
+    addConstraint(constraint) {
+        return this.constraints.addConstraint(constraint);
+    }
+
+    removeConstraint(constraint) {
+        this.constraints.removeConstraint(constraint);
+    }
+
+    /**
+     * Advance by a frame's deltaTime in fixed steps, carrying the remainder
+     * to the next frame, then interpolate the meshes; returns the steps run
+     */
     update(deltaTime) {
-        if (!this.enabled) return;
+        if (!this.enabled || !(deltaTime > 0)) return 0;
 
-        // Clamp deltaTime to prevent physics explosions
-        deltaTime = Math.min(deltaTime, 0.033);
+        this.accumulator += deltaTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxSubSteps) {
+            this.step();
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
+
+        // Too far behind to catch up: drop whole steps rather than spiral
+        if (this.accumulator >= this.fixedTimeStep) {
+            const behind = this.accumulator - this.accumulator % this.fixedTimeStep;
+            this.droppedTime += behind;
+            this.accumulator -= behind;
+        }
+
+        const alpha = this.accumulator / this.fixedTimeStep;
+        this.objects.forEach(obj => obj.interpolate(alpha));
+        return steps;
+    }
+
+    /**
+     * One fixed step of the simulation
+     */
+    step() {
+        const deltaTime = this.fixedTimeStep;
+
+        this.applyInputs();
+        this.objects.forEach(obj => {
+            obj.previousPosition.copy(obj.position);
+            obj.previousOrientation.copy(obj.orientation);
+        });
 
         // Update environmental systems
         this.wind.update(deltaTime);
         this.water.update(deltaTime);
+        this.constraints.applyForces();
 
         // Update all physical objects
         this.objects.forEach(obj => {
-            const position = obj.mesh.position;
+            const position = obj.position;
 
             // Apply environmental forces
             this.gravity.applyGravityTo(obj, position);
@@ -522,15 +1677,216 @@ export class PhysicsEngine {
             obj.update(deltaTime);
 
             // Check ground collision
-            obj.checkGroundCollision(0);
+            obj.checkGroundCollision(this.ground);
 
             // Check water submersion
             const waterLevel = this.water.getWaterLevelAt(position.x, position.z);
             obj.checkWaterSubmersion(waterLevel);
         });
 
-        // Check collisions
+        // Check collisions, then pull joined objects back together
         this.collision.checkCollisions();
+        this.constraints.solve();
+
+        this.stepCount++;
+        if (this.recording) this.recording.steps++;
+    }
+
+    // ===== INPUTS, RECORD AND REPLAY =====
+
+    /**
+     * Impulse applied to an object at the start of the next step
+     */
+    queueImpulse(object, impulse) {
+        const index = this.objects.indexOf(object);
+        if (index === -1) throw new Error('Cannot queue an impulse for an object outside the engine');
+
+        this.pendingInputs.push({
+            type: 'impulse',
+            object: index,
+            impulse: impulse.toArray()
+        });
+    }
+
+    applyInputs() {
+        const inputs = this.pendingInputs;
+        this.pendingInputs = [];
+
+        inputs.forEach(input => {
+            if (this.recording) this.recording.inputs.push({ step: this.recording.steps, ...input });
+            this.applyInput(input);
+        });
+    }
+
+    applyInput(input) {
+        if (input.type === 'impulse') {
+            const object = this.objects[input.object];
+            if (!object) throw new Error(`Impulse for a missing object: ${input.object}`);
+            object.applyImpulse(new THREE.Vector3().fromArray(input.impulse));
+        } else if (input.type === 'gust') {
+            this.wind.gusts.push({
+                position: new THREE.Vector3().fromArray(input.position),
+                direction: new THREE.Vector3().fromArray(input.direction),
+                strength: input.strength,
+                radius: input.radius,
+                lifetime: input.lifetime
+            });
+        } else {
+            throw new Error(`Unknown physics input: ${input.type}`);
+        }
+    }
+
+    /**
+     * Record inputs from the next step on. The wind is reseeded (from seed,
+     * or a random one) and its seed kept, so a replay from the same starting
+     * world is bit-identical
+     */
+    startRecording({ seed = Math.floor(Math.random() * 4294967296) } = {}) {
+        this.wind.setSeed(seed);
+        this.recording = {
+            fixedTimeStep: this.fixedTimeStep,
+            seed,
+            steps: 0,
+            inputs: []
+        };
+        return this.recording;
+    }
+
+    /**
+     * The recording so far, as plain JSON-ready data
+     */
+    stopRecording() {
+        const recording = this.recording;
+        this.recording = null;
+        return recording;
+    }
+
+    /**
+     * Rerun a recording from the current world (which must match the one
+     * it started from) step by step, headless; returns the steps run
+     */
+    replay(recording) {
+        this.fixedTimeStep = recording.fixedTimeStep;
+        this.wind.setSeed(recording.seed);
+        this.accumulator = 0;
+
+        let next = 0;
+        for (let step = 0; step < recording.steps; step++) {
+            this.pendingInputs = [];
+            while (next < recording.inputs.length && recording.inputs[next].step === step) {
+                this.pendingInputs.push(recording.inputs[next++]);
+            }
+            this.step();
+        }
+
+        this.objects.forEach(obj => obj.interpolate(1));
+        return recording.steps;
+    }
+
+    // ===== WORLD STATE =====
+
+    /**
+     * How everything is moving, the wind, waves and constraints, as plain
+     * JSON-ready data. Objects are saved by index: meshes and properties
+     * belong to whoever builds the world
+     */
+    saveState() {
+        return {
+            stepCount: this.stepCount,
+            accumulator: this.accumulator,
+            wind: {
+                time: this.wind.time,
+                random: this.wind.random ? this.wind.random.state : null,
+                gusts: this.wind.gusts.map(gust => ({
+                    position: gust.position.toArray(),
+                    direction: gust.direction.toArray(),
+                    strength: gust.strength,
+                    radius: gust.radius,
+                    lifetime: gust.lifetime
+                }))
+            },
+            water: { time: this.water.time },
+            objects: this.objects.map(obj => ({
+                position: obj.position.toArray(),
+                orientation: obj.orientation.toArray(),
+                velocity: obj.velocity.toArray(),
+                angularVelocity: obj.angularVelocity.toArray(),
+                temperature: obj.temperature,
+                grounded: obj.grounded
+            })),
+            constraints: this.constraints.serialize(this.objects)
+        };
+    }
+
+    /**
+     * Restore a saved state into a world built with the same objects, in
+     * the same order; its constraints replace the current ones. The whole
+     * state is checked, and its constraints built, before anything changes,
+     * so a bad save leaves the world as it was
+     */
+    loadState(state) {
+        const isVector = (value, length) => Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+        const check = (valid, field) => {
+            if (!valid) throw new Error(`Saved state has an invalid ${field}`);
+        };
+
+        check(Array.isArray(state.objects), 'objects');
+        check(Array.isArray(state.constraints), 'constraints');
+        check(Number.isInteger(state.stepCount) && state.stepCount >= 0, 'stepCount');
+        check(Number.isFinite(state.accumulator) && state.accumulator >= 0, 'accumulator');
+        check(state.wind && Number.isFinite(state.wind.time), 'wind.time');
+        check(state.wind.random === null || (Number.isInteger(state.wind.random) && state.wind.random >= 0
+            && state.wind.random < 2 ** 32), 'wind.random');
+        check(Array.isArray(state.wind.gusts), 'wind.gusts');
+        state.wind.gusts.forEach((gust, index) => {
+            check(gust && isVector(gust.position, 3) && isVector(gust.direction, 3)
+                && ['strength', 'radius', 'lifetime'].every(field => Number.isFinite(gust[field])), `wind.gusts[${index}]`);
+        });
+        check(state.water && Number.isFinite(state.water.time), 'water.time');
+
+        if (state.objects.length !== this.objects.length) {
+            throw new Error(`Saved state has ${state.objects.length} objects, the world ${this.objects.length}`);
+        }
+        state.objects.forEach((saved, index) => {
+            [['position', 3], ['orientation', 4], ['velocity', 3], ['angularVelocity', 3]].forEach(([field, length]) => {
+                if (!isVector(saved[field], length)) {
+                    throw new Error(`Saved object ${index} has an invalid ${field}`);
+                }
+            });
+            if (!Number.isFinite(saved.temperature)) throw new Error(`Saved object ${index} has an invalid temperature`);
+            if (typeof saved.grounded !== 'boolean') throw new Error(`Saved object ${index} has an invalid grounded`);
+        });
+        const constraints = state.constraints.map(data => Constraint.fromJSON(data, this.objects));
+
+        this.stepCount = state.stepCount;
+        this.accumulator = state.accumulator;
+
+        this.wind.time = state.wind.time;
+        if (state.wind.random === null) this.wind.random = null;
+        else this.wind.setSeed(state.wind.random);
+        this.wind.gusts = state.wind.gusts.map(gust => ({
+            ...gust,
+            position: new THREE.Vector3().fromArray(gust.position),
+            direction: new THREE.Vector3().fromArray(gust.direction)
+        }));
+        this.water.time = state.water.time;
+
+        state.objects.forEach((saved, index) => {
+            const obj = this.objects[index];
+            // Exactly as saved, so a loaded world runs on bit-identically
+            obj.setPosition(new THREE.Vector3().fromArray(saved.position));
+            obj.orientation.fromArray(saved.orientation);
+            obj.previousOrientation.copy(obj.orientation);
+            obj.mesh.quaternion.copy(obj.orientation);
+            obj.velocity.fromArray(saved.velocity);
+            obj.angularVelocity.fromArray(saved.angularVelocity);
+            obj.temperature = saved.temperature;
+            obj.grounded = saved.grounded;
+        });
+
+        this.constraints.clear();
+        constraints.forEach(constraint => this.addConstraint(constraint));
+        return this;
     }
 
     // Utility functions
@@ -540,7 +1896,7 @@ export class PhysicsEngine {
             elasticity: 0.6,
             friction: 0.8
         });
-        mesh.position.copy(position);
+        obj.setPosition(position);
         return obj;
     }
 
@@ -550,7 +1906,7 @@ export class PhysicsEngine {
             density: 0.3, // Less dense than water
             elasticity: 0.4
         });
-        mesh.position.copy(position);
+        obj.setPosition(position);
         return obj;
     }
 
@@ -560,29 +1916,30 @@ export class PhysicsEngine {
             drag: 0.05,
             elasticity: 0.3
         });
-        mesh.position.copy(position);
+        obj.setPosition(position);
         obj.velocity.copy(velocity);
         return obj;
     }
 
-    // Effects
+    // Effects (applied, and recorded, at the next step)
     createExplosion(position, force, radius) {
         this.objects.forEach(obj => {
-            const distance = obj.mesh.position.distanceTo(position);
+            const distance = obj.position.distanceTo(position);
             if (distance < radius) {
-                const direction = obj.mesh.position.clone().sub(position).normalize();
+                const direction = obj.position.clone().sub(position).normalize();
                 const strength = force * (1 - distance / radius);
                 const impulse = direction.multiplyScalar(strength);
-                obj.applyImpulse(impulse);
+                this.queueImpulse(obj, impulse);
             }
         });
     }
 
     createWind(position, direction, strength, radius, duration) {
         // Temporary wind gust
-        this.wind.gusts.push({
-            position: position.clone(),
-            direction: direction.normalize(),
+        this.pendingInputs.push({
+            type: 'gust',
+            position: position.toArray(),
+            direction: direction.clone().normalize().toArray(),
             strength,
             radius,
             lifetime: duration
@@ -593,6 +1950,14 @@ export class PhysicsEngine {
         this.water.waterLevel = level;
     }
 
+    /**
+     * Collide with a terrain generator's surface instead of flat ground
+     */
+    setTerrain(terrain, options) {
+        this.ground = HeightfieldCollider.from(terrain, options);
+        return this.ground;
+    }
+
     getStats() {
         return {
             objects: this.objects.length,
@@ -600,7 +1965,10 @@ export class PhysicsEngine {
             gusts: this.wind.gusts.length,
             gravityAnomalies: this.gravity.anomalies.length,
             waterCurrent: this.water.currents.length,
-            heatSources: this.temperature.heatSources.length
+            heatSources: this.temperature.heatSources.length,
+            constraints: this.constraints.constraints.length,
+            steps: this.stepCount,
+            droppedTime: this.droppedTime
         };
     }
 }
@@ -0,0 +1,387 @@
+/**
+ * STAR CATALOGUE
+ *
+ * Reads bright-star catalogues from local files and places their stars on
+ * the sky of any observer at any instant:
+ * - Yale Bright Star Catalogue, 5th ed. (BSC5 fixed-width 'catalog' file)
+ * - Hipparcos main catalogue (hip_main.dat, '|'-separated)
+ *
+ * The apparent-place chain follows the IAU/SOFA order:
+ * space motion (proper motion, radial velocity) → annual parallax →
+ * gravitational deflection by the Sun → aberration (annual + diurnal) →
+ * bias-precession-nutation and Earth rotation → horizon → refraction
+ *
+ * The Earth's heliocentric state stands in for its barycentric one; the
+ * Sun's ~0.01 AU wobble moves stars by under 0.01" through aberration
+ * and by 1% of their parallax.
+ *
+ * Philosophy: "EVERY POINT OF LIGHT HAS A CATALOGUE NUMBER."
+ */
+
+import * as THREE from 'three';
+import { TIME_SCALES } from './truth-contracts.js';
+import { Geodesy } from './geodesy.js';
+import { IAUTransform, LightTime, Refraction } from './celestial-mechanics.js';
+import { AnalyticEphemeris } from './ephemeris.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+const MAS_TO_RAD = Math.PI / (180 * 3600 * 1000);
+
+const AU_KM = 149597870.7;
+const LIGHT_SPEED_KM_S = 299792.458;
+const EARTH_ROTATION_RATE = 7.292115e-5; // rad/s
+const DAYS_PER_JULIAN_YEAR = 365.25;
+const JD_J2000 = 2451545.0;
+
+// The ICRF ecliptic of J2000 that heliocentric states are given in
+const ECLIPTIC_J2000_TO_GCRS = new THREE.Matrix4().makeRotationX(84381.448 / 3600 * DEG_TO_RAD);
+
+// V-band extinction at sea level, magnitudes per airmass
+const DEFAULT_EXTINCTION = 0.2;
+
+export const CATALOGUE_FORMATS = {
+    BSC5: 'BSC5',
+    HIPPARCOS: 'HIPPARCOS'
+};
+
+// Catalogue epochs of position, Julian years (TDB)
+const CATALOGUE_EPOCHS = {
+    [CATALOGUE_FORMATS.BSC5]: 2000.0,
+    [CATALOGUE_FORMATS.HIPPARCOS]: 1991.25
+};
+
+// ===== PARSERS =====
+
+/**
+ * Columns (1-based, inclusive) of the BSC5 'catalog' file, per its ReadMe
+ */
+const BSC5_COLUMNS = {
+    hr: [1, 4], name: [5, 14],
+    raH: [76, 77], raM: [78, 79], raS: [80, 83],
+    decSign: [84, 84], decD: [85, 86], decM: [87, 88], decS: [89, 90],
+    vmag: [103, 107], bv: [110, 114],
+    pmRA: [149, 154], pmDec: [155, 160],
+    parallax: [162, 166], radialVelocity: [167, 170]
+};
+
+// Field numbers (H0..H77) of hip_main.dat
+const HIPPARCOS_FIELDS = {
+    hip: 1, vmag: 5, raDeg: 8, decDeg: 9, parallax: 11, pmRA: 12, pmDec: 13, bv: 37
+};
+
+/**
+ * Number from a fixed-width or delimited field; blank → null
+ */
+function field(text) {
+    const trimmed = (text || '').trim();
+    return trimmed === '' ? null : Number(trimmed);
+}
+
+function column(line, [from, to]) {
+    return line.slice(from - 1, to);
+}
+
+/**
+ * One BSC5 record → star, or null for the entries without a J2000 position
+ * (novae and other objects later removed from the catalogue)
+ * BSC5 proper motions are in "/yr with RA already multiplied by cos δ
+ */
+function parseBSC5Line(line) {
+    const value = key => field(column(line, BSC5_COLUMNS[key]));
+    if (value('raH') === null) return null;
+
+    const ra = (value('raH') + value('raM') / 60 + value('raS') / 3600) * 15 * DEG_TO_RAD;
+    const sign = column(line, BSC5_COLUMNS.decSign) === '-' ? -1 : 1;
+    const dec = sign * (value('decD') + value('decM') / 60 + value('decS') / 3600) * DEG_TO_RAD;
+
+    return {
+        id: `HR ${value('hr')}`,
+        name: column(line, BSC5_COLUMNS.name).trim() || null,
+        ra,
+        dec,
+        pmRA: (value('pmRA') ?? 0) * 1000,
+        pmDec: (value('pmDec') ?? 0) * 1000,
+        parallax: (value('parallax') ?? 0) * 1000,
+        radialVelocity: value('radialVelocity') ?? 0,
+        magnitude: value('vmag'),
+        bv: value('bv'),
+        epoch: CATALOGUE_EPOCHS[CATALOGUE_FORMATS.BSC5]
+    };
+}
+
+/**
+ * One hip_main.dat record → star, or null for the entries without astrometry
+ * Hipparcos has no radial velocities; negative parallaxes are kept as 0
+ */
+function parseHipparcosLine(line) {
+    const fields = line.split('|');
+    const value = key => field(fields[HIPPARCOS_FIELDS[key]]);
+    if (value('raDeg') === null) return null;
+
+    return {
+        id: `HIP ${value('hip')}`,
+        name: null,
+        ra: value('raDeg') * DEG_TO_RAD,
+        dec: value('decDeg') * DEG_TO_RAD,
+        pmRA: value('pmRA') ?? 0,
+        pmDec: value('pmDec') ?? 0,
+        parallax: Math.max(value('parallax') ?? 0, 0),
+        radialVelocity: 0,
+        magnitude: value('vmag'),
+        bv: value('bv'),
+        epoch: CATALOGUE_EPOCHS[CATALOGUE_FORMATS.HIPPARCOS]
+    };
+}
+
+const PARSERS = {
+    [CATALOGUE_FORMATS.BSC5]: parseBSC5Line,
+    [CATALOGUE_FORMATS.HIPPARCOS]: parseHipparcosLine
+};
+
+// ===== CATALOGUE =====
+
+/**
+ * Stars as read from the catalogue: ICRS ra/dec (rad) at their catalogue
+ * epoch (Julian year), pmRA = μα·cos δ and pmDec (mas/yr), parallax (mas),
+ * radialVelocity (km/s), V magnitude and B−V colour index
+ */
+export class StarCatalogue {
+    constructor(stars, { format = null, source = null } = {}) {
+        this.stars = stars;
+        this.format = format;
+        this.source = source;
+    }
+
+    /**
+     * Format of a catalogue file from its first record
+     */
+    static detectFormat(text) {
+        const first = text.split(/\r?\n/).find(line => line.trim() !== '');
+        if (!first) throw new Error('Empty star catalogue');
+        return /^H\s*\|/.test(first) ? CATALOGUE_FORMATS.HIPPARCOS : CATALOGUE_FORMATS.BSC5;
+    }
+
+    static parse(text, { format = StarCatalogue.detectFormat(text), source = null } = {}) {
+        const parser = PARSERS[format];
+        if (!parser) throw new Error(`Unsupported star catalogue format: ${format}`);
+
+        const stars = text.split(/\r?\n/)
+            .filter(line => line.trim() !== '')
+            .map(parser)
+            .filter(Boolean);
+
+        return new StarCatalogue(stars, { format, source });
+    }
+
+    static async fromFile(path, options = {}) {
+        const { readFile } = await import('node:fs/promises');
+        const text = await readFile(path, 'utf8');
+        return StarCatalogue.parse(text, { source: String(path), ...options });
+    }
+
+    get size() {
+        return this.stars.length;
+    }
+
+    find(id) {
+        return this.stars.find(star => star.id === id || star.name === id) || null;
+    }
+
+    /**
+     * Stars at or brighter than a V magnitude, brightest first
+     */
+    brighterThan(limit) {
+        return this.stars
+            .filter(star => star.magnitude !== null && star.magnitude <= limit)
+            .sort((a, b) => a.magnitude - b.magnitude);
+    }
+}
+
+// ===== APPARENT PLACE =====
+
+/**
+ * Unit vector from ICRS right ascension and declination (rad)
+ */
+function direction(ra, dec) {
+    return new THREE.Vector3(Math.cos(dec) * Math.cos(ra), Math.cos(dec) * Math.sin(ra), Math.sin(dec));
+}
+
+/**
+ * Kasten & Young (1989) relative air mass at an apparent altitude (degrees)
+ */
+function airMass(altitude) {
+    return 1 / (Math.sin(altitude * DEG_TO_RAD) + 0.50572 * Math.pow(altitude + 6.07995, -1.6364));
+}
+
+export class StarAstrometry {
+    /**
+     * ephemeris: any provider with state('earth', time) in the heliocentric
+     * J2000 ecliptic, e.g. AnalyticEphemeris
+     */
+    constructor({ ephemeris = new AnalyticEphemeris() } = {}) {
+        this.ephemeris = ephemeris;
+    }
+
+    /**
+     * Space motion from the catalogue epoch, seen from the observer
+     * p + Δt·μ − ϖ·E (SOFA pmpx), as a unit vector in GCRS axes;
+     * observer is the barycentric position in AU, t the TDB epoch in Julian years
+     */
+    static spaceMotion(star, t, observer = new THREE.Vector3()) {
+        const { ra, dec } = star;
+        const p = direction(ra, dec);
+        const east = new THREE.Vector3(-Math.sin(ra), Math.cos(ra), 0);
+        const north = new THREE.Vector3(-Math.sin(dec) * Math.cos(ra), -Math.sin(dec) * Math.sin(ra), Math.cos(dec));
+
+        const parallax = star.parallax * MAS_TO_RAD;
+        // Radial velocity as a fractional change of distance per year
+        const radial = star.radialVelocity * parallax * DAYS_PER_JULIAN_YEAR * 86400 / AU_KM;
+
+        const motion = east.multiplyScalar(star.pmRA * MAS_TO_RAD)
+            .add(north.multiplyScalar(star.pmDec * MAS_TO_RAD))
+            .add(p.clone().multiplyScalar(radial));
+
+        return p.add(motion.multiplyScalar(t - star.epoch))
+            .sub(observer.clone().multiplyScalar(parallax))
+            .normalize();
+    }
+
+    /**
+     * Gravitational light deflection by the Sun for a star at infinity
+     * sun: unit vector from the Sun to the observer, distance in AU
+     */
+    static deflect(p, sun, distance) {
+        return LightTime.deflect(p, p, sun, distance * AU_KM);
+    }
+
+    /**
+     * Stellar aberration; velocity in units of c, sunDistance in AU
+     */
+    static aberrate(p, velocity, sunDistance) {
+        return LightTime.aberrate(p, velocity.clone().multiplyScalar(LIGHT_SPEED_KM_S), sunDistance * AU_KM);
+    }
+
+    /**
+     * Everything the apparent place needs that does not depend on the star,
+     * computed once per instant and observer
+     * observer: { lat, lon (degrees), h (metres), pressure (hPa), temperature (°C) }
+     */
+    context(time, observer) {
+        const { lat, lon, h = 0, pressure = 1013.25, temperature = 10 } = observer;
+        const epoch = AnalyticEphemeris.toTDB(time);
+        const utc = epoch.to(TIME_SCALES.UTC);
+
+        const earth = this.ephemeris.state('earth', epoch);
+        const position = new THREE.Vector3(earth.position.x, earth.position.y, earth.position.z)
+            .applyMatrix4(ECLIPTIC_J2000_TO_GCRS);
+        const velocity = new THREE.Vector3(earth.velocity.x, earth.velocity.y, earth.velocity.z)
+            .applyMatrix4(ECLIPTIC_J2000_TO_GCRS);
+
+        // Diurnal motion of the site (ω × r; GCRS z is the pole to ~0.01°)
+        const ecefToGCRF = IAUTransform.ecefToGCRFMatrix(utc);
+        const site = Geodesy.geodeticToECEF(lat, lon, h);
+        const siteGCRS = new THREE.Vector3(site.x, site.y, site.z).applyMatrix4(ecefToGCRF).divideScalar(1000);
+        velocity.add(new THREE.Vector3(0, 0, EARTH_ROTATION_RATE).cross(siteGCRS));
+
+        const latRad = lat * DEG_TO_RAD;
+        const lonRad = lon * DEG_TO_RAD;
+        // GCRS → local East-North-Up, through the full IAU Earth-fixed chain
+        const enu = new THREE.Matrix4().set(
+            -Math.sin(lonRad), Math.cos(lonRad), 0, 0,
+            -Math.sin(latRad) * Math.cos(lonRad), -Math.sin(latRad) * Math.sin(lonRad), Math.cos(latRad), 0,
+            Math.cos(latRad) * Math.cos(lonRad), Math.cos(latRad) * Math.sin(lonRad), Math.sin(latRad), 0,
+            0, 0, 0, 1
+        ).multiply(ecefToGCRF.clone().transpose());
+
+        return {
+            epoch,
+            year: 2000 + (epoch.jd - JD_J2000) / DAYS_PER_JULIAN_YEAR,
+            observer: position.clone().divideScalar(AU_KM),
+            sun: position.clone().normalize(),
+            sunDistance: position.length() / AU_KM,
+            velocity: velocity.divideScalar(LIGHT_SPEED_KM_S),
+            enu,
+            pressure,
+            temperature
+        };
+    }
+
+    /**
+     * Apparent GCRS direction of a star (unit vector, proper direction
+     * corrected for space motion, parallax, deflection and aberration)
+     */
+    apparentDirection(star, context) {
+        const astrometric = StarAstrometry.spaceMotion(star, context.year, context.observer);
+        const deflected = StarAstrometry.deflect(astrometric, context.sun, context.sunDistance);
+        return StarAstrometry.aberrate(deflected, context.velocity, context.sunDistance);
+    }
+
+    /**
+     * Apparent right ascension and declination (degrees) in the GCRS
+     */
+    apparentPlace(star, time, observer = { lat: 0, lon: 0 }) {
+        const p = this.apparentDirection(star, this.context(time, observer));
+        let ra = Math.atan2(p.y, p.x) * RAD_TO_DEG;
+        if (ra < 0) ra += 360;
+        return { ra, dec: Math.asin(p.z) * RAD_TO_DEG };
+    }
+
+    /**
+     * Topocentric place of one star: azimuth (degrees from north through
+     * east), refracted altitude, the unrefracted geometricAltitude, an
+     * East-North-Up unit vector for renderers, and its V magnitude dimmed
+     * by extinction (catalogueMagnitude is the value as catalogued)
+     */
+    observe(star, context, { extinction = DEFAULT_EXTINCTION } = {}) {
+        const local = this.apparentDirection(star, context).applyMatrix4(context.enu);
+        const geometricAltitude = Math.asin(local.z) * RAD_TO_DEG;
+        const altitude = geometricAltitude
+            + Refraction.atmosphericRefraction(geometricAltitude, context.pressure, context.temperature);
+
+        let azimuth = Math.atan2(local.x, local.y) * RAD_TO_DEG;
+        if (azimuth < 0) azimuth += 360;
+
+        const alt = altitude * DEG_TO_RAD;
+        const az = azimuth * DEG_TO_RAD;
+        const visible = altitude > 0 && star.magnitude !== null;
+
+        return {
+            id: star.id,
+            name: star.name,
+            azimuth,
+            altitude,
+            geometricAltitude,
+            direction: {
+                east: Math.cos(alt) * Math.sin(az),
+                north: Math.cos(alt) * Math.cos(az),
+                up: Math.sin(alt)
+            },
+            magnitude: visible ? star.magnitude + extinction * airMass(altitude) : star.magnitude,
+            catalogueMagnitude: star.magnitude,
+            bv: star.bv
+        };
+    }
+
+    /**
+     * The visible sky: every star above the horizon (after refraction) and
+     * no fainter than magnitudeLimit (after extinction), brightest first
+     * stars: a StarCatalogue or an array of catalogue stars
+     */
+    observeSky(stars, time, observer, { magnitudeLimit = 6.5, extinction = DEFAULT_EXTINCTION } = {}) {
+        const context = this.context(time, observer);
+        const list = stars instanceof StarCatalogue ? stars.stars : stars;
+
+        return list
+            .filter(star => star.magnitude !== null && star.magnitude <= magnitudeLimit)
+            .map(star => this.observe(star, context, { extinction }))
+            .filter(place => place.altitude > 0 && place.magnitude <= magnitudeLimit)
+            .sort((a, b) => a.magnitude - b.magnitude);
+    }
+}
+
+export default {
+    StarCatalogue,
+    StarAstrometry,
+    CATALOGUE_FORMATS
+};
@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { EventFinder, EVENT_TYPES } from '../celestial-events.js';
+import { AnalyticEphemeris } from '../ephemeris.js';
+import { TIME_SCALES, JulianDate } from '../truth-contracts.js';
+import { VerificationManager } from '../verification-system.js';
+
+const finder = new EventFinder();
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+// Seconds between an event's TDB time and a UTC ISO stamp
+function offsetFrom(event, iso) {
+    return event.time.diffSeconds(JulianDate.fromDate(new Date(iso), TIME_SCALES.UTC).to(TIME_SCALES.TDB));
+}
+
+test('findSeasons gives the 2025 equinoxes and solstices to the minute', () => {
+    const seasons = finder.findSeasons(new Date('2025-01-01T00:00:00Z'), new Date('2026-01-01T00:00:00Z'));
+
+    assert.deepEqual(seasons.map(e => e.type), [
+        EVENT_TYPES.VERNAL_EQUINOX, EVENT_TYPES.SUMMER_SOLSTICE,
+        EVENT_TYPES.AUTUMNAL_EQUINOX, EVENT_TYPES.WINTER_SOLSTICE
+    ]);
+    // USNO
+    ['2025-03-20T09:01:00Z', '2025-06-21T02:42:00Z', '2025-09-22T18:19:00Z', '2025-12-21T15:03:00Z']
+        .forEach((iso, i) => assertClose(offsetFrom(seasons[i], iso), 0, 90, seasons[i].type));
+});
+
+test('findLunarPhases steps through the phases in order', () => {
+    const phases = finder.findLunarPhases(new Date('2025-01-01T00:00:00Z'), new Date('2025-02-01T00:00:00Z'));
+
+    assert.deepEqual(phases.map(e => e.type), [
+        EVENT_TYPES.FIRST_QUARTER, EVENT_TYPES.FULL_MOON, EVENT_TYPES.LAST_QUARTER, EVENT_TYPES.NEW_MOON
+    ]);
+    // USNO: full moon 2025-01-13 22:27, new moon 2025-01-29 12:36
+    assertClose(offsetFrom(phases[1], '2025-01-13T22:27:00Z'), 0, 120, 'full moon');
+    assertClose(offsetFrom(phases[3], '2025-01-29T12:36:00Z'), 0, 120, 'new moon');
+});
+
+test('precision sets how far each root is refined', () => {
+    let calls = 0;
+    const ephemeris = new AnalyticEphemeris();
+    const counting = { state: (body, time) => { calls++; return ephemeris.state(body, time); } };
+    const span = [new Date('2025-03-10T00:00:00Z'), new Date('2025-03-30T00:00:00Z')];
+
+    const fine = new EventFinder({ ephemeris: counting, precision: 0.01 }).findSeasons(...span);
+    const fineCalls = calls;
+    calls = 0;
+    const coarse = new EventFinder({ ephemeris: counting, precision: 600 }).findSeasons(...span);
+
+    assert.ok(calls < fineCalls, `${calls} vs ${fineCalls} ephemeris calls`);
+    assertClose(coarse[0].time.diffSeconds(fine[0].time), 0, 600, 'coarse equinox');
+});
+
+test('roots brackets sign changes and skips angle wrap-arounds', () => {
+    const start = JulianDate.fromISO('2025-01-01T00:00:00 TDB');
+    // A sawtooth angle: wraps from +180 to -180 at 12 h, crosses 0 at 6 h and 18 h
+    const sawtooth = epoch => {
+        const degrees = (epoch.diffSeconds(start) / 3600) * 30 - 180;
+        return ((degrees + 180) % 360 + 360) % 360 - 180;
+    };
+
+    const roots = finder.roots(sawtooth, start, start.addSeconds(24 * 3600), 3600);
+    assert.equal(roots.length, 2);
+    assertClose(roots[0].time.diffSeconds(start), 6 * 3600, 1, 'first root');
+    assert.ok(roots.every(root => root.rising));
+});
+
+test('the 2020 great conjunction comes out at 0.1° and verifies directly', () => {
+    const [conjunction] = finder.findConjunctions('jupiter', 'saturn',
+        new Date('2020-12-01T00:00:00Z'), new Date('2021-01-01T00:00:00Z'));
+
+    assert.equal(conjunction.type, EVENT_TYPES.GREAT_CONJUNCTION);
+    assert.deepEqual(conjunction.bodies, ['jupiter', 'saturn']);
+    assertClose(conjunction.separation, 0.1, 0.01, 'separation');
+    // Keplerian elements (~600") place it within a day of 18:20 UTC
+    assertClose(offsetFrom(conjunction, '2020-12-21T18:20:00Z'), 0, 86400, 'time');
+
+    const check = new VerificationManager().verifyCelestialEvent('jupiter_saturn_2020', conjunction);
+    assert.ok(check.passed);
+    assert.equal(check.details.simulatedSeparation, conjunction.separation);
+
+    // The right separation two days late is still a miss
+    const late = { ...conjunction, time: conjunction.time.addDays(2) };
+    const missed = new VerificationManager().verifyCelestialEvent('jupiter_saturn_2020', late);
+    assert.equal(missed.passed, false);
+    assert.equal(missed.error, check.error);
+    assert.ok(missed.details.errorSeconds > missed.details.timeTolerance);
+});
+
+test('findOppositions finds Mars in January 2025', () => {
+    const [opposition] = finder.findOppositions('mars', new Date('2025-01-01T00:00:00Z'), new Date('2025-02-01T00:00:00Z'));
+
+    assert.equal(opposition.type, EVENT_TYPES.OPPOSITION);
+    assertClose(offsetFrom(opposition, '2025-01-16T02:38:00Z'), 0, 3600, 'Mars opposition');
+    assertClose(opposition.distance, 9.6e7, 1e6, 'distance km');
+});
+
+test('riseTransitSet matches Greenwich sunrise and sunset at the equinox', () => {
+    const { rise, transit, set } = finder.riseTransitSet('sun', 51.4769, -0.0005, new Date('2025-03-20T00:00:00Z'));
+
+    assertClose(offsetFrom(rise, '2025-03-20T06:02:00Z'), 0, 90, 'sunrise');
+    assertClose(offsetFrom(transit, '2025-03-20T12:07:00Z'), 0, 90, 'transit');
+    assertClose(offsetFrom(set, '2025-03-20T18:13:00Z'), 0, 90, 'sunset');
+    assertClose(rise.azimuth, 89, 1, 'rise azimuth');
+    assertClose(transit.altitude, 90 - 51.4769, 0.5, 'transit altitude');
+
+    // Midnight sun: transits but never sets
+    const pole = finder.riseTransitSet('sun', 89, 0, new Date('2025-06-21T00:00:00Z'));
+    assert.equal(pole.rise, null);
+    assert.equal(pole.set, null);
+    assert.ok(pole.transit.altitude > 20);
+});
+
+test('riseTransitSet ray traces the horizon for given conditions', () => {
+    const greenwich = [51.4769, -0.0005, new Date('2025-03-20T00:00:00Z')];
+    const standard = finder.riseTransitSet('sun', ...greenwich);
+
+    // A standard atmosphere refracts ~33.8' at the horizon: within seconds of 34'
+    const traced = finder.riseTransitSet('sun', ...greenwich, { atmosphere: { temperature: 10, pressure: 1013.25 } });
+    assertClose(traced.set.time.diffSeconds(standard.set.time), 0, 5, 'sunset');
+
+    // A sea horizon 1.5° down, seen from a cliff: the Sun sets ~12 minutes later
+    const cliff = finder.riseTransitSet('sun', ...greenwich, { h: 700, horizon: -1.5 });
+    const delay = cliff.set.time.diffSeconds(standard.set.time);
+    assert.ok(delay > 600 && delay < 900, `delay ${delay} s`);
+});
+
+test('findEvents merges seasons, phases and eclipses in time order', () => {
+    const events = finder.findEvents(new Date('2024-03-15T00:00:00Z'), new Date('2024-04-15T00:00:00Z'));
+    const types = events.map(e => e.type);
+
+    assert.ok(types.includes(EVENT_TYPES.VERNAL_EQUINOX));
+    assert.ok(types.includes('total_solar_eclipse'));
+    assert.ok(types.includes('penumbral_lunar_eclipse'));
+    events.slice(1).forEach((event, i) => assert.ok(!events[i].time.isAfter(event.time)));
+});
+
+test('verifyCelestialEvent takes records, JulianDates and Dates', () => {
+    const verifier = new VerificationManager();
+    const [equinox] = finder.findSeasons(new Date('2025-03-10T00:00:00Z'), new Date('2025-03-30T00:00:00Z'));
+
+    assert.ok(verifier.verifyCelestialEvent('spring_equinox_2025', equinox).passed);
+    assert.ok(verifier.verifyCelestialEvent('spring_equinox_2025', equinox.time).passed);
+    assert.ok(verifier.verifyCelestialEvent('spring_equinox_2025', new Date('2025-03-20T09:30:00Z')).passed);
+    assert.ok(!verifier.verifyCelestialEvent('spring_equinox_2025', new Date('2025-03-20T11:00:00Z')).passed);
+
+    // A conjunction without a separation cannot be judged
+    assert.ok(!verifier.verifyCelestialEvent('jupiter_saturn_2020', { time: equinox.time }).passed);
+});
@@ -0,0 +1,669 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import * as THREE from 'three';
+
+import {
+    PrecessionNutation,
+    EarthRotation,
+    PolarMotion,
+    IAUTransform,
+    EclipseGeometry,
+    EclipsePredictor,
+    CelestialContract,
+    LightTime,
+    LIGHT_TIME_CORRECTIONS,
+    Refraction,
+    REFRACTION_CONDITIONS,
+    ORIGINS
+} from '../celestial-mechanics.js';
+import { AnalyticEphemeris } from '../ephemeris.js';
+import { VerificationManager } from '../verification-system.js';
+import {
+    FRAMES,
+    TIME_SCALES,
+    HEIGHT_DATUMS,
+    JulianDate,
+    TaggedPosition,
+    TruthContract,
+    FrameTransformer,
+    ContractViolationError
+} from '../truth-contracts.js';
+
+// THREE.Matrix4 stores elements column-major
+function rows(matrix) {
+    const e = matrix.elements;
+    return [0, 1, 2].map(i => [0, 1, 2].map(j => e[j * 4 + i]));
+}
+
+function assertMatrixClose(actual, expected, tolerance, label) {
+    const m = rows(actual);
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            const diff = Math.abs(m[i][j] - expected[i][j]);
+            assert.ok(diff < tolerance, `${label}[${i}][${j}] off by ${diff}`);
+        }
+    }
+}
+
+function assertOrthonormal(matrix, label) {
+    const m = rows(matrix);
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            const dot = m[i][0] * m[j][0] + m[i][1] * m[j][1] + m[i][2] * m[j][2];
+            assert.ok(Math.abs(dot - (i === j ? 1 : 0)) < 1e-14, `${label} not orthonormal`);
+        }
+    }
+    assert.ok(Math.abs(matrix.determinant() - 1) < 1e-14, `${label} not a proper rotation`);
+}
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+// SOFA/ERFA test epoch: 2400000.5 + 50123.9999 (TT), used by t_bp06 / t_pmat06
+const JD_SOFA = 2400000.5 + 50123.9999;
+
+// SOFA/ERFA test epoch for nutation and sidereal time (t_nut00b / t_gmst06)
+const JD_2006 = 2400000.5 + 53736.0;
+
+test('meanObliquity matches SOFA obl06', () => {
+    const eps = PrecessionNutation.meanObliquity(2400000.5 + 54388.0);
+    assert.ok(Math.abs(eps - 0.4090749229387258) < 1e-14);
+});
+
+test('fukushimaWilliamsAngles match SOFA pfw06', () => {
+    const { gamb, phib, psib, epsa } = PrecessionNutation.fukushimaWilliamsAngles(JD_SOFA);
+
+    assert.ok(Math.abs(gamb - -0.22433876709979958e-5) < 1e-16);
+    assert.ok(Math.abs(phib - 0.4091014602391313) < 1e-12);
+    assert.ok(Math.abs(psib - -0.9501954178013031e-3) < 1e-14);
+    assert.ok(Math.abs(epsa - 0.40910143165873675) < 1e-12);
+});
+
+test('frameBiasMatrix matches SOFA bp06', () => {
+    assertMatrixClose(PrecessionNutation.frameBiasMatrix(), [
+        [0.9999999999999942, -0.7078368960971557e-7, 0.8056213977613186e-7],
+        [0.7078368694637675e-7, 0.999999999999997, 0.3305943742989134e-7],
+        [-0.8056214211620056e-7, -0.3305943172740587e-7, 0.9999999999999962]
+    ], 1e-14, 'rb');
+});
+
+test('precessionMatrix matches SOFA bp06 at 1996 epoch', () => {
+    assertMatrixClose(PrecessionNutation.precessionMatrix(JD_SOFA), [
+        [0.999999550486496, 0.8696112578855405e-3, 0.377892929334139e-3],
+        [-0.8696112560510187e-3, 0.9999996218880459, -0.16916461689418963e-6],
+        [-0.3778929335557603e-3, -0.1594554040786495e-6, 0.9999999285984501]
+    ], 1e-12, 'rp');
+});
+
+test('biasPrecessionMatrix matches SOFA pmat06 at 1996 epoch', () => {
+    assertMatrixClose(PrecessionNutation.biasPrecessionMatrix(JD_SOFA), [
+        [0.9999995505176007, 0.8695404617348209e-3, 0.3779735201865589e-3],
+        [-0.8695404723772031e-3, 0.9999996219496027, -0.13617524970802702e-6],
+        [-0.37797349570340897e-3, -0.1924880847894457e-6, 0.9999999285679972]
+    ], 1e-12, 'rbp');
+});
+
+test('precessionMatrix is identity at J2000.0 and bias-precession reduces to bias', () => {
+    assertMatrixClose(PrecessionNutation.precessionMatrix(2451545.0), IDENTITY, 1e-15, 'P(J2000)');
+    assertMatrixClose(
+        PrecessionNutation.biasPrecessionMatrix(2451545.0),
+        rows(PrecessionNutation.frameBiasMatrix()),
+        1e-15,
+        'PB(J2000)'
+    );
+});
+
+test('four-angle precession agrees with Fukushima-Williams form across epochs', () => {
+    const bias = PrecessionNutation.frameBiasMatrix();
+
+    // 1900, 1950, 2050, 2100 (TT)
+    [2415020.0, 2433282.5, 2469807.5, 2488069.5].forEach(jdTT => {
+        const { gamb, phib, psib, epsa } = PrecessionNutation.fukushimaWilliamsAngles(jdTT);
+        const fw = PrecessionNutation.buildFukushimaWilliamsMatrix(gamb, phib, psib, epsa);
+        const expected = fw.multiply(bias.clone().transpose());
+
+        const P = PrecessionNutation.precessionMatrix(jdTT);
+        assertOrthonormal(P, `P(${jdTT})`);
+        assertMatrixClose(P, rows(expected), 1e-11, `P(${jdTT})`);
+    });
+});
+
+test('precession in right ascension is ~4613 arcsec per century', () => {
+    // Rotation about the pole after one century is ζA + zA ≈ 4613.6 arcsec
+    const P = rows(PrecessionNutation.precessionMatrix(2451545.0 + 36525));
+    const raDrift = -Math.atan2(P[0][1], P[0][0]) * 180 / Math.PI * 3600;
+
+    assert.ok(Math.abs(raDrift - 4613.6) < 1, `drift ${raDrift}`);
+});
+
+test('bpnMatrix is a proper rotation close to bias-precession', () => {
+    const jdTT = 2460000.5;
+    const BPN = PrecessionNutation.bpnMatrix(jdTT);
+    assertOrthonormal(BPN, 'BPN');
+
+    // Nutation never exceeds ~20 arcsec
+    const PB = rows(PrecessionNutation.biasPrecessionMatrix(jdTT));
+    assertMatrixClose(BPN, PB, 20 / 206265, 'BPN vs PB');
+});
+
+test('nutation matches SOFA nut00b', () => {
+    const { dpsi, deps } = PrecessionNutation.nutation(JD_2006);
+
+    assert.ok(Math.abs(dpsi - -0.9632552291148363e-5) < 1e-13);
+    assert.ok(Math.abs(deps - 0.4063197106621159e-4) < 1e-13);
+});
+
+test('nutation in longitude stays within the 18.6-year envelope', () => {
+    // Sample a full nodal cycle, monthly
+    let maxDpsi = 0;
+    for (let day = 0; day < 6800; day += 30) {
+        const { dpsi } = PrecessionNutation.nutation(2451545.0 + day);
+        maxDpsi = Math.max(maxDpsi, Math.abs(dpsi));
+    }
+
+    const maxArcsec = maxDpsi / Math.PI * 180 * 3600;
+    assert.ok(maxArcsec > 15 && maxArcsec < 19.5, `max |dpsi| = ${maxArcsec}"`);
+});
+
+test('greenwichMeanSiderealTime matches SOFA gmst06', () => {
+    const gmst = EarthRotation.greenwichMeanSiderealTime(JD_2006, JD_2006);
+    assert.ok(Math.abs(gmst - 1.7541749718700912) < 1e-11);
+});
+
+test('earthRotationAngle matches SOFA era00 for JD numbers and two-part JulianDates', () => {
+    const expected = 0.4022837240028158;
+    assert.ok(Math.abs(EarthRotation.earthRotationAngle(2400000.5 + 54388.0) - expected) < 1e-12);
+
+    const ut1 = JulianDate.fromMJD(54388.0, 0, TIME_SCALES.UT1);
+    assert.ok(Math.abs(EarthRotation.earthRotationAngle(ut1) - expected) < 1e-12);
+
+    // One microsecond of UT1 is ~7.3e-11 rad of rotation, lost in a single-number JD
+    const later = EarthRotation.earthRotationAngle(ut1.addSeconds(1e-6));
+    assert.ok(Math.abs(later - expected - 7.292115e-11) < 1e-14);
+
+    assert.throws(() => EarthRotation.earthRotationAngle(ut1.withScale(TIME_SCALES.TT)), /Time scale mismatch/);
+});
+
+test('sidereal times accept UT1 and TT JulianDates', () => {
+    const ut1 = JulianDate.fromMJD(53736.0, 0, TIME_SCALES.UT1);
+    const tt = ut1.withScale(TIME_SCALES.TT);
+
+    assert.ok(Math.abs(EarthRotation.greenwichMeanSiderealTime(ut1, tt) - 1.7541749718700912) < 1e-11);
+    assert.equal(
+        EarthRotation.greenwichApparentSiderealTime(ut1, tt),
+        EarthRotation.greenwichApparentSiderealTime(JD_2006, JD_2006)
+    );
+});
+
+test('equationOfEquinoxes matches SOFA ee00b', () => {
+    const ee = EarthRotation.equationOfEquinoxes(JD_2006);
+    assert.ok(Math.abs(ee - -0.8835700060003032e-5) < 1e-11);
+});
+
+test('greenwichApparentSiderealTime agrees with SOFA gst06a to 1 mas', () => {
+    // gst06a uses the full IAU 2000A series; 2000B is good to ~1 mas
+    const gast = EarthRotation.greenwichApparentSiderealTime(JD_2006, JD_2006);
+    assert.ok(Math.abs(gast - 1.754166137675019) < 1e-3 / 206265);
+    assert.ok(gast >= 0 && gast < 2 * Math.PI);
+});
+
+const EOP = { xp: 0.123456, yp: 0.234567 };
+
+const EPOCHS = [
+    new Date('1980-01-01T00:00:00Z'),
+    new Date('2000-01-01T12:00:00Z'),
+    new Date('2017-01-01T00:00:00Z'),
+    new Date('2024-04-08T18:17:00Z'),
+    new Date('2050-06-21T06:30:15.250Z')
+];
+
+// Surface, LEO, GEO and lunar-distance positions (metres, ECEF)
+const POSITIONS = [
+    { x: 6378137.0, y: 0, z: 0 },
+    { x: 3980581.21, y: -111.16, z: 4966824.52 },
+    { x: -2694045.3, y: -4293642.1, z: 3857878.9 },
+    { x: 4200000.0, y: 5100000.0, z: -1200000.0 },
+    { x: 42164000.0, y: 0, z: 0 },
+    { x: -2.1e8, y: 3.0e8, z: 1.1e8 }
+];
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+test('ECEF → GCRF → ECEF round-trips within a millimetre', () => {
+    EPOCHS.forEach(utc => {
+        POSITIONS.forEach(ecef => {
+            const gcrf = IAUTransform.ecefToGCRF(ecef, utc, EOP);
+            const back = IAUTransform.gcrfToECEF(gcrf, utc, EOP);
+
+            const err = distance(ecef, back);
+            assert.ok(err < 1e-3, `${utc.toISOString()} error ${err} m`);
+        });
+    });
+});
+
+test('GCRF → ECEF → GCRF round-trips within a millimetre', () => {
+    EPOCHS.forEach(utc => {
+        POSITIONS.forEach(gcrf => {
+            const ecef = IAUTransform.gcrfToECEF(gcrf, utc, EOP);
+            const back = IAUTransform.ecefToGCRF(ecef, utc, EOP);
+
+            const err = distance(gcrf, back);
+            assert.ok(err < 1e-3, `${utc.toISOString()} error ${err} m`);
+        });
+    });
+});
+
+test('ECEF ↔ GCRF preserves geocentric distance', () => {
+    const utc = EPOCHS[3];
+    POSITIONS.forEach(ecef => {
+        const gcrf = IAUTransform.ecefToGCRF(ecef, utc, EOP);
+        const r = Math.hypot(ecef.x, ecef.y, ecef.z);
+        assert.ok(Math.abs(Math.hypot(gcrf.x, gcrf.y, gcrf.z) - r) / r < 1e-12);
+    });
+});
+
+test('gcrfToECEF carries an Earth-fixed contract', () => {
+    const ecef = IAUTransform.gcrfToECEF(POSITIONS[1], EPOCHS[2], EOP);
+
+    assert.equal(ecef.frame, FRAMES.ECEF);
+    assert.equal(ecef.contract.frame, FRAMES.ECEF);
+    assert.equal(ecef.contract.timeScale, TIME_SCALES.UT1);
+    assert.equal(ecef.contract.origin, ORIGINS.GEOCENTRIC);
+});
+
+test('polarMotionMatrix tilts the pole by xp toward Greenwich and yp toward 90°W', () => {
+    // Celestial-intermediate pole expressed in ITRF: W * (0, 0, 1) ≈ (xp, -yp, 1)
+    const xp = 0.3, yp = 0.4;
+    const e = PolarMotion.polarMotionMatrix(xp, yp).clone().transpose().elements;
+    const arcsec = Math.PI / 180 / 3600;
+
+    // Third column of W = third row of W^T
+    assert.ok(Math.abs(e[8] - xp * arcsec) < 1e-12);
+    assert.ok(Math.abs(e[9] + yp * arcsec) < 1e-12);
+});
+
+test('gcrfToTopocentric puts a point straight overhead at the zenith', () => {
+    const utc = EPOCHS[3];
+    const lat = 29.9, lon = -99.8;
+
+    // 1000 km above the observer along the ellipsoid normal
+    const latRad = lat * Math.PI / 180;
+    const lonRad = lon * Math.PI / 180;
+    const a = 6378137.0, e2 = 6.69437999014e-3;
+    const N = a / Math.sqrt(1 - e2 * Math.sin(latRad) ** 2);
+    const h = 1.0e6;
+    const ecef = {
+        x: (N + h) * Math.cos(latRad) * Math.cos(lonRad),
+        y: (N + h) * Math.cos(latRad) * Math.sin(lonRad),
+        z: (N * (1 - e2) + h) * Math.sin(latRad)
+    };
+
+    const gcrf = IAUTransform.ecefToGCRF(ecef, utc, EOP);
+    const topo = IAUTransform.gcrfToTopocentric(gcrf, lat, lon, 0, utc, EOP);
+
+    assert.ok(topo.elevation > 89.9999, `elevation ${topo.elevation}`);
+    assert.ok(Math.abs(topo.range - h) < 1e-3);
+
+    assert.equal(topo.frame, FRAMES.TOPOCENTRIC);
+    assert.equal(topo.contract.origin, ORIGINS.TOPOCENTRIC);
+    assert.equal(topo.contract.timeScale, TIME_SCALES.UT1);
+    assert.equal(topo.contract.heightDatum, HEIGHT_DATUMS.ELLIPSOID);
+});
+
+test('gcrfToTopocentric measures azimuth from north through east', () => {
+    const utc = EPOCHS[2];
+
+    // Observer on the equator at 0°E; targets far along local north and east
+    const north = { x: 6378137.0, y: 0, z: 1.0e7 };
+    const east = { x: 6378137.0, y: 1.0e7, z: 0 };
+
+    const topoNorth = IAUTransform.gcrfToTopocentric(
+        IAUTransform.ecefToGCRF(north, utc, EOP), 0, 0, 0, utc, EOP
+    );
+    const topoEast = IAUTransform.gcrfToTopocentric(
+        IAUTransform.ecefToGCRF(east, utc, EOP), 0, 0, 0, utc, EOP
+    );
+
+    assert.ok(Math.abs(topoNorth.azimuth) < 1e-9 || Math.abs(topoNorth.azimuth - 360) < 1e-9);
+    assert.ok(Math.abs(topoNorth.elevation) < 1e-9);
+    assert.ok(Math.abs(topoEast.azimuth - 90) < 1e-9);
+    assert.ok(Math.abs(topoEast.range - 1.0e7) < 1e-3);
+});
+
+test('TaggedPosition convertTo uses the IAU chain once registered', () => {
+    const geocentric = new CelestialContract({
+        frame: FRAMES.ECEF,
+        timeScale: TIME_SCALES.UTC,
+        origin: ORIGINS.GEOCENTRIC
+    });
+    const epoch = JulianDate.fromISO('2021-06-21T12:00:00Z');
+    const ecef = new TaggedPosition({ x: 4e6, y: 3e6, z: 2e6 }, geocentric, epoch);
+    const eci = geocentric.with({ frame: FRAMES.ECI });
+
+    // Importing this module leaves the simplified GMST rotation in place
+    const simplified = FrameTransformer.ecefToECI(ecef, epoch.to(TIME_SCALES.UT1));
+    assert.ok(distance(ecef.convertTo(eci), simplified) < 1e-6);
+
+    const defaults = [[FRAMES.ECEF, FRAMES.ECI], [FRAMES.ECI, FRAMES.ECEF]]
+        .map(([from, to]) => [from, to, FrameTransformer.getConversion(from, to)]);
+    try {
+        IAUTransform.registerFrameConversions();
+        const gcrf = ecef.convertTo(eci);
+        const expected = IAUTransform.ecefToGCRF(ecef, epoch);
+        assert.ok(distance(gcrf, expected) < 1e-6);
+        assert.ok(distance(gcrf, simplified) > 1e3, 'precession and nutation move it by kilometres');
+        assert.ok(gcrf.convertTo(geocentric).distanceTo(ecef) < 1e-3);
+    } finally {
+        defaults.forEach(([from, to, convert]) => FrameTransformer.registerConversion(from, to, convert));
+    }
+});
+
+test('CelestialContract refuses to combine different origins', () => {
+    const contract = new CelestialContract({
+        frame: FRAMES.ECI,
+        timeScale: TIME_SCALES.TDB,
+        origin: ORIGINS.GEOCENTRIC
+    });
+    const barycentric = contract.with({ origin: ORIGINS.BARYCENTRIC });
+
+    assert.deepEqual(contract.mismatches(barycentric), ['origin']);
+    const originless = new TruthContract({ frame: FRAMES.ECI, timeScale: TIME_SCALES.TDB });
+    assert.deepEqual(contract.mismatches(originless), ['origin']);
+    assert.throws(
+        () => new TaggedPosition({ x: 1, y: 0, z: 0 }, contract)
+            .subtract(new TaggedPosition({ x: 1, y: 0, z: 0 }, barycentric)),
+        error => error instanceof ContractViolationError && error.field === 'origin'
+    );
+});
+
+// ===== LIGHT TIME =====
+
+const AU = 149597870.7;
+const ARCSEC = Math.PI / (180 * 3600);
+const PERIHELION = JulianDate.fromISO('2024-01-03T00:00:00 TDB');
+const ephemeris = new AnalyticEphemeris();
+
+// Heliocentric Earth, tau seconds before PERIHELION
+const earthBefore = tau => ephemeris.state('earth', PERIHELION.addSeconds(-tau)).position;
+
+function vector(v) {
+    return new THREE.Vector3(v.x, v.y, v.z);
+}
+
+test('solve retards the target by its own light time', () => {
+    const { position, velocity } = ephemeris.state('earth', PERIHELION);
+    const exact = LightTime.solve(earthBefore, { x: 0, y: 0, z: 0 });
+
+    // 0.9833 AU
+    assertClose(exact.lightTime, 0.98329 * AU / 299792.458, 0.1, 'light time (s)');
+    assertClose(exact.lightTime, exact.distance / 299792.458, 1e-9, 'self-consistent');
+    assert.ok(exact.iterations <= 4);
+    // 30.29 km/s for 490.6 s
+    assertClose(exact.position.distanceTo(vector(position)), 30.29 * 490.6, 20, 'retardation (km)');
+
+    const linear = LightTime.solve({ position, velocity }, { x: 0, y: 0, z: 0 });
+    assertClose(linear.position.distanceTo(exact.position), 0, 1, 'linear vs exact (km)');
+});
+
+test('shapiroDelay reaches ~124 µs for Earth-Mars at superior conjunction', () => {
+    const limb = 696000;
+    const earth = { x: -AU, y: limb, z: 0 };
+    const mars = { x: 1.52 * AU, y: limb, z: 0 };
+
+    // (2GM/c³) ln(4 r1 r2 / b²) for a ray grazing the limb
+    const expected = 2 * 1.32712440018e11 / Math.pow(299792.458, 3) * Math.log(4 * AU * 1.52 * AU / (limb * limb));
+    assertClose(LightTime.shapiroDelay(earth, mars) * 1e6, expected * 1e6, 0.5, 'delay (µs)');
+    assertClose(expected * 1e6, 124, 1, 'delay (µs)');
+
+    const plain = LightTime.solve({ position: mars, velocity: { x: 0, y: 0, z: 0 } }, earth);
+    const delayed = LightTime.solve({ position: mars, velocity: { x: 0, y: 0, z: 0 } }, earth, { shapiro: true });
+    assertClose(delayed.lightTime - plain.lightTime, expected, 1e-8, 'added to light time');
+});
+
+test('deflect bends grazing light 1.75" and leaves foreground bodies alone', () => {
+    const sunToEarth = new THREE.Vector3(-1, 0, 0);
+    const elongation = 0.2666 * Math.PI / 180;
+    const p = new THREE.Vector3(Math.cos(elongation), Math.sin(elongation), 0);
+
+    const grazing = LightTime.deflect(p, p, sunToEarth, AU);
+    assertClose(grazing.angleTo(p) / ARCSEC, 1.75, 0.01, 'deflection (")');
+
+    // Venus at inferior conjunction: its light never passes the Sun
+    const inFront = LightTime.deflect(p, sunToEarth.clone(), sunToEarth, AU);
+    assertClose(inFront.angleTo(p) / ARCSEC, 0, 1e-6, 'foreground (")');
+});
+
+test('the apparent Sun trails the geometric one by the aberration constant', () => {
+    const earth = ephemeris.state('earth', PERIHELION);
+    const sun = { position: { x: 0, y: 0, z: 0 }, velocity: { x: 0, y: 0, z: 0 } };
+    const observer = { position: earth.position, velocity: earth.velocity };
+
+    const geometric = LightTime.correct(sun, observer, { correction: LIGHT_TIME_CORRECTIONS.GEOMETRIC });
+    const astrometric = LightTime.correct(sun, observer, { correction: LIGHT_TIME_CORRECTIONS.ASTROMETRIC });
+    const apparent = LightTime.correct(sun, observer);
+
+    // The Sun is the origin: light time alone does not move it
+    assertClose(astrometric.position.distanceTo(geometric.position), 0, 1e-6, 'astrometric (km)');
+    assertClose(astrometric.lightTime, geometric.distance / 299792.458, 1e-6, 'light time (s)');
+
+    // v⊥/c at perihelion, ~20.8"
+    const v = vector(earth.velocity);
+    const vPerp = v.clone().projectOnPlane(geometric.position.clone().normalize()).length();
+    assertClose(apparent.position.angleTo(geometric.position) / ARCSEC, vPerp / 299792.458 / ARCSEC, 0.01, 'aberration (")');
+    assertClose(apparent.distance, geometric.distance, 1e-6, 'distance kept (km)');
+    // Displaced toward the direction of motion
+    assert.ok(apparent.position.clone().sub(geometric.position).dot(v) > 0);
+
+    assert.throws(() => LightTime.correct(sun, observer, { correction: 'LT+S' }), /Unknown light-time correction: LT\+S/);
+});
+
+test('verifyPosition compares like with like against an astrometric reference', () => {
+    const verifier = new VerificationManager();
+    const { position, velocity } = ephemeris.state('earth', PERIHELION);
+    // Earth seen from the Sun as a Horizons VEC_CORR=LT table gives it
+    const reference = LightTime.correct(earthBefore, { position: { x: 0, y: 0, z: 0 } },
+        { correction: LIGHT_TIME_CORRECTIONS.ASTROMETRIC }).position;
+
+    const naive = verifier.verifyPosition('earth', position, reference, PERIHELION);
+    assert.equal(naive.passed, false);
+    assertClose(naive.error, 14860, 20, 'geometric vs astrometric (km)');
+
+    const corrected = verifier.verifyPosition('earth', position, reference, PERIHELION,
+        { correction: LIGHT_TIME_CORRECTIONS.ASTROMETRIC, velocity });
+    assert.ok(corrected.passed);
+    assertClose(corrected.error, 0, 1, 'astrometric (km)');
+    assert.equal(corrected.details.correction, LIGHT_TIME_CORRECTIONS.ASTROMETRIC);
+    assert.equal(corrected.contract, position.contract);
+
+    assert.throws(() => verifier.verifyPosition('earth', position, reference, PERIHELION,
+        { correction: LIGHT_TIME_CORRECTIONS.APPARENT }), /APPARENT position of earth needs its velocity/);
+});
+
+// ===== ECLIPSES =====
+// Reference values: NASA/GSFC eclipse predictions (Espenak)
+
+const eclipses = new EclipsePredictor(new AnalyticEphemeris());
+const utcSeconds = jd => jd.to(TIME_SCALES.UTC).toDate().getTime() / 1000;
+
+test('shadowGroundTrack meets the WGS84 ellipsoid under an overhead Moon', () => {
+    const moon = { x: 384400, y: 0, z: 0 };
+    const cone = EclipseGeometry.calculateShadowCone({ x: 1.496e8, y: 0, z: 0 }, moon);
+    const track = EclipseGeometry.shadowGroundTrack(cone, moon, { x: 0, y: 1, z: 0 });
+
+    assertClose(track.centerline.lat, 0, 1e-9, 'lat');
+    assertClose(track.centerline.lon, 0, 1e-9, 'lon');
+    assertClose(track.centerline.ecef.x, 6378.137, 1e-6, 'equatorial radius');
+    assertClose(track.sunAltitude, 90, 1e-6, 'Sun altitude');
+    assert.equal(track.type, 'annular');
+
+    // Overhead, the footprint is the shadow's own cross-section
+    assertClose(track.pathWidth, 2 * Math.abs(track.umbraRadius), 1e-9, 'width');
+    // Moon's 1 km/s, plus the axis swinging about the Moon, less the ground's rotation
+    const speed = 1 + 378021.863 / cone.sunMoonDist - 7.292115e-5 * 6378.137;
+    assertClose(track.totalityDuration, track.pathWidth / speed, 1e-6, 'duration');
+
+    const miss = EclipseGeometry.shadowGroundTrack(cone, { x: 384400, y: 7000, z: 0 });
+    assert.equal(miss.centerline, null);
+});
+
+test('Besselian elements match NASA for 2024 April 8, 18:00 TDT', () => {
+    const elements = eclipses.besselianElements(JulianDate.fromISO('2024-04-08T18:00:00 TDB'));
+
+    assertClose(elements.x, -0.318244, 0.002, 'x');
+    assertClose(elements.y, 0.219764, 0.002, 'y');
+    assertClose(elements.d, 7.5862, 0.001, 'd');
+    assertClose(elements.l1, 0.535814, 0.0001, 'l1');
+    assertClose(elements.l2, -0.010272, 0.0001, 'l2');
+    assertClose(elements.tanF1, 0.0046683, 1e-6, 'tan f1');
+    assertClose(elements.tanF2, 0.0046450, 1e-6, 'tan f2');
+});
+
+test('findSolarEclipses finds the 2024 total and annular eclipses', () => {
+    const found = eclipses.findSolarEclipses(new Date('2024-01-01T00:00:00Z'), new Date('2024-12-31T00:00:00Z'));
+    assert.deepEqual(found.map(e => e.type), ['total', 'annular']);
+
+    const [total, annular] = found;
+    assertClose(utcSeconds(total.time), Date.parse('2024-04-08T18:17:16Z') / 1000, 60, 'greatest eclipse');
+    assertClose(total.gamma, 0.3431, 0.002, 'gamma');
+    assertClose(total.magnitude, 1.0566, 0.001, 'magnitude');
+
+    const greatest = total.greatestEclipse;
+    assertClose(greatest.centerline.lat, 25.3, 0.1, 'greatest eclipse lat');
+    assertClose(greatest.centerline.lon, -104.1, 0.15, 'greatest eclipse lon');
+    assertClose(greatest.pathWidth, 197.5, 2, 'path width km');
+    assertClose(greatest.totalityDuration, 268.1, 2, 'central duration s');
+
+    assertClose(utcSeconds(annular.time), Date.parse('2024-10-02T18:45:13Z') / 1000, 60, 'annular');
+    assertClose(annular.greatestEclipse.totalityDuration, 445, 3, 'annularity s');
+});
+
+test('centralLine runs Pacific to Atlantic in time order', () => {
+    const [total] = eclipses.findSolarEclipses(new Date('2024-04-01T00:00:00Z'), new Date('2024-04-15T00:00:00Z'));
+    const line = eclipses.centralLine(total);
+
+    assert.ok(line.length > 30);
+    line.slice(1).forEach((point, i) => assert.ok(point.time.isAfter(line[i].time)));
+    assert.ok(line[0].centerline.lon < -140 && line.at(-1).centerline.lon > -50);
+    line.forEach(point => assert.equal(point.type, 'total'));
+});
+
+test('localCircumstances give totality in Texas and a partial eclipse in New York', () => {
+    const [total] = eclipses.findSolarEclipses(new Date('2024-04-01T00:00:00Z'), new Date('2024-04-15T00:00:00Z'));
+
+    const texas = eclipses.localCircumstances(total, 29.9, -99.8);
+    assert.equal(texas.type, 'total');
+    assertClose(texas.duration, 268, 15, 'duration near the centre line');
+    const { first, second, third, fourth } = texas.contacts;
+    assert.ok(second.isAfter(first) && third.isAfter(second) && fourth.isAfter(third));
+    assertClose(third.diffSeconds(second), texas.duration, 1e-6, 'C3 − C2');
+
+    const newYork = eclipses.localCircumstances(total, 40.7128, -74.006);
+    assert.equal(newYork.type, 'partial');
+    assertClose(newYork.magnitude, 0.90, 0.01, 'New York magnitude');
+    assert.equal(newYork.contacts.second, null);
+
+    // Night side of the Earth
+    assert.equal(eclipses.localCircumstances(total, 35.68, 139.69).type, 'none');
+
+    // Searched from nearly four hours early, third contact falls past the window
+    const early = { ...total, time: texas.maximum.addSeconds(60 - 4 * 3600) };
+    const clipped = eclipses.localCircumstances(early, 29.9, -99.8);
+    assert.equal(clipped.type, 'total');
+    assert.equal(clipped.contacts.third, null);
+    assert.equal(clipped.duration, null);
+    const check = new VerificationManager().verifyEclipseDuration('solar_eclipse_2024', clipped.duration);
+    assert.equal(check.passed, false);
+    assert.ok(Number.isNaN(check.error));
+});
+
+test('findLunarEclipses reproduces the 2025 March 14 umbral magnitude', () => {
+    const [lunar] = eclipses.findLunarEclipses(new Date('2025-03-01T00:00:00Z'), new Date('2025-03-31T00:00:00Z'));
+
+    assert.equal(lunar.type, 'total');
+    assertClose(lunar.umbralMagnitude, 1.178, 0.005, 'umbral magnitude');
+    assertClose(lunar.penumbralMagnitude, 2.2595, 0.005, 'penumbral magnitude');
+    assertClose(utcSeconds(lunar.time), Date.parse('2025-03-14T06:58:43Z') / 1000, 60, 'greatest eclipse');
+    assertClose(lunar.totality, 65 * 60, 60, 'totality s');
+
+    const order = ['P1', 'U1', 'U2', 'U3', 'U4', 'P4'].map(key => lunar.contacts[key]);
+    order.slice(1).forEach((contact, i) => assert.ok(contact.isAfter(order[i])));
+});
+
+test('findEclipses orders both kinds and rejects non-geocentric providers', () => {
+    const found = eclipses.findEclipses(new Date('2025-01-01T00:00:00Z'), new Date('2025-12-31T00:00:00Z'));
+    assert.deepEqual(found.map(e => `${e.kind} ${e.type}`), ['lunar total', 'solar partial', 'lunar total', 'solar partial']);
+
+    const heliocentric = {
+        state: () => ({
+            contract: new CelestialContract({ frame: FRAMES.HELIOCENTRIC_ECLIPTIC, timeScale: TIME_SCALES.TDB, origin: ORIGINS.HELIOCENTRIC }),
+            position: { x: 0, y: 0, z: 0 },
+            velocity: { x: 0, y: 0, z: 0 }
+        })
+    };
+    assert.throws(() => new EclipsePredictor(heliocentric).besselianElements(new Date()), ContractViolationError);
+});
+
+// ===== REFRACTION =====
+
+// SLALIB/PAL's refro test case, zenith distance 1.4 rad
+const PAL_CONDITIONS = {
+    height: 3456.7, temperature: 280 - 273.15, pressure: 678.9, humidity: 0.9,
+    wavelength: 0.55, latitude: -0.3 * 180 / Math.PI, lapseRate: 0.006, precision: 1e-9
+};
+const PAL_ALTITUDE = 90 - 1.4 * 180 / Math.PI;
+
+test('rayTraced reproduces the SLALIB refraction test values', () => {
+    const optical = Refraction.rayTraced(PAL_ALTITUDE, PAL_CONDITIONS) * Math.PI / 180;
+    assertClose(optical, 0.00106715763, 1e-12, 'optical (rad)');
+
+    const radio = Refraction.rayTraced(PAL_ALTITUDE, { ...PAL_CONDITIONS, wavelength: 1000 }) * Math.PI / 180;
+    assertClose(radio, 0.001296416185295403, 1e-12, 'radio (rad)');
+});
+
+test('rayTraced agrees with Bennett and keeps going below the horizon', () => {
+    // Standard conditions: ~1' at 45°, ~34' on the horizon
+    assertClose(Refraction.rayTraced(45) * 60, 0.97, 0.01, '45° (\')');
+    assertClose(Refraction.atmosphericRefraction(45) * 60, 0.99, 0.01, 'Bennett 45° (\')');
+    assertClose(Refraction.rayTraced(0) * 60, Refraction.atmosphericRefraction(0) * 60, 1, 'horizon (\')');
+    assertClose(Refraction.rayTraced(90), 0, 1e-12, 'zenith');
+
+    // Bennett stops at -2°; the ray trace grows smoothly to its -3° floor
+    assert.equal(Refraction.atmosphericRefraction(-2.5), 0);
+    const below = [-1, -2, -2.5, -3].map(altitude => Refraction.rayTraced(altitude));
+    below.reduce((previous, refraction) => {
+        assert.ok(refraction > previous);
+        return refraction;
+    });
+    assertClose(Refraction.rayTraced(-4), below[3], 1e-12, 'floor');
+});
+
+test('humidity, wavelength and height change the refraction', () => {
+    const standard = Refraction.rayTraced(5);
+
+    // Water vapour refracts less than the dry air it displaces at optical wavelengths
+    assert.ok(Refraction.rayTraced(5, { humidity: 1 }) < standard);
+    // Blue is refracted more than red
+    assert.ok(Refraction.rayTraced(5, { wavelength: 0.45 }) > Refraction.rayTraced(5, { wavelength: 0.65 }));
+    // A mountain-top observer looks through less air
+    const summit = Refraction.rayTraced(5, { height: 4200, pressure: 615 });
+    assert.ok(summit < standard * 0.7);
+
+    assert.equal(REFRACTION_CONDITIONS.wavelength, 0.574);
+});
+
+test('apparentToTrue and trueToApparent invert each other', () => {
+    [60, 10, 0, -1, -2.5].forEach(apparent => {
+        const trueAltitude = Refraction.apparentToTrue(apparent, PAL_CONDITIONS);
+        assert.ok(trueAltitude < apparent);
+        assertClose(Refraction.trueToApparent(trueAltitude, PAL_CONDITIONS), apparent, 1e-8, `${apparent}°`);
+    });
+
+    // An object on the apparent horizon is ~34' below the true one
+    assertClose(Refraction.apparentToTrue(0), -0.5636, 0.005, 'horizon (°)');
+});
+
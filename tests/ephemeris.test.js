@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+    AnalyticEphemeris,
+    VSOP87Series,
+    VSOP87_EARTH,
+    KeplerianElements,
+    LunarTheory,
+    SolarTheory
+} from '../ephemeris.js';
+import { CelestialContract, ORIGINS } from '../celestial-mechanics.js';
+import { FRAMES, TIME_SCALES, JulianDate, TaggedPosition, TaggedVelocity } from '../truth-contracts.js';
+import { HorizonsAPI, AutomatedTestSuite } from '../verification-system.js';
+
+const AU_KM = 149597870.7;
+const RAD_TO_DEG = 180 / Math.PI;
+
+const VSOP87_FIXTURE = new URL('./fixtures/vsop87d-earth-truncated.ear', import.meta.url);
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+test('VSOP87 Earth matches Meeus example 25.b', () => {
+    const { L, B, R } = VSOP87_EARTH.evaluate(2448908.5);
+
+    assertClose(L * RAD_TO_DEG, 19.907372, 1e-6, 'L');
+    assertClose(B * RAD_TO_DEG, -0.000179, 1e-6, 'B');
+    assertClose(R, 0.99760775, 1e-8, 'R');
+});
+
+test('VSOP87Series parses the official fixed-column file format', async () => {
+    const series = await VSOP87Series.fromFile(VSOP87_FIXTURE);
+    assert.equal(series.body, 'earth');
+    assert.equal(series.ofDate, true);
+
+    [2448908.5, 2451545.0, 2460000.25].forEach(jd => {
+        const parsed = series.evaluate(jd);
+        const builtIn = VSOP87_EARTH.evaluate(jd);
+        assertClose(parsed.L, builtIn.L, 1e-12, `L at ${jd}`);
+        assertClose(parsed.B, builtIn.B, 1e-12, `B at ${jd}`);
+        assertClose(parsed.R, builtIn.R, 1e-12, `R at ${jd}`);
+    });
+
+    assert.throws(() => VSOP87Series.parse('no series here'), /No VSOP87 series/);
+    assert.throws(
+        () => VSOP87Series.parse(' VSOP87 VERSION A1    EARTH     VARIABLE 1 (XYZ)       *T**0      1 TERMS'),
+        /not spherical/
+    );
+});
+
+test('Low-precision Sun matches Meeus example 25.a', () => {
+    const sun = SolarTheory.geocentric(2448908.5);
+
+    assertClose(sun.lon, 199.90988, 1e-4, 'true longitude');
+    assertClose(sun.distance, 0.99766, 1e-5, 'distance');
+});
+
+test('Lunar theory matches Meeus example 47.a', () => {
+    const moon = LunarTheory.geocentric(2448724.5);
+
+    assertClose(moon.lon, 133.162655, 1e-6, 'λ');
+    assertClose(moon.lat, -3.229126, 1e-6, 'β');
+    assertClose(moon.distance, 368409.7, 0.1, 'Δ');
+});
+
+test('Keplerian Earth-Moon barycentre stays close to VSOP87 Earth', () => {
+    const ephemeris = new AnalyticEphemeris();
+    const epoch = JulianDate.fromISO('2024-01-01T00:00:00 TDB');
+    const earth = ephemeris.state('earth', epoch).position;
+    const emb = KeplerianElements.position('emb', epoch.jd);
+
+    // Barycentre offset (~4700 km) plus the elements' own error
+    const separation = Math.hypot(emb.x * AU_KM - earth.x, emb.y * AU_KM - earth.y, emb.z * AU_KM - earth.z);
+    assert.ok(separation < 30000, `separation ${separation} km`);
+
+    assert.throws(() => KeplerianElements.position('vulcan', epoch.jd), /No Keplerian elements/);
+});
+
+test('state tags planets heliocentric-ecliptic and Sun/Moon geocentric, in TDB', () => {
+    const ephemeris = new AnalyticEphemeris();
+    const date = new Date('2024-03-20T03:06:00Z');
+
+    const earth = ephemeris.state(399, date);
+    assert.equal(earth.body, 'earth');
+    assert.ok(earth.position instanceof TaggedPosition);
+    assert.ok(earth.velocity instanceof TaggedVelocity);
+    assert.ok(earth.contract instanceof CelestialContract);
+    assert.equal(earth.contract.frame, FRAMES.HELIOCENTRIC_ECLIPTIC);
+    assert.equal(earth.contract.origin, ORIGINS.HELIOCENTRIC);
+    assert.equal(earth.epoch.timeScale, TIME_SCALES.TDB);
+    assertClose(earth.epoch.diffSeconds(JulianDate.fromDate(date, TIME_SCALES.UTC).to(TIME_SCALES.TDB)), 0, 1e-6, 'epoch');
+    assert.ok(earth.contract.tolerance.position_km > 500 && earth.contract.tolerance.position_km < 1000);
+
+    const moon = ephemeris.state('moon', date);
+    assert.equal(moon.contract.frame, FRAMES.ECI);
+    assert.equal(moon.contract.origin, ORIGINS.GEOCENTRIC);
+
+    // At the March equinox the Sun sits at the equinox of date, which
+    // precession since J2000 has moved ~0.34° along the GCRS ecliptic
+    const sun = ephemeris.state('sun', date).position;
+    assertClose(Math.atan2(sun.y, sun.x) * RAD_TO_DEG, -0.31, 0.01, 'right ascension');
+    assertClose(Math.atan2(sun.z, Math.hypot(sun.x, sun.y)) * RAD_TO_DEG, -0.1345, 0.01, 'declination');
+
+    assert.throws(() => ephemeris.state('vulcan', date), /no theory for body: vulcan/);
+});
+
+test('geocentric Sun mirrors heliocentric Earth', () => {
+    const ephemeris = new AnalyticEphemeris();
+    const date = new Date('2025-06-20T22:42:00Z');
+    const earth = ephemeris.state('earth', date).position;
+    const sun = ephemeris.state('sun', date).position;
+
+    // Rotate the Sun's GCRS vector into the J2000 ecliptic
+    const eps = 84381.448 / 3600 / RAD_TO_DEG;
+    const sunEcliptic = {
+        x: sun.x,
+        y: sun.y * Math.cos(eps) + sun.z * Math.sin(eps),
+        z: -sun.y * Math.sin(eps) + sun.z * Math.cos(eps)
+    };
+
+    const mismatch = Math.hypot(earth.x + sunEcliptic.x, earth.y + sunEcliptic.y, earth.z + sunEcliptic.z);
+    assert.ok(mismatch < 30000, `mismatch ${mismatch} km`);
+});
+
+test('velocities have the expected orbital speeds', () => {
+    const ephemeris = new AnalyticEphemeris();
+    const date = new Date('2024-07-04T12:00:00Z');
+    const speed = v => Math.hypot(v.x, v.y, v.z);
+
+    const earth = speed(ephemeris.state('earth', date).velocity);
+    assert.ok(earth > 29.2 && earth < 30.4, `Earth ${earth} km/s`);
+
+    const moon = speed(ephemeris.state('moon', date).velocity);
+    assert.ok(moon > 0.95 && moon < 1.09, `Moon ${moon} km/s`);
+
+    const jupiter = speed(ephemeris.state('jupiter', date).velocity);
+    assert.ok(jupiter > 12.4 && jupiter < 13.8, `Jupiter ${jupiter} km/s`);
+});
+
+test('loaded VSOP87 series replace the built-in theory for their body', async () => {
+    const series = await VSOP87Series.fromFile(VSOP87_FIXTURE);
+    const ephemeris = new AnalyticEphemeris({ series: { mars: series } });
+
+    const mars = ephemeris.state('mars', new Date('2024-01-01T00:00:00Z'));
+    assert.match(mars.source, /vsop87d-earth-truncated/);
+    assert.ok(ephemeris.bodies().includes('mars'));
+    assert.ok(!ephemeris.bodies().includes('emb'));
+});
+
+test('fetchPosition has the HorizonsAPI shape and backs the test suite', async () => {
+    const ephemeris = new AnalyticEphemeris();
+    const timestamp = new Date('2024-04-08T18:17:00Z');
+    const result = await ephemeris.fetchPosition('moon', timestamp);
+
+    assert.equal(result.body, 'moon');
+    assert.equal(result.timestamp, timestamp);
+    assert.equal(result.source, 'ANALYTIC_ELP');
+    assert.equal(result.contract.timeScale, TIME_SCALES.TDB);
+    const distance = Math.hypot(result.position.x, result.position.y, result.position.z);
+    assert.ok(distance > 356000 && distance < 407000, `distance ${distance} km`);
+
+    const horizons = await new HorizonsAPI().fetchPosition('moon', timestamp);
+    assert.deepEqual(horizons.position, result.position);
+
+    const suite = new AutomatedTestSuite({});
+    assert.ok(suite.ephemeris instanceof AnalyticEphemeris);
+    assert.equal(new AutomatedTestSuite({}, horizons).ephemeris, horizons);
+});
@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { WGS84, Geodesy, Geodesic, LocalFrame } from '../geodesy.js';
+import {
+    TruthContract,
+    TaggedPosition,
+    ContractViolationError,
+    WGS84_LANDMARKS_CORRECTED,
+    FRAMES,
+    TIME_SCALES
+} from '../truth-contracts.js';
+
+const dms = (d, m, s) => Math.sign(d) * (Math.abs(d) + m / 60 + s / 3600);
+
+// Half the WGS84 meridian: the shortest line between exact antipodes
+const HALF_MERIDIAN = 20003931.4586;
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+test('geodeticToECEF places the equator, poles and Everest correctly', () => {
+    const greenwich = Geodesy.geodeticToECEF(0, 0, 0);
+    assert.equal(greenwich.x, WGS84.a);
+    assert.equal(greenwich.y, 0);
+
+    const pole = Geodesy.geodeticToECEF(90, 0, 100);
+    assertClose(pole.z, WGS84.b + 100, 1e-6, 'pole z');
+
+    const everest = WGS84_LANDMARKS_CORRECTED.mount_everest;
+    const ecef = Geodesy.geodeticToECEF(everest.lat, everest.lon, everest.ellipsoidHeight);
+    assertClose(Math.hypot(ecef.x, ecef.y, ecef.z), 6382300, 1000, 'Everest geocentric radius');
+});
+
+test('ecefToGeodetic inverts geodeticToECEF to the sub-millimetre without iterating', () => {
+    // Deterministic spread of latitudes, longitudes and heights (deep ocean to GEO)
+    for (let i = 0; i < 500; i++) {
+        const lat = -90 + (i * 37.3) % 180;
+        const lon = -180 + (i * 71.9) % 360;
+        const h = -11000 + (i * 7919.7) % 36000000;
+
+        const geodetic = Geodesy.ecefToGeodetic(Geodesy.geodeticToECEF(lat, lon, h));
+        assertClose(geodetic.lat, lat, 1e-10, `lat #${i}`);
+        assertClose(geodetic.h, h, 1e-4, `h #${i}`);
+        if (Math.abs(lat) < 89.999) {
+            assertClose(((geodetic.lon - lon + 540) % 360) - 180, 0, 1e-10, `lon #${i}`);
+        }
+    }
+
+    assert.deepEqual(Geodesy.ecefToGeodetic({ x: 0, y: 0, z: -WGS84.b - 5 }), { lat: -90, lon: 0, h: 5 });
+});
+
+test('ecefToGeodetic accepts ECEF tagged positions and rejects other frames', () => {
+    const ecefContract = new TruthContract({ frame: FRAMES.ECEF, timeScale: TIME_SCALES.UTC });
+    const tagged = new TaggedPosition(Geodesy.geodeticToECEF(45, 7, 300), ecefContract);
+    assertClose(Geodesy.ecefToGeodetic(tagged).h, 300, 1e-6, 'h');
+
+    const eci = new TaggedPosition(tagged, ecefContract.with({ frame: FRAMES.ECI }));
+    assert.throws(() => Geodesy.ecefToGeodetic(eci), ContractViolationError);
+});
+
+test('Geodesic inverse matches Vincenty\'s Flinders Peak → Buninyong example', () => {
+    const result = Geodesic.inverse(
+        dms(-37, 57, 3.72030), dms(144, 25, 29.52440),
+        dms(-37, 39, 10.15610), dms(143, 55, 35.38390)
+    );
+
+    assertClose(result.distance, 54972.271, 1e-3, 'distance');
+    assertClose(result.azimuth1, dms(306, 52, 5.37), 1e-5, 'azimuth1');
+    assertClose(result.azimuth2, dms(127, 10, 25.07) + 180, 1e-5, 'azimuth2');
+    assert.equal(result.method, 'VINCENTY');
+});
+
+test('Geodesic inverse matches GeographicLib for JFK → LHR', () => {
+    const result = Geodesic.inverse(40.6, -73.8, 51.6, -0.5);
+
+    assertClose(result.distance, 5551759.400319, 1e-3, 'distance');
+    assertClose(result.azimuth1, 51.198882845, 1e-8, 'azimuth1');
+    assertClose(result.azimuth2, 107.821776735, 1e-8, 'azimuth2');
+});
+
+test('Geodesic inverse falls back to Newton for nearly antipodal points', () => {
+    // Vincenty's iteration does not converge here (Karney 2013)
+    const nearAntipode = Geodesic.inverse(0, 0, 0.5, 179.7);
+    assert.equal(nearAntipode.method, 'NEWTON');
+    assertClose(nearAntipode.distance, 19944127.421, 1e-3, 'distance');
+
+    const end = Geodesic.direct(0, 0, nearAntipode.azimuth1, nearAntipode.distance);
+    assertClose(end.lat, 0.5, 1e-9, 'lat');
+    assertClose(end.lon, 179.7, 1e-9, 'lon');
+
+    // Exact antipodes: the shortest line is a meridian, not the equator
+    assertClose(Geodesic.inverse(0, 0, 0, 180).distance, HALF_MERIDIAN, 1e-3, 'equatorial antipodes');
+    assertClose(Geodesic.inverse(10, 0, -10, 180).distance, HALF_MERIDIAN, 1e-3, 'antipodes');
+});
+
+test('Geodesic direct and inverse round-trip', () => {
+    const cases = [
+        [27.988056, 86.925278, 225, 1.5e6],
+        [-33.8688, 151.2093, 12.5, 12e6],
+        [64.1, -21.9, 359.9, 300],
+        [0, 0, 90, 1e7]
+    ];
+
+    cases.forEach(([lat, lon, azimuth, distance]) => {
+        const end = Geodesic.direct(lat, lon, azimuth, distance);
+        const back = Geodesic.inverse(lat, lon, end.lat, end.lon);
+
+        assertClose(back.distance, distance, 1e-4, `distance from ${lat}, ${lon}`);
+        assertClose(back.azimuth1, azimuth, 1e-6, `azimuth1 from ${lat}, ${lon}`);
+        assertClose(back.azimuth2, end.azimuth2, 1e-6, `azimuth2 from ${lat}, ${lon}`);
+    });
+
+    assert.deepEqual(Geodesic.inverse(12, 34, 12, 34), { distance: 0, azimuth1: 0, azimuth2: 0, method: 'VINCENTY' });
+});
+
+test('LocalFrame ENU and NED axes point east, north and up', () => {
+    const frame = new LocalFrame(45, 10, 200);
+
+    const up = frame.geodeticToENU(45, 10, 1200);
+    assertClose(up.up, 1000, 1e-6, 'up');
+    assertClose(Math.hypot(up.east, up.north), 0, 1e-6, 'horizontal');
+
+    const north = frame.geodeticToENU(45.001, 10, 200);
+    assert.ok(north.north > 111 && north.north < 112, `north ${north.north}`);
+    assert.ok(north.up < 0, 'curvature drops the northern point below the horizon');
+
+    const ned = frame.ecefToNED(frame.enuToECEF({ east: 3, north: 4, up: 5 }));
+    assertClose(ned.north, 4, 1e-6, 'N');
+    assertClose(ned.east, 3, 1e-6, 'E');
+    assertClose(ned.down, -5, 1e-6, 'D');
+
+    const back = frame.nedToECEF(ned);
+    const expected = frame.enuToECEF({ east: 3, north: 4, up: 5 });
+    assertClose(back.x, expected.x, 1e-6, 'x');
+});
+
+test('LocalFrame bearings agree with the geodesic azimuth over short distances', () => {
+    const frame = new LocalFrame(51.4779, -0.0015, 0);
+    const end = Geodesic.direct(51.4779, -0.0015, 63, 2000);
+
+    const enu = frame.geodeticToENU(end.lat, end.lon, 0);
+    const { azimuth, elevation, range } = LocalFrame.enuToAzimuthElevation(enu);
+
+    assertClose(azimuth, 63, 1e-3, 'azimuth');
+    assertClose(range, 2000, 0.01, 'range');
+    assert.ok(elevation < 0 && elevation > -0.02, `elevation ${elevation}`);
+
+    const geodetic = frame.enuToGeodetic(enu);
+    assertClose(geodetic.lat, end.lat, 1e-10, 'lat');
+    assertClose(geodetic.h, 0, 1e-6, 'h');
+});
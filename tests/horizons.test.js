@@ -0,0 +1,158 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+    HorizonsVectorTable,
+    EphemerisTable,
+    EphemerisCache,
+    INTERPOLATION,
+    normalizeStep
+} from '../horizons.js';
+import { AnalyticEphemeris } from '../ephemeris.js';
+import { ORIGINS } from '../celestial-mechanics.js';
+import { FRAMES, TIME_SCALES, JulianDate, TaggedPosition } from '../truth-contracts.js';
+import { HorizonsAPI, AutomatedTestSuite } from '../verification-system.js';
+
+// Synthetic exports in the Horizons layouts, generated from ephemeris.js
+const EARTH_TEXT = new URL('./fixtures/horizons-earth-vectors.txt', import.meta.url);
+const MOON_CSV = new URL('./fixtures/horizons-moon-vectors.csv', import.meta.url);
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+test('parses a Horizons text vector table', async () => {
+    const table = await HorizonsVectorTable.fromFile(EARTH_TEXT);
+
+    assert.equal(table.body, 'earth');
+    assert.equal(table.center, 'sun');
+    assert.equal(table.step, '1440m');
+    assert.equal(table.samples.length, 11);
+    assert.equal(table.contract.frame, FRAMES.HELIOCENTRIC_ECLIPTIC);
+    assert.equal(table.contract.timeScale, TIME_SCALES.TDB);
+    assert.equal(table.contract.origin, ORIGINS.HELIOCENTRIC);
+
+    const first = table.samples[0];
+    assert.equal(first.epoch.day, 2460310);
+    assert.equal(first.epoch.fraction, 0.5);
+    assert.equal(first.position.x, -2.481097080464532e7);
+    assert.equal(first.velocity.z, 1.222609939674536e-3);
+    assert.equal(table.end.toISOString(0), '2024-01-11T00:00:00 TDB');
+});
+
+test('parses a Horizons CSV table and converts AU-D to km and km/s', async () => {
+    const table = await HorizonsVectorTable.fromFile(MOON_CSV);
+
+    assert.equal(table.body, 'moon');
+    assert.equal(table.step, '360m');
+    assert.equal(table.contract.frame, FRAMES.ECI);
+    assert.equal(table.contract.origin, ORIGINS.GEOCENTRIC);
+
+    const reference = new AnalyticEphemeris().state('moon', table.samples[4].epoch);
+    assertClose(distance(table.samples[4].position, reference.position), 0, 1e-6, 'position km');
+    assertClose(distance(table.samples[4].velocity, reference.velocity), 0, 1e-12, 'velocity km/s');
+});
+
+test('rejects malformed and unsupported exports', async () => {
+    const text = await readFile(EARTH_TEXT, 'utf8');
+
+    assert.throws(() => HorizonsVectorTable.parse('Target body name: Earth (399)'), /No \$\$SOE/);
+    assert.throws(
+        () => HorizonsVectorTable.parse(text.replace('Center-site name: BODY CENTER', 'Center-site name: Greenwich')),
+        /Topocentric/
+    );
+    assert.throws(() => HorizonsVectorTable.parse(text.replace('KM-S', 'AU-S')), /output units AU-S/);
+    assert.throws(() => HorizonsVectorTable.parse(text.replace('Sun (10)', 'Mars (499)')), /centre Mars/);
+    assert.throws(() => HorizonsVectorTable.parse(text.replace(/^ VX=.*\n/m, '')), /missing VX, VY, VZ/);
+});
+
+test('normalizeStep accepts Horizons step spellings', () => {
+    assert.equal(normalizeStep('1d'), '1440m');
+    assert.equal(normalizeStep('6 h'), '360m');
+    assert.equal(normalizeStep('1440 minutes'), '1440m');
+    assert.throws(() => normalizeStep('1 mo'), /Unsupported Horizons step size/);
+});
+
+test('Hermite and Lagrange interpolation recover the underlying orbit', async () => {
+    const earth = await HorizonsVectorTable.fromFile(EARTH_TEXT);
+    const moon = await HorizonsVectorTable.fromFile(MOON_CSV);
+    const analytic = new AnalyticEphemeris();
+
+    const cases = [
+        [earth, JulianDate.fromISO('2024-01-05T12:00:00 TDB'), 0.1],
+        [moon, JulianDate.fromISO('2024-04-09T03:00:00 TDB'), 0.1]
+    ];
+
+    cases.forEach(([table, epoch, toleranceKm]) => {
+        const truth = analytic.state(table.body, epoch);
+        [INTERPOLATION.HERMITE, INTERPOLATION.LAGRANGE].forEach(method => {
+            const state = table.state(epoch, { method });
+            assert.ok(state.position instanceof TaggedPosition);
+            assertClose(distance(state.position, truth.position), 0, toleranceKm, `${table.body} ${method} position`);
+            assertClose(distance(state.velocity, truth.velocity), 0, 1e-5, `${table.body} ${method} velocity`);
+        });
+    });
+
+    // Nodes are reproduced exactly
+    const node = earth.state(earth.samples[3].epoch);
+    assert.equal(node.position.x, earth.samples[3].position.x);
+});
+
+test('interpolation converts the request epoch and refuses to extrapolate', async () => {
+    const table = await HorizonsVectorTable.fromFile(EARTH_TEXT);
+
+    // A UTC Date lands 69.184 s later on the TDB axis
+    const state = table.state(new Date('2024-01-03T00:00:00Z'));
+    assertClose(state.epoch.diffSeconds(table.samples[2].epoch), 69.184, 1e-3, 'TDB − UTC');
+    assert.equal(state.epoch.timeScale, TIME_SCALES.TDB);
+
+    assert.throws(() => table.state(new Date('2024-01-12T00:00:00Z')), /outside the earth table span/);
+    assert.throws(() => table.state(table.start, { method: 'spline' }), /Unsupported interpolation/);
+});
+
+test('EphemerisCache stores exports keyed by body, span and step', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'horizons-cache-'));
+    try {
+        const cache = new EphemerisCache(join(directory, 'tables'));
+        const stored = await cache.put(await readFile(EARTH_TEXT, 'utf8'));
+        assert.match(stored.source, /earth_20240101T000000_20240111T000000_1440m\.txt$/);
+
+        const hit = await cache.get(399, '2024-01-01', '2024-01-11', '1 d');
+        assert.equal(hit.samples.length, 11);
+        assert.equal(await cache.get('earth', '2024-01-01', '2024-01-12', '1d'), null);
+
+        const api = new HorizonsAPI({ cache });
+        const ephemeris = await api.fetchEphemeris('earth', new Date('2024-01-01T00:00:00Z'), new Date('2024-01-11T00:00:00Z'));
+        assert.equal(ephemeris.data.length, 11);
+        assert.equal(ephemeris.source, hit.source);
+        assert.equal(ephemeris.contract.frame, FRAMES.HELIOCENTRIC_ECLIPTIC);
+    } finally {
+        await rm(directory, { recursive: true, force: true });
+    }
+});
+
+test('fetchEphemeris samples the offline fallback on a cache miss', async () => {
+    const ephemeris = await new HorizonsAPI().fetchEphemeris('mars', '2024-01-01', '2024-01-03', '12h');
+
+    assert.equal(ephemeris.data.length, 5);
+    assert.equal(ephemeris.step, '720m');
+    assert.equal(ephemeris.source, 'ANALYTIC_KEPLERIAN');
+    assert.equal(ephemeris.data[4].epoch.toISOString(0), '2024-01-03T00:00:00 TDB');
+    assert.throws(() => EphemerisTable.sample(new AnalyticEphemeris(), 'mars', '2024-01-03', '2024-01-01', '1d'), /Empty ephemeris span/);
+});
+
+test('a parsed table can back the automated test suite', async () => {
+    const table = await HorizonsVectorTable.fromFile(EARTH_TEXT);
+    const suite = new AutomatedTestSuite({}, table);
+
+    const reference = await suite.ephemeris.fetchPosition('earth', new Date('2024-01-04T06:00:00Z'));
+    assert.equal(reference.contract, table.contract);
+    await assert.rejects(suite.ephemeris.fetchPosition('moon', new Date('2024-01-04T06:00:00Z')), /holds earth, not moon/);
+});
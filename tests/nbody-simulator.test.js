@@ -0,0 +1,181 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { NBodySimulator, INTEGRATORS, SOLAR_SYSTEM_BODIES } from '../nbody-simulator.js';
+import { ASTRO_CONSTANTS, AutomatedTestSuite } from '../verification-system.js';
+import { ORIGINS } from '../celestial-mechanics.js';
+import { FRAMES, TIME_SCALES, JulianDate, ContractViolationError } from '../truth-contracts.js';
+
+const EPOCH = new Date('2024-01-01T00:00:00Z');
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+/**
+ * Sun and one planet on a circular orbit of radius a (km)
+ */
+function twoBody(integrator, a = ASTRO_CONSTANTS.AU) {
+    const gm = 3.986e5;
+    const speed = Math.sqrt((ASTRO_CONSTANTS.GM_SUN + gm) / a);
+    return new NBodySimulator({
+        integrator,
+        ephemeris: null,
+        bodies: [
+            { name: 'sun', gm: ASTRO_CONSTANTS.GM_SUN, parent: null },
+            { name: 'planet', gm, parent: 'sun', position: { x: a, y: 0, z: 0 }, velocity: { x: 0, y: speed, z: 0 } }
+        ]
+    });
+}
+
+test('every integrator closes a circular two-body orbit', () => {
+    Object.values(INTEGRATORS).forEach(integrator => {
+        const sim = twoBody(integrator);
+        const start = sim.relativeState('planet').r;
+        const { period } = sim.osculatingElements('planet');
+
+        sim.step(period / 86400);
+        const end = sim.relativeState('planet').r;
+        // Leapfrog's second-order phase error is ~230 km per orbit at 0.05 d steps
+        const tolerance = integrator === INTEGRATORS.LEAPFROG ? 500 : 0.01;
+        assert.ok(distance(start, end) < tolerance, `${integrator}: ${distance(start, end)} km`);
+    });
+});
+
+test('integrators conserve energy and angular momentum over a year', () => {
+    Object.values(INTEGRATORS).forEach(integrator => {
+        const sim = new NBodySimulator({ integrator, epoch: EPOCH });
+        const E0 = sim.calculateTotalEnergy();
+        const L0 = sim.calculateAngularMomentum();
+
+        sim.step(365.25);
+
+        const dE = Math.abs(sim.calculateTotalEnergy() - E0) / Math.abs(E0);
+        const dL = distance(sim.calculateAngularMomentum(), L0) / Math.hypot(L0.x, L0.y, L0.z);
+        assert.ok(dE < 1e-8, `${integrator} energy ${dE}`);
+        assert.ok(dL < 1e-12, `${integrator} angular momentum ${dL}`);
+    });
+});
+
+test('integrators agree on the solar system a month ahead', () => {
+    const positions = Object.values(INTEGRATORS).map(integrator => {
+        const sim = new NBodySimulator({ integrator, epoch: EPOCH }).step(30);
+        return { earth: sim.getPosition('earth'), moon: sim.getPosition('moon') };
+    });
+    const [leapfrog, rk45, radau] = positions;
+
+    assert.ok(distance(rk45.earth, radau.earth) < 0.01, 'RK45 vs Gauss-Radau Earth');
+    assert.ok(distance(rk45.moon, radau.moon) < 0.01, 'RK45 vs Gauss-Radau Moon');
+    assert.ok(distance(leapfrog.moon, radau.moon) < 200, 'leapfrog vs Gauss-Radau Moon');
+});
+
+test('starts on the analytic ephemeris with the barycentre at rest', () => {
+    const sim = new NBodySimulator({ epoch: EPOCH });
+    assert.equal(sim.getTime().timeScale, TIME_SCALES.TDB);
+
+    // Total momentum is zero
+    const { v, gm } = sim.state;
+    const momentum = [0, 1, 2].map(k => gm.reduce((sum, m, i) => sum + m * v[3 * i + k], 0));
+    momentum.forEach(p => assertClose(p, 0, 1e-3, 'momentum'));
+
+    const moon = sim.getPosition('moon');
+    assert.equal(moon.contract.frame, FRAMES.ECI);
+    assert.equal(moon.contract.origin, ORIGINS.GEOCENTRIC);
+    const earthMoon = Math.hypot(moon.x, moon.y, moon.z);
+    assert.ok(earthMoon > 356000 && earthMoon < 407000, `Earth-Moon ${earthMoon} km`);
+
+    const earth = sim.getPosition('earth');
+    assert.equal(earth.contract.frame, FRAMES.HELIOCENTRIC_ECLIPTIC);
+    assert.ok(earth.epoch.equals(sim.getTime()));
+
+    assert.throws(() => sim.getPosition('vulcan'), /Unknown body: vulcan/);
+    assert.throws(() => new NBodySimulator({ integrator: 'euler' }), /Unknown integrator: euler/);
+});
+
+test('getBodies reports heliocentric orbits obeying Kepler\'s third law', () => {
+    const bodies = new NBodySimulator({ epoch: EPOCH }).getBodies();
+
+    assert.deepEqual(
+        bodies.map(body => body.name),
+        SOLAR_SYSTEM_BODIES.filter(body => body.parent === 'sun').map(body => body.name)
+    );
+    const earth = bodies.find(body => body.name === 'earth');
+    assertClose(earth.semiMajorAxis / ASTRO_CONSTANTS.AU, 1, 0.001, 'Earth a (AU)');
+    assertClose(earth.period / 86400, 365.25, 0.5, 'Earth period (days)');
+});
+
+test('measureOrbitalPeriod finds sidereal periods without moving the simulation', () => {
+    const sim = new NBodySimulator({ epoch: EPOCH });
+    const before = sim.getPosition('earth');
+
+    assertClose(sim.measureOrbitalPeriod('earth'), ASTRO_CONSTANTS.EARTH_ORBIT.period, 0.01, 'Earth');
+    // Solar perturbations make individual sidereal months differ by hours
+    assertClose(sim.measureOrbitalPeriod('moon'), ASTRO_CONSTANTS.MOON_ORBIT.period, 0.05, 'Moon');
+
+    assert.deepEqual(sim.getPosition('earth'), before);
+    assert.throws(() => sim.measureOrbitalPeriod('sun'), /no parent body/);
+});
+
+test('a body with no state needs an ephemeris', () => {
+    assert.throws(
+        () => new NBodySimulator({ epoch: EPOCH, ephemeris: null }),
+        /Body mercury has no state and there is no ephemeris/
+    );
+});
+
+test('clone copies the current state of a simulator without an ephemeris', () => {
+    const sim = twoBody(INTEGRATORS.GAUSS_RADAU);
+    sim.step(30);
+    const copy = sim.clone();
+
+    assert.deepEqual(copy.getPosition('planet'), sim.getPosition('planet'));
+    copy.step(30);
+    sim.step(30);
+    assert.deepEqual(copy.getPosition('planet'), sim.getPosition('planet'));
+});
+
+test('getLandmarkPosition returns WGS84 ECEF in km', () => {
+    const sim = new NBodySimulator({ epoch: EPOCH });
+    const pole = sim.getLandmarkPosition('north_pole');
+
+    assertClose(pole.z, 6356.752314245, 1e-6, 'polar radius');
+    assert.equal(pole.contract.frame, FRAMES.ECEF);
+    assert.throws(() => sim.getLandmarkPosition('atlantis'), /Unknown landmark/);
+});
+
+test('AutomatedTestSuite.runAllTests runs end to end against the simulator', async () => {
+    const sim = new NBodySimulator({ epoch: EPOCH });
+    const report = await new AutomatedTestSuite(sim).runAllTests();
+    const result = name => report.tests.find(t => t.name.startsWith(name));
+
+    assert.equal(report.summary.total, 16);
+    report.tests.forEach(entry => {
+        assert.ok(entry.passed, `${entry.name} failed: ${entry.residual} ${entry.unit} (tolerance ${entry.tolerance})`);
+    });
+
+    // Positions are checked a day in, before two years of conservation runs
+    const earth = result('Position: earth');
+    assert.ok(earth.residual < 10, `Earth ${earth.residual} km`);
+    assert.ok(result('Position: moon').residual < 1);
+    assertClose(JulianDate.fromDate(EPOCH).to(TIME_SCALES.TDB).diffSeconds(sim.getTime()), -731.5 * 86400, 1e-3, 'elapsed');
+
+    // Landmarks are judged against published ECEF, not Geodesy itself
+    assert.deepEqual(report.tests.filter(t => t.type === 'geodesy').map(t => t.id),
+        ['geodesy:north_pole', 'geodesy:equator_null_island', 'geodesy:epsg_example']);
+    assert.ok(result('WGS84: EPSG').residual < 1e-5);
+});
+
+test('AutomatedTestSuite rejects a reference in a different contract', async () => {
+    const sim = new NBodySimulator({ epoch: EPOCH });
+    const geocentric = {
+        fetchPosition: async (body, timestamp) => ({
+            body, timestamp, position: { x: 0, y: 0, z: 0 }, contract: sim.getPosition('moon').contract
+        })
+    };
+
+    await assert.rejects(new AutomatedTestSuite(sim, geocentric).testEarthPosition(), ContractViolationError);
+});
@@ -0,0 +1,661 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import * as THREE from 'three';
+
+import {
+    PhysicsEngine,
+    SeededRandom,
+    WindSystem,
+    CollisionSystem,
+    HeightfieldCollider,
+    DistanceConstraint,
+    BallSocketConstraint,
+    HingeConstraint,
+    SpringConstraint,
+    COLLISION_LAYERS,
+    COLLIDER_SHAPES,
+    findContact
+} from '../physics-engine.js';
+import { InfiniteBiomeGenerator } from '../infinite-biomes.js';
+
+// Binary fractions keep accumulator sums exact
+const STEP = 1 / 64;
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+/**
+ * Engine with two balls dropped side by side and a floating crate
+ */
+function world(options = {}) {
+    const engine = new PhysicsEngine(new THREE.Scene(), { fixedTimeStep: STEP, seed: 7, ...options });
+    engine.createFallingObject(new THREE.Vector3(0, 10, 0), new THREE.Object3D(), 2);
+    engine.createFallingObject(new THREE.Vector3(0.6, 12, 0), new THREE.Object3D());
+    engine.createFloatingObject(new THREE.Vector3(5, 1, 5), new THREE.Object3D());
+    return engine;
+}
+
+function snapshot(engine) {
+    return engine.objects.map(obj => [...obj.position.toArray(), ...obj.velocity.toArray()]);
+}
+
+test('SeededRandom repeats its sequence and seeds the wind', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    const sequence = Array.from({ length: 5 }, () => a.next());
+    assert.deepEqual(Array.from({ length: 5 }, () => b.next()), sequence);
+    sequence.forEach(value => assert.ok(value >= 0 && value < 1));
+    assert.notEqual(new SeededRandom(43).next(), sequence[0]);
+
+    const first = new WindSystem({ seed: 3 });
+    const second = new WindSystem({ seed: 3 });
+    first.spawnGust();
+    second.spawnGust();
+    assert.deepEqual(first.gusts, second.gusts);
+});
+
+test('results do not depend on the frame rate', () => {
+    const smooth = world();
+    const choppy = world();
+
+    for (let i = 0; i < 128; i++) smooth.update(1 / 64);
+    // The same 2 s in uneven frames, each within maxSubSteps
+    const frames = [4, 1, 3, 5, 5, 5, 4, 5].map(n => n / 128);
+    for (let i = 0; i < 8; i++) frames.forEach(frame => choppy.update(frame));
+
+    assert.equal(smooth.stepCount, 128);
+    assert.equal(choppy.stepCount, smooth.stepCount);
+    assert.deepEqual(snapshot(choppy), snapshot(smooth));
+});
+
+test('slow frames run several steps and count the time they drop', () => {
+    const engine = world({ fixedTimeStep: 1 / 60, maxSubSteps: 5 });
+
+    assert.equal(engine.update(0.05), 3);
+    assert.equal(engine.droppedTime, 0);
+
+    // Half a second in one frame: five steps, the rest dropped in whole steps
+    assert.equal(engine.update(0.5), 5);
+    assertClose(engine.droppedTime, 25 / 60, 1e-9, 'dropped (s)');
+    assertClose(engine.stepCount / 60 + engine.droppedTime + engine.accumulator, 0.55, 1e-9, 'time accounted');
+    assert.equal(engine.getStats().steps, 8);
+
+    assert.equal(engine.update(0), 0);
+    assert.equal(engine.update(-1), 0);
+});
+
+test('meshes are interpolated between the last two steps', () => {
+    const engine = world();
+    const [ball] = engine.objects;
+
+    engine.update(STEP * 2.25);
+    assert.ok(ball.position.y < ball.previousPosition.y);
+    const expected = ball.previousPosition.clone().lerp(ball.position, 0.25);
+    assert.deepEqual(ball.mesh.position.toArray(), expected.toArray());
+
+    // Moving an object does not drag its mesh across the scene
+    ball.setPosition(new THREE.Vector3(20, 5, 0));
+    engine.update(STEP / 2);
+    assert.deepEqual(ball.mesh.position.toArray(), [20, 5, 0]);
+});
+
+test('a recorded session replays bit-identically', () => {
+    const live = world();
+    live.startRecording({ seed: 1234 });
+
+    const frames = [1 / 30, 1 / 90, 1 / 45, 1 / 60, 1 / 20];
+    for (let i = 0; i < 150; i++) {
+        if (i === 10) live.queueImpulse(live.objects[0], new THREE.Vector3(3, 8, 0));
+        if (i === 40) live.createExplosion(new THREE.Vector3(0, 0, 0), 25, 15);
+        if (i === 41) live.createWind(new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 1), 12, 30, 2);
+        live.update(frames[i % frames.length]);
+    }
+    const recording = JSON.parse(JSON.stringify(live.stopRecording()));
+
+    assert.equal(recording.seed, 1234);
+    assert.equal(recording.steps, live.stepCount);
+    assert.deepEqual(recording.inputs.map(input => input.type), ['impulse', 'impulse', 'impulse', 'impulse', 'gust']);
+
+    const replayed = world();
+    assert.equal(replayed.replay(recording), recording.steps);
+    assert.deepEqual(snapshot(replayed), snapshot(live));
+    assert.deepEqual(replayed.wind.gusts, live.wind.gusts);
+
+    // Without the inputs the session goes elsewhere
+    const quiet = world();
+    quiet.replay({ ...recording, inputs: [] });
+    assert.notDeepEqual(snapshot(quiet), snapshot(live));
+
+    assert.throws(() => quiet.applyInput({ type: 'teleport' }), /Unknown physics input: teleport/);
+
+    // Impulses for objects the engine does not hold fail loudly, live and on replay
+    const stranger = new PhysicsEngine(new THREE.Scene()).createFallingObject(new THREE.Vector3(), new THREE.Object3D());
+    assert.throws(() => quiet.queueImpulse(stranger, new THREE.Vector3(1, 0, 0)), /outside the engine/);
+    assert.equal(quiet.pendingInputs.length, 0);
+    assert.throws(() => quiet.applyInput({ type: 'impulse', object: 9, impulse: [1, 0, 0] }), /Impulse for a missing object: 9/);
+});
+
+// ===== BROAD PHASE =====
+
+/**
+ * count blocks on a unit lattice, jittered so some of them overlap
+ */
+function blocks(count, seed = 99) {
+    const random = new SeededRandom(seed);
+    const system = new CollisionSystem();
+    const engine = new PhysicsEngine(new THREE.Scene());
+
+    for (let i = 0; i < count; i++) {
+        const mesh = new THREE.Object3D();
+        mesh.position.set(i % 50, Math.floor(i / 500), Math.floor(i / 50) % 10)
+            .addScalar(-0.5).add(new THREE.Vector3(random.next(), random.next(), random.next()).multiplyScalar(0.3));
+        const obj = engine.addObject(mesh, { radius: 0.5, layer: COLLISION_LAYERS.BLOCK });
+        system.addObject(obj);
+    }
+    return system;
+}
+
+function overlapping(pairs) {
+    return pairs
+        .filter(([a, b]) => a.position.distanceTo(b.position) < a.radius + b.radius)
+        .map(([a, b]) => [a.position.toArray(), b.position.toArray()]);
+}
+
+test('layers and masks decide which pairs can collide', () => {
+    const system = new CollisionSystem();
+    const engine = new PhysicsEngine(new THREE.Scene());
+    const at = (x, properties) => {
+        const mesh = new THREE.Object3D();
+        mesh.position.set(x, 0, 0);
+        const obj = engine.addObject(mesh, properties);
+        system.addObject(obj);
+        return obj;
+    };
+
+    const player = at(0, { layer: COLLISION_LAYERS.PLAYER, mask: COLLISION_LAYERS.ALL & ~COLLISION_LAYERS.DEBRIS });
+    const debris = at(0.2, { layer: COLLISION_LAYERS.DEBRIS });
+    const wall = at(0.4, { layer: COLLISION_LAYERS.STATIC, isStatic: true });
+    const floor = at(0.6, { layer: COLLISION_LAYERS.STATIC, isStatic: true });
+    at(50, {});
+
+    // Player ignores debris, statics never pair with each other, the far block meets nobody
+    const pairs = system.findCandidatePairs().map(([a, b]) => [a, b]);
+    assert.deepEqual(pairs, [[player, wall], [player, floor], [debris, wall], [debris, floor]]);
+
+    // Pushed clear of the wall, player and debris no longer reach the floor
+    system.checkCollisions();
+    assert.equal(system.stats.contacts, 2);
+    assert.equal(debris.position.x < 0.2, true);
+    assert.deepEqual(wall.position.toArray(), [0.4, 0, 0]);
+});
+
+test('the grid finds every overlap among 5000 blocks without testing every pair', t => {
+    const system = blocks(5000);
+    const { objects } = system;
+
+    let started = performance.now();
+    const candidates = system.findCandidatePairs();
+    const broadPhase = performance.now() - started;
+
+    started = performance.now();
+    const contacts = [];
+    for (let i = 0; i < objects.length; i++) {
+        for (let j = i + 1; j < objects.length; j++) contacts.push(...overlapping([[objects[i], objects[j]]]));
+    }
+    const bruteForce = performance.now() - started;
+
+    t.diagnostic(`5000 bodies: ${candidates.length} candidates in ${broadPhase.toFixed(0)} ms, all pairs ${bruteForce.toFixed(0)} ms`);
+    assert.ok(contacts.length > 1000);
+    assert.deepEqual(overlapping(candidates), contacts);
+    // ~12.5 million pairs against a few tens of thousands
+    assert.ok(candidates.length < 20 * objects.length);
+    assert.ok(system.stats.cells > 0);
+
+    started = performance.now();
+    system.checkCollisions();
+    const step = performance.now() - started;
+    t.diagnostic(`checkCollisions: ${system.stats.contacts} contacts in ${step.toFixed(0)} ms`);
+    // Timing is only a diagnostic; the work done is what is checked
+    assert.equal(system.stats.candidates, candidates.length);
+    // Resolving contacts nudges blocks into neighbours, never out of the candidates
+    assert.ok(system.stats.contacts >= contacts.length, `${system.stats.contacts} contacts`);
+    assert.ok(system.stats.contacts <= candidates.length);
+});
+
+test('terrain blocks and buildings stay out of the grid without missing a pair', t => {
+    const system = blocks(2000);
+    const engine = new PhysicsEngine(new THREE.Scene());
+    const add = (position, properties) => {
+        const mesh = new THREE.Object3D();
+        mesh.position.copy(position);
+        const obj = engine.addObject(mesh, { shape: COLLIDER_SHAPES.BOX, ...properties });
+        system.addObject(obj);
+        return obj;
+    };
+
+    // A terrain slab under everything, two buildings, and crates a few cells across
+    add(new THREE.Vector3(25, -1, 5), { isStatic: true, halfExtents: { x: 40, y: 0.5, z: 40 } });
+    add(new THREE.Vector3(10, 3, 5), { isStatic: true, halfExtents: { x: 3, y: 4, z: 3 } });
+    add(new THREE.Vector3(40, 3, 5), { isStatic: true, halfExtents: { x: 3, y: 4, z: 3 } });
+    const random = new SeededRandom(5);
+    for (let i = 0; i < 40; i++) {
+        add(new THREE.Vector3(random.next() * 50, random.next() * 4, random.next() * 10), { halfExtents: { x: 0.8, y: 0.8, z: 0.8 } });
+    }
+    const { objects } = system;
+
+    const started = performance.now();
+    const candidates = system.findCandidatePairs();
+    const broadPhase = performance.now() - started;
+    t.diagnostic(`${objects.length} mixed bodies: ${system.stats.cells} cells, ${system.stats.oversized} oversized, ` +
+        `${candidates.length} candidates in ${broadPhase.toFixed(0)} ms`);
+
+    // Only the slab and the buildings skip the grid, which stays about one
+    // cell per small block instead of thousands for the slab alone
+    assert.equal(system.stats.oversized, 3);
+    assert.ok(system.stats.cells < 4 * objects.length);
+
+    // Every pair whose bounding spheres meet is still a candidate
+    const key = (a, b) => `${objects.indexOf(a)}-${objects.indexOf(b)}`;
+    const found = new Set(candidates.map(([a, b]) => key(a, b)));
+    let reaching = 0;
+    for (let i = 0; i < objects.length; i++) {
+        for (let j = i + 1; j < objects.length; j++) {
+            const [a, b] = [objects[i], objects[j]];
+            if (a.isStatic && b.isStatic) continue;
+            if (a.position.distanceTo(b.position) > a.boundingRadius + b.boundingRadius) continue;
+            reaching++;
+            assert.ok(found.has(key(a, b)), `missed ${key(a, b)}`);
+        }
+    }
+    assert.ok(reaching > 2000);
+    assert.ok(candidates.length < 20 * objects.length);
+});
+
+// ===== SHAPES =====
+
+function body(engine, shape, position, properties = {}) {
+    const mesh = new THREE.Object3D();
+    mesh.position.copy(position);
+    return engine.addObject(mesh, { shape, ...properties });
+}
+
+function turn(obj, axis, angle) {
+    obj.setOrientation(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(...axis).normalize(), angle));
+    return obj;
+}
+
+function assertVector(actual, expected, tolerance, label) {
+    ['x', 'y', 'z'].forEach(axis => assertClose(actual[axis], expected[axis], tolerance, `${label}.${axis}`));
+}
+
+test('contact normals come from the shape pair', () => {
+    const engine = new PhysicsEngine(new THREE.Scene());
+    const { SPHERE, BOX, CAPSULE } = COLLIDER_SHAPES;
+
+    // A sphere resting against a box face, and one over its edge
+    const box = body(engine, BOX, new THREE.Vector3(0, 0, 0), { halfExtents: { x: 1, y: 0.5, z: 1 } });
+    const above = findContact(box, body(engine, SPHERE, new THREE.Vector3(0.5, 0.9, 0), { radius: 0.5 }));
+    assertVector(above.normal, { x: 0, y: 1, z: 0 }, 1e-12, 'face normal');
+    assertClose(above.depth, 0.1, 1e-12, 'face depth');
+    const edge = findContact(body(engine, SPHERE, new THREE.Vector3(1.2, 0.7, 0), { radius: 0.5 }), box);
+    assertVector(edge.normal, { x: -Math.SQRT1_2, y: -Math.SQRT1_2, z: 0 }, 1e-12, 'edge normal (sphere → box)');
+
+    // Turning the box 45° turns its face normal
+    const tilted = body(engine, BOX, new THREE.Vector3(10, 0, 0), { halfExtents: { x: 1, y: 1, z: 1 } });
+    turn(tilted, [0, 0, 1], Math.PI / 4);
+    const slope = findContact(tilted, body(engine, SPHERE, new THREE.Vector3(10 - 1, 1, 0), { radius: 0.5 }));
+    assertVector(slope.normal, { x: -Math.SQRT1_2, y: Math.SQRT1_2, z: 0 }, 1e-12, 'tilted normal');
+
+    // Crossed capsules touch between their axes
+    const upright = body(engine, CAPSULE, new THREE.Vector3(20, 0, 0), { radius: 0.3, halfHeight: 1 });
+    const lying = body(engine, CAPSULE, new THREE.Vector3(20, 0, 0.5), { radius: 0.3, halfHeight: 1 });
+    turn(lying, [0, 0, 1], Math.PI / 2);
+    const crossed = findContact(upright, lying);
+    assertVector(crossed.normal, { x: 0, y: 0, z: 1 }, 1e-12, 'capsule normal');
+    assertClose(crossed.depth, 0.1, 1e-12, 'capsule depth');
+
+    // A capsule lying on a block, and a block on a block
+    const block = body(engine, BOX, new THREE.Vector3(30, 0, 0), { halfExtents: { x: 2, y: 0.5, z: 2 } });
+    const log = body(engine, CAPSULE, new THREE.Vector3(30.5, 0.75, 0), { radius: 0.3, halfHeight: 1 });
+    turn(log, [1, 0, 0], Math.PI / 2);
+    assertVector(findContact(block, log).normal, { x: 0, y: 1, z: 0 }, 1e-9, 'log normal');
+    assertClose(findContact(log, block).depth, 0.05, 1e-9, 'log depth');
+
+    const brick = body(engine, BOX, new THREE.Vector3(30.3, 0.9, 0.2), { halfExtents: { x: 0.5, y: 0.5, z: 0.5 } });
+    const stacked = findContact(block, brick);
+    assertVector(stacked.normal, { x: 0, y: 1, z: 0 }, 1e-12, 'stacked normal');
+    assertClose(stacked.depth, 0.1, 1e-12, 'stacked depth');
+    assert.equal(findContact(block, body(engine, BOX, new THREE.Vector3(30, 2, 0))), null);
+
+    assert.throws(() => body(engine, 'CONE', new THREE.Vector3()), /Invalid collider shape: CONE/);
+});
+
+test('a block dropped on a placed block comes to rest on top of it', () => {
+    const engine = new PhysicsEngine(new THREE.Scene(), { seed: 1 });
+    engine.wind.baseSpeed = 0;
+    engine.wind.turbulence = 0;
+    const half = { x: 0.5, y: 0.5, z: 0.5 };
+    body(engine, COLLIDER_SHAPES.BOX, new THREE.Vector3(0, 0.5, 0), { halfExtents: half, isStatic: true, mass: 5 });
+    const dropped = body(engine, COLLIDER_SHAPES.BOX, new THREE.Vector3(0.2, 3, 0), { halfExtents: half, elasticity: 0.2 });
+
+    for (let i = 0; i < 180; i++) engine.update(1 / 60);
+
+    assertClose(dropped.position.y, 1.5, 0.05, 'resting height');
+    assertClose(dropped.position.x, 0.2, 0.05, 'no sideways push');
+    assert.ok(dropped.velocity.length() < 0.2);
+});
+
+test('heightfields push objects out along the terrain normal', () => {
+    // A 1 in 2 ramp
+    const ramp = new HeightfieldCollider(x => x / 2);
+    const cos = 2 / Math.sqrt(5);
+    assertVector(ramp.normalAt(3, 0), { x: -1 / Math.sqrt(5), y: cos, z: 0 }, 1e-12, 'ramp normal');
+
+    const engine = new PhysicsEngine(new THREE.Scene());
+    const ball = body(engine, COLLIDER_SHAPES.SPHERE, new THREE.Vector3(2, 1, 0), { radius: 0.5 });
+    assertClose(ramp.contact(ball).depth, 0.5, 1e-12, 'centre on the surface');
+
+    // A box only touches at its lowest corner, 0.15 below the ramp at x = 0.5
+    const crate = body(engine, COLLIDER_SHAPES.BOX, new THREE.Vector3(0, 0.6, 0), { halfExtents: { x: 0.5, y: 0.5, z: 0.5 } });
+    assertClose(ramp.contact(crate).depth, 0.15 * cos, 1e-12, 'corner depth');
+    crate.position.y = 1.2;
+    assert.equal(ramp.contact(crate), null);
+
+    assert.throws(() => HeightfieldCollider.from({}), /neither getElevation nor getHeightAt/);
+});
+
+test('objects settle on generated terrain', () => {
+    const terrain = new InfiniteBiomeGenerator(new THREE.Scene());
+    const engine = new PhysicsEngine(new THREE.Scene(), { seed: 5 });
+    engine.wind.baseSpeed = 0;
+    engine.wind.turbulence = 0;
+    // The terrain is random; keep the sea out of the way
+    engine.setWaterLevel(-1000);
+    const ground = engine.setTerrain(terrain);
+
+    // Round things roll downhill; crates stay where they land
+    const crate = body(engine, COLLIDER_SHAPES.BOX, new THREE.Vector3(12, terrain.getHeightAt(12, -7) + 4, -7),
+        { halfExtents: { x: 0.5, y: 0.4, z: 0.6 }, elasticity: 0.1 });
+    const plank = turn(body(engine, COLLIDER_SHAPES.BOX, new THREE.Vector3(-20, terrain.getHeightAt(-20, 3) + 4, 3),
+        { halfExtents: { x: 1, y: 0.1, z: 0.25 }, elasticity: 0.1 }), [1, 0, 1], 0.6);
+
+    const settled = [];
+    for (let i = 0; i < 360; i++) {
+        engine.update(1 / 60);
+        if (i === 299) settled.push(crate.position.clone(), plank.position.clone());
+        [crate, plank].forEach(obj => {
+            const contact = ground.contact(obj);
+            assert.ok(!contact || contact.depth < 0.05, `step ${i}: ${contact && contact.depth} into the ground`);
+        });
+    }
+
+    // Still there a second later
+    [crate, plank].forEach((obj, i) => {
+        assert.equal(obj.grounded, true);
+        assert.ok(obj.velocity.length() < 0.15, `speed ${obj.velocity.length()}`);
+        assert.ok(obj.position.distanceTo(settled[i]) < 0.05, `moved ${obj.position.distanceTo(settled[i])}`);
+    });
+});
+
+// ===== ROTATION =====
+
+test('inertia tensors follow the shape', () => {
+    const engine = new PhysicsEngine(new THREE.Scene());
+    const origin = new THREE.Vector3();
+
+    const ball = body(engine, COLLIDER_SHAPES.SPHERE, origin, { mass: 2, radius: 0.5 });
+    assertVector(ball.inertia, { x: 0.2, y: 0.2, z: 0.2 }, 1e-12, 'sphere');
+
+    // 2 × 1 × 0.5 m brick: m(b² + c²)/12 with full edges
+    const brick = body(engine, COLLIDER_SHAPES.BOX, origin, { mass: 12, halfExtents: { x: 1, y: 0.5, z: 0.25 } });
+    assertVector(brick.inertia, { x: 1.25, y: 4.25, z: 5 }, 1e-12, 'box');
+
+    // A capsule with no cylinder is a sphere; a long one is a rod about x and z
+    const pill = body(engine, COLLIDER_SHAPES.CAPSULE, origin, { mass: 2, radius: 0.5, halfHeight: 1e-9 });
+    assertVector(pill.inertia, { x: 0.2, y: 0.2, z: 0.2 }, 1e-6, 'round capsule');
+    const pole = body(engine, COLLIDER_SHAPES.CAPSULE, origin, { mass: 3, radius: 0.01, halfHeight: 5 });
+    assertClose(pole.inertia.x, 3 * 100 / 12, 0.1, 'rod');
+    assert.ok(pole.inertia.y < 1e-3);
+
+    // Turned objects turn their inertia with them
+    const turned = turn(body(engine, COLLIDER_SHAPES.BOX, origin, { mass: 12, halfExtents: { x: 1, y: 0.5, z: 0.25 } }),
+        [0, 0, 1], Math.PI / 2);
+    assertVector(turned.applyInverseInertia(new THREE.Vector3(1, 0, 0)), { x: 1 / 4.25, y: 0, z: 0 }, 1e-12, 'world I⁻¹');
+    assertVector(body(engine, COLLIDER_SHAPES.BOX, origin, { isStatic: true }).applyInverseInertia(new THREE.Vector3(1, 2, 3)),
+        { x: 0, y: 0, z: 0 }, 1e-12, 'static');
+});
+
+test('off-centre impulses spin objects, which tumble at that rate', () => {
+    const engine = new PhysicsEngine(new THREE.Scene(), { fixedTimeStep: STEP });
+    engine.gravity.globalGravity.set(0, 0, 0);
+    engine.wind.baseSpeed = 0;
+    engine.wind.turbulence = 0;
+    engine.setWaterLevel(-1000);
+
+    const crate = body(engine, COLLIDER_SHAPES.BOX, new THREE.Vector3(0, 50, 0),
+        { mass: 3, halfExtents: { x: 0.5, y: 0.5, z: 0.5 }, angularDrag: 0, drag: 1e-12 });
+    crate.applyImpulse(new THREE.Vector3(0, 0, 3), new THREE.Vector3(0.5, 50, 0));
+
+    // r × J = (0.5, 0, 0) × (0, 0, 3) = (0, -1.5, 0) over I = 0.5
+    assertVector(crate.velocity, { x: 0, y: 0, z: 1 }, 1e-12, 'velocity');
+    assertVector(crate.angularVelocity, { x: 0, y: -3, z: 0 }, 1e-12, 'spin');
+
+    for (let i = 0; i < 64; i++) engine.update(STEP);
+    // First-order quaternion steps lose (ω dt)³/12 each
+    const angle = 2 * Math.atan2(-crate.orientation.y, crate.orientation.w);
+    assertClose(angle, 3, 1e-3, 'turned (rad) in 1 s');
+    assertClose(crate.orientation.length(), 1, 1e-12, 'unit quaternion');
+
+    // Between steps the mesh is slerped
+    engine.update(STEP / 2);
+    const expected = crate.previousOrientation.clone().slerp(crate.orientation, 0.5);
+    assert.ok(crate.mesh.quaternion.angleTo(expected) < 1e-9);
+
+    // Torques turn through the inertia too
+    crate.angularVelocity.set(0, 0, 0);
+    crate.applyTorque(new THREE.Vector3(0.5, 0, 0));
+    crate.update(0.1);
+    assertVector(crate.angularVelocity, { x: 0.1, y: 0, z: 0 }, 1e-12, 'torque spin');
+});
+
+test('friction at the contact makes a sliding ball roll', () => {
+    const engine = new PhysicsEngine(new THREE.Scene(), { fixedTimeStep: STEP });
+    engine.wind.baseSpeed = 0;
+    engine.wind.turbulence = 0;
+    engine.setWaterLevel(-1000);
+
+    const ball = body(engine, COLLIDER_SHAPES.SPHERE, new THREE.Vector3(0, 0.5, 0),
+        { radius: 0.5, friction: 0.3, angularDrag: 0, drag: 1e-12 });
+    ball.velocity.set(5, 0, 0);
+
+    for (let i = 0; i < 128; i++) engine.update(STEP);
+
+    // Rolling without slipping at 5/7 of the launch speed
+    assertClose(ball.velocity.x, 25 / 7, 0.02, 'rolling speed');
+    assertClose(-ball.angularVelocity.z * 0.5, ball.velocity.x, 1e-6, 'no slip');
+    assert.equal(ball.grounded, true);
+});
+
+// ===== CONSTRAINTS =====
+
+/**
+ * Engine without wind or water, so only gravity and the joints act
+ */
+function calm(options = {}) {
+    const engine = new PhysicsEngine(new THREE.Scene(), { fixedTimeStep: STEP, seed: 7, ...options });
+    engine.wind.baseSpeed = 0;
+    engine.wind.turbulence = 0;
+    engine.setWaterLevel(-1000);
+    return engine;
+}
+
+/**
+ * Times (s) at which f(step) changes sign, interpolated within a step
+ */
+function crossings(engine, steps, f) {
+    const times = [];
+    let previous = f();
+    for (let i = 1; i <= steps; i++) {
+        engine.update(STEP);
+        const value = f();
+        if (Math.sign(value) !== Math.sign(previous)) times.push((i - 1 + previous / (previous - value)) * STEP);
+        previous = value;
+    }
+    return times;
+}
+
+test('a distance constraint swings a pendulum at its period', () => {
+    const engine = calm();
+    const pivot = new THREE.Vector3(0, 10, 0);
+    const angle = 0.1;
+    const bob = body(engine, COLLIDER_SHAPES.SPHERE, new THREE.Vector3(2 * Math.sin(angle), 10 - 2 * Math.cos(angle), 0),
+        { radius: 0.1, drag: 1e-12, angularDrag: 0 });
+    const rod = engine.addConstraint(new DistanceConstraint(null, bob, { anchorA: pivot }));
+    assertClose(rod.length, 2, 1e-12, 'length');
+
+    const times = crossings(engine, 512, () => bob.position.x);
+    const period = 2 * (times[times.length - 1] - times[0]) / (times.length - 1);
+
+    // T = 2π √(L/g), (1 + θ²/16) for the amplitude
+    assertClose(period, 2 * Math.PI * Math.sqrt(2 / 9.81) * (1 + angle * angle / 16), 0.01, 'period (s)');
+    assertClose(bob.position.distanceTo(pivot), 2, 1e-6, 'rod length');
+    assert.equal(engine.getStats().constraints, 1);
+});
+
+test('a rope hangs slack until taut', () => {
+    const engine = calm();
+    const hook = new THREE.Vector3(0, 10, 0);
+    const crate = body(engine, COLLIDER_SHAPES.BOX, new THREE.Vector3(0, 9, 0), { drag: 1e-12 });
+    engine.addConstraint(new DistanceConstraint(null, crate, { anchorA: hook, length: 3, rope: true }));
+
+    // Free fall through the slack
+    for (let i = 0; i < 16; i++) engine.update(STEP);
+    assertClose(crate.velocity.y, -9.81 / 4, 0.01, 'falling (m/s)');
+
+    for (let i = 0; i < 192; i++) engine.update(STEP);
+    assertClose(crate.position.y, 7, 1e-3, 'hanging at the rope length');
+    assert.ok(crate.velocity.length() < 0.05);
+});
+
+test('a hinge holds a door up and lets it swing only about the hinge', () => {
+    const engine = calm();
+    const frame = body(engine, COLLIDER_SHAPES.BOX, new THREE.Vector3(-0.05, 5, 0),
+        { isStatic: true, halfExtents: { x: 0.1, y: 1, z: 0.1 } });
+    const door = body(engine, COLLIDER_SHAPES.BOX, new THREE.Vector3(0.5, 5, 0),
+        { mass: 20, halfExtents: { x: 0.5, y: 1, z: 0.05 }, angularDrag: 0 });
+    const pivot = new THREE.Vector3(0, 5, 0);
+    const hinge = engine.addConstraint(new HingeConstraint(frame, door, { pivot, axis: new THREE.Vector3(0, 1, 0) }));
+
+    // Door and frame overlap at the hinge, but joined objects do not collide
+    assert.ok(findContact(frame, door));
+    assert.equal(engine.collision.findCandidatePairs().length, 0);
+
+    door.applyImpulse(new THREE.Vector3(0, 0, 10), new THREE.Vector3(1, 5, 0));
+    for (let i = 0; i < 64; i++) engine.update(STEP);
+
+    // Swung open about y, still hanging from the hinge
+    const open = new THREE.Vector3(1, 0, 0).applyQuaternion(door.orientation);
+    assert.ok(Math.atan2(-open.z, open.x) < -0.5);
+    assertClose(new THREE.Vector3(0, 1, 0).applyQuaternion(door.orientation).y, 1, 1e-4, 'upright');
+    assertVector(hinge.anchorB, pivot, 1e-3, 'hinge');
+    assertClose(door.position.distanceTo(pivot), 0.5, 1e-3, 'door width');
+});
+
+test('a spring oscillates at √(k/m) and its damping settles it', () => {
+    const engine = calm();
+    engine.gravity.globalGravity.set(0, 0, 0);
+    const ball = body(engine, COLLIDER_SHAPES.SPHERE, new THREE.Vector3(0.5, 5, 0), { mass: 2, drag: 1e-12 });
+    const spring = engine.addConstraint(new SpringConstraint(null, ball,
+        { anchorA: new THREE.Vector3(-1, 5, 0), restLength: 1, stiffness: 50, damping: 0 }));
+
+    // ω = √(50 / 2) = 5 rad/s: crossings of the rest point half a period apart
+    const times = crossings(engine, 256, () => ball.position.x);
+    assertClose(2 * (times[1] - times[0]), 2 * Math.PI / 5, 0.01, 'period (s)');
+
+    spring.damping = 20;
+    for (let i = 0; i < 256; i++) engine.update(STEP);
+    assertClose(ball.position.x, 0, 1e-3, 'at rest length');
+});
+
+/**
+ * A bridge of planks hinged end to end, its ends tied to posts 0.4 m
+ * closer together than its length
+ */
+function bridge(engine, planks = 6) {
+    const axis = new THREE.Vector3(0, 0, 1);
+    const deck = Array.from({ length: planks }, (_, i) => body(engine, COLLIDER_SHAPES.BOX,
+        new THREE.Vector3(i + 0.5, 5, 0), { mass: 5, halfExtents: { x: 0.5, y: 0.05, z: 1 } }));
+
+    engine.addConstraint(new BallSocketConstraint(null, deck[0],
+        { anchorA: new THREE.Vector3(0.2, 5, 0), anchorB: new THREE.Vector3(0, 5, 0) }));
+    deck.slice(1).forEach((plank, i) => {
+        engine.addConstraint(new HingeConstraint(deck[i], plank, { pivot: new THREE.Vector3(i + 1, 5, 0), axis }));
+    });
+    engine.addConstraint(new BallSocketConstraint(null, deck[planks - 1],
+        { anchorA: new THREE.Vector3(planks - 0.2, 5, 0), anchorB: new THREE.Vector3(planks, 5, 0) }));
+    return deck;
+}
+
+test('a plank bridge sags between its posts and holds together', () => {
+    const engine = calm();
+    const deck = bridge(engine);
+
+    for (let i = 0; i < 320; i++) engine.update(STEP);
+
+    engine.constraints.constraints.forEach(joint => {
+        assertVector(joint.anchorB, joint.anchorA, 0.01, 'joint');
+    });
+    // About √(3 × 5.6 × 0.4 / 8) = 0.9 m for a hanging chain
+    assertClose(deck[2].position.y, 4.1, 0.1, 'sag');
+    assertClose(deck[2].position.y, deck[3].position.y, 0.01, 'symmetric sag');
+    deck.forEach(plank => assertClose(plank.position.z, 0, 0.01, 'in plane'));
+    assert.ok(deck.every(plank => plank.velocity.length() < 0.1));
+});
+
+test('constraints save and load with the rest of the world state', () => {
+    const build = () => {
+        const engine = world();
+        const deck = bridge(engine);
+        engine.addConstraint(new SpringConstraint(deck[3], engine.objects[0], { stiffness: 40, restLength: 2 }));
+        return engine;
+    };
+    const original = build();
+    for (let i = 0; i < 40; i++) original.update(STEP);
+
+    // Into a fresh world built the same way, but not yet run
+    const restored = build();
+    restored.loadState(JSON.parse(JSON.stringify(original.saveState())));
+    assert.deepEqual(restored.saveState(), original.saveState());
+
+    for (let i = 0; i < 40; i++) {
+        original.update(STEP);
+        restored.update(STEP);
+    }
+    assert.deepEqual(snapshot(restored), snapshot(original));
+    assert.equal(restored.constraints.constraints.length, 8);
+
+    // A removed object takes its constraints with it
+    restored.removeObject(restored.objects[3]);
+    assert.equal(restored.constraints.constraints.length, 6);
+    assert.throws(() => restored.loadState(original.saveState()), /Saved state has 9 objects, the world 8/);
+
+    // A bad save is rejected before it touches the world
+    const before = original.saveState();
+    const moved = before.objects.map(saved => ({ ...saved, position: [0, 100, 0] }));
+    assert.throws(() => original.loadState({ ...before, objects: moved, constraints: [{ type: 'WELD', bodies: [0, 1] }] }),
+        /Unknown constraint type: WELD/);
+    assert.throws(() => original.loadState({ ...before, objects: moved, constraints: [{ ...before.constraints[0], bodies: [null, 12] }] }),
+        /Constraint joins a missing object: 12/);
+    const broken = before.objects.map((saved, index) => index === 4 ? { ...saved, velocity: [0, null, 0] } : saved);
+    assert.throws(() => original.loadState({ ...before, objects: broken }), /Saved object 4 has an invalid velocity/);
+    // Nothing is assigned before the wind, water and counters are checked too
+    const { wind, ...windless } = before;
+    assert.throws(() => original.loadState({ ...windless, stepCount: 7, objects: moved }), /invalid wind.time/);
+    const badGust = { position: [0, 0, 0], direction: [1, 'east', 0], strength: 2, radius: 5, lifetime: 3 };
+    assert.throws(() => original.loadState({ ...before, stepCount: 7, objects: moved, wind: { ...wind, gusts: [badGust] } }),
+        /invalid wind.gusts\[0\]/);
+    assert.throws(() => original.loadState({ ...before, accumulator: -1 }), /invalid accumulator/);
+    assert.throws(() => original.loadState({ ...before, water: {} }), /invalid water.time/);
+    assert.deepEqual(original.saveState(), before);
+});
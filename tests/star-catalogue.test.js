@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import * as THREE from 'three';
+
+import { StarCatalogue, StarAstrometry, CATALOGUE_FORMATS } from '../star-catalogue.js';
+import { IAUTransform, PrecessionNutation, Refraction } from '../celestial-mechanics.js';
+import { TIME_SCALES, JulianDate } from '../truth-contracts.js';
+import { RealisticSky } from '../photorealistic-graphics.js';
+
+// A few bright stars in the BSC5 and hip_main.dat layouts, values at
+// catalogue precision (not a verbatim extract)
+const BSC5 = new URL('./fixtures/bsc5-sample.dat', import.meta.url);
+const HIPPARCOS = new URL('./fixtures/hip_main-sample.dat', import.meta.url);
+
+const DEG = Math.PI / 180;
+const ARCSEC = DEG / 3600;
+const GREENWICH = { lat: 51.4769, lon: -0.0005, h: 46 };
+const NEW_YEAR_EVENING = new Date('2025-01-01T22:00:00Z');
+
+const astrometry = new StarAstrometry();
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+test('parses the Yale Bright Star Catalogue layout', async () => {
+    const catalogue = await StarCatalogue.fromFile(BSC5);
+
+    assert.equal(catalogue.format, CATALOGUE_FORMATS.BSC5);
+    // HR 92 has no position and is skipped
+    assert.equal(catalogue.size, 6);
+    assert.equal(catalogue.find('HR 92'), null);
+
+    const sirius = catalogue.find('9Alp CMa');
+    assert.equal(sirius.id, 'HR 2491');
+    assertClose(sirius.ra / DEG, (6 + 45 / 60 + 8.9 / 3600) * 15, 1e-9, 'ra');
+    assertClose(sirius.dec / DEG, -(16 + 42 / 60 + 58 / 3600), 1e-9, 'dec');
+    assert.equal(sirius.pmRA, -553);
+    assert.equal(sirius.pmDec, -1205);
+    assert.equal(sirius.parallax, 375);
+    assert.equal(sirius.radialVelocity, -8);
+    assert.equal(sirius.magnitude, -1.46);
+    assert.equal(sirius.epoch, 2000);
+
+    assert.deepEqual(catalogue.brighterThan(0).map(star => star.id), ['HR 2491', 'HR 5340', 'HR 5459']);
+});
+
+test('parses Hipparcos and carries its stars from J1991.25', async () => {
+    const catalogue = await StarCatalogue.fromFile(HIPPARCOS);
+
+    assert.equal(catalogue.format, CATALOGUE_FORMATS.HIPPARCOS);
+    assert.equal(catalogue.size, 2);
+
+    const barnard = catalogue.find('HIP 87937');
+    assert.equal(barnard.epoch, 1991.25);
+    assert.equal(barnard.pmDec, 10326.93);
+
+    // Barnard's star at J2000 (SIMBAD): 17h57m48.498s +4°41'36.21"
+    const p = StarAstrometry.spaceMotion(barnard, 2000);
+    const ra = Math.atan2(p.y, p.x) / DEG + 360;
+    const dec = Math.asin(p.z) / DEG;
+    assertClose((ra - (17 + 57 / 60 + 48.498 / 3600) * 15) * 3600 * Math.cos(dec * DEG), 0, 0.1, 'ra (")');
+    assertClose((dec - (4 + 41 / 60 + 36.21 / 3600)) * 3600, 0, 0.1, 'dec (")');
+
+    assert.throws(() => StarCatalogue.parse(''), /Empty star catalogue/);
+    assert.throws(() => StarCatalogue.parse('x', { format: 'SAO' }), /Unsupported star catalogue format: SAO/);
+});
+
+test('apparent place of θ Persei matches Meeus example 23.a', () => {
+    const dec = (49 + 13 / 60 + 42.48 / 3600) * DEG;
+    // FK5 J2000, μα = +0.03425 s/yr; Meeus neglects its 0.089" parallax
+    const star = {
+        id: 'θ Per',
+        ra: (2 + 44 / 60 + 11.986 / 3600) * 15 * DEG,
+        dec,
+        pmRA: 0.03425 * 15 * Math.cos(dec) * 1000,
+        pmDec: -89.5,
+        parallax: 0,
+        radialVelocity: 0,
+        magnitude: 4.12,
+        epoch: 2000
+    };
+    const epoch = JulianDate.fromISO('2028-11-13T04:33:36 TDB');
+
+    // A polar observer has no diurnal aberration, as Meeus' geocentre
+    const gcrs = astrometry.apparentDirection(star, astrometry.context(epoch, { lat: 90, lon: 0 }));
+    const p = gcrs.applyMatrix4(PrecessionNutation.bpnMatrix(epoch.to(TIME_SCALES.TT).jd));
+
+    // α = 2h46m14.390s, δ = +49°21'07.45" (true equinox of date); the
+    // remaining ~0.06" is FK5/IAU 1976 against ICRS/IAU 2006
+    const ra = Math.atan2(p.y, p.x) / DEG;
+    const apparentDec = Math.asin(p.z) / DEG;
+    assertClose((ra - 41.5599646) * 3600 * Math.cos(apparentDec * DEG), 0, 0.1, 'ra (")');
+    assertClose((apparentDec - 49.3520685) * 3600, 0, 0.1, 'dec (")');
+});
+
+test('deflection and aberration have their textbook sizes', () => {
+    // A star grazing the solar limb (0.2666°) is pushed 1.75" outwards
+    const elongation = 0.2666 * DEG;
+    const p = new THREE.Vector3(Math.cos(elongation), Math.sin(elongation), 0);
+    const deflected = StarAstrometry.deflect(p, new THREE.Vector3(-1, 0, 0), 1);
+    assertClose((Math.atan2(deflected.y, deflected.x) - elongation) / ARCSEC, 1.75, 0.01, 'deflection (")');
+
+    // 29.78 km/s across the line of sight: the 20.5" constant of aberration
+    const star = new THREE.Vector3(1, 0, 0);
+    const aberrated = StarAstrometry.aberrate(star, new THREE.Vector3(0, 29.78 / 299792.458, 0), 1);
+    assertClose(aberrated.angleTo(star) / ARCSEC, 20.49, 0.01, 'aberration (")');
+});
+
+test('observe puts Polaris at the latitude and agrees with the IAU chain', async () => {
+    const catalogue = await StarCatalogue.fromFile(BSC5);
+    const time = new Date('2025-01-01T00:00:00Z');
+    const context = astrometry.context(time, GREENWICH);
+
+    const polaris = astrometry.observe(catalogue.find('HR 424'), context);
+    // 0.74° from the pole
+    assertClose(polaris.geometricAltitude, GREENWICH.lat, 0.75, 'Polaris altitude');
+    assertClose(polaris.altitude - polaris.geometricAltitude,
+        Refraction.atmosphericRefraction(polaris.geometricAltitude), 1e-12, 'refraction');
+    assertClose(Math.hypot(...Object.values(polaris.direction)), 1, 1e-12, 'unit direction');
+
+    // The ENU rotation is the one gcrfToTopocentric uses
+    const vega = catalogue.find('HR 7001');
+    const far = astrometry.apparentDirection(vega, context).multiplyScalar(1e20);
+    const utc = JulianDate.fromDate(time, TIME_SCALES.UTC);
+    const reference = IAUTransform.gcrfToTopocentric(far, GREENWICH.lat, GREENWICH.lon, GREENWICH.h, utc);
+    const place = astrometry.observe(vega, context);
+    assertClose(place.geometricAltitude, reference.elevation, 1e-9, 'altitude');
+    assertClose(place.azimuth, reference.azimuth, 1e-9, 'azimuth');
+});
+
+test('observeSky returns what is up, dimmed by extinction, brightest first', async () => {
+    const catalogue = await StarCatalogue.fromFile(BSC5);
+    const sky = astrometry.observeSky(catalogue, NEW_YEAR_EVENING, GREENWICH);
+
+    // Vega low in the north, no α Cen or Arcturus
+    assert.deepEqual(sky.map(place => place.id), ['HR 2491', 'HR 2061', 'HR 424', 'HR 7001']);
+    sky.forEach(place => {
+        assert.ok(place.altitude > 0);
+        assert.ok(place.magnitude > place.catalogueMagnitude);
+    });
+
+    // Three magnitudes of extinction take Vega out of a first-magnitude sky
+    const bright = astrometry.observeSky(catalogue, NEW_YEAR_EVENING, GREENWICH, { magnitudeLimit: 1 });
+    assert.deepEqual(bright.map(place => place.id), ['HR 2491', 'HR 2061']);
+});
+
+test('RealisticSky draws observed stars in scene axes', async () => {
+    const catalogue = await StarCatalogue.fromFile(BSC5);
+    const places = astrometry.observeSky(catalogue, NEW_YEAR_EVENING, GREENWICH);
+    const scene = new THREE.Scene();
+    const sky = new RealisticSky(scene);
+
+    sky.createStars(10);
+    const stars = sky.createStarField(places, 400);
+
+    assert.equal(scene.children.length, 1);
+    const position = stars.geometry.getAttribute('position');
+    assert.equal(position.count, places.length);
+    // y is up, -z north
+    const polaris = places.findIndex(place => place.id === 'HR 424');
+    assertClose(position.getY(polaris), 400 * Math.sin(places[polaris].altitude * DEG), 1e-3, 'up');
+    assert.ok(position.getZ(polaris) < 0);
+
+    // Sirius is bluer and brighter than Betelgeuse
+    const color = stars.geometry.getAttribute('color');
+    assert.ok(color.getZ(0) > color.getZ(1));
+});
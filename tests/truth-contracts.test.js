@@ -3,14 +3,32 @@ import test from 'node:test';
 
 import {
     TruthContract,
+    ContractViolationError,
+    TaggedEpoch,
+    TaggedPosition,
+    TaggedVelocity,
+    ContractedVerifier,
+    TOLERANCE_MODES,
+    JulianDate,
+    EOPProvider,
+    LeapSecondTable,
     TimeConverter,
     FrameTransformer,
     DatumConverter,
+    GeoidGrid,
+    WGS84_LANDMARKS_CORRECTED,
     TIME_SCALES,
     FRAMES,
-    HEIGHT_DATUMS
+    HEIGHT_DATUMS,
+    EOP_DATA
 } from '../truth-contracts.js';
 
+const FINALS_FIXTURE = new URL('./fixtures/finals2000A-sample.txt', import.meta.url);
+const BULLETIN_A_FIXTURE = new URL('./fixtures/bulletinA-sample.txt', import.meta.url);
+const LEAP_SECONDS_FIXTURE = new URL('./fixtures/leap-seconds.list', import.meta.url);
+// WW15MGH (EGM96, NGA) nodes for 27-29°N, 86-88°E at 15', in .GRD layout
+const GEOID_FIXTURE = new URL('./fixtures/geoid-everest-egm96.grd', import.meta.url);
+
 test('TruthContract validates frames, time scales, and datums', () => {
     const contract = new TruthContract({
         frame: FRAMES.ECI,
@@ -60,26 +78,48 @@ test('TimeConverter dateToJulianDate uses Unix epoch reference', () => {
     assert.equal(jd, 2440587.5);
 });
 
-test('FrameTransformer warns on rotating vs inertial frames', () => {
-    const warnings = [];
-    const originalWarn = console.warn;
-    console.warn = (message) => warnings.push(message);
+test('FrameTransformer rejects rotating vs inertial frames', () => {
+    assert.throws(
+        () => FrameTransformer.validateFrameCompatibility(FRAMES.ECEF, FRAMES.ECI, 'test'),
+        error => error instanceof ContractViolationError
+            && error.field === 'frame'
+            && /requires rotation/.test(error.message)
+    );
+});
 
-    FrameTransformer.validateFrameCompatibility(FRAMES.ECEF, FRAMES.ECI, 'test');
+test('FrameTransformer accepts identical frames and rejects any other pair', () => {
+    FrameTransformer.validateFrameCompatibility(FRAMES.ECEF, FRAMES.ECEF, 'test');
 
-    console.warn = originalWarn;
-    assert.equal(warnings.length, 1);
+    assert.throws(
+        () => FrameTransformer.validateFrameCompatibility(FRAMES.ECEF, FRAMES.TOPOCENTRIC, 'test'),
+        /requires transformation/
+    );
 });
 
-test('FrameTransformer does not warn for same frame category', () => {
-    const warnings = [];
-    const originalWarn = console.warn;
-    console.warn = (message) => warnings.push(message);
+test('FrameTransformer ecefToECI puts Greenwich at right ascension GMST and inverts', () => {
+    const ut1 = JulianDate.fromISO('2022-03-20T06:00:00 UT1');
+    const gmst = FrameTransformer.simplifiedGMST(ut1);
 
-    FrameTransformer.validateFrameCompatibility(FRAMES.ECEF, FRAMES.TOPOCENTRIC, 'test');
+    const eci = FrameTransformer.ecefToECI({ x: 1, y: 0, z: 0 }, ut1);
+    assert.ok(Math.abs(Math.atan2(eci.y, eci.x) - (gmst > Math.PI ? gmst - 2 * Math.PI : gmst)) < 1e-12);
 
-    console.warn = originalWarn;
-    assert.equal(warnings.length, 0);
+    const ecef = FrameTransformer.eciToECEF(FrameTransformer.ecefToECI({ x: 3, y: -4, z: 5 }, ut1), ut1);
+    assert.ok(Math.abs(ecef.x - 3) < 1e-12 && Math.abs(ecef.y + 4) < 1e-12 && ecef.z === 5);
+});
+
+test('FrameTransformer ecefToECI turns the Earth by +GMST (Vallado, Example 3-5)', () => {
+    // GMST at 1992-08-20 12:14 UT1 is 152.578787810°
+    const ut1 = JulianDate.fromISO('1992-08-20T12:14:00 UT1');
+    const gmst = 152.578787810;
+    const rightAscension = ({ x, y }) => Math.atan2(y, x) * 180 / Math.PI;
+
+    assert.ok(Math.abs(FrameTransformer.simplifiedGMST(ut1) * 180 / Math.PI - gmst) < 1e-6);
+    assert.ok(Math.abs(rightAscension(FrameTransformer.ecefToECI({ x: 1, y: 0, z: 0 }, ut1)) - gmst) < 1e-6);
+    // 90°E is a quarter turn further east, not west
+    assert.ok(Math.abs(rightAscension(FrameTransformer.ecefToECI({ x: 0, y: 1, z: 0 }, ut1)) - (gmst + 90 - 360)) < 1e-6);
+
+    const inertial = FrameTransformer.eciToECEF({ x: Math.cos(gmst * Math.PI / 180), y: Math.sin(gmst * Math.PI / 180), z: 0 }, ut1);
+    assert.ok(Math.abs(inertial.x - 1) < 1e-8 && Math.abs(inertial.y) < 1e-8);
 });
 
 test('DatumConverter returns expected undulation at equator', () => {
@@ -89,3 +129,730 @@ test('DatumConverter returns expected undulation at equator', () => {
     const height = DatumConverter.orthometricToEllipsoidal(0, 0, 100);
     assert.equal(height, 100);
 });
+
+test('EOPProvider parses finals2000A records and skips empty trailing rows', async () => {
+    const eop = await EOPProvider.fromFile(FINALS_FIXTURE);
+
+    assert.equal(eop.entries.length, 9);
+    assert.equal(eop.entries[0].mjd, 57750);
+    assert.equal(eop.entries[0].xp, 0.082341);
+    assert.equal(eop.entries[0].yp, 0.266511);
+    assert.equal(eop.entries[0].dut1, -0.402481);
+    assert.equal(eop.entries[0].predicted, false);
+    assert.equal(eop.entries[8].predicted, true);
+
+    assert.deepEqual(eop.span, {
+        start: new Date('2016-12-28T00:00:00Z'),
+        end: new Date('2017-01-05T00:00:00Z')
+    });
+});
+
+test('EOPProvider interpolates polar motion and UT1-UTC between days', async () => {
+    const eop = await EOPProvider.fromFile(FINALS_FIXTURE);
+    const values = eop.getEOP(new Date('2016-12-28T12:00:00Z'));
+
+    assert.ok(Math.abs(values.xp - (0.082341 + 0.080851) / 2) < 1e-12);
+    assert.ok(Math.abs(values.yp - (0.266511 + 0.266924) / 2) < 1e-12);
+    assert.ok(Math.abs(values.dut1 - (-0.4024810 + -0.4037121) / 2) < 1e-12);
+    assert.equal(values.outOfRange, false);
+});
+
+test('EOPProvider keeps UT1 continuous across a leap second', async () => {
+    const eop = await EOPProvider.fromFile(FINALS_FIXTURE);
+
+    const before = eop.getEOP(new Date('2016-12-31T23:59:59Z'));
+    const after = eop.getEOP(new Date('2017-01-01T00:00:00Z'));
+
+    // UT1-UTC jumps by the inserted second; UT1 itself advances ~1 s
+    assert.ok(Math.abs(after.dut1 - before.dut1 - 1) < 1e-4);
+    assert.ok(before.dut1 < -0.4 && after.dut1 > 0.59);
+});
+
+test('EOPProvider flags dates outside the table span', async () => {
+    const eop = await EOPProvider.fromFile(FINALS_FIXTURE);
+
+    const early = eop.getEOP(new Date('2016-01-01T00:00:00Z'));
+    const late = eop.getEOP(new Date('2018-01-01T00:00:00Z'));
+
+    assert.equal(early.outOfRange, true);
+    assert.equal(early.xp, 0.082341);
+    assert.equal(late.outOfRange, true);
+    assert.equal(late.predicted, true);
+    assert.equal(eop.covers(new Date('2017-01-03T06:00:00Z')), true);
+});
+
+test('EOPProvider parses Bulletin A observed and predicted rows', async () => {
+    const eop = await EOPProvider.fromFile(BULLETIN_A_FIXTURE);
+
+    assert.equal(eop.entries.length, 5);
+    assert.deepEqual(eop.entries[0], {
+        mjd: 57759, xp: 0.06893, yp: 0.27070, dut1: 0.586209, predicted: false
+    });
+    assert.deepEqual(eop.entries[4], {
+        mjd: 57763, xp: 0.0629, yp: 0.2727, dut1: 0.58134, predicted: true
+    });
+});
+
+test('EOPProvider rejects text without EOP rows', () => {
+    assert.throws(() => EOPProvider.parse('no data here'), /no usable entries/);
+});
+
+test('TimeConverter takes UT1-UTC from the active EOP provider', async () => {
+    const original = TimeConverter.getEOPProvider();
+    const utc = new Date('2017-01-02T00:00:00Z');
+
+    // Date keeps whole milliseconds
+    assert.ok(Math.abs(TimeConverter.utcToUT1(utc).getTime() - utc.getTime() - EOP_DATA.dut1 * 1000) < 1);
+
+    try {
+        TimeConverter.setEOPProvider(await EOPProvider.fromFile(FINALS_FIXTURE));
+        assert.ok(Math.abs(TimeConverter.utcToUT1(utc).getTime() - utc.getTime() - 591.1721) < 1);
+        assert.equal(TimeConverter.getEOP(utc).xp, 0.074950);
+    } finally {
+        TimeConverter.setEOPProvider(original);
+    }
+});
+
+test('LeapSecondTable loads leap-seconds.list and verifies its hash', async () => {
+    const table = await LeapSecondTable.fromFile(LEAP_SECONDS_FIXTURE);
+
+    assert.equal(table.hashVerified, true);
+    assert.equal(table.entries.length, 28);
+    assert.deepEqual(table.entries[0], { date: new Date('1972-01-01T00:00:00Z'), leapSeconds: 10 });
+    assert.deepEqual(table.entries[27], { date: new Date('2017-01-01T00:00:00Z'), leapSeconds: 37 });
+    assert.deepEqual(table.expires, new Date('2026-06-28T00:00:00Z'));
+});
+
+test('LeapSecondTable rejects a file whose data no longer matches its hash', async () => {
+    const { readFile } = await import('node:fs/promises');
+    const text = await readFile(LEAP_SECONDS_FIXTURE, 'utf8');
+
+    const tampered = LeapSecondTable.parse(text.replace(/^(3692217600\s+)37/m, '$138'));
+    assert.equal(await tampered.verifyHash(), false);
+
+    const unsigned = LeapSecondTable.parse(text.replace(/^#h.*$/m, ''));
+    assert.equal(await unsigned.verifyHash(), false);
+});
+
+test('LeapSecondTable flags dates past the file expiry', async () => {
+    const table = await LeapSecondTable.fromFile(LEAP_SECONDS_FIXTURE);
+
+    const valid = table.lookup(new Date('2026-01-01T00:00:00Z'));
+    assert.equal(valid.leapSeconds, 37);
+    assert.equal(valid.expired, false);
+
+    const stale = table.lookup(new Date('2026-07-01T00:00:00Z'));
+    assert.equal(stale.leapSeconds, 37);
+    assert.equal(stale.expired, true);
+    assert.deepEqual(stale.expires, table.expires);
+});
+
+test('TimeConverter uses the rubber-second formula before 1972', () => {
+    const at1970 = TimeConverter.lookupLeapSeconds(new Date('1970-01-01T00:00:00Z'));
+    assert.equal(at1970.model, 'RUBBER_SECOND');
+    assert.ok(Math.abs(at1970.leapSeconds - 8.000082) < 1e-9);
+
+    // Drift up to the 0.107758 s step into integer leap seconds
+    const endOf1971 = TimeConverter.getLeapSeconds(new Date('1971-12-31T23:59:59Z'));
+    assert.ok(Math.abs(endOf1971 - 9.892242) < 1e-5);
+
+    const at1961 = TimeConverter.getLeapSeconds(new Date('1961-01-01T00:00:00Z'));
+    assert.ok(Math.abs(at1961 - 1.422818) < 1e-9);
+
+    assert.equal(TimeConverter.lookupLeapSeconds(new Date('1950-01-01T00:00:00Z')).model, 'PRE_UTC');
+});
+
+test('TimeConverter takes leap seconds from the active table', async () => {
+    const original = TimeConverter.getLeapSecondTable();
+
+    try {
+        TimeConverter.setLeapSecondTable(await LeapSecondTable.fromFile(LEAP_SECONDS_FIXTURE));
+        assert.equal(TimeConverter.getLeapSeconds(new Date('2020-01-01T00:00:00Z')), 37);
+        assert.equal(TimeConverter.lookupLeapSeconds(new Date('2030-01-01T00:00:00Z')).expired, true);
+    } finally {
+        TimeConverter.setLeapSecondTable(original);
+    }
+
+    assert.equal(TimeConverter.lookupLeapSeconds(new Date('2030-01-01T00:00:00Z')).expired, false);
+});
+
+test('conversions past the table expiry come back flagged', async () => {
+    const original = TimeConverter.getLeapSecondTable();
+    const utc = new TruthContract({ frame: FRAMES.ECI, timeScale: TIME_SCALES.UTC });
+
+    try {
+        const table = await LeapSecondTable.fromFile(LEAP_SECONDS_FIXTURE);
+        TimeConverter.setLeapSecondTable(table);
+
+        const before = TimeConverter.utcToTAI(new Date('2026-01-01T00:00:00Z'));
+        assert.equal(before.expired, false);
+        assert.deepEqual(before.expires, table.expires);
+
+        const stale = JulianDate.fromISO('2027-03-01T00:00:00Z');
+        const tai = TimeConverter.utcToTAI(stale);
+        assert.equal(tai.timeScale, TIME_SCALES.TAI);
+        assert.equal(tai.expired, true);
+        assert.deepEqual(tai.expires, table.expires);
+        assert.equal(TimeConverter.utcToTT(stale).expired, true);
+
+        // Either direction through UTC, whichever side is past expiry
+        assert.equal(TimeConverter.convert(stale, TIME_SCALES.UTC, TIME_SCALES.TDB).expired, true);
+        assert.equal(TimeConverter.convert(stale.withScale(TIME_SCALES.TT), TIME_SCALES.TT, TIME_SCALES.UTC).expired, true);
+        // Scales fixed to TAI never consult the table
+        assert.equal(TimeConverter.convert(stale.withScale(TIME_SCALES.TT), TIME_SCALES.TT, TIME_SCALES.GPS).expired, undefined);
+
+        const epoch = new TaggedEpoch(stale, utc).convertTo(utc.with({ timeScale: TIME_SCALES.TT }));
+        assert.equal(epoch.contract.expired, true);
+        assert.deepEqual(epoch.contract.expires, table.expires);
+        assert.equal(new TaggedEpoch(stale, utc).contract.expired, false);
+    } finally {
+        TimeConverter.setLeapSecondTable(original);
+    }
+});
+
+// Deterministic instants between 1962 and 2045
+function sampleInstants(count, seed = 12345) {
+    const start = Date.UTC(1962, 0, 1);
+    const span = Date.UTC(2045, 0, 1) - start;
+    const instants = [];
+    let state = seed;
+
+    for (let i = 0; i < count; i++) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        instants.push(new Date(start + Math.floor(state / 2147483648 * span)));
+    }
+
+    // Either side of a leap second
+    instants.push(new Date('2016-12-31T23:59:30Z'), new Date('2017-01-01T00:00:30Z'));
+    return instants;
+}
+
+const ALL_SCALES = Object.values(TIME_SCALES);
+
+test('TimeConverter round-trips every time-scale pair to a nanosecond', () => {
+    sampleInstants(60).forEach(t => {
+        ALL_SCALES.forEach(a => {
+            ALL_SCALES.forEach(b => {
+                const forward = TimeConverter.offsetSeconds(t, a, b);
+                const there = new Date(t.getTime() + forward * 1000);
+                const back = TimeConverter.offsetSeconds(there, b, a);
+
+                assert.ok(
+                    Math.abs(forward + back) < 1e-9,
+                    `${a}→${b}→${a} at ${t.toISOString()}: ${forward + back} s`
+                );
+
+                // Date itself only carries whole milliseconds
+                const roundTrip = TimeConverter.convert(TimeConverter.convert(t, a, b), b, a);
+                assert.ok(Math.abs(roundTrip.getTime() - t.getTime()) <= 1);
+            });
+        });
+    });
+});
+
+test('TimeConverter round-trips UT1 pairs with a tabulated EOP provider', async () => {
+    const original = TimeConverter.getEOPProvider();
+
+    try {
+        TimeConverter.setEOPProvider(await EOPProvider.fromFile(FINALS_FIXTURE));
+        const t = new Date('2016-12-30T07:13:21.456Z');
+
+        ALL_SCALES.forEach(other => {
+            const forward = TimeConverter.offsetSeconds(t, TIME_SCALES.UT1, other);
+            const back = TimeConverter.offsetSeconds(
+                new Date(t.getTime() + forward * 1000), other, TIME_SCALES.UT1
+            );
+            assert.ok(Math.abs(forward + back) < 1e-9, `UT1→${other}→UT1: ${forward + back} s`);
+        });
+    } finally {
+        TimeConverter.setEOPProvider(original);
+    }
+});
+
+test('TimeConverter offsets between scales match their definitions', () => {
+    const utc = new Date('2020-06-01T00:00:00Z');
+    const offset = (from, to) => TimeConverter.offsetSeconds(utc, from, to);
+
+    assert.equal(offset(TIME_SCALES.UTC, TIME_SCALES.TAI), 37);
+    assert.ok(Math.abs(offset(TIME_SCALES.UTC, TIME_SCALES.TT) - 69.184) < 1e-12);
+    assert.equal(offset(TIME_SCALES.UTC, TIME_SCALES.GPS), 18);
+    assert.equal(offset(TIME_SCALES.GPS, TIME_SCALES.TAI), 19);
+    assert.ok(Math.abs(offset(TIME_SCALES.UTC, TIME_SCALES.UT1) - EOP_DATA.dut1) < 1e-12);
+    assert.ok(Math.abs(offset(TIME_SCALES.TT, TIME_SCALES.TDB)) < 0.0017);
+
+    assert.equal(
+        TimeConverter.utcToGPS(utc).getTime() - utc.getTime(),
+        18 * 1000
+    );
+});
+
+test('TimeConverter converts out of GPS, UT1 and TDB instead of treating them as UTC', () => {
+    const gps = new Date('2020-06-01T00:00:18Z');
+    assert.equal(
+        TimeConverter.convert(gps, TIME_SCALES.GPS, TIME_SCALES.UTC).getTime(),
+        Date.UTC(2020, 5, 1)
+    );
+
+    // TAI instant 20 s into 2017 is still 2016 in UTC (ΔAT was 36 s)
+    const tai = new Date('2017-01-01T00:00:20Z');
+    assert.equal(
+        TimeConverter.convert(tai, TIME_SCALES.TAI, TIME_SCALES.UTC).toISOString(),
+        '2016-12-31T23:59:44.000Z'
+    );
+
+    assert.throws(() => TimeConverter.convert(gps, 'BAD', TIME_SCALES.UTC), /Unsupported time scale/);
+});
+
+test('JulianDate splits day and fraction and converts from Date and MJD', () => {
+    const j2000 = JulianDate.fromDate(new Date('2000-01-01T12:00:00Z'));
+    assert.equal(j2000.day, 2451545);
+    assert.equal(j2000.fraction, 0);
+    assert.equal(j2000.timeScale, TIME_SCALES.UTC);
+
+    const jd = new JulianDate(2451545.75, 0.5, TIME_SCALES.TT);
+    assert.equal(jd.day, 2451546);
+    assert.equal(jd.fraction, 0.25);
+
+    const mjd = JulianDate.fromMJD(60000, 0.25);
+    assert.equal(mjd.jd, 2460000.75);
+    assert.equal(mjd.mjd, 60000.25);
+    assert.equal(mjd.toDate().toISOString(), '2023-02-25T06:00:00.000Z');
+
+    assert.throws(() => new JulianDate(2451545, 0, 'BAD'), /Invalid time scale/);
+});
+
+test('JulianDate keeps nanoseconds through arithmetic where Date and JD numbers cannot', () => {
+    const start = JulianDate.fromISO('2024-03-10T08:15:30.123456789Z');
+    const later = start.addSeconds(1e-9);
+
+    assert.equal(later.toISOString(), '2024-03-10T08:15:30.123456790Z');
+    assert.ok(Math.abs(later.diffSeconds(start) - 1e-9) < 1e-11);
+    assert.ok(later.isAfter(start));
+    assert.ok(start.isBefore(later));
+    assert.equal(start.compare(start.addDays(0)), 0);
+    assert.ok(start.equals(later, 2e-9));
+
+    // Rounding of the fraction costs ~5 ps per step, so 1000 steps stay within 10 ns
+    let t = start;
+    for (let i = 0; i < 1000; i++) t = t.addSeconds(1e-3);
+    assert.ok(Math.abs(t.diffSeconds(start) - 1) < 1e-8);
+});
+
+test('JulianDate round-trips ISO and MJD strings with its time scale', () => {
+    const tt = JulianDate.fromISO('2017-01-01T00:01:09.184000001 TT');
+    assert.equal(tt.timeScale, TIME_SCALES.TT);
+    assert.equal(tt.toISOString(), '2017-01-01T00:01:09.184000001 TT');
+
+    const mjdText = tt.toMJDString(15);
+    assert.ok(mjdText.startsWith('57754.000800740'));
+    const back = JulianDate.fromMJDString(mjdText, TIME_SCALES.TT);
+    assert.ok(Math.abs(back.diffSeconds(tt)) < 1e-9);
+
+    const utc = JulianDate.fromISO('1999-12-31T23:59:59.999999999Z');
+    assert.equal(utc.toISOString(3), '2000-01-01T00:00:00.000Z');
+    assert.deepEqual(JSON.parse(JSON.stringify(JulianDate.fromMJD(51544))), {
+        iso: '2000-01-01T00:00:00.000000000Z',
+        mjd: '51544.000000000000',
+        timeScale: TIME_SCALES.UTC
+    });
+});
+
+test('JulianDate refuses to compare or convert across time scales', () => {
+    const utc = JulianDate.fromISO('2020-01-01T00:00:00Z');
+    const tt = utc.withScale(TIME_SCALES.TT);
+
+    assert.throws(() => utc.diffSeconds(tt), /Time scale mismatch/);
+    assert.throws(() => TimeConverter.convert(tt, TIME_SCALES.UTC, TIME_SCALES.TAI), /Time scale mismatch/);
+    assert.throws(() => TimeConverter.utcToTT(tt), /Time scale mismatch/);
+    assert.throws(() => FrameTransformer.ecefToECI({ x: 1, y: 0, z: 0 }, utc), /Time scale mismatch/);
+});
+
+test('TimeConverter returns tagged JulianDates with sub-millisecond offsets intact', () => {
+    const utc = JulianDate.fromISO('2020-06-01T00:00:00.000000250Z');
+
+    const tt = TimeConverter.utcToTT(utc);
+    assert.equal(tt.timeScale, TIME_SCALES.TT);
+    assert.equal(tt.toISOString(), '2020-06-01T00:01:09.184000250 TT');
+
+    const gps = utc.to(TIME_SCALES.GPS);
+    assert.equal(gps.toISOString(), '2020-06-01T00:00:18.000000250 GPS');
+    assert.ok(Math.abs(gps.to(TIME_SCALES.UTC).diffSeconds(utc)) < 1e-9);
+
+    const ut1 = TimeConverter.utcToUT1(utc, -0.2345678);
+    assert.equal(ut1.timeScale, TIME_SCALES.UT1);
+    assert.ok(Math.abs(ut1.diffSeconds(utc.withScale(TIME_SCALES.UT1)) + 0.2345678) < 1e-9);
+
+    const tdb = TimeConverter.utcToTDB(utc);
+    assert.ok(Math.abs(tdb.diffSeconds(tt.withScale(TIME_SCALES.TDB)) - TimeConverter.tdbMinusTT(tt)) < 1e-9);
+
+    const date = new Date('2020-06-01T00:00:00Z');
+    assert.equal(TimeConverter.dateToJulianDate(JulianDate.fromDate(date)), TimeConverter.dateToJulianDate(date));
+});
+
+test('FrameTransformer accepts a UT1 JulianDate in place of a Date', () => {
+    const date = new Date('2021-09-23T18:30:00Z');
+    const ecef = { x: 4e6, y: 3e6, z: 2e6 };
+
+    const fromDate = FrameTransformer.ecefToECI(ecef, date);
+    const fromJD = FrameTransformer.ecefToECI(ecef, JulianDate.fromDate(date, TIME_SCALES.UT1));
+
+    assert.ok(Math.abs(fromDate.x - fromJD.x) < 1e-3);
+    assert.ok(Math.abs(fromDate.y - fromJD.y) < 1e-3);
+    assert.equal(fromDate.z, fromJD.z);
+});
+
+const eciTT = new TruthContract({ frame: FRAMES.ECI, timeScale: TIME_SCALES.TT, tolerance: { meters: 1 } });
+const ecefTT = eciTT.with({ frame: FRAMES.ECEF });
+
+test('TruthContract reports mismatched fields, including a datum set on one side only', () => {
+    const withDatum = eciTT.with({ heightDatum: HEIGHT_DATUMS.ELLIPSOID });
+    assert.deepEqual(eciTT.mismatches(eciTT.with({})), []);
+    assert.deepEqual(eciTT.mismatches(withDatum), ['heightDatum']);
+    assert.deepEqual(withDatum.mismatches(eciTT), ['heightDatum']);
+    assert.throws(() => eciTT.assertCompatible(withDatum, 'merge'), /heightDatum null vs ELLIPSOID/);
+    assert.deepEqual(withDatum.mismatches(withDatum.with({ heightDatum: HEIGHT_DATUMS.GEOID })), ['heightDatum']);
+    assert.deepEqual(eciTT.mismatches(ecefTT.with({ timeScale: TIME_SCALES.UTC })), ['frame', 'timeScale']);
+
+    assert.throws(
+        () => eciTT.assertCompatible(eciTT.with({ timeScale: TIME_SCALES.TDB }), 'merge'),
+        error => error instanceof ContractViolationError
+            && error.field === 'timeScale'
+            && error.expected === TIME_SCALES.TT
+            && error.actual === TIME_SCALES.TDB
+            && error.operation === 'merge'
+    );
+});
+
+test('Tagged positions combine only under matching contracts, kinds and epochs', () => {
+    const epoch = JulianDate.fromISO('2024-01-01T00:00:00 TT');
+    const a = new TaggedPosition({ x: 1, y: 2, z: 3 }, eciTT, epoch);
+    const b = new TaggedPosition({ x: 4, y: 6, z: 3 }, eciTT, epoch);
+
+    assert.equal(a.distanceTo(b), 5);
+    assert.deepEqual({ ...a.add(b) }, { ...new TaggedPosition({ x: 5, y: 8, z: 6 }, eciTT, epoch) });
+
+    const ecef = new TaggedPosition({ x: 1, y: 2, z: 3 }, ecefTT, epoch);
+    assert.throws(() => a.subtract(ecef), error => error instanceof ContractViolationError && error.field === 'frame');
+
+    const utc = new TaggedPosition({ x: 1, y: 2, z: 3 }, eciTT.with({ timeScale: TIME_SCALES.UTC }));
+    assert.throws(() => a.add(utc), error => error.field === 'timeScale');
+
+    const velocity = new TaggedVelocity({ x: 1, y: 0, z: 0 }, eciTT, epoch);
+    assert.throws(() => a.add(velocity), error => error.field === 'kind');
+
+    const later = new TaggedPosition({ x: 1, y: 2, z: 3 }, eciTT, epoch.addSeconds(1));
+    assert.throws(() => a.distanceTo(later), error => error.field === 'epoch');
+
+    assert.throws(() => new TaggedPosition({ x: 0, y: 0, z: 0 }, eciTT, epoch.withScale(TIME_SCALES.UTC)),
+        ContractViolationError);
+    assert.throws(() => new TaggedPosition({ x: 0, y: 0, z: 0 }, { frame: FRAMES.ECI }), ContractViolationError);
+});
+
+test('TaggedPosition propagates with a velocity under the same contract', () => {
+    const epoch = JulianDate.fromISO('2024-01-01T00:00:00 TT');
+    const position = new TaggedPosition({ x: 7000e3, y: 0, z: 0 }, eciTT, epoch);
+    const velocity = new TaggedVelocity({ x: 0, y: 7.5e3, z: 0 }, eciTT, epoch);
+
+    const moved = position.propagate(velocity, 10);
+    assert.equal(moved.y, 75e3);
+    assert.equal(moved.epoch.toISOString(), '2024-01-01T00:00:10.000000000 TT');
+
+    assert.throws(() => position.propagate(position, 10), error => error.field === 'kind');
+});
+
+test('TaggedEpoch compares only within one time scale and converts explicitly', () => {
+    const utcContract = eciTT.with({ timeScale: TIME_SCALES.UTC });
+    const utc = new TaggedEpoch(new Date('2020-06-01T00:00:00Z'), utcContract);
+    const tt = new TaggedEpoch(JulianDate.fromISO('2020-06-01T00:01:09.184 TT'), eciTT);
+
+    assert.throws(() => tt.diffSeconds(utc), error => error instanceof ContractViolationError && error.field === 'timeScale');
+
+    const converted = utc.convertTo(eciTT);
+    assert.equal(converted.contract, eciTT);
+    assert.ok(Math.abs(converted.diffSeconds(tt)) < 1e-9);
+
+    // Epochs ignore the frame: it has no bearing on an instant
+    assert.equal(tt.compare(new TaggedEpoch(tt.time, ecefTT)), 0);
+});
+
+test('TaggedPosition convertTo rotates between frames at its epoch', () => {
+    const epoch = JulianDate.fromISO('2022-03-20T06:00:00 TT');
+    const ecef = new TaggedPosition({ x: 6378137, y: 0, z: 0 }, ecefTT, epoch);
+
+    const eci = ecef.convertTo(eciTT);
+    assert.equal(eci.contract, eciTT);
+    assert.ok(Math.abs(eci.norm() - 6378137) < 1e-6);
+
+    const back = eci.convertTo(ecefTT);
+    assert.ok(back.distanceTo(ecef) < 1e-6);
+
+    const utcEci = eci.convertTo(eciTT.with({ timeScale: TIME_SCALES.UTC }));
+    assert.equal(utcEci.epoch.timeScale, TIME_SCALES.UTC);
+    assert.equal(utcEci.x, eci.x);
+});
+
+test('TaggedVector convertTo refuses conversions it cannot perform', () => {
+    const epoch = JulianDate.fromISO('2022-03-20T06:00:00 TT');
+
+    assert.throws(() => new TaggedPosition({ x: 1, y: 0, z: 0 }, ecefTT).convertTo(eciTT),
+        error => error.field === 'epoch');
+    assert.throws(() => new TaggedPosition({ x: 1, y: 0, z: 0 }, ecefTT, epoch)
+        .convertTo(ecefTT.with({ frame: FRAMES.MOON_CENTERED })), error => error.field === 'frame');
+    assert.throws(() => new TaggedVelocity({ x: 1, y: 0, z: 0 }, ecefTT, epoch).convertTo(eciTT),
+        /ω × r/);
+
+    const ellipsoid = ecefTT.with({ heightDatum: HEIGHT_DATUMS.ELLIPSOID });
+    assert.throws(() => new TaggedPosition({ x: 1, y: 0, z: 0 }, ellipsoid, epoch)
+        .convertTo(ellipsoid.with({ heightDatum: HEIGHT_DATUMS.GEOID })), error => error.field === 'heightDatum');
+});
+
+test('ContractedVerifier rejects untagged or mismatched values', () => {
+    const verifier = new ContractedVerifier();
+    verifier.registerContract('orbit', eciTT);
+    const epoch = JulianDate.fromISO('2024-01-01T00:00:00 TT');
+    const simulated = new TaggedPosition({ x: 1, y: 0, z: 0 }, eciTT, epoch);
+
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        assert.equal(verifier.verify('orbit', simulated, simulated.scale(1.0)).passed, true);
+
+        assert.throws(() => verifier.verify('orbit', simulated, { x: 1, y: 0, z: 0, frame: FRAMES.ECI }),
+            error => error instanceof ContractViolationError && error.field === 'contract');
+        assert.throws(() => verifier.verify('orbit', simulated,
+            new TaggedPosition({ x: 1, y: 0, z: 0 }, ecefTT, epoch)), error => error.field === 'frame');
+        assert.throws(() => verifier.verify('orbit', simulated,
+            new TaggedPosition({ x: 1, y: 0, z: 0 }, eciTT, epoch.addSeconds(60))), error => error.field === 'epoch');
+    } finally {
+        console.log = originalLog;
+    }
+});
+
+test('tolerance policies bound the norm, each component, or a relative error', () => {
+    const verifier = new ContractedVerifier();
+    const epoch = JulianDate.fromISO('2024-01-01T00:00:00 TT');
+    const reference = new TaggedPosition({ x: 7000, y: 0, z: 0 }, eciTT, epoch);
+    const simulated = new TaggedPosition({ x: 7000.3, y: 0.4, z: 0 }, eciTT, epoch);
+
+    // Legacy { meters: 1 } is a metre bound on these metre values: |(0.3, 0.4, 0)| = 0.5
+    const legacy = verifier.compareWithTolerance(simulated, reference, eciTT.tolerance);
+    assert.equal(legacy.passed, true);
+    assert.ok(Math.abs(legacy.norm - 0.5) < 1e-9);
+    assert.equal(legacy.sigma, null);
+
+    const components = verifier.compareWithTolerance(simulated, reference, { components: { x: 0.5, y: 0.2 } });
+    assert.equal(components.passed, false);
+    assert.deepEqual(components.checks.map(check => [check.axis, check.passed]), [['x', true], ['y', false]]);
+
+    const relative = { norm: 1e-4, mode: TOLERANCE_MODES.RELATIVE };
+    assert.equal(verifier.compareWithTolerance(simulated, reference, relative).passed, true);
+    assert.equal(verifier.compareWithTolerance(7.1, 7, relative).passed, false);
+    assert.equal(verifier.compareWithTolerance(7.1, 7, 0.2).passed, true);
+    assert.throws(() => verifier.compareWithTolerance(1, 0, relative), /non-zero reference/);
+    assert.throws(() => verifier.compareWithTolerance(1, 0, { mode: 'LOG' }), /Invalid tolerance mode: LOG/);
+    assert.throws(() => verifier.compareWithTolerance(1, 0, { components: 1 }), /need vector values/);
+
+    // Epochs compare in seconds
+    const late = new TaggedEpoch(epoch.addSeconds(2), eciTT);
+    assert.equal(verifier.compareWithTolerance(late, new TaggedEpoch(epoch, eciTT), 1).passed, false);
+    assert.equal(verifier.compareWithTolerance(late, new TaggedEpoch(epoch, eciTT), { time_ms: 2500 }).passed, true);
+});
+
+test('unit-suffixed tolerances bound their own quantity in the values\' unit', () => {
+    const verifier = new ContractedVerifier();
+    const epoch = JulianDate.fromISO('2024-01-01T00:00:00 TT');
+    // Kilometres, 0.5 m apart
+    const reference = new TaggedPosition({ x: 7000, y: 0, z: 0 }, eciTT, epoch);
+    const simulated = new TaggedPosition({ x: 7000.0003, y: 0.0004, z: 0 }, eciTT, epoch);
+
+    // A metre bound on kilometre values is 1e-3 of them
+    const metre = verifier.compareWithTolerance(simulated, reference, { position_m: 1 }, { unit: 'km' });
+    assert.equal(metre.passed, true);
+    assert.deepEqual(metre.checks.map(check => [check.key, check.limit]), [['position_m', 1e-3]]);
+    const tight = verifier.compareWithTolerance(simulated, reference, { position_m: 0.4 }, { unit: 'km' });
+    assert.equal(tight.passed, false);
+
+    // Without a unit the values are in the keys' unit, which must agree
+    assert.equal(verifier.compareWithTolerance(simulated, reference, { position_km: 1e-3 }).passed, true);
+    assert.throws(() => verifier.compareWithTolerance(simulated, reference, { position_m: 1, position_km: 1 }),
+        /mixes m and km bounds/);
+    assert.throws(() => verifier.compareWithTolerance(simulated, reference, { position_m: 1 }, { unit: 'km_s' }),
+        /Invalid unit for POSITION values: km_s/);
+
+    // Velocity bounds leave positions alone, and say so
+    const both = verifier.compareWithTolerance(simulated, reference,
+        { position_m: 1, velocity_m_s: 1e-9 }, { unit: 'km' });
+    assert.equal(both.passed, true);
+    assert.deepEqual(both.ignored, ['velocity_m_s']);
+
+    assert.throws(() => verifier.compareWithTolerance(simulated, reference, { position_furlongs: 1 }),
+        /Unknown tolerance key: position_furlongs/);
+    assert.throws(() => verifier.compareWithTolerance(simulated, reference, { velocity_km: 1 }),
+        /Unknown tolerance key: velocity_km/);
+
+    // A kilometre is not a fraction of the reference
+    const relative = { position_km: 1, mode: TOLERANCE_MODES.RELATIVE };
+    assert.throws(() => verifier.compareWithTolerance(simulated, reference, relative),
+        /Relative tolerance cannot take unit bounds: position_km/);
+    assert.throws(() => verifier.compareWithTolerance(simulated, reference, { velocity_m_s: 1, mode: TOLERANCE_MODES.RELATIVE }),
+        /cannot take unit bounds: velocity_m_s/);
+    assert.equal(verifier.compareWithTolerance(simulated, reference, { norm: 1e-7, mode: TOLERANCE_MODES.RELATIVE }).passed, true);
+});
+
+test('a tolerance without a bound on the values is an error, not a pass', () => {
+    const verifier = new ContractedVerifier();
+    const epoch = JulianDate.fromISO('2024-01-01T00:00:00 TT');
+    const reference = new TaggedPosition({ x: 7000, y: 0, z: 0 }, eciTT, epoch);
+    const simulated = new TaggedPosition({ x: 9000, y: 0, z: 0 }, eciTT, epoch);
+
+    assert.throws(() => verifier.compareWithTolerance(simulated, reference, {}), /sets no bound for these values$/);
+    assert.throws(() => verifier.compareWithTolerance(simulated, reference, { velocity_km_s: 1 }),
+        /sets no bound for these values \(only velocity_km_s\)/);
+    assert.throws(() => verifier.compareWithTolerance(10, 7, { position_m: 1 }), /no bound/);
+
+    verifier.registerContract('unbounded', eciTT.with({ tolerance: {} }));
+    assert.throws(() => verifier.verify('unbounded', simulated, reference), /no bound/);
+});
+
+test('covariances on both values give a sigma-distance', () => {
+    const verifier = new ContractedVerifier();
+    verifier.registerContract('orbit', eciTT.with({ tolerance: { sigma: 3 } }));
+    const epoch = JulianDate.fromISO('2024-01-01T00:00:00 TT');
+    const reference = new TaggedPosition({ x: 7000, y: 0, z: 0 }, eciTT, epoch);
+    const simulated = new TaggedPosition({ x: 7003, y: 4, z: 0 }, eciTT, epoch);
+
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        // Isotropic variances add: σ² = 4 + 21 = 25, so 5 m is 1σ
+        const isotropic = verifier.verify('orbit', simulated, reference, { simulated: 4, reference: 21 });
+        assert.equal(isotropic.testId, 'orbit');
+        assert.ok(Math.abs(isotropic.sigma - 1) < 1e-12);
+        assert.equal(isotropic.passed, true);
+
+        // Tight along track (y), loose radially: the 4 m along track is 4σ
+        const elongated = [[100, 0, 0], [0, 1, 0], [0, 0, 1]];
+        const result = verifier.verify('orbit', simulated, reference, { reference: elongated });
+        assert.ok(Math.abs(result.sigma - Math.hypot(3 / 10, 4)) < 1e-12);
+        assert.equal(result.passed, false);
+        assert.deepEqual(result.covariance, elongated);
+
+        assert.throws(() => verifier.verify('orbit', simulated, reference), /sigma tolerance needs covariances/);
+        assert.throws(() => verifier.verify('orbit', simulated, reference, { reference: [[1, 0, 0], [0, 0, 0], [0, 0, 1]] }),
+            /positive definite/);
+        // Positive determinant, yet two negative variances
+        assert.throws(() => verifier.verify('orbit', simulated, reference, { reference: [[-1, 0, 0], [0, -1, 0], [0, 0, 1]] }),
+            /positive definite/);
+        assert.throws(() => verifier.verify('orbit', simulated, reference, { reference: [[4, 1, 0], [0, 4, 0], [0, 0, 4]] }),
+            /symmetric/);
+
+        // Correlated: C = [[4, 2, 0], [2, 5, 0], [0, 0, 1]], r = (3, 4, 0), rᵀ C⁻¹ r = 61/16
+        const correlated = verifier.verify('orbit', simulated, reference, { reference: [[4, 2, 0], [2, 5, 0], [0, 0, 1]] });
+        assert.ok(Math.abs(correlated.sigma - Math.sqrt(61 / 16)) < 1e-12);
+    } finally {
+        console.log = originalLog;
+    }
+
+    // Scalars take variances
+    assert.ok(Math.abs(verifier.compareWithTolerance(10, 7, { sigma: 2 }, { simulated: 1, reference: 8 }).sigma - 1) < 1e-12);
+});
+
+/**
+ * Global .GRD text sampled from f(lat, lon) with the 0°/360° column repeated
+ */
+function globalGeoidText(step, f) {
+    const rows = [];
+    for (let lat = 90; lat >= -90; lat -= step) {
+        const row = [];
+        for (let lon = 0; lon <= 360; lon += step) row.push(f(lat, lon).toFixed(6));
+        rows.push(row.join(' '));
+    }
+    return `-90 90 0 360 ${step} ${step}\n${rows.join('\n')}\n`;
+}
+
+test('GeoidGrid parses .GRD tiles and reproduces the Everest undulation', async () => {
+    const grid = await GeoidGrid.fromFile(GEOID_FIXTURE);
+    assert.equal(grid.rows, 9);
+    assert.equal(grid.cols, 9);
+    assert.ok(grid.covers(28, 87));
+    assert.ok(!grid.covers(30, 87));
+
+    // WW15MGH nodes come back as published: corners and Everest's cell
+    assert.equal(grid.undulation(29, 86), -29.58);
+    assert.equal(grid.undulation(27, 88), -47.08);
+    assert.equal(grid.undulation(28, 86.75), -28.19);
+    assert.equal(grid.undulation(28, 87), -28.94);
+    assert.equal(grid.undulation(27.75, 86.75), -31.65);
+    assert.equal(grid.undulation(27.75, 87), -31.89);
+
+    // Bilinear across that cell by hand, and the ellipsoidal height it gives
+    const everest = WGS84_LANDMARKS_CORRECTED.mount_everest;
+    const tx = (everest.lon - 86.75) / 0.25;
+    const ty = (28 - everest.lat) / 0.25;
+    const north = -28.19 + tx * (-28.94 + 28.19);
+    const south = -31.65 + tx * (-31.89 + 31.65);
+    const expected = north + ty * (south - north);
+    const bilinear = grid.undulation(everest.lat, everest.lon, 'bilinear');
+    const bicubic = grid.undulation(everest.lat, everest.lon, 'bicubic');
+
+    assert.ok(Math.abs(bilinear - expected) < 1e-9, `bilinear N = ${bilinear}`);
+    assert.ok(Math.abs(everest.ellipsoidHeight - everest.geoidHeight - bilinear) < 0.01, `bilinear N = ${bilinear}`);
+    // The cell is smooth enough that bicubic stays within a decimetre or so
+    assert.ok(Math.abs(bicubic - bilinear) < 0.2, `bicubic N = ${bicubic}`);
+
+    assert.throws(() => grid.undulation(10, 87), /does not cover/);
+    assert.throws(() => grid.undulation(28, 87, 'nearest'), /Unsupported interpolation/);
+    assert.throws(() => GeoidGrid.parseGRD('27 29 86 88 0.25 0.25\n1 2 3', 'short'), /expected 9×9/);
+});
+
+test('GeoidGrid interpolates exactly on grid nodes and wraps longitude on global grids', () => {
+    const f = (lat, lon) => lat / 10 + 5 * Math.cos(lon * Math.PI / 180);
+    const grid = GeoidGrid.parseGRD(globalGeoidText(15, f), 'global');
+
+    assert.ok(Math.abs(grid.undulation(30, 45) - f(30, 45)) < 1e-6);
+    assert.ok(Math.abs(grid.undulation(30, 45, 'bicubic') - f(30, 45)) < 1e-6);
+    assert.ok(Math.abs(grid.undulation(-90, 0) - f(-90, 0)) < 1e-6);
+
+    // -7.5°E sits between columns 345° and 360°/0°
+    assert.equal(grid.undulation(10, -7.5), grid.undulation(10, 352.5));
+    assert.ok(Math.abs(grid.undulation(10, 352.5) - (f(10, 345) + f(10, 0)) / 2) < 1e-6);
+
+    // Bicubic follows the curvature that bilinear cuts across
+    const truth = f(22.5, 7.5);
+    const bilinearError = Math.abs(grid.undulation(22.5, 7.5) - truth);
+    const bicubicError = Math.abs(grid.undulation(22.5, 7.5, 'bicubic') - truth);
+    assert.ok(bicubicError < bilinearError, `${bicubicError} vs ${bilinearError}`);
+});
+
+test('DatumConverter converts between ellipsoid, geoid and MSL heights with a loaded grid', async () => {
+    const everest = WGS84_LANDMARKS_CORRECTED.mount_everest;
+    DatumConverter.setGeoidModel(await GeoidGrid.fromFile(GEOID_FIXTURE), 'bicubic');
+
+    try {
+        const orthometric = DatumConverter.convertHeight(everest.lat, everest.lon, everest.ellipsoidHeight,
+            HEIGHT_DATUMS.ELLIPSOID, HEIGHT_DATUMS.GEOID);
+        // The landmark's N is bilinear; bicubic reads 0.1 m higher there
+        assert.ok(Math.abs(orthometric - everest.geoidHeight) < 0.2, `H = ${orthometric}`);
+
+        assert.ok(Math.abs(DatumConverter.ellipsoidalToOrthometric(everest.lat, everest.lon,
+            everest.ellipsoidHeight) - orthometric) < 1e-9);
+        assert.ok(Math.abs(DatumConverter.orthometricToEllipsoidal(everest.lat, everest.lon,
+            orthometric) - everest.ellipsoidHeight) < 1e-9);
+
+        const msl = DatumConverter.convertHeight(everest.lat, everest.lon, everest.ellipsoidHeight,
+            HEIGHT_DATUMS.ELLIPSOID, HEIGHT_DATUMS.MSL, { mslOffset: 0.4 });
+        assert.ok(Math.abs(msl - (orthometric - 0.4)) < 1e-9);
+        assert.ok(Math.abs(DatumConverter.convertHeight(everest.lat, everest.lon, msl,
+            HEIGHT_DATUMS.MSL, HEIGHT_DATUMS.GEOID, { mslOffset: 0.4 }) - orthometric) < 1e-9);
+
+        assert.throws(() => DatumConverter.convertHeight(0, 0, 0, HEIGHT_DATUMS.GEOID, 'NAVD88'),
+            /Invalid height datum/);
+
+        // Outside the tile there is no undulation to give
+        assert.throws(() => DatumConverter.getGeoidUndulation(0, 0), /does not cover/);
+        assert.throws(() => DatumConverter.convertHeight(0, 0, 0, HEIGHT_DATUMS.ELLIPSOID, HEIGHT_DATUMS.GEOID),
+            /does not cover/);
+    } finally {
+        DatumConverter.setGeoidModel(null);
+    }
+});
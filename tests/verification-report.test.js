@@ -0,0 +1,184 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { VerificationReport, ReportHistory, REPORT_SCHEMA, REPORT_VERSION } from '../verification-report.js';
+import { VerificationManager, REPORT_FORMATS } from '../verification-system.js';
+import { AnalyticEphemeris } from '../ephemeris.js';
+import { FRAMES, TIME_SCALES, TaggedPosition } from '../truth-contracts.js';
+
+const EPOCH = new Date('2024-01-01T00:00:00Z');
+const EARTH_ID = 'position:earth@2024-01-01T00:00:00.000Z';
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+/**
+ * A manager with a position, a physics and an event result recorded;
+ * offsetKm moves the simulated Earth off the reference
+ */
+function run(offsetKm = 100) {
+    const verifier = new VerificationManager();
+    const { position } = new AnalyticEphemeris().state('earth', EPOCH);
+    const simulated = new TaggedPosition({ x: position.x + offsetKm, y: position.y, z: position.z }, position.contract, position.epoch);
+
+    verifier.verifyPosition('earth', simulated, position, EPOCH);
+    verifier.verifyEnergyConservation(-1, -1 - 1e-9);
+    verifier.verifyCelestialEvent('spring_equinox_2025', new Date('2025-03-20T11:01:00Z'));
+    return verifier;
+}
+
+test('generateReport records id, residual, tolerance, unit and contract per test', () => {
+    const report = run().generateReport({ suite: 'nightly', metadata: { release: '1.2.0' } });
+
+    assert.ok(report instanceof VerificationReport);
+    assert.deepEqual(report.summary, { total: 3, passed: 2, failed: 1, warnings: 0, passRate: 66.7 });
+
+    const earth = report.test(EARTH_ID);
+    assertClose(earth.residual, 100, 1e-6, 'residual km');
+    assert.equal(earth.tolerance, 1000);
+    assert.equal(earth.unit, 'km');
+    assert.deepEqual(earth.contract, {
+        frame: FRAMES.HELIOCENTRIC_ECLIPTIC, timeScale: TIME_SCALES.TDB, origin: 'HELIOCENTRIC', heightDatum: null
+    });
+
+    assert.equal(report.test('physics:energy').unit, 'relative');
+    assert.equal(report.test('physics:energy').contract, null);
+    const equinox = report.test('event:spring_equinox_2025');
+    assert.equal(equinox.passed, false);
+    assert.equal(equinox.unit, 's');
+});
+
+test('reports round-trip through JSON and check their schema', () => {
+    const report = run().generateReport({ suite: 'nightly' });
+    const json = JSON.parse(run().exportReport(REPORT_FORMATS.JSON, { suite: 'nightly' }));
+
+    assert.equal(json.schema, REPORT_SCHEMA);
+    assert.equal(json.version, REPORT_VERSION);
+    assert.equal(json.tests[0].id, EARTH_ID);
+
+    const copy = VerificationReport.fromJSON(JSON.stringify(report));
+    assert.deepEqual(copy.toJSON(), JSON.parse(JSON.stringify(report)));
+
+    assert.throws(() => VerificationReport.fromJSON({ schema: 'junit' }), /Not a verification report/);
+    assert.throws(() => VerificationReport.fromJSON({ ...json, version: 2 }), /Unsupported verification report version: 2/);
+    assert.throws(() => run().exportReport('csv'), /Unsupported report format: csv/);
+});
+
+test('JUnit XML groups tests by type and fails those out of tolerance', () => {
+    const xml = run().exportReport(REPORT_FORMATS.JUNIT, { suite: 'nightly' });
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    assert.match(xml, /<testsuites name="nightly" tests="3" failures="1" errors="0">/);
+    assert.match(xml, /<testsuite name="nightly.event" tests="1" failures="1"/);
+    assert.match(xml, /<property name="contract" value="HELIOCENTRIC_ECLIPTIC \/ TDB \/ HELIOCENTRIC"\/>/);
+    assert.match(xml, /<failure type="ToleranceExceeded" message="residual 7.200e\+3 s exceeds tolerance 3.600e\+3 s"\/>/);
+
+    const escaped = VerificationReport.fromResults([{ name: 'a < b & "c"', type: 'x', passed: true, error: 0, tolerance: 1 }]);
+    assert.match(escaped.toJUnitXML(), /name="a &lt; b &amp; &quot;c&quot;"/);
+});
+
+test('Markdown lists every test with its status', () => {
+    const markdown = run().exportReport(REPORT_FORMATS.MARKDOWN, { suite: 'nightly' });
+    const lines = markdown.split('\n');
+
+    assert.equal(lines[0], '# Verification report: nightly');
+    assert.match(lines[2], /· 2\/3 passed \(66.7%\)$/);
+    assert.equal(lines.filter(line => line.startsWith('| ✅')).length, 2);
+    assert.ok(lines.includes('| ❌ | Event: vernal_equinox | 7.200e+3 | 3.600e+3 | s | — |'));
+});
+
+test('compare flags residual growth, new failures, and ignores noise', () => {
+    const baseline = run(100).generateReport();
+
+    assert.equal(VerificationReport.compare(baseline, run(105).generateReport()).regressed, false);
+
+    const worse = VerificationReport.compare(baseline, run(150).generateReport());
+    assert.equal(worse.regressed, true);
+    assert.deepEqual(worse.regressions.map(r => [r.id, r.reason]), [[EARTH_ID, 'residual']]);
+    assertClose(worse.regressions[0].growth, 0.5, 1e-6, 'growth');
+    assert.equal(worse.unchanged, 2);
+
+    // Over tolerance: a status regression whatever the threshold
+    const failing = VerificationReport.compare(baseline, run(2000).generateReport(), { threshold: 100 });
+    assert.deepEqual(failing.regressions.map(r => r.reason), ['status']);
+
+    const better = VerificationReport.compare(run(150).generateReport(), baseline);
+    assert.deepEqual(better.improvements.map(r => r.id), [EARTH_ID]);
+
+    // Energy drifts of 1e-9 against a 1e-6 tolerance are noise, however they grow
+    const drift = new VerificationManager();
+    drift.verifyEnergyConservation(-1, -1 - 5e-9);
+    const quiet = VerificationReport.compare(baseline, drift.generateReport());
+    assert.deepEqual(quiet.regressions, []);
+    assert.deepEqual(quiet.removed, [EARTH_ID, 'event:spring_equinox_2025']);
+    assert.deepEqual(quiet.added, []);
+});
+
+test('position ids stay unique across epochs', () => {
+    const verifier = new VerificationManager();
+    const ephemeris = new AnalyticEphemeris();
+    const later = new Date('2024-07-01T00:00:00Z');
+
+    verifier.verifyPosition('earth', ephemeris.state('earth', EPOCH).position, ephemeris.state('earth', EPOCH).position, EPOCH);
+    verifier.verifyPosition('earth', ephemeris.state('earth', later).position, ephemeris.state('earth', later).position, later);
+
+    const ids = verifier.generateReport().tests.map(entry => entry.id);
+    assert.deepEqual(ids, [EARTH_ID, 'position:earth@2024-07-01T00:00:00.000Z']);
+});
+
+test('compare reports a residual that stops being a number as a regression', () => {
+    const baseline = run(100).generateReport();
+    const broken = run(Number.NaN).generateReport();
+
+    const comparison = VerificationReport.compare(baseline, broken);
+    assert.equal(comparison.regressed, true);
+    assert.deepEqual(comparison.regressions.map(r => [r.id, r.reason]), [[EARTH_ID, 'non_finite']]);
+
+    // NaN is written as null in JSON, and still regresses when read back
+    const stored = JSON.parse(JSON.stringify(broken));
+    assert.deepEqual(VerificationReport.compare(baseline, stored).regressions.map(r => r.reason), ['non_finite']);
+
+    const fixed = VerificationReport.compare(broken, baseline);
+    assert.deepEqual(fixed.improvements.map(r => [r.id, r.reason]), [[EARTH_ID, 'non_finite']]);
+    assert.equal(fixed.regressed, false);
+});
+
+test('ReportHistory stores runs and compares each with the last', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'verification-history-'));
+    try {
+        const history = new ReportHistory(join(directory, 'reports'));
+        assert.equal(await history.latest(), null);
+
+        const first = run(100).generateReport();
+        first.generatedAt = '2025-01-01T00:00:00.000Z';
+        const stored = await history.record(first);
+        assert.equal(stored.comparison, null);
+        assert.match(stored.path, /verification_20250101T000000\.000Z\.json$/);
+        assert.equal(JSON.parse(await readFile(stored.path, 'utf8')).schema, REPORT_SCHEMA);
+
+        const second = run(200).generateReport();
+        second.generatedAt = '2025-02-01T00:00:00.000Z';
+        const { comparison } = await history.record(second);
+        assert.equal(comparison.baseline.generatedAt, first.generatedAt);
+        assert.equal(comparison.regressed, true);
+
+        assert.deepEqual(await history.list(), ['verification_20250101T000000.000Z', 'verification_20250201T000000.000Z']);
+        assert.equal((await history.latest()).generatedAt, second.generatedAt);
+        assert.deepEqual(await history.list('nightly'), []);
+
+        // A suite whose name extends another's keeps its own history
+        const nightly = run(100).generateReport();
+        nightly.suite = 'verification_nightly';
+        nightly.generatedAt = '2025-03-01T00:00:00.000Z';
+        assert.equal((await history.record(nightly)).comparison, null);
+        assert.deepEqual(await history.list(), ['verification_20250101T000000.000Z', 'verification_20250201T000000.000Z']);
+        assert.equal((await history.latest()).generatedAt, second.generatedAt);
+        assert.deepEqual(await history.list('verification_nightly'), ['verification_nightly_20250301T000000.000Z']);
+    } finally {
+        await rm(directory, { recursive: true, force: true });
+    }
+});
@@ -40,7 +40,7 @@ export const HEIGHT_DATUMS = {
 };
 
 // ===== LEAP SECOND TABLE =====
-// Must be updated when IERS announces new leap seconds
+// Built-in fallback; load the current leap-seconds.list with LeapSecondTable
 export const LEAP_SECONDS = [
     { date: new Date('1972-01-01'), leapSeconds: 10 },
     { date: new Date('1972-07-01'), leapSeconds: 11 },
@@ -75,7 +75,7 @@ export const LEAP_SECONDS = [
 ];
 
 // ===== EARTH ORIENTATION PARAMETERS (EOP) =====
-// Simplified - in production, fetch from IERS Bulletin A
+// Fallback only - load real values with EOPProvider (IERS finals2000A / Bulletin A)
 export const EOP_DATA = {
     // UT1-UTC difference (seconds)
     // Varies due to Earth's irregular rotation
@@ -124,10 +124,10 @@ export const WGS84_LANDMARKS_CORRECTED = {
         name: 'Mount Everest Summit',
         lat: 27.988056,
         lon: 86.925278,
-        ellipsoidHeight: 8877.69, // Ellipsoidal height (WGS84)
+        ellipsoidHeight: 8820.00, // Ellipsoidal height (WGS84): H + N
         geoidHeight: 8848.86,     // Official orthometric height (MSL)
         datum: HEIGHT_DATUMS.ELLIPSOID,
-        notes: 'Use ellipsoidal height for ECEF! Geoid undulation ~29m here'
+        notes: 'Use ellipsoidal height for ECEF! Geoid undulation -28.86m here (EGM96)'
     },
 
     null_island: {
@@ -141,218 +141,1738 @@ export const WGS84_LANDMARKS_CORRECTED = {
 };
 
 // ===== TRUTH CONTRACT TYPE =====
+
+/**
+ * Thrown when values with different frames, time scales or datums are combined
+ * field names the contract field that disagreed (or 'epoch', 'kind', 'contract')
+ */
+export class ContractViolationError extends Error {
+    constructor(message, { field = null, expected = null, actual = null, operation = null } = {}) {
+        super(message);
+        this.name = 'ContractViolationError';
+        this.field = field;
+        this.expected = expected;
+        this.actual = actual;
+        this.operation = operation;
+    }
+}
+
+// Fields two contracts must agree on before their values can be combined
+const CONTRACT_FIELDS = ['frame', 'timeScale', 'heightDatum'];
+
 export class TruthContract {
     constructor(config) {
         this.frame = config.frame;
         this.timeScale = config.timeScale;
         this.heightDatum = config.heightDatum || null;
         this.tolerance = config.tolerance || {};
+        // Set on contracts of epochs converted past the leap-second table's expiry
+        this.expired = config.expired || false;
+        this.expires = config.expires || null;
+
+        // Validate
+        if (!Object.values(FRAMES).includes(this.frame)) {
+            throw new Error(`Invalid frame: ${this.frame}`);
+        }
+        if (!Object.values(TIME_SCALES).includes(this.timeScale)) {
+            throw new Error(`Invalid time scale: ${this.timeScale}`);
+        }
+        if (this.heightDatum && !Object.values(HEIGHT_DATUMS).includes(this.heightDatum)) {
+            throw new Error(`Invalid height datum: ${this.heightDatum}`);
+        }
+    }
+
+    /**
+     * Fields on which two contracts disagree
+     * A field set on one side and unset on the other (e.g. a height datum
+     * against none) disagrees too; only fields both leave unset agree
+     */
+    mismatches(other, fields = CONTRACT_FIELDS) {
+        return fields.filter(field => (this[field] ?? null) !== (other[field] ?? null));
+    }
+
+    /**
+     * Throw a ContractViolationError unless other agrees on every field
+     */
+    assertCompatible(other, operation = 'operation', fields) {
+        const mismatched = this.mismatches(other, fields);
+        if (mismatched.length === 0) return this;
+
+        const [field] = mismatched;
+        const details = mismatched.map(f => `${f} ${this[f]} vs ${other[f]}`).join(', ');
+        throw new ContractViolationError(`Contract violation in ${operation}: ${details}`, {
+            field,
+            expected: this[field],
+            actual: other[field],
+            operation
+        });
+    }
+
+    /**
+     * Copy of this contract (same class) with some fields replaced
+     */
+    with(overrides) {
+        return new this.constructor({ ...this, ...overrides });
+    }
+
+    toString() {
+        return `Contract(frame=${this.frame}, time=${this.timeScale}, datum=${this.heightDatum})`;
+    }
+}
+
+// ===== EARTH ORIENTATION PROVIDER =====
+const MJD_UNIX_EPOCH = 40587; // MJD of 1970-01-01T00:00:00Z
+
+function mjdToDate(mjd) {
+    return new Date((mjd - MJD_UNIX_EPOCH) * 86400000);
+}
+
+function dateToMJD(date) {
+    return date.getTime() / 86400000 + MJD_UNIX_EPOCH;
+}
+
+/**
+ * Read a local text file (Node only; browsers should fetch and call the parsers)
+ */
+async function readTextFile(path) {
+    const { readFile } = await import('node:fs/promises');
+    return readFile(path, 'utf8');
+}
+
+export class EOPProvider {
+    /**
+     * entries: daily { mjd, xp, yp, dut1, predicted }
+     * (xp, yp in arcseconds, dut1 = UT1-UTC in seconds)
+     */
+    constructor(entries, source = 'UNKNOWN') {
+        if (entries.length === 0) {
+            throw new Error(`EOP table from ${source} has no usable entries`);
+        }
+
+        this.entries = [...entries].sort((a, b) => a.mjd - b.mjd);
+        this.source = source;
+        this.constant = false;
+    }
+
+    /**
+     * Wrap a single fixed dut1/xp/yp triple (like EOP_DATA) as a provider
+     * Covers every date, so it never reports out-of-range
+     */
+    static constant(eop) {
+        const provider = new EOPProvider([{ mjd: 0, ...eop, predicted: false }], 'CONSTANT');
+        provider.constant = true;
+        return provider;
+    }
+
+    /**
+     * Parse IERS finals2000A / finals.all fixed-width records
+     * (Bulletin A columns: MJD 8-15, PM flag 17, x 19-27, y 38-46, UT flag 58, UT1-UTC 59-68)
+     */
+    static parseFinals2000A(text) {
+        const entries = [];
+
+        text.split(/\r?\n/).forEach(line => {
+            const mjd = parseFloat(line.slice(7, 15));
+            const xp = parseFloat(line.slice(18, 27));
+            const yp = parseFloat(line.slice(37, 46));
+            const dut1 = parseFloat(line.slice(58, 68));
+
+            // Trailing records carry predictions for some columns only
+            if ([mjd, xp, yp, dut1].some(Number.isNaN)) return;
+
+            entries.push({
+                mjd,
+                xp,
+                yp,
+                dut1,
+                predicted: line[16] === 'P' || line[57] === 'P'
+            });
+        });
+
+        return entries;
+    }
+
+    /**
+     * Parse the tables of a weekly IERS Bulletin A (ser7)
+     * Observed rows: "YY MM DD MJD x err y err UT1-UTC err"
+     * Prediction rows: "YYYY MM DD MJD x y UT1-UTC"
+     */
+    static parseBulletinA(text) {
+        const entries = [];
+        let inPredictions = false;
+
+        text.split(/\r?\n/).forEach(line => {
+            if (/PREDICTIONS/i.test(line)) inPredictions = true;
+
+            const match = line.match(/^\s*(\d{4}|\d{2})\s+(\d{1,2})\s+(\d{1,2})\s+(\d{5})\s+(.*)$/);
+            if (!match) return;
+
+            const values = match[5].trim().split(/\s+/).map(Number);
+            if (values.some(Number.isNaN)) return;
+
+            const mjd = Number(match[4]);
+            if (values.length >= 6) {
+                entries.push({ mjd, xp: values[0], yp: values[2], dut1: values[4], predicted: inPredictions });
+            } else if (values.length === 3) {
+                entries.push({ mjd, xp: values[0], yp: values[1], dut1: values[2], predicted: true });
+            }
+        });
+
+        return entries;
+    }
+
+    /**
+     * Parse either format, detecting finals2000A by its fixed-width date/MJD prefix
+     */
+    static parse(text, source = 'IERS') {
+        const isFinals = text.split(/\r?\n/)
+            .some(line => /^[ \d]{6} [ \d]{5}\.\d{2} [IP ]/.test(line));
+
+        const entries = isFinals ? this.parseFinals2000A(text) : this.parseBulletinA(text);
+        return new EOPProvider(entries, source);
+    }
+
+    /**
+     * Load a finals2000A or Bulletin A file from disk
+     */
+    static async fromFile(path) {
+        const text = await readTextFile(path);
+        return this.parse(text, String(path));
+    }
+
+    /**
+     * First and last dates the table covers (UTC)
+     */
+    get span() {
+        return {
+            start: mjdToDate(this.entries[0].mjd),
+            end: mjdToDate(this.entries[this.entries.length - 1].mjd)
+        };
+    }
+
+    covers(utcDate) {
+        if (this.constant) return true;
+
+        const mjd = dateToMJD(utcDate);
+        return mjd >= this.entries[0].mjd && mjd <= this.entries[this.entries.length - 1].mjd;
+    }
+
+    /**
+     * Interpolated EOP for a UTC date
+     * Linear in xp, yp and in UT1-TAI, which stays continuous across leap seconds
+     * Dates outside the table are clamped to the nearest entry and flagged
+     */
+    getEOP(utcDate) {
+        const entries = this.entries;
+        const mjd = dateToMJD(utcDate);
+        const outOfRange = !this.covers(utcDate);
+
+        let lo = entries[0];
+        let hi = entries[0];
+
+        if (entries.length > 1 && !this.constant) {
+            if (mjd <= entries[0].mjd) {
+                lo = hi = entries[0];
+            } else if (mjd >= entries[entries.length - 1].mjd) {
+                lo = hi = entries[entries.length - 1];
+            } else {
+                // Binary search for the bracketing pair
+                let i = 0, j = entries.length - 1;
+                while (j - i > 1) {
+                    const mid = (i + j) >> 1;
+                    if (entries[mid].mjd <= mjd) i = mid; else j = mid;
+                }
+                lo = entries[i];
+                hi = entries[j];
+            }
+        }
+
+        const f = hi.mjd > lo.mjd ? (mjd - lo.mjd) / (hi.mjd - lo.mjd) : 0;
+        const lerp = (a, b) => a + (b - a) * f;
+
+        let dut1;
+        if (this.constant) {
+            dut1 = lo.dut1;
+        } else {
+            const taiLo = lo.dut1 - TimeConverter.getLeapSeconds(mjdToDate(lo.mjd));
+            const taiHi = hi.dut1 - TimeConverter.getLeapSeconds(mjdToDate(hi.mjd));
+            dut1 = lerp(taiLo, taiHi) + TimeConverter.getLeapSeconds(utcDate);
+        }
+
+        return {
+            dut1,
+            xp: lerp(lo.xp, hi.xp),
+            yp: lerp(lo.yp, hi.yp),
+            predicted: Boolean(lo.predicted || hi.predicted),
+            outOfRange,
+            source: this.source
+        };
+    }
+}
+
+let activeEOPProvider = EOPProvider.constant(EOP_DATA);
+
+// ===== LEAP SECOND TABLE LOADER =====
+const NTP_UNIX_OFFSET = 2208988800; // seconds from 1900-01-01 (NTP epoch) to 1970-01-01
+
+function ntpToDate(ntpSeconds) {
+    return new Date((ntpSeconds - NTP_UNIX_OFFSET) * 1000);
+}
+
+// Pre-1972 "rubber second" UTC (USNO tai-utc.dat):
+// TAI-UTC = offset + (MJD - mjdRef) * rate
+const PRE_1972_UTC_OFFSETS = [
+    { date: new Date('1961-01-01'), offset: 1.4228180, mjdRef: 37300, rate: 0.001296 },
+    { date: new Date('1961-08-01'), offset: 1.3728180, mjdRef: 37300, rate: 0.001296 },
+    { date: new Date('1962-01-01'), offset: 1.8458580, mjdRef: 37665, rate: 0.0011232 },
+    { date: new Date('1963-11-01'), offset: 1.9458580, mjdRef: 37665, rate: 0.0011232 },
+    { date: new Date('1964-01-01'), offset: 3.2401300, mjdRef: 38761, rate: 0.001296 },
+    { date: new Date('1964-04-01'), offset: 3.3401300, mjdRef: 38761, rate: 0.001296 },
+    { date: new Date('1964-09-01'), offset: 3.4401300, mjdRef: 38761, rate: 0.001296 },
+    { date: new Date('1965-01-01'), offset: 3.5401300, mjdRef: 38761, rate: 0.001296 },
+    { date: new Date('1965-03-01'), offset: 3.6401300, mjdRef: 38761, rate: 0.001296 },
+    { date: new Date('1965-07-01'), offset: 3.7401300, mjdRef: 38761, rate: 0.001296 },
+    { date: new Date('1965-09-01'), offset: 3.8401300, mjdRef: 38761, rate: 0.001296 },
+    { date: new Date('1966-01-01'), offset: 4.3131700, mjdRef: 39126, rate: 0.002592 },
+    { date: new Date('1968-02-01'), offset: 4.2131700, mjdRef: 39126, rate: 0.002592 }
+];
+
+export class LeapSecondTable {
+    /**
+     * entries: [{ date, leapSeconds }] with TAI-UTC from each date onward
+     * options: { updated, expires, hash, source } as read from leap-seconds.list
+     */
+    constructor(entries, options = {}) {
+        if (entries.length === 0) {
+            throw new Error(`Leap second table from ${options.source} has no entries`);
+        }
+
+        this.entries = [...entries].sort((a, b) => a.date - b.date);
+        this.updated = options.updated || null;
+        this.expires = options.expires || null;
+        this.hash = options.hash || null;
+        this.hashInput = options.hashInput || null;
+        this.source = options.source || 'BUILT_IN';
+        this.hashVerified = false;
+    }
+
+    /**
+     * Parse the IERS/IANA leap-seconds.list format
+     * "#$ NTP" last update, "#@ NTP" expiry, "#h" SHA-1, data rows "NTP  TAI-UTC  # comment"
+     */
+    static parse(text, source = 'leap-seconds.list') {
+        const entries = [];
+        let updated = null;
+        let expires = null;
+        let hash = null;
+        let updatedField = '';
+        let expiresField = '';
+        let dataFields = '';
+
+        text.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('#$')) {
+                updatedField = line.slice(2).trim().split(/\s+/)[0];
+                updated = ntpToDate(Number(updatedField));
+            } else if (line.startsWith('#@')) {
+                expiresField = line.slice(2).trim().split(/\s+/)[0];
+                expires = ntpToDate(Number(expiresField));
+            } else if (line.startsWith('#h')) {
+                // Five 32-bit words; the file drops leading zeros
+                hash = line.slice(2).trim().split(/\s+/)
+                    .map(word => word.padStart(8, '0'))
+                    .join('')
+                    .toLowerCase();
+            } else if (!line.startsWith('#') && line.trim()) {
+                const [ntp, offset] = line.split('#')[0].trim().split(/\s+/);
+                entries.push({ date: ntpToDate(Number(ntp)), leapSeconds: Number(offset) });
+                dataFields += ntp + offset;
+            }
+        });
+
+        return new LeapSecondTable(entries, {
+            updated,
+            expires,
+            hash,
+            hashInput: updatedField + expiresField + dataFields,
+            source
+        });
+    }
+
+    /**
+     * Check the file's SHA-1 over its update time, expiry and data rows
+     */
+    async verifyHash() {
+        if (!this.hash || this.hashInput === null) {
+            this.hashVerified = false;
+            return false;
+        }
+
+        const digest = await globalThis.crypto.subtle.digest(
+            'SHA-1',
+            new TextEncoder().encode(this.hashInput)
+        );
+        const hex = Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+
+        this.hashVerified = hex === this.hash;
+        return this.hashVerified;
+    }
+
+    /**
+     * Load leap-seconds.list from disk; a hash mismatch means a corrupt or edited file
+     */
+    static async fromFile(path) {
+        const table = this.parse(await readTextFile(path), String(path));
+
+        if (!(await table.verifyHash())) {
+            throw new Error(`Leap second file ${table.source} failed its SHA-1 check`);
+        }
+
+        return table;
+    }
+
+    /**
+     * True once a date is past the file's expiry (a leap second may have been announced since)
+     * Tables without an expiry date (the built-in one) never expire
+     */
+    isExpired(utcDate) {
+        return this.expires !== null && utcDate > this.expires;
+    }
+
+    /**
+     * TAI-UTC for a UTC date, with how it was obtained:
+     * - TABLE: integer leap seconds from the table
+     * - RUBBER_SECOND: 1961-1971 offset-and-drift formula
+     * - PRE_UTC: before 1961, when UTC did not exist (1961 value held)
+     */
+    lookup(utcDate) {
+        const result = {
+            leapSeconds: null,
+            model: 'TABLE',
+            expired: this.isExpired(utcDate),
+            expires: this.expires,
+            source: this.source
+        };
+
+        if (utcDate < this.entries[0].date) {
+            const segment = [...PRE_1972_UTC_OFFSETS].reverse().find(s => utcDate >= s.date);
+
+            if (segment) {
+                result.leapSeconds = segment.offset + (dateToMJD(utcDate) - segment.mjdRef) * segment.rate;
+                result.model = 'RUBBER_SECOND';
+            } else {
+                const first = PRE_1972_UTC_OFFSETS[0];
+                result.leapSeconds = first.offset + (dateToMJD(first.date) - first.mjdRef) * first.rate;
+                result.model = 'PRE_UTC';
+            }
+
+            return result;
+        }
+
+        for (const entry of this.entries) {
+            if (utcDate >= entry.date) {
+                result.leapSeconds = entry.leapSeconds;
+            } else {
+                break;
+            }
+        }
+
+        return result;
+    }
+}
+
+let activeLeapSecondTable = new LeapSecondTable(LEAP_SECONDS);
+
+// ===== HIGH-PRECISION JULIAN DATE =====
+const JD_UNIX_EPOCH = 2440587.5; // JD of 1970-01-01T00:00:00Z
+const JD_MJD_OFFSET = 2400000.5; // JD - MJD
+const JD_J2000 = 2451545.0;      // 2000-01-01T12:00:00 TT
+
+/**
+ * Gregorian calendar date → Julian day number (Fliegel & Van Flandern)
+ */
+function calendarToJDN(year, month, day) {
+    const a = Math.trunc((month - 14) / 12);
+    return Math.trunc(1461 * (year + 4800 + a) / 4)
+         + Math.trunc(367 * (month - 2 - 12 * a) / 12)
+         - Math.trunc(3 * Math.trunc((year + 4900 + a) / 100) / 4)
+         + day - 32075;
+}
+
+/**
+ * Julian day number → Gregorian calendar date
+ */
+function jdnToCalendar(jdn) {
+    let l = jdn + 68569;
+    const n = Math.trunc(4 * l / 146097);
+    l -= Math.trunc((146097 * n + 3) / 4);
+    const i = Math.trunc(4000 * (l + 1) / 1461001);
+    l = l - Math.trunc(1461 * i / 4) + 31;
+    const j = Math.trunc(80 * l / 2447);
+    const day = l - Math.trunc(2447 * j / 80);
+    const k = Math.trunc(j / 11);
+
+    return { year: 100 * (n - 49) + i + k, month: j + 2 - 12 * k, day };
+}
+
+const pad = (value, width = 2) => String(value).padStart(width, '0');
+
+/**
+ * Two-part Julian date tagged with its time scale
+ * day is a whole number and fraction lies in [0, 1), so the fraction keeps
+ * ~10 ps resolution where a single double JD only resolves ~40 µs
+ */
+export class JulianDate {
+    constructor(day, fraction = 0, timeScale = TIME_SCALES.UTC) {
+        if (!Object.values(TIME_SCALES).includes(timeScale)) {
+            throw new Error(`Invalid time scale: ${timeScale}`);
+        }
+        if (!Number.isFinite(day) || !Number.isFinite(fraction)) {
+            throw new Error(`Invalid Julian date: ${day} + ${fraction}`);
+        }
+
+        const whole = Math.floor(day);
+        const rest = (day - whole) + fraction;
+        const carry = Math.floor(rest);
+
+        this.day = whole + carry;
+        this.fraction = rest - carry;
+        this.timeScale = timeScale;
+    }
+
+    /**
+     * From a JS Date (whole milliseconds), labelled in timeScale
+     */
+    static fromDate(date, timeScale = TIME_SCALES.UTC) {
+        const ms = date.getTime();
+        const days = Math.floor(ms / 86400000);
+        const msOfDay = ms - days * 86400000;
+
+        return new JulianDate(days + Math.floor(JD_UNIX_EPOCH), 0.5 + msOfDay / 86400000, timeScale);
+    }
+
+    static fromMJD(mjd, fraction = 0, timeScale = TIME_SCALES.UTC) {
+        return new JulianDate(mjd + Math.floor(JD_MJD_OFFSET), fraction + 0.5, timeScale);
+    }
+
+    /**
+     * Parse an ISO 8601 calendar string with any number of second digits
+     * Trailing 'Z' means UTC; a trailing scale name ("... TT") sets the scale
+     */
+    static fromISO(text, timeScale = TIME_SCALES.UTC) {
+        const match = text.trim().match(
+            /^(-?\d{4,})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?\s*(Z|[A-Z0-9]+)?$/
+        );
+        if (!match) {
+            throw new Error(`Invalid ISO date: ${text}`);
+        }
+
+        const [, year, month, day, hours = 0, minutes = 0, seconds = 0, decimals = '', suffix] = match;
+        const scale = suffix && suffix !== 'Z' ? suffix : timeScale;
+        const secondsOfDay = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(`0${decimals}`);
+
+        // JDN labels the noon of the calendar day; the civil day starts half a day earlier
+        return new JulianDate(calendarToJDN(Number(year), Number(month), Number(day)) - 1,
+            0.5 + secondsOfDay / 86400, scale);
+    }
+
+    /**
+     * Single-number JD (loses precision below ~40 µs)
+     */
+    get jd() {
+        return this.day + this.fraction;
+    }
+
+    get mjd() {
+        return (this.day - Math.floor(JD_MJD_OFFSET)) + (this.fraction - 0.5);
+    }
+
+    /**
+     * Days since J2000.0, computed from the parts
+     */
+    get daysSinceJ2000() {
+        return (this.day - JD_J2000) + this.fraction;
+    }
+
+    /**
+     * Julian centuries since J2000.0
+     */
+    get centuriesSinceJ2000() {
+        return this.daysSinceJ2000 / 36525.0;
+    }
+
+    withScale(timeScale) {
+        return new JulianDate(this.day, this.fraction, timeScale);
+    }
+
+    /**
+     * Throw unless tagged with the expected time scale
+     */
+    requireScale(timeScale) {
+        if (this.timeScale !== timeScale) {
+            throw new ContractViolationError(`Time scale mismatch: expected ${timeScale}, got ${this.timeScale}`, {
+                field: 'timeScale',
+                expected: timeScale,
+                actual: this.timeScale
+            });
+        }
+        return this;
+    }
+
+    addDays(days) {
+        const whole = Math.trunc(days);
+        return new JulianDate(this.day + whole, this.fraction + (days - whole), this.timeScale);
+    }
+
+    addSeconds(seconds) {
+        return this.addDays(seconds / 86400);
+    }
+
+    /**
+     * this - other, in days; both must share a time scale
+     */
+    diffDays(other) {
+        other.requireScale(this.timeScale);
+        return (this.day - other.day) + (this.fraction - other.fraction);
+    }
+
+    diffSeconds(other) {
+        return this.diffDays(other) * 86400;
+    }
+
+    /**
+     * -1, 0 or 1, ordering by day then fraction
+     */
+    compare(other) {
+        other.requireScale(this.timeScale);
+        if (this.day !== other.day) return this.day < other.day ? -1 : 1;
+        if (this.fraction !== other.fraction) return this.fraction < other.fraction ? -1 : 1;
+        return 0;
+    }
+
+    equals(other, toleranceSeconds = 0) {
+        return other.timeScale === this.timeScale
+            && Math.abs(this.diffSeconds(other)) <= toleranceSeconds;
+    }
+
+    isBefore(other) {
+        return this.compare(other) < 0;
+    }
+
+    isAfter(other) {
+        return this.compare(other) > 0;
+    }
+
+    /**
+     * Same instant expressed in another time scale
+     */
+    to(timeScale) {
+        return TimeConverter.convert(this, this.timeScale, timeScale);
+    }
+
+    /**
+     * JS Date at the nearest millisecond (the scale tag is dropped)
+     */
+    toDate() {
+        return new Date(Math.round(((this.day - JD_UNIX_EPOCH) + this.fraction) * 86400000));
+    }
+
+    /**
+     * ISO 8601 calendar string; 'Z' for UTC, otherwise the scale name
+     * Leap seconds (23:59:60) are not representable
+     */
+    toISOString(digits = 9) {
+        let jdn = this.day + Math.floor(this.fraction + 0.5);
+        const unit = 10 ** digits;
+        let ticks = Math.round((this.fraction + 0.5) % 1 * 86400 * unit);
+        if (ticks >= 86400 * unit) {
+            ticks -= 86400 * unit;
+            jdn += 1;
+        }
+
+        const { year, month, day } = jdnToCalendar(jdn);
+        const seconds = Math.floor(ticks / unit);
+        const decimals = digits > 0 ? `.${pad(ticks - seconds * unit, digits)}` : '';
+        const time = `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+        const suffix = this.timeScale === TIME_SCALES.UTC ? 'Z' : ` ${this.timeScale}`;
+
+        return `${pad(year, 4)}-${pad(month)}-${pad(day)}T${time}${decimals}${suffix}`;
+    }
+
+    /**
+     * MJD as a decimal string that keeps the full precision of the parts
+     */
+    toMJDString(digits = 12) {
+        let day = this.day - Math.floor(JD_MJD_OFFSET);
+        let fraction = this.fraction - 0.5;
+        if (fraction < 0) {
+            fraction += 1;
+            day -= 1;
+        }
+
+        let fixed = fraction.toFixed(digits);
+        if (fixed.startsWith('1')) {
+            day += 1;
+            fixed = (0).toFixed(digits);
+        }
+
+        return `${day}${fixed.slice(1)}`;
+    }
+
+    /**
+     * Inverse of toMJDString (integer and decimal parts are read separately)
+     */
+    static fromMJDString(text, timeScale = TIME_SCALES.UTC) {
+        const match = text.trim().match(/^(-?\d+)(\.\d*)?$/);
+        if (!match) {
+            throw new Error(`Invalid MJD: ${text}`);
+        }
+
+        const day = Number(match[1]);
+        const fraction = Number(`0${match[2] || ''}`);
+
+        return JulianDate.fromMJD(day, match[1].startsWith('-') ? -fraction : fraction, timeScale);
+    }
+
+    toJSON() {
+        return { iso: this.toISOString(), mjd: this.toMJDString(), timeScale: this.timeScale };
+    }
+
+    toString() {
+        return this.toISOString();
+    }
+}
+
+/**
+ * JS Date for table lookups that only need millisecond resolution
+ */
+function toDate(timestamp) {
+    return timestamp instanceof JulianDate ? timestamp.toDate() : timestamp;
+}
+
+/**
+ * Shift a Date or JulianDate by seconds, retagging a JulianDate with timeScale
+ * A leap-second expiry flag on the timestamp carries over
+ */
+function shiftSeconds(timestamp, seconds, timeScale) {
+    const shifted = timestamp instanceof JulianDate
+        ? timestamp.addSeconds(seconds).withScale(timeScale)
+        : new Date(timestamp.getTime() + seconds * 1000);
+    return timestamp.expired === undefined ? shifted : flagExpiry(shifted, timestamp);
+}
+
+/**
+ * Mark a conversion result with the leap-second table's { expired, expires }
+ */
+function flagExpiry(timestamp, { expired, expires }) {
+    timestamp.expired = expired;
+    timestamp.expires = expires;
+    return timestamp;
+}
+
+/**
+ * Check a JulianDate carries the scale a conversion expects (Dates carry none)
+ */
+function requireScale(timestamp, timeScale) {
+    if (timestamp instanceof JulianDate) timestamp.requireScale(timeScale);
+}
+
+// ===== TIME CONVERSION UTILITIES =====
+const TT_MINUS_TAI = 32.184;     // seconds, exact by definition
+const TAI_MINUS_GPS = 19;        // seconds, fixed at the 1980 GPS epoch
+const TIME_SCALE_ITERATIONS = 3; // fixed-point passes when inverting UTC/UT1/TDB
+
+export class TimeConverter {
+    /**
+     * Use a loaded leap-seconds.list (LeapSecondTable.fromFile) for all conversions
+     */
+    static setLeapSecondTable(table) {
+        activeLeapSecondTable = table;
+    }
+
+    static getLeapSecondTable() {
+        return activeLeapSecondTable;
+    }
+
+    /**
+     * TAI-UTC for a UTC date, flagged when the table has expired
+     */
+    static lookupLeapSeconds(utcDate) {
+        return activeLeapSecondTable.lookup(toDate(utcDate));
+    }
+
+    /**
+     * Get current leap seconds (TAI-UTC) for a UTC date
+     * Fractional before 1972, when UTC used rubber seconds; the number
+     * carries no expiry flag, lookupLeapSeconds does
+     */
+    static getLeapSeconds(utcDate) {
+        return this.lookupLeapSeconds(utcDate).leapSeconds;
+    }
+
+    /**
+     * Convert UTC to TAI
+     * Accepts a Date or a UTC JulianDate and returns the same kind, with
+     * expired/expires from the leap-second table (as do utcToTT and kin)
+     */
+    static utcToTAI(utcDate) {
+        requireScale(utcDate, TIME_SCALES.UTC);
+        const lookup = this.lookupLeapSeconds(utcDate);
+        return flagExpiry(shiftSeconds(utcDate, lookup.leapSeconds, TIME_SCALES.TAI), lookup);
+    }
+
+    /**
+     * Convert UTC to TT (Terrestrial Time)
+     * TT = TAI + 32.184s
+     */
+    static utcToTT(utcDate) {
+        const tai = this.utcToTAI(utcDate);
+        return shiftSeconds(tai, TT_MINUS_TAI, TIME_SCALES.TT);
+    }
+
+    /**
+     * Convert UTC to GPS Time
+     * GPS = TAI - 19s
+     */
+    static utcToGPS(utcDate) {
+        const tai = this.utcToTAI(utcDate);
+        return shiftSeconds(tai, -TAI_MINUS_GPS, TIME_SCALES.GPS);
+    }
+
+    /**
+     * TDB - TT in seconds at a TT instant
+     * Periodic terms only (simplified: 0.001658 sin(g) + 0.000014 sin(2g))
+     * g = mean anomaly of Earth
+     */
+    static tdbMinusTT(ttDate) {
+        // Simplified TDB calculation
+        // Full calculation requires Earth's position
+        const T = this.daysSinceJ2000(ttDate) / 36525.0; // centuries since J2000
+
+        // Mean anomaly of Earth (simplified)
+        const g = (357.5277233 + 35999.05034 * T) * Math.PI / 180;
+
+        return 0.001658 * Math.sin(g) + 0.000014 * Math.sin(2 * g);
+    }
+
+    /**
+     * Convert UTC to TDB (Barycentric Dynamical Time)
+     * TDB ≈ TT + periodic terms
+     */
+    static utcToTDB(utcDate) {
+        const tt = this.utcToTT(utcDate);
+        return shiftSeconds(tt, this.tdbMinusTT(tt), TIME_SCALES.TDB);
+    }
+
+    /**
+     * Use an EOP table (e.g. EOPProvider.fromFile('finals2000A.all')) for
+     * every conversion that needs Earth orientation
+     */
+    static setEOPProvider(provider) {
+        activeEOPProvider = provider;
+    }
+
+    static getEOPProvider() {
+        return activeEOPProvider;
+    }
+
+    /**
+     * Earth orientation parameters for a UTC date from the active provider
+     */
+    static getEOP(utcDate) {
+        return activeEOPProvider.getEOP(toDate(utcDate));
+    }
+
+    /**
+     * Convert UTC to UT1 (Earth rotation)
+     * UT1 = UTC + DUT1
+     */
+    static utcToUT1(utcDate, dut1 = this.getEOP(utcDate).dut1) {
+        requireScale(utcDate, TIME_SCALES.UTC);
+        return shiftSeconds(utcDate, dut1, TIME_SCALES.UT1);
+    }
+
+    /**
+     * Convert Date (or JulianDate) to a single-number Julian Date
+     */
+    static dateToJulianDate(date) {
+        if (date instanceof JulianDate) return date.jd;
+        return date.getTime() / 86400000 + JD_UNIX_EPOCH;
+    }
+
+    /**
+     * Days since J2000.0 without the precision lost by a single-number JD
+     */
+    static daysSinceJ2000(date) {
+        if (date instanceof JulianDate) return date.daysSinceJ2000;
+        return date.getTime() / 86400000 - (JD_J2000 - JD_UNIX_EPOCH);
+    }
+
+    /**
+     * TAI - scale, in seconds, at an instant labelled in that scale
+     * Scales defined from UTC or TT are inverted by fixed-point iteration
+     */
+    static taiMinus(scale, date) {
+        date = toDate(date);
+        const ms = date.getTime();
+
+        switch (scale) {
+            case TIME_SCALES.TAI:
+                return 0;
+            case TIME_SCALES.TT:
+                return -TT_MINUS_TAI;
+            case TIME_SCALES.GPS:
+                return TAI_MINUS_GPS;
+            case TIME_SCALES.UTC:
+                return this.getLeapSeconds(date);
+            case TIME_SCALES.UT1: {
+                // UT1 = UTC + DUT1(UTC)
+                let utcMs = ms - this.getEOP(date).dut1 * 1000;
+                for (let i = 0; i < TIME_SCALE_ITERATIONS; i++) {
+                    utcMs = ms - this.getEOP(new Date(utcMs)).dut1 * 1000;
+                }
+                const utc = new Date(utcMs);
+                return this.getLeapSeconds(utc) - this.getEOP(utc).dut1;
+            }
+            case TIME_SCALES.TDB: {
+                // TDB = TT + periodic(TT)
+                let ttMs = ms;
+                for (let i = 0; i < TIME_SCALE_ITERATIONS; i++) {
+                    ttMs = ms - this.tdbMinusTT(new Date(ttMs)) * 1000;
+                }
+                return -TT_MINUS_TAI - this.tdbMinusTT(new Date(ttMs));
+            }
+            default:
+                throw new Error(`Unsupported time scale: ${scale}`);
+        }
+    }
+
+    /**
+     * scale - TAI, in seconds, at a TAI instant
+     */
+    static minusTAI(scale, taiDate) {
+        taiDate = toDate(taiDate);
+        const ms = taiDate.getTime();
+
+        switch (scale) {
+            case TIME_SCALES.TAI:
+                return 0;
+            case TIME_SCALES.TT:
+                return TT_MINUS_TAI;
+            case TIME_SCALES.GPS:
+                return -TAI_MINUS_GPS;
+            case TIME_SCALES.TDB: {
+                const tt = new Date(ms + TT_MINUS_TAI * 1000);
+                return TT_MINUS_TAI + this.tdbMinusTT(tt);
+            }
+            case TIME_SCALES.UTC:
+            case TIME_SCALES.UT1: {
+                // UTC = TAI - ΔAT(UTC)
+                let utcMs = ms - this.getLeapSeconds(taiDate) * 1000;
+                for (let i = 0; i < TIME_SCALE_ITERATIONS; i++) {
+                    utcMs = ms - this.getLeapSeconds(new Date(utcMs)) * 1000;
+                }
+                const utc = new Date(utcMs);
+                const utcMinusTAI = -this.getLeapSeconds(utc);
+
+                return scale === TIME_SCALES.UTC
+                    ? utcMinusTAI
+                    : utcMinusTAI + this.getEOP(utc).dut1;
+            }
+            default:
+                throw new Error(`Unsupported time scale: ${scale}`);
+        }
+    }
+
+    /**
+     * toScale - fromScale, in seconds, at an instant labelled in fromScale
+     * Offsets are small numbers, so they stay nanosecond-exact even though
+     * the Date carrying the instant only resolves milliseconds
+     */
+    static offsetSeconds(timestamp, fromScale, toScale) {
+        if (fromScale === toScale) return 0;
+
+        const taiMinusFrom = this.taiMinus(fromScale, timestamp);
+        const tai = new Date(toDate(timestamp).getTime() + taiMinusFrom * 1000);
+
+        return taiMinusFrom + this.minusTAI(toScale, tai);
+    }
+
+    /**
+     * Convert between time scales with explicit contract
+     * Any pair of UTC, TAI, TT, TDB, UT1 and GPS, in either direction (via TAI)
+     * A JulianDate must be tagged fromScale and comes back tagged toScale
+     * Results to or from UTC or UT1 carry expired/expires from the
+     * leap-second table
+     */
+    static convert(timestamp, fromScale, toScale) {
+        if (!Object.values(TIME_SCALES).includes(fromScale)) {
+            throw new Error(`Unsupported time scale: ${fromScale}`);
+        }
+        if (!Object.values(TIME_SCALES).includes(toScale)) {
+            throw new Error(`Unsupported time scale: ${toScale}`);
+        }
+        requireScale(timestamp, fromScale);
+        if (fromScale === toScale) return timestamp;
+
+        const offset = this.offsetSeconds(timestamp, fromScale, toScale);
+        const result = shiftSeconds(timestamp, offset, toScale);
+
+        // UT1 stays within a second of UTC, close enough to judge expiry
+        const civil = [TIME_SCALES.UTC, TIME_SCALES.UT1];
+        if (civil.includes(fromScale)) return flagExpiry(result, this.lookupLeapSeconds(timestamp));
+        if (civil.includes(toScale)) return flagExpiry(result, this.lookupLeapSeconds(result));
+        return result;
+    }
+}
+
+// ===== FRAME TRANSFORMATION UTILITIES =====
+const ROTATING_FRAMES = [FRAMES.ECEF, FRAMES.TOPOCENTRIC];
+
+// `${from}->${to}` → (vector, epoch) => vector, used by tagged convertTo
+const frameConversions = new Map();
+
+export class FrameTransformer {
+    /**
+     * Greenwich Mean Sidereal Time in radians (simplified IAU 1982 formula)
+     */
+    static simplifiedGMST(ut1Time) {
+        const d = TimeConverter.daysSinceJ2000(ut1Time);
+        const T = d / 36525.0;
+
+        // GMST in degrees
+        let gmst = 280.46061837 + 360.98564736629 * d +
+                   0.000387933 * T * T - T * T * T / 38710000.0;
+        gmst = gmst % 360;
+        if (gmst < 0) gmst += 360;
+
+        return gmst * Math.PI / 180;
+    }
+
+    /**
+     * Convert ECEF to ECI (requires UT1 for Earth rotation angle)
+     * Rotates by +GMST about the pole: Greenwich points to right ascension GMST
+     */
+    static ecefToECI(ecef, ut1Time) {
+        requireScale(ut1Time, TIME_SCALES.UT1);
+
+        const gmstRad = this.simplifiedGMST(ut1Time);
+
+        // Rotation matrix
+        const cos = Math.cos(gmstRad);
+        const sin = Math.sin(gmstRad);
+
+        return {
+            x: cos * ecef.x - sin * ecef.y,
+            y: sin * ecef.x + cos * ecef.y,
+            z: ecef.z
+        };
+    }
+
+    /**
+     * Convert ECI to ECEF (inverse of ecefToECI)
+     */
+    static eciToECEF(eci, ut1Time) {
+        requireScale(ut1Time, TIME_SCALES.UT1);
+
+        const gmstRad = this.simplifiedGMST(ut1Time);
+        const cos = Math.cos(gmstRad);
+        const sin = Math.sin(gmstRad);
+
+        return {
+            x: cos * eci.x + sin * eci.y,
+            y: -sin * eci.x + cos * eci.y,
+            z: eci.z
+        };
+    }
+
+    static isRotating(frame) {
+        return ROTATING_FRAMES.includes(frame);
+    }
+
+    /**
+     * Register the conversion convertTo uses between two frames
+     * convert(vector, epoch) receives a JulianDate in the target contract's
+     * time scale and returns {x, y, z}; a later registration replaces an earlier one
+     */
+    static registerConversion(fromFrame, toFrame, convert) {
+        frameConversions.set(`${fromFrame}->${toFrame}`, convert);
+    }
+
+    static getConversion(fromFrame, toFrame) {
+        return frameConversions.get(`${fromFrame}->${toFrame}`) || null;
+    }
+
+    /**
+     * Validate frame compatibility
+     * Different frames never combine directly; convert one side first
+     */
+    static validateFrameCompatibility(frame1, frame2, operation) {
+        if (frame1 === frame2) return;
+
+        const reason = this.isRotating(frame1) !== this.isRotating(frame2)
+            ? 'requires rotation'
+            : 'requires transformation';
+
+        throw new ContractViolationError(`Frame mismatch: ${operation} between ${frame1} and ${frame2} ${reason}`, {
+            field: 'frame',
+            expected: frame1,
+            actual: frame2,
+            operation
+        });
+    }
+}
+
+// Simplified GMST rotation; IAUTransform.registerFrameConversions() upgrades these to the IAU chain
+FrameTransformer.registerConversion(FRAMES.ECEF, FRAMES.ECI,
+    (vector, epoch) => FrameTransformer.ecefToECI(vector, epoch.to(TIME_SCALES.UT1)));
+FrameTransformer.registerConversion(FRAMES.ECI, FRAMES.ECEF,
+    (vector, epoch) => FrameTransformer.eciToECEF(vector, epoch.to(TIME_SCALES.UT1)));
+
+// ===== DATUM CONVERSION =====
 
-        // Validate
-        if (!Object.values(FRAMES).includes(this.frame)) {
-            throw new Error(`Invalid frame: ${this.frame}`);
-        }
-        if (!Object.values(TIME_SCALES).includes(this.timeScale)) {
-            throw new Error(`Invalid time scale: ${this.timeScale}`);
+/**
+ * Keys cubic convolution weights (a = -0.5) for samples at -1, 0, 1, 2
+ */
+function cubicWeights(t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return [
+        -0.5 * t3 + t2 - 0.5 * t,
+        1.5 * t3 - 2.5 * t2 + 1,
+        -1.5 * t3 + 2 * t2 + 0.5 * t,
+        0.5 * t3 - 0.5 * t2
+    ];
+}
+
+/**
+ * Geoid undulation grid (N = ellipsoidal - orthometric height, metres)
+ * Rows run north → south and columns west → east, as in the NGA .GRD files
+ */
+export class GeoidGrid {
+    constructor({ south, north, west, east, dlat, dlon, values, name = 'UNKNOWN' }) {
+        this.south = south;
+        this.north = north;
+        this.west = west;
+        this.east = east;
+        this.dlat = dlat;
+        this.dlon = dlon;
+        this.rows = Math.round((north - south) / dlat) + 1;
+        this.cols = Math.round((east - west) / dlon) + 1;
+        this.name = name;
+
+        if (values.length !== this.rows * this.cols) {
+            throw new Error(`Geoid grid ${name} has ${values.length} values, expected ${this.rows}×${this.cols}`);
         }
-        if (this.heightDatum && !Object.values(HEIGHT_DATUMS).includes(this.heightDatum)) {
-            throw new Error(`Invalid height datum: ${this.heightDatum}`);
+        this.values = Float64Array.from(values);
+
+        // Columns repeat every 360° on a global grid
+        this.period = east - west >= 360 - dlon / 2 ? Math.round(360 / dlon) : null;
+    }
+
+    /**
+     * Parse the ASCII .GRD layout of WW15MGH.GRD (EGM96) and the EGM2008
+     * ASCII grids: a "south north west east dlat dlon" header, then values
+     */
+    static parseGRD(text, name = 'GRD') {
+        const numbers = text.trim().split(/\s+/).map(Number);
+        if (numbers.length < 6 || numbers.some(Number.isNaN)) {
+            throw new Error(`Geoid grid ${name} is not a numeric .GRD file`);
         }
+
+        const [south, north, west, east, dlat, dlon] = numbers;
+        return new GeoidGrid({ south, north, west, east, dlat, dlon, values: numbers.slice(6), name });
     }
 
-    toString() {
-        return `Contract(frame=${this.frame}, time=${this.timeScale}, datum=${this.heightDatum})`;
+    static async fromFile(path, name = String(path)) {
+        return GeoidGrid.parseGRD(await readTextFile(path), name);
     }
-}
 
-// ===== TIME CONVERSION UTILITIES =====
-export class TimeConverter {
     /**
-     * Get current leap seconds for a UTC date
+     * Longitude shifted into [west, west + 360)
      */
-    static getLeapSeconds(utcDate) {
-        let leapSeconds = 10; // Pre-1972 default
+    normalizeLongitude(lon) {
+        return ((lon - this.west) % 360 + 360) % 360 + this.west;
+    }
 
-        for (const entry of LEAP_SECONDS) {
-            if (utcDate >= entry.date) {
-                leapSeconds = entry.leapSeconds;
-            } else {
-                break;
+    covers(lat, lon) {
+        if (lat < this.south || lat > this.north) return false;
+        return this.period !== null || this.normalizeLongitude(lon) <= this.east;
+    }
+
+    /**
+     * Grid value with rows clamped at the edges and columns wrapped on a
+     * global grid (clamped otherwise)
+     */
+    sample(row, col) {
+        const r = Math.min(Math.max(row, 0), this.rows - 1);
+        const c = this.period !== null
+            ? ((col % this.period) + this.period) % this.period
+            : Math.min(Math.max(col, 0), this.cols - 1);
+
+        return this.values[r * this.cols + c];
+    }
+
+    /**
+     * Undulation at lat/lon (degrees), 'bilinear' or 'bicubic'
+     */
+    undulation(lat, lon, method = 'bilinear') {
+        if (!this.covers(lat, lon)) {
+            throw new Error(`Geoid grid ${this.name} does not cover ${lat}, ${lon}`);
+        }
+
+        const y = (this.north - lat) / this.dlat;
+        const x = (this.normalizeLongitude(lon) - this.west) / this.dlon;
+        const row = Math.min(Math.floor(y), this.rows - 2);
+        const col = this.period !== null ? Math.floor(x) : Math.min(Math.floor(x), this.cols - 2);
+        const ty = y - row;
+        const tx = x - col;
+
+        if (method === 'bilinear') {
+            const top = this.sample(row, col) * (1 - tx) + this.sample(row, col + 1) * tx;
+            const bottom = this.sample(row + 1, col) * (1 - tx) + this.sample(row + 1, col + 1) * tx;
+            return top * (1 - ty) + bottom * ty;
+        }
+
+        if (method === 'bicubic') {
+            const wx = cubicWeights(tx);
+            const wy = cubicWeights(ty);
+            let n = 0;
+            for (let i = 0; i < 4; i++) {
+                let rowValue = 0;
+                for (let j = 0; j < 4; j++) {
+                    rowValue += wx[j] * this.sample(row - 1 + i, col - 1 + j);
+                }
+                n += wy[i] * rowValue;
             }
+            return n;
         }
 
-        return leapSeconds;
+        throw new Error(`Unsupported interpolation: ${method}`);
     }
+}
 
+let activeGeoidModel = null;
+let activeGeoidInterpolation = 'bilinear';
+
+export class DatumConverter {
     /**
-     * Convert UTC to TAI
+     * Use a loaded geoid grid (GeoidGrid.fromFile('WW15MGH.GRD')) for
+     * every height conversion; interpolation is 'bilinear' or 'bicubic'
      */
-    static utcToTAI(utcDate) {
-        const leapSeconds = this.getLeapSeconds(utcDate);
-        return new Date(utcDate.getTime() + leapSeconds * 1000);
+    static setGeoidModel(grid, interpolation = 'bilinear') {
+        activeGeoidModel = grid;
+        activeGeoidInterpolation = interpolation;
+    }
+
+    static getGeoidModel() {
+        return activeGeoidModel;
     }
 
     /**
-     * Convert UTC to TT (Terrestrial Time)
-     * TT = TAI + 32.184s
+     * Convert orthometric height (MSL) to ellipsoidal height
+     * Requires geoid model (EGM96/EGM2008)
      */
-    static utcToTT(utcDate) {
-        const tai = this.utcToTAI(utcDate);
-        return new Date(tai.getTime() + 32.184 * 1000);
+    static orthometricToEllipsoidal(lat, lon, orthometricHeight) {
+        const geoidUndulation = this.getGeoidUndulation(lat, lon);
+
+        return orthometricHeight + geoidUndulation;
     }
 
     /**
-     * Convert UTC to TDB (Barycentric Dynamical Time)
-     * TDB ≈ TT + periodic terms (simplified: TT + 0.001658 sin(g))
-     * g = mean anomaly of Earth
+     * Convert ellipsoidal height to orthometric height (above the geoid)
      */
-    static utcToTDB(utcDate) {
-        const tt = this.utcToTT(utcDate);
+    static ellipsoidalToOrthometric(lat, lon, ellipsoidalHeight) {
+        return ellipsoidalHeight - this.getGeoidUndulation(lat, lon);
+    }
 
-        // Simplified TDB calculation
-        // Full calculation requires Earth's position
-        const jd = this.dateToJulianDate(tt);
-        const T = (jd - 2451545.0) / 36525.0; // centuries since J2000
+    /**
+     * Get geoid undulation (N) at location
+     * From the active geoid grid, which throws outside its coverage;
+     * without one, from a rough demonstration model
+     */
+    static getGeoidUndulation(lat, lon, interpolation = activeGeoidInterpolation) {
+        if (activeGeoidModel) {
+            return activeGeoidModel.undulation(lat, lon, interpolation);
+        }
 
-        // Mean anomaly of Earth (simplified)
-        const g = (357.5277233 + 35999.05034 * T) * Math.PI / 180;
+        // Rough approximation based on known values
+        // Mount Everest: ~-29m
+        // Ocean: ~0m
+        // Can vary from -106m to +85m globally
+
+        // Simplified model (NOT accurate, for demonstration)
+        const latRad = lat * Math.PI / 180;
+        const lonRad = lon * Math.PI / 180;
 
-        // Periodic term (milliseconds)
-        const deltaT = 0.001658 * Math.sin(g) + 0.000014 * Math.sin(2 * g);
+        // Very rough approximation
+        const n = 10 * Math.sin(latRad) * Math.cos(2 * lonRad);
 
-        return new Date(tt.getTime() + deltaT * 1000);
+        return n;
     }
 
     /**
-     * Convert UTC to UT1 (Earth rotation)
-     * UT1 = UTC + DUT1
+     * Convert a height between ELLIPSOID, GEOID and MSL datums
+     * MSL is the geoid plus mslOffset (a local datum's offset from the
+     * geoid, metres); it defaults to 0, i.e. MSL taken as the geoid
      */
-    static utcToUT1(utcDate) {
-        // DUT1 must be fetched from IERS
-        const dut1 = EOP_DATA.dut1;
-        return new Date(utcDate.getTime() + dut1 * 1000);
+    static convertHeight(lat, lon, height, fromDatum, toDatum, { mslOffset = 0 } = {}) {
+        [fromDatum, toDatum].forEach(datum => {
+            if (!Object.values(HEIGHT_DATUMS).includes(datum)) {
+                throw new Error(`Invalid height datum: ${datum}`);
+            }
+        });
+        if (fromDatum === toDatum) return height;
+
+        // Everything goes through the ellipsoid
+        const datumOffset = datum => {
+            if (datum === HEIGHT_DATUMS.ELLIPSOID) return 0;
+            const n = this.getGeoidUndulation(lat, lon);
+            return datum === HEIGHT_DATUMS.MSL ? n + mslOffset : n;
+        };
+
+        return height + datumOffset(fromDatum) - datumOffset(toDatum);
+    }
+}
+
+// ===== TAGGED QUANTITIES =====
+const EPOCH_TOLERANCE_SECONDS = 1e-9;
+
+/**
+ * Epoch argument → JulianDate in the contract's time scale
+ * Dates carry no scale, so they are read as already being in it
+ */
+function epochFor(time, contract) {
+    if (time === null || time === undefined) return null;
+    if (time instanceof TaggedEpoch) time = time.time;
+    if (time instanceof JulianDate) return time.requireScale(contract.timeScale);
+    return JulianDate.fromDate(time, contract.timeScale);
+}
+
+/**
+ * Base for values that carry a TruthContract
+ */
+export class TaggedQuantity {
+    constructor(contract) {
+        if (!(contract instanceof TruthContract)) {
+            throw new ContractViolationError(`${this.constructor.name} needs a TruthContract`, {
+                field: 'contract',
+                actual: contract
+            });
+        }
+        this.contract = contract;
     }
 
     /**
-     * Convert Date to Julian Date
+     * Throw a ContractViolationError unless other can be combined with this
      */
-    static dateToJulianDate(date) {
-        return date.getTime() / 86400000 + 2440587.5;
+    assertCompatible(other, operation = 'operation') {
+        if (!(other instanceof TaggedQuantity)) {
+            throw new ContractViolationError(`Contract violation in ${operation}: untagged operand`, {
+                field: 'contract',
+                operation
+            });
+        }
+        this.contract.assertCompatible(other.contract, operation);
+        return this;
+    }
+}
+
+/**
+ * An instant tagged with its contract; only the time scale matters when
+ * combining epochs
+ */
+export class TaggedEpoch extends TaggedQuantity {
+    constructor(time, contract) {
+        super(contract);
+        this.time = epochFor(time, contract);
+    }
+
+    assertCompatible(other, operation = 'operation') {
+        if (!(other instanceof TaggedEpoch)) {
+            throw new ContractViolationError(`Contract violation in ${operation}: expected an epoch`, {
+                field: 'kind',
+                expected: 'EPOCH',
+                operation
+            });
+        }
+        this.contract.assertCompatible(other.contract, operation, ['timeScale']);
+        return this;
     }
 
     /**
-     * Convert between time scales with explicit contract
+     * this - other, in seconds
      */
-    static convert(timestamp, fromScale, toScale) {
-        if (fromScale === toScale) return timestamp;
+    diffSeconds(other) {
+        this.assertCompatible(other, 'epoch difference');
+        return this.time.diffSeconds(other.time);
+    }
 
-        // Convert to UTC first if needed
-        let utc = timestamp;
-        if (fromScale === TIME_SCALES.TAI) {
-            const leapSeconds = this.getLeapSeconds(timestamp);
-            utc = new Date(timestamp.getTime() - leapSeconds * 1000);
-        } else if (fromScale === TIME_SCALES.TT) {
-            const tai = new Date(timestamp.getTime() - 32.184 * 1000);
-            const leapSeconds = this.getLeapSeconds(tai);
-            utc = new Date(tai.getTime() - leapSeconds * 1000);
-        }
+    compare(other) {
+        this.assertCompatible(other, 'epoch comparison');
+        return this.time.compare(other.time);
+    }
 
-        // Convert from UTC to target
-        switch (toScale) {
-            case TIME_SCALES.UTC:
-                return utc;
-            case TIME_SCALES.TAI:
-                return this.utcToTAI(utc);
-            case TIME_SCALES.TT:
-                return this.utcToTT(utc);
-            case TIME_SCALES.TDB:
-                return this.utcToTDB(utc);
-            case TIME_SCALES.UT1:
-                return this.utcToUT1(utc);
-            default:
-                throw new Error(`Unsupported time scale: ${toScale}`);
-        }
+    addSeconds(seconds) {
+        return new TaggedEpoch(this.time.addSeconds(seconds), this.contract);
+    }
+
+    /**
+     * Same instant under another contract (converts the time scale)
+     * Past the leap-second table's expiry the new contract says so
+     */
+    convertTo(contract) {
+        const time = this.time.to(contract.timeScale);
+        if (!time.expired) return new TaggedEpoch(time, contract);
+        return new TaggedEpoch(time, contract.with({ expired: time.expired, expires: time.expires }));
     }
 }
 
-// ===== FRAME TRANSFORMATION UTILITIES =====
-export class FrameTransformer {
+/**
+ * Cartesian vector {x, y, z} in the contract's frame, optionally at an epoch
+ * Subclasses fix the kind so positions and velocities never mix
+ */
+export class TaggedVector extends TaggedQuantity {
+    constructor(vector, contract, epoch = null) {
+        super(contract);
+        this.x = vector.x;
+        this.y = vector.y;
+        this.z = vector.z;
+        this.epoch = epochFor(epoch, contract);
+    }
+
+    get kind() {
+        return 'VECTOR';
+    }
+
     /**
-     * Convert ECEF to ECI (requires UT1 for Earth rotation angle)
+     * New vector of the same kind, contract and epoch
      */
-    static ecefToECI(ecef, ut1Time) {
-        // Greenwich Mean Sidereal Time (GMST)
-        const jd = TimeConverter.dateToJulianDate(ut1Time);
-        const T = (jd - 2451545.0) / 36525.0;
+    derive(vector, epoch = this.epoch) {
+        return new this.constructor(vector, this.contract, epoch);
+    }
 
-        // GMST in degrees (simplified formula)
-        let gmst = 280.46061837 + 360.98564736629 * (jd - 2451545.0) +
-                   0.000387933 * T * T - T * T * T / 38710000.0;
-        gmst = gmst % 360;
-        if (gmst < 0) gmst += 360;
+    assertCompatible(other, operation = 'operation', kind = this.kind) {
+        super.assertCompatible(other, operation);
+
+        if (other.kind !== kind) {
+            throw new ContractViolationError(`Contract violation in ${operation}: ${this.kind} with ${other.kind}`, {
+                field: 'kind',
+                expected: kind,
+                actual: other.kind,
+                operation
+            });
+        }
+        if (this.epoch && other.epoch && !this.epoch.equals(other.epoch, EPOCH_TOLERANCE_SECONDS)) {
+            throw new ContractViolationError(
+                `Contract violation in ${operation}: epoch ${this.epoch} vs ${other.epoch}`, {
+                    field: 'epoch',
+                    expected: this.epoch,
+                    actual: other.epoch,
+                    operation
+                });
+        }
+        return this;
+    }
 
-        const gmstRad = gmst * Math.PI / 180;
+    add(other) {
+        this.assertCompatible(other, `${this.kind} addition`);
+        return this.derive({ x: this.x + other.x, y: this.y + other.y, z: this.z + other.z });
+    }
 
-        // Rotation matrix
-        const cos = Math.cos(gmstRad);
-        const sin = Math.sin(gmstRad);
+    subtract(other) {
+        this.assertCompatible(other, `${this.kind} subtraction`);
+        return this.derive({ x: this.x - other.x, y: this.y - other.y, z: this.z - other.z });
+    }
 
-        return {
-            x: cos * ecef.x + sin * ecef.y,
-            y: -sin * ecef.x + cos * ecef.y,
-            z: ecef.z
-        };
+    scale(factor) {
+        return this.derive({ x: this.x * factor, y: this.y * factor, z: this.z * factor });
+    }
+
+    norm() {
+        return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+    }
+
+    distanceTo(other) {
+        return this.subtract(other).norm();
     }
 
     /**
-     * Validate frame compatibility
+     * Explicit conversion to another contract
+     * Time scales relabel the epoch; frames use FrameTransformer's registered
+     * conversions and need an epoch. Anything else throws rather than guess.
      */
-    static validateFrameCompatibility(frame1, frame2, operation) {
-        const rotating = [FRAMES.ECEF, FRAMES.TOPOCENTRIC];
-        const inertial = [FRAMES.ICRF_BARYCENTRIC, FRAMES.HELIOCENTRIC_ECLIPTIC, FRAMES.ECI];
+    convertTo(contract) {
+        const operation = `${this.kind} conversion to ${contract}`;
+        const epoch = this.epoch && this.epoch.to(contract.timeScale);
+        let vector = { x: this.x, y: this.y, z: this.z };
 
-        const isFrame1Rotating = rotating.includes(frame1);
-        const isFrame2Rotating = rotating.includes(frame2);
+        const unsupported = this.contract.mismatches(contract)
+            .filter(field => field !== 'frame' && field !== 'timeScale');
+        if (unsupported.length > 0) {
+            const [field] = unsupported;
+            throw new ContractViolationError(
+                `Contract violation in ${operation}: no conversion for ${field} ${this.contract[field]} → ${contract[field]}`, {
+                    field,
+                    expected: contract[field],
+                    actual: this.contract[field],
+                    operation
+                });
+        }
 
-        if (isFrame1Rotating !== isFrame2Rotating) {
-            console.warn(`⚠️  Frame mismatch: ${operation} between ${frame1} and ${frame2} requires rotation`);
+        if (this.contract.frame !== contract.frame) {
+            const convert = FrameTransformer.getConversion(this.contract.frame, contract.frame);
+            if (!convert) {
+                throw new ContractViolationError(
+                    `Contract violation in ${operation}: no conversion from ${this.contract.frame} to ${contract.frame}`, {
+                        field: 'frame',
+                        expected: contract.frame,
+                        actual: this.contract.frame,
+                        operation
+                    });
+            }
+            if (!epoch) {
+                throw new ContractViolationError(`Contract violation in ${operation}: frame change needs an epoch`, {
+                    field: 'epoch',
+                    operation
+                });
+            }
+            this.checkFrameChange(contract, operation);
+            vector = convert(vector, epoch);
         }
+
+        return new this.constructor(vector, contract, epoch);
     }
+
+    /**
+     * Hook for kinds that cannot use a plain rotation between some frames
+     */
+    checkFrameChange() {}
 }
 
-// ===== DATUM CONVERSION =====
-export class DatumConverter {
+export class TaggedPosition extends TaggedVector {
+    get kind() {
+        return 'POSITION';
+    }
+
     /**
-     * Convert orthometric height (MSL) to ellipsoidal height
-     * Requires geoid model (EGM96/EGM2008)
+     * Advance by velocity × seconds; the velocity must share contract and epoch
      */
-    static orthometricToEllipsoidal(lat, lon, orthometricHeight) {
-        // Simplified: use approximate geoid undulation
-        // In production, interpolate from EGM2008 grid
-        const geoidUndulation = this.getGeoidUndulation(lat, lon);
+    propagate(velocity, seconds) {
+        this.assertCompatible(velocity, 'propagation', 'VELOCITY');
+        return this.derive({
+            x: this.x + velocity.x * seconds,
+            y: this.y + velocity.y * seconds,
+            z: this.z + velocity.z * seconds
+        }, this.epoch && this.epoch.addSeconds(seconds));
+    }
+}
 
-        return orthometricHeight + geoidUndulation;
+export class TaggedVelocity extends TaggedVector {
+    get kind() {
+        return 'VELOCITY';
     }
 
     /**
-     * Get geoid undulation (N) at location
-     * Simplified approximation - use EGM2008 in production
+     * Between rotating and inertial frames a velocity also picks up ω × r,
+     * which a velocity on its own cannot supply
      */
-    static getGeoidUndulation(lat, lon) {
-        // Rough approximation based on known values
-        // Mount Everest: ~29m
-        // Ocean: ~0m
-        // Can vary from -106m to +85m globally
+    checkFrameChange(contract, operation) {
+        if (FrameTransformer.isRotating(this.contract.frame) !== FrameTransformer.isRotating(contract.frame)) {
+            throw new ContractViolationError(
+                `Contract violation in ${operation}: ${this.contract.frame} → ${contract.frame} velocity needs the position (ω × r)`, {
+                    field: 'frame',
+                    expected: contract.frame,
+                    actual: this.contract.frame,
+                    operation
+                });
+        }
+    }
+}
 
-        // Simplified model (NOT accurate, for demonstration)
-        const latRad = lat * Math.PI / 180;
-        const lonRad = lon * Math.PI / 180;
+// ===== TOLERANCE POLICIES =====
+export const TOLERANCE_MODES = {
+    ABSOLUTE: 'ABSOLUTE',     // Residuals in the values' own units
+    RELATIVE: 'RELATIVE'      // Residuals divided by the reference magnitude
+};
 
-        // Very rough approximation
-        const n = 10 * Math.sin(latRad) * Math.cos(2 * lonRad);
+const AXES = ['x', 'y', 'z'];
 
-        return n;
+// Keys of a tolerance object that are not a bound of their own
+const POLICY_KEYS = ['norm', 'components', 'mode', 'sigma'];
+
+// Units a tolerance key may carry (quantity_unit, e.g. position_km), as
+// the quantity they bound and their size in its base unit
+const TOLERANCE_UNITS = {
+    m: ['POSITION', 1],
+    km: ['POSITION', 1000],
+    au: ['POSITION', 149597870700],
+    m_s: ['VELOCITY', 1],
+    km_s: ['VELOCITY', 1000],
+    s: ['TIME', 1],
+    ms: ['TIME', 1e-3]
+};
+
+// Older contracts spell a metre bound this way
+const TOLERANCE_ALIASES = { meters: 'position_m' };
+
+/**
+ * Quantity a value's residual is: POSITION, VELOCITY or TIME (seconds);
+ * null for plain numbers
+ */
+function quantityOf(value) {
+    if (value instanceof TaggedEpoch) return 'TIME';
+    if (value instanceof TaggedVector) return value.kind;
+    return null;
+}
+
+/**
+ * Contract tolerance → { norm, components, mode, sigma, ignored } for
+ * values of a quantity in unit
+ * A number, or norm, bounds the residual norm in the values' units.
+ * quantity_unit keys (e.g. { position_km: 1 }) bound values of that
+ * quantity only, converted to unit; the values are taken to be in the
+ * keys' unit when it is not given and they agree. Being absolute, they
+ * cannot go with RELATIVE mode. Bounds on another quantity are listed in
+ * ignored. components is a number or { x, y, z }.
+ */
+function tolerancePolicy(tolerance = {}, quantity = null, unit = null) {
+    if (typeof tolerance === 'number') tolerance = { norm: tolerance };
+
+    const { components = null, mode = TOLERANCE_MODES.ABSOLUTE, sigma = null } = tolerance;
+    if (!Object.values(TOLERANCE_MODES).includes(mode)) {
+        throw new Error(`Invalid tolerance mode: ${mode}`);
+    }
+
+    const bounds = [];
+    const ignored = [];
+    Object.entries(tolerance)
+        .filter(([key]) => !POLICY_KEYS.includes(key))
+        .forEach(([key, limit]) => {
+            const name = TOLERANCE_ALIASES[key] || key;
+            const match = /^(position|velocity|time)_(\w+)$/.exec(name);
+            const units = match && TOLERANCE_UNITS[match[2]];
+            if (!units || units[0] !== match[1].toUpperCase()) {
+                throw new Error(`Unknown tolerance key: ${key}`);
+            }
+            if (units[0] === quantity) bounds.push({ key, limit, unit: match[2] });
+            else ignored.push(key);
+        });
+    if (mode === TOLERANCE_MODES.RELATIVE && bounds.length + ignored.length > 0) {
+        const keys = [...bounds.map(bound => bound.key), ...ignored];
+        throw new Error(`Relative tolerance cannot take unit bounds: ${keys.join(', ')}`);
+    }
+
+    const units = [...new Set(bounds.map(bound => bound.unit))];
+    // Epoch residuals are always seconds
+    const valueUnit = quantity === 'TIME' ? 's' : unit ?? units[0];
+    if (unit === null && quantity !== 'TIME' && units.length > 1) {
+        throw new Error(`Tolerance mixes ${units.join(' and ')} bounds; give the values' unit`);
+    }
+    if (units.length > 0) {
+        const known = TOLERANCE_UNITS[valueUnit];
+        if (!known || known[0] !== quantity) throw new Error(`Invalid unit for ${quantity} values: ${valueUnit}`);
+    }
+
+    const norms = bounds.map(({ key, limit, unit: boundUnit }) => ({
+        key,
+        limit: limit * TOLERANCE_UNITS[boundUnit][1] / TOLERANCE_UNITS[valueUnit][1]
+    }));
+    if (typeof tolerance.norm === 'number') norms.push({ key: 'norm', limit: tolerance.norm });
+
+    return {
+        norms,
+        components: typeof components === 'number'
+            ? { x: components, y: components, z: components }
+            : components,
+        mode,
+        sigma,
+        ignored
+    };
+}
+
+/**
+ * Residual simulated - reference: a number for plain numbers and epochs
+ * (seconds), { x, y, z } for vectors; magnitude is the reference's size
+ */
+function residualOf(simulated, reference) {
+    if (simulated instanceof TaggedEpoch) {
+        return { residual: simulated.diffSeconds(reference), magnitude: null };
+    }
+    if (simulated instanceof TaggedVector) {
+        const { x, y, z } = simulated.subtract(reference);
+        return { residual: { x, y, z }, magnitude: reference.norm() };
+    }
+    return { residual: simulated - reference, magnitude: Math.abs(reference) };
+}
+
+/**
+ * Covariance in the values' units squared: a variance for scalars; for
+ * vectors a 3×3 matrix, or one variance for all three axes
+ */
+function covarianceMatrix(covariance, scalar) {
+    if (covariance === null || covariance === undefined) return null;
+    if (scalar) return covariance;
+    if (typeof covariance === 'number') {
+        return AXES.map((_, i) => AXES.map((__, j) => (i === j ? covariance : 0)));
+    }
+    return covariance.map(row => [...row]);
+}
+
+function addCovariances(a, b, scalar) {
+    if (a === null) return b;
+    if (b === null) return a;
+    return scalar ? a + b : a.map((row, i) => row.map((value, j) => value + b[i][j]));
+}
+
+/**
+ * Lower-triangular L with L Lᵀ = C; fails unless C is symmetric positive
+ * definite
+ */
+function cholesky(covariance) {
+    const n = covariance.length;
+    covariance.forEach((row, i) => row.forEach((value, j) => {
+        const scale = Math.max(Math.abs(value), Math.abs(covariance[j][i]));
+        if (Math.abs(value - covariance[j][i]) > 1e-12 * scale) {
+            throw new Error('Covariance must be symmetric');
+        }
+    }));
+
+    const lower = covariance.map(() => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = covariance[i][j];
+            for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+            if (i === j) {
+                if (!(sum > 0)) throw new Error('Covariance must be positive definite');
+                lower[i][i] = Math.sqrt(sum);
+            } else {
+                lower[i][j] = sum / lower[j][j];
+            }
+        }
+    }
+    return lower;
+}
+
+/**
+ * √(rᵀ C⁻¹ r): how many standard deviations apart the values are; with
+ * C = L Lᵀ it is |L⁻¹ r|, by forward substitution
+ */
+function mahalanobis(residual, covariance, scalar) {
+    if (scalar) {
+        if (!(covariance > 0)) throw new Error('Covariance must be positive');
+        return Math.abs(residual) / Math.sqrt(covariance);
     }
+
+    const lower = cholesky(covariance);
+    const solved = [];
+    AXES.forEach((axis, i) => {
+        let sum = residual[axis];
+        for (let k = 0; k < i; k++) sum -= lower[i][k] * solved[k];
+        solved.push(sum / lower[i][i]);
+    });
+    return Math.hypot(...solved);
 }
 
 // ===== VERIFICATION WITH CONTRACTS =====
@@ -370,8 +1890,12 @@ export class ContractedVerifier {
 
     /**
      * Verify with explicit contract enforcement
+     * Both values must be tagged quantities whose contracts match the one
+     * registered for the test; convert them first (convertTo) if not
+     * options: { simulated, reference } covariances in the contract's
+     * frame, and the values' unit (see compareWithTolerance)
      */
-    verify(testId, simulated, reference) {
+    verify(testId, simulated, reference, options = {}) {
         const contract = this.contracts.get(testId);
         if (!contract) {
             throw new Error(`No contract registered for test: ${testId}`);
@@ -379,36 +1903,117 @@ export class ContractedVerifier {
 
         console.log(`🔬 Verifying ${testId} with ${contract.toString()}`);
 
+        [['simulated', simulated], ['reference', reference]].forEach(([label, value]) => {
+            if (!(value instanceof TaggedQuantity)) {
+                throw new ContractViolationError(`Contract violation in ${testId}: ${label} value is untagged`, {
+                    field: 'contract',
+                    expected: contract,
+                    operation: testId
+                });
+            }
+            contract.assertCompatible(value.contract, `${testId} (${label})`);
+        });
+
         // Ensure frame compatibility
         FrameTransformer.validateFrameCompatibility(
-            simulated.frame,
-            reference.frame,
+            simulated.contract.frame,
+            reference.contract.frame,
             testId
         );
 
-        // Ensure time scale compatibility
-        if (simulated.timeScale !== reference.timeScale) {
-            console.warn(`⚠️  Time scale mismatch: ${simulated.timeScale} vs ${reference.timeScale}`);
-        }
+        // Same kind, time scale and (for vectors) epoch
+        simulated.assertCompatible(reference, testId);
 
         // Perform verification with contract-aware tolerance
-        return this.compareWithTolerance(simulated, reference, contract.tolerance);
+        return { testId, ...this.compareWithTolerance(simulated, reference, contract.tolerance, options) };
     }
 
-    compareWithTolerance(simulated, reference, tolerance) {
-        // Implementation depends on what's being compared
-        // (position, angle, time, etc.)
-        return true; // Placeholder
+    /**
+     * Judge simulated against reference (numbers, epochs or vectors) under
+     * a tolerance policy: { norm, components, mode, sigma } and unit keys
+     * - norm bounds |residual|, components each axis (ABSOLUTE or RELATIVE
+     *   to the reference magnitude)
+     * - quantity_unit keys ({ position_km: 1 }) bound |residual| of that
+     *   quantity, converted to unit, the values' unit (m, km, km_s...)
+     * - with covariances for either value the sigma-distance √(rᵀ C⁻¹ r)
+     *   is reported, C the sum of both; sigma bounds it
+     * passed when every bound holds; a tolerance with no bound on these
+     * values throws
+     */
+    compareWithTolerance(simulated, reference, tolerance, {
+        simulated: simulatedCovariance = null,
+        reference: referenceCovariance = null,
+        unit = null
+    } = {}) {
+        const policy = tolerancePolicy(tolerance, quantityOf(simulated), unit);
+        if (policy.norms.length === 0 && !policy.components && policy.sigma === null) {
+            const ignored = policy.ignored.length > 0 ? ` (only ${policy.ignored.join(', ')})` : '';
+            throw new Error(`Tolerance sets no bound for these values${ignored}`);
+        }
+        const { residual, magnitude } = residualOf(simulated, reference);
+        const scalar = typeof residual === 'number';
+
+        let scale = 1;
+        if (policy.mode === TOLERANCE_MODES.RELATIVE) {
+            if (!magnitude) throw new Error('Relative tolerance needs a non-zero reference');
+            scale = magnitude;
+        }
+
+        const norm = scalar ? Math.abs(residual) : Math.hypot(residual.x, residual.y, residual.z);
+        const checks = policy.norms.map(({ key, limit }) => ({ kind: 'norm', key, value: norm / scale, limit }));
+        if (policy.components) {
+            if (scalar) throw new Error('Component tolerances need vector values');
+            AXES.filter(axis => policy.components[axis] !== undefined).forEach(axis => {
+                checks.push({ kind: 'component', axis, value: Math.abs(residual[axis]) / scale, limit: policy.components[axis] });
+            });
+        }
+
+        const covariance = addCovariances(
+            covarianceMatrix(simulatedCovariance, scalar),
+            covarianceMatrix(referenceCovariance, scalar),
+            scalar
+        );
+        const sigma = covariance === null ? null : mahalanobis(residual, covariance, scalar);
+        if (policy.sigma !== null) {
+            if (sigma === null) throw new Error('A sigma tolerance needs covariances');
+            checks.push({ kind: 'sigma', value: sigma, limit: policy.sigma });
+        }
+
+        checks.forEach(check => {
+            check.passed = check.value <= check.limit;
+        });
+
+        return {
+            passed: checks.every(check => check.passed),
+            mode: policy.mode,
+            residual,
+            norm,
+            sigma,
+            covariance,
+            checks,
+            ignored: policy.ignored
+        };
     }
 }
 
 export default {
     TruthContract,
+    ContractViolationError,
+    TaggedQuantity,
+    TaggedEpoch,
+    TaggedVector,
+    TaggedPosition,
+    TaggedVelocity,
+    JulianDate,
+    EOPProvider,
+    LeapSecondTable,
     TimeConverter,
     FrameTransformer,
     DatumConverter,
+    GeoidGrid,
     ContractedVerifier,
     TIME_SCALES,
+    TOLERANCE_MODES,
     FRAMES,
     HEIGHT_DATUMS,
     WGS84_LANDMARKS_CORRECTED,
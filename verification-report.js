@@ -0,0 +1,371 @@
+/**
+ * VERIFICATION REPORTS
+ *
+ * A versioned, machine-readable record of a verification run:
+ * - One entry per test: stable id, residual, tolerance, unit, contract, pass/fail
+ * - JSON (the schema itself), JUnit XML for CI, Markdown for release notes
+ * - A comparator that diffs two runs and flags residuals that grew
+ * - An on-disk history of runs to compare each new one against
+ *
+ * Philosophy: "ACCURACY THAT ISN'T TRACKED ROTS."
+ */
+
+export const REPORT_SCHEMA = 'blackroad.verification-report';
+export const REPORT_VERSION = 1;
+
+// Relative residual growth flagged as a regression
+const DEFAULT_THRESHOLD = 0.1;
+
+// Residual changes under this fraction of the tolerance are noise
+const DEFAULT_NOISE = 0.01;
+
+/**
+ * Stable id from a test name, for results recorded without one
+ */
+function slug(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function escapeMarkdown(text) {
+    return String(text).replace(/\|/g, '\\|');
+}
+
+function formatNumber(value) {
+    return Number.isFinite(value) ? value.toExponential(3) : String(value);
+}
+
+/**
+ * Frame, time scale, origin and datum of a contract; null without one
+ */
+function contractFields(contract) {
+    if (!contract) return null;
+    const { frame, timeScale, origin = null, heightDatum = null } = contract;
+    return { frame, timeScale, origin, heightDatum };
+}
+
+function describeContract(contract) {
+    if (!contract) return '—';
+    return [contract.frame, contract.timeScale, contract.origin, contract.heightDatum].filter(Boolean).join(' / ');
+}
+
+export class VerificationReport {
+    /**
+     * suite: name of the run; metadata: free-form (release, commit, ephemeris...)
+     * tests: entries as VerificationReport.entry returns them
+     */
+    constructor({ suite = 'verification', generatedAt = new Date().toISOString(), metadata = {}, warnings = 0, tests = [] } = {}) {
+        this.suite = suite;
+        this.generatedAt = generatedAt;
+        this.metadata = metadata;
+        this.warnings = warnings;
+        this.tests = tests;
+    }
+
+    /**
+     * Report entry for one VerificationManager result
+     * details are reduced to plain JSON (JulianDates to their ISO form)
+     */
+    static entry(test) {
+        return {
+            id: test.id || slug(test.name),
+            name: test.name,
+            type: test.type,
+            passed: Boolean(test.passed),
+            residual: test.error,
+            tolerance: test.tolerance,
+            unit: test.unit || null,
+            contract: contractFields(test.contract),
+            details: test.details === undefined ? null : JSON.parse(JSON.stringify(test.details))
+        };
+    }
+
+    static fromResults(results, options = {}) {
+        return new VerificationReport({ ...options, tests: results.map(test => VerificationReport.entry(test)) });
+    }
+
+    /**
+     * Report from its JSON form (string or parsed), checking schema and version
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (data.schema !== REPORT_SCHEMA) {
+            throw new Error(`Not a verification report: schema ${data.schema}`);
+        }
+        if (data.version !== REPORT_VERSION) {
+            throw new Error(`Unsupported verification report version: ${data.version}`);
+        }
+        if (!Array.isArray(data.tests)) {
+            throw new Error('Verification report has no tests array');
+        }
+
+        const { suite, generatedAt, metadata, warnings, tests } = data;
+        return new VerificationReport({ suite, generatedAt, metadata, warnings, tests });
+    }
+
+    get summary() {
+        const total = this.tests.length;
+        const passed = this.tests.filter(test => test.passed).length;
+
+        return {
+            total,
+            passed,
+            failed: total - passed,
+            warnings: this.warnings,
+            passRate: total === 0 ? 0 : Number((passed / total * 100).toFixed(1))
+        };
+    }
+
+    test(id) {
+        return this.tests.find(test => test.id === id) || null;
+    }
+
+    toJSON() {
+        return {
+            schema: REPORT_SCHEMA,
+            version: REPORT_VERSION,
+            suite: this.suite,
+            generatedAt: this.generatedAt,
+            metadata: this.metadata,
+            warnings: this.warnings,
+            summary: this.summary,
+            tests: this.tests
+        };
+    }
+
+    // ===== EXPORTERS =====
+
+    /**
+     * JUnit XML: one <testsuite> per test type, residual, tolerance, unit
+     * and contract as <properties>, a <failure> when out of tolerance
+     */
+    toJUnitXML() {
+        const types = [...new Set(this.tests.map(test => test.type))];
+        const { total, failed } = this.summary;
+
+        const property = (name, value) => `        <property name="${name}" value="${escapeXML(value)}"/>`;
+        const testcase = test => {
+            const unit = test.unit ? ` ${test.unit}` : '';
+            const lines = [
+                `      <testcase classname="${escapeXML(`${this.suite}.${test.type}`)}" name="${escapeXML(test.name)}">`,
+                '        <properties>',
+                property('id', test.id),
+                property('residual', formatNumber(test.residual)),
+                property('tolerance', formatNumber(test.tolerance)),
+                ...(test.unit ? [property('unit', test.unit)] : []),
+                ...(test.contract ? [property('contract', describeContract(test.contract))] : []),
+                '        </properties>'
+            ];
+            if (!test.passed) {
+                const message = `residual ${formatNumber(test.residual)}${unit} exceeds tolerance ${formatNumber(test.tolerance)}${unit}`;
+                lines.push(`        <failure type="ToleranceExceeded" message="${escapeXML(message)}"/>`);
+            }
+            lines.push('      </testcase>');
+            return lines;
+        };
+
+        const suites = types.flatMap(type => {
+            const tests = this.tests.filter(test => test.type === type);
+            const failures = tests.filter(test => !test.passed).length;
+            return [
+                `  <testsuite name="${escapeXML(`${this.suite}.${type}`)}" tests="${tests.length}" failures="${failures}" errors="0" timestamp="${escapeXML(this.generatedAt)}">`,
+                ...tests.flatMap(testcase),
+                '  </testsuite>'
+            ];
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="${escapeXML(this.suite)}" tests="${total}" failures="${failed}" errors="0">`,
+            ...suites,
+            '</testsuites>',
+            ''
+        ].join('\n');
+    }
+
+    toMarkdown() {
+        const { total, passed, passRate } = this.summary;
+        const rows = this.tests.map(test => [
+            test.passed ? '✅' : '❌',
+            escapeMarkdown(test.name),
+            formatNumber(test.residual),
+            formatNumber(test.tolerance),
+            test.unit || '—',
+            describeContract(test.contract)
+        ].join(' | '));
+
+        return [
+            `# Verification report: ${this.suite}`,
+            '',
+            `Generated ${this.generatedAt} · ${passed}/${total} passed (${passRate}%)`,
+            '',
+            '| | Test | Residual | Tolerance | Unit | Contract |',
+            '|---|---|---|---|---|---|',
+            ...rows.map(row => `| ${row} |`),
+            ''
+        ].join('\n');
+    }
+
+    // ===== COMPARISON =====
+
+    /**
+     * Diff two reports by test id
+     * A test regresses when it goes from passing to failing, or when its
+     * residual grows by more than threshold (relative) and by more than
+     * noise × tolerance; improvements mirror that. A residual that is not
+     * a finite number (NaN, or null once through JSON) always regresses,
+     * and one that becomes finite again improves. Tests only in one
+     * report are listed as added or removed.
+     */
+    static compare(baseline, current, { threshold = DEFAULT_THRESHOLD, noise = DEFAULT_NOISE } = {}) {
+        const before = baseline instanceof VerificationReport ? baseline : VerificationReport.fromJSON(baseline);
+        const after = current instanceof VerificationReport ? current : VerificationReport.fromJSON(current);
+
+        const regressions = [];
+        const improvements = [];
+        let unchanged = 0;
+
+        after.tests.forEach(test => {
+            const previous = before.test(test.id);
+            if (!previous) return;
+
+            const change = test.residual - previous.residual;
+            const growth = previous.residual === 0
+                ? (change === 0 ? 0 : Math.sign(change) * Infinity)
+                : change / Math.abs(previous.residual);
+            const entry = {
+                id: test.id,
+                name: test.name,
+                unit: test.unit,
+                tolerance: test.tolerance,
+                before: previous.residual,
+                after: test.residual,
+                growth
+            };
+            const significant = Math.abs(change) > noise * test.tolerance;
+
+            if (!Number.isFinite(test.residual)) {
+                regressions.push({ ...entry, reason: 'non_finite' });
+            } else if (!Number.isFinite(previous.residual)) {
+                improvements.push({ ...entry, reason: 'non_finite' });
+            } else if (previous.passed && !test.passed) {
+                regressions.push({ ...entry, reason: 'status' });
+            } else if (!previous.passed && test.passed) {
+                improvements.push({ ...entry, reason: 'status' });
+            } else if (significant && growth > threshold) {
+                regressions.push({ ...entry, reason: 'residual' });
+            } else if (significant && growth < -threshold) {
+                improvements.push({ ...entry, reason: 'residual' });
+            } else {
+                unchanged++;
+            }
+        });
+
+        return {
+            baseline: { suite: before.suite, generatedAt: before.generatedAt, metadata: before.metadata },
+            current: { suite: after.suite, generatedAt: after.generatedAt, metadata: after.metadata },
+            threshold,
+            regressed: regressions.length > 0,
+            regressions,
+            improvements,
+            unchanged,
+            added: after.tests.filter(test => !before.test(test.id)).map(test => test.id),
+            removed: before.tests.filter(test => !after.test(test.id)).map(test => test.id)
+        };
+    }
+}
+
+// ===== HISTORY =====
+
+export class ReportHistory {
+    /**
+     * directory: where reports are kept as JSON, one file per run
+     */
+    constructor(directory) {
+        this.directory = String(directory).replace(/\/+$/, '');
+    }
+
+    /**
+     * File name for a report: its suite and generation time, so names sort
+     * chronologically within a suite
+     */
+    static key(report) {
+        const stamp = report.generatedAt.replace(/[-:]/g, '');
+        return `${report.suite}_${stamp}`.replace(/[^A-Za-z0-9_.]/g, '-');
+    }
+
+    path(key) {
+        return `${this.directory}/${key}.json`;
+    }
+
+    async save(report) {
+        const { mkdir, writeFile } = await import('node:fs/promises');
+        const path = this.path(ReportHistory.key(report));
+
+        await mkdir(this.directory, { recursive: true });
+        await writeFile(path, `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+        return path;
+    }
+
+    /**
+     * Keys of the stored reports of a suite, oldest first
+     */
+    async list(suite = 'verification') {
+        const { readdir } = await import('node:fs/promises');
+        let files;
+        try {
+            files = await readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        // The stamp right after the suite keeps verification from also
+        // picking up verification_nightly
+        const name = ReportHistory.key({ suite, generatedAt: '' }).replace(/\./g, '\\.');
+        const pattern = new RegExp(`^${name}\\d{8}T\\d{6}.*\\.json$`);
+        return files
+            .filter(file => pattern.test(file))
+            .map(file => file.slice(0, -'.json'.length))
+            .sort();
+    }
+
+    async load(key) {
+        const { readFile } = await import('node:fs/promises');
+        return VerificationReport.fromJSON(await readFile(this.path(key), 'utf8'));
+    }
+
+    /**
+     * Most recent stored report of a suite, or null
+     */
+    async latest(suite = 'verification') {
+        const keys = await this.list(suite);
+        return keys.length === 0 ? null : this.load(keys[keys.length - 1]);
+    }
+
+    /**
+     * Compare a report with the latest stored run of its suite, then store
+     * it; comparison is null for the first run
+     */
+    async record(report, options) {
+        const baseline = await this.latest(report.suite);
+        const comparison = baseline ? VerificationReport.compare(baseline, report, options) : null;
+        const path = await this.save(report);
+        return { path, comparison };
+    }
+}
+
+export default {
+    VerificationReport,
+    ReportHistory,
+    REPORT_SCHEMA,
+    REPORT_VERSION
+};
@@ -11,6 +11,19 @@
  */
 
 import * as THREE from 'three';
+import { Geodesy } from './geodesy.js';
+import { TIME_SCALES, JulianDate } from './truth-contracts.js';
+import { EventFinder } from './celestial-events.js';
+import { AnalyticEphemeris } from './ephemeris.js';
+import { EphemerisTable } from './horizons.js';
+import { LightTime, LIGHT_TIME_CORRECTIONS } from './celestial-mechanics.js';
+import { VerificationReport } from './verification-report.js';
+
+export const REPORT_FORMATS = {
+    JSON: 'json',
+    JUNIT: 'junit',
+    MARKDOWN: 'markdown'
+};
 
 // ===== ASTRONOMICAL CONSTANTS (J2000.0 Epoch) =====
 export const ASTRO_CONSTANTS = {
@@ -72,7 +85,8 @@ export const KNOWN_EVENTS = {
         date: new Date('2020-12-21T18:20:00Z'),
         type: 'great_conjunction',
         separation: 0.1, // degrees
-        tolerance: 0.05
+        tolerance: 0.05, // degrees of separation
+        timeTolerance: 24 * 60 * 60 // seconds; Keplerian elements place it within a day
     },
 
     // Equinoxes & Solstices
@@ -83,13 +97,17 @@ export const KNOWN_EVENTS = {
     },
 
     summer_solstice_2025: {
-        date: new Date('2025-06-20T22:42:00Z'),
+        date: new Date('2025-06-21T02:42:00Z'), // 22:42 on the 20th is EDT
         type: 'summer_solstice',
         tolerance: 60 * 60
     }
 };
 
 // ===== WGS84 REFERENCE POINTS =====
+// ecef (metres) where a published value exists to check geodetic → ECEF
+// against: the pole and equator follow from the WGS84 a and b (NIMA
+// TR8350.2, Table 3.3), epsg_example is the EPSG Guidance Note 7-2 worked
+// example for method 9602. Greenwich and Everest only have geodetic ones.
 export const WGS84_LANDMARKS = {
     greenwich: {
         name: 'Greenwich Observatory',
@@ -101,19 +119,28 @@ export const WGS84_LANDMARKS = {
         name: 'Geographic North Pole',
         lat: 90.0,
         lon: 0.0,
-        elevation: 0
+        elevation: 0,
+        ecef: { x: 0, y: 0, z: 6356752.3142 }
     },
     equator_null_island: {
         name: 'Null Island (0°N 0°E)',
         lat: 0.0,
         lon: 0.0,
-        elevation: 0
+        elevation: 0,
+        ecef: { x: 6378137, y: 0, z: 0 }
     },
     mount_everest: {
         name: 'Mount Everest Summit',
         lat: 27.9881,
         lon: 86.9250,
         elevation: 8848.86
+    },
+    epsg_example: {
+        name: 'EPSG Guidance Note 7-2 example (53°48\'33.820"N 2°07\'46.380"E)',
+        lat: 53 + 48 / 60 + 33.82 / 3600,
+        lon: 2 + 7 / 60 + 46.38 / 3600,
+        elevation: 73.0,
+        ecef: { x: 3771793.968, y: 140253.342, z: 5124304.349 }
     }
 };
 
@@ -153,6 +180,15 @@ export const PHYSICS_BENCHMARKS = {
 };
 
 // ===== VERIFICATION MANAGER =====
+
+/**
+ * ISO form of a Date, JulianDate or TaggedEpoch, for test ids that must
+ * stay unique across epochs
+ */
+function epochLabel(timestamp) {
+    const time = timestamp && timestamp.time instanceof JulianDate ? timestamp.time : timestamp;
+    return time && typeof time.toISOString === 'function' ? time.toISOString() : String(time);
+}
 export class VerificationManager {
     constructor() {
         this.testResults = [];
@@ -165,14 +201,31 @@ export class VerificationManager {
 
     /**
      * Verify celestial body position against JPL Horizons data
+     * simulated is the geometric (instantaneous) position; correction
+     * (LIGHT_TIME_CORRECTIONS) names what reference is, and simulated is
+     * brought to the same definition before comparing:
+     * - ASTROMETRIC: down-leg light time, needing options.velocity (km/s)
+     *   of the target, or options.target (seconds before → position)
+     * - APPARENT: also solar deflection and aberration from
+     *   options.observer.velocity
+     * options.observer: { position, velocity } (default the frame origin,
+     * at rest); options.sun: the Sun's position (default the origin)
      */
-    verifyPosition(bodyName, simulated, reference, timestamp) {
+    verifyPosition(bodyName, simulated, reference, timestamp, options = {}) {
+        const { correction = LIGHT_TIME_CORRECTIONS.GEOMETRIC } = options;
         const test = {
+            id: `position:${bodyName}@${epochLabel(timestamp)}`,
             name: `Position: ${bodyName} at ${timestamp}`,
             type: 'position',
+            unit: 'km',
+            contract: simulated.contract || null,
             timestamp
         };
 
+        if (correction !== LIGHT_TIME_CORRECTIONS.GEOMETRIC) {
+            simulated = this.correctPosition(bodyName, simulated, options);
+        }
+
         // Calculate position error
         const error = {
             x: Math.abs(simulated.x - reference.x),
@@ -193,6 +246,7 @@ export class VerificationManager {
         test.error = totalError;
         test.tolerance = tolerance;
         test.details = {
+            correction,
             simulated,
             reference,
             error
@@ -202,10 +256,33 @@ export class VerificationManager {
         return test;
     }
 
+    /**
+     * Geometric position → the observer-relative astrometric or apparent
+     * position verifyPosition compares (see there for options)
+     */
+    correctPosition(bodyName, simulated, { correction, velocity, target, observer, sun, shapiro } = {}) {
+        if (!target && !velocity) {
+            throw new Error(`${correction} position of ${bodyName} needs its velocity or a target function`);
+        }
+
+        const origin = { x: 0, y: 0, z: 0 };
+        const { position } = LightTime.correct(target || { position: simulated, velocity }, {
+            position: observer?.position || origin,
+            velocity: observer?.velocity || origin
+        }, { correction, sun: sun || origin, shapiro });
+
+        return { x: position.x, y: position.y, z: position.z };
+    }
+
     /**
      * Verify celestial event timing
+     * simulated: Date (UTC), JulianDate in any scale, or an event record
+     * with .time (EventFinder, EclipsePredictor). Events catalogued with a
+     * separation (conjunctions) are judged on the record's separation in
+     * degrees, reported as the error, and must also fall within their
+     * timeTolerance (seconds) of the catalogued time
      */
-    verifyCelestialEvent(eventId, simulatedTime) {
+    verifyCelestialEvent(eventId, simulated) {
         const event = KNOWN_EVENTS[eventId];
         if (!event) {
             console.error(`Unknown event: ${eventId}`);
@@ -213,22 +290,104 @@ export class VerificationManager {
         }
 
         const test = {
+            id: `event:${eventId}`,
             name: `Event: ${event.type}`,
             type: 'event',
+            unit: event.separation !== undefined ? 'deg' : 's',
             eventId
         };
 
+        let simulatedTime = simulated.time || simulated;
+        if (simulatedTime instanceof JulianDate) {
+            simulatedTime = simulatedTime.to(TIME_SCALES.UTC).toDate();
+        }
         const expectedTime = event.date.getTime();
         const actualTime = simulatedTime.getTime();
-        const error = Math.abs(actualTime - expectedTime) / 1000; // seconds
+        const timingError = Math.abs(actualTime - expectedTime) / 1000; // seconds
+
+        test.details = {
+            expected: event.date,
+            simulated: simulatedTime,
+            errorSeconds: timingError
+        };
+
+        let error = timingError;
+        let onTime = true;
+        if (event.separation !== undefined) {
+            error = Math.abs(simulated.separation - event.separation);
+            onTime = timingError < event.timeTolerance;
+            test.details.expectedSeparation = event.separation;
+            test.details.simulatedSeparation = simulated.separation;
+            test.details.timeTolerance = event.timeTolerance;
+        }
+
+        test.passed = error < event.tolerance && onTime;
+        test.error = error;
+        test.tolerance = event.tolerance;
+
+        this.recordTest(test);
+        return test;
+    }
+
+    /**
+     * Verify an eclipse's duration of totality (seconds) at the event's location
+     */
+    verifyEclipseDuration(eventId, simulatedDuration) {
+        const event = KNOWN_EVENTS[eventId];
+        if (!event) {
+            console.error(`Unknown event: ${eventId}`);
+            return null;
+        }
+
+        const test = {
+            id: `eclipse_duration:${eventId}`,
+            name: `Eclipse Duration: ${event.type}`,
+            type: 'event',
+            unit: 's',
+            eventId
+        };
+
+        // No duration (a missing inner contact) fails rather than reading as zero
+        const error = simulatedDuration === null ? NaN : Math.abs(simulatedDuration - event.duration);
 
         test.passed = error < event.tolerance;
         test.error = error;
         test.tolerance = event.tolerance;
         test.details = {
-            expected: event.date,
-            simulated: simulatedTime,
-            errorSeconds: error
+            expected: event.duration,
+            simulated: simulatedDuration,
+            location: event.location
+        };
+
+        this.recordTest(test);
+        return test;
+    }
+
+    /**
+     * Verify an eclipse's magnitude (umbral, for lunar eclipses)
+     */
+    verifyEclipseMagnitude(eventId, simulatedMagnitude) {
+        const event = KNOWN_EVENTS[eventId];
+        if (!event) {
+            console.error(`Unknown event: ${eventId}`);
+            return null;
+        }
+
+        const test = {
+            id: `eclipse_magnitude:${eventId}`,
+            name: `Eclipse Magnitude: ${event.type}`,
+            type: 'event',
+            eventId
+        };
+
+        const error = Math.abs(simulatedMagnitude - event.magnitude);
+
+        test.passed = error < event.tolerance;
+        test.error = error;
+        test.tolerance = event.tolerance;
+        test.details = {
+            expected: event.magnitude,
+            simulated: simulatedMagnitude
         };
 
         this.recordTest(test);
@@ -240,8 +399,10 @@ export class VerificationManager {
      */
     verifyOrbitalPeriod(bodyName, simulatedPeriod, referencePeriod, tolerance = 0.01) {
         const test = {
+            id: `orbital_period:${bodyName}`,
             name: `Orbital Period: ${bodyName}`,
-            type: 'orbital_period'
+            type: 'orbital_period',
+            unit: 'relative'
         };
 
         const error = Math.abs(simulatedPeriod - referencePeriod) / referencePeriod;
@@ -266,8 +427,10 @@ export class VerificationManager {
      */
     verifyEnergyConservation(initialEnergy, currentEnergy, tolerance = 1e-6) {
         const test = {
+            id: 'physics:energy',
             name: 'Energy Conservation',
-            type: 'physics'
+            type: 'physics',
+            unit: 'relative'
         };
 
         const relativeChange = Math.abs(currentEnergy - initialEnergy) / Math.abs(initialEnergy);
@@ -290,8 +453,10 @@ export class VerificationManager {
      */
     verifyAngularMomentum(initialL, currentL, tolerance = 1e-8) {
         const test = {
+            id: 'physics:angular_momentum',
             name: 'Angular Momentum Conservation',
-            type: 'physics'
+            type: 'physics',
+            unit: 'relative'
         };
 
         const change = {
@@ -332,8 +497,10 @@ export class VerificationManager {
      */
     verifyKeplersThirdLaw(bodies) {
         const test = {
+            id: 'physics:kepler_third_law',
             name: "Kepler's 3rd Law",
-            type: 'physics'
+            type: 'physics',
+            unit: 'relative'
         };
 
         let maxError = 0;
@@ -366,13 +533,20 @@ export class VerificationManager {
             return null;
         }
 
+        if (!ref.ecef) {
+            console.error(`No published ECEF for landmark: ${landmark}`);
+            return null;
+        }
+
         const test = {
+            id: `geodesy:${landmark}`,
             name: `WGS84: ${ref.name}`,
-            type: 'geodesy'
+            type: 'geodesy',
+            unit: 'km'
         };
 
-        // Convert lat/lon/elevation to ECEF (Earth-Centered Earth-Fixed)
-        const expectedXYZ = this.latLonToECEF(ref.lat, ref.lon, ref.elevation);
+        // Published ECEF, km
+        const expectedXYZ = { x: ref.ecef.x / 1000, y: ref.ecef.y / 1000, z: ref.ecef.z / 1000 };
 
         const error = {
             x: Math.abs(simulatedXYZ.x - expectedXYZ.x),
@@ -404,22 +578,13 @@ export class VerificationManager {
     }
 
     latLonToECEF(lat, lon, elevation) {
-        // WGS84 parameters
-        const a = 6378.137; // equatorial radius (km)
-        const f = 1 / 298.257223563; // flattening
-        const b = a * (1 - f); // polar radius
-        const e2 = 1 - (b * b) / (a * a); // eccentricity squared
-
-        const latRad = lat * Math.PI / 180;
-        const lonRad = lon * Math.PI / 180;
-        const h = elevation / 1000; // meters to km
-
-        const N = a / Math.sqrt(1 - e2 * Math.sin(latRad) * Math.sin(latRad));
+        // WGS84 ECEF in metres, reported in km
+        const ecef = Geodesy.geodeticToECEF(lat, lon, elevation);
 
         return {
-            x: (N + h) * Math.cos(latRad) * Math.cos(lonRad),
-            y: (N + h) * Math.cos(latRad) * Math.sin(lonRad),
-            z: (N * (1 - e2) + h) * Math.sin(latRad)
+            x: ecef.x / 1000,
+            y: ecef.y / 1000,
+            z: ecef.z / 1000
         };
     }
 
@@ -439,37 +604,41 @@ export class VerificationManager {
         console.log(`${status} ${test.name}: Error = ${test.error.toExponential(3)}, Tolerance = ${test.tolerance.toExponential(3)}`);
     }
 
-    generateReport() {
-        const total = this.testResults.length;
-        const passRate = (this.passed / total * 100).toFixed(1);
-
-        const report = {
-            summary: {
-                total,
-                passed: this.passed,
-                failed: this.failed,
-                warnings: this.warnings,
-                passRate: `${passRate}%`
-            },
-            tests: this.testResults,
-            timestamp: new Date().toISOString()
-        };
+    /**
+     * VerificationReport of every recorded test
+     * options: { suite, metadata } (e.g. release or commit for history)
+     */
+    generateReport(options = {}) {
+        const report = VerificationReport.fromResults(this.testResults, { ...options, warnings: this.warnings });
+        const { total, passed, failed, passRate } = report.summary;
 
         console.log('\n📊 VERIFICATION REPORT');
         console.log('======================');
         console.log(`Total Tests: ${total}`);
-        console.log(`Passed: ${this.passed} ✅`);
-        console.log(`Failed: ${this.failed} ❌`);
+        console.log(`Passed: ${passed} ✅`);
+        console.log(`Failed: ${failed} ❌`);
         console.log(`Pass Rate: ${passRate}%`);
         console.log('======================\n');
 
         return report;
     }
 
-    exportReport() {
-        const report = this.generateReport();
-        const json = JSON.stringify(report, null, 2);
-        return json;
+    /**
+     * Report as text: 'json' (the versioned schema), 'junit' or 'markdown'
+     */
+    exportReport(format = REPORT_FORMATS.JSON, options = {}) {
+        const report = this.generateReport(options);
+
+        switch (format) {
+            case REPORT_FORMATS.JSON:
+                return JSON.stringify(report, null, 2);
+            case REPORT_FORMATS.JUNIT:
+                return report.toJUnitXML();
+            case REPORT_FORMATS.MARKDOWN:
+                return report.toMarkdown();
+            default:
+                throw new Error(`Unsupported report format: ${format}`);
+        }
     }
 
     reset() {
@@ -482,67 +651,80 @@ export class VerificationManager {
 
 // ===== JPL HORIZONS API INTERFACE =====
 export class HorizonsAPI {
+    /**
+     * fallback answers queries offline (analytic Sun, Moon and planets)
+     * cache: optional EphemerisCache of downloaded vector tables
+     */
+    constructor({ fallback = new AnalyticEphemeris(), cache = null } = {}) {
+        this.fallback = fallback;
+        this.cache = cache;
+    }
+
     /**
      * Fetch position data from JPL Horizons
-     * (In production, this would make actual API calls)
+     * (In production, this would make actual API calls; until then the
+     * offline fallback supplies contract-tagged positions and velocities)
      */
     async fetchPosition(bodyId, timestamp) {
-        // Mock data for demonstration
         // In production, would call: https://ssd.jpl.nasa.gov/api/horizons.api
-
-        console.log(`[MOCK] Fetching JPL Horizons data for body ${bodyId} at ${timestamp}`);
-
-        // Return mock ephemeris data
-        return {
-            body: bodyId,
-            timestamp,
-            position: {
-                x: 0, // km
-                y: 0,
-                z: 0
-            },
-            velocity: {
-                x: 0,
-                y: 0,
-                z: 0
-            },
-            source: 'JPL_HORIZONS_MOCK'
-        };
+        return this.fallback.fetchPosition(bodyId, timestamp);
     }
 
+    /**
+     * Vector table for a body over [startDate, endDate] (TDB calendar, as
+     * Horizons reads START_TIME/STOP_TIME)
+     * Cached Horizons exports win; otherwise the fallback is sampled
+     */
     async fetchEphemeris(bodyId, startDate, endDate, stepSize = '1d') {
-        console.log(`[MOCK] Fetching ephemeris for ${bodyId} from ${startDate} to ${endDate}`);
+        const cached = this.cache && await this.cache.get(bodyId, startDate, endDate, stepSize);
+        if (cached) {
+            return cached.toEphemeris();
+        }
 
-        return {
-            body: bodyId,
-            start: startDate,
-            end: endDate,
-            step: stepSize,
-            data: [],
-            source: 'JPL_HORIZONS_MOCK'
-        };
+        // In production, a cache miss would download the table into the cache
+        return EphemerisTable.sample(this.fallback, bodyId, startDate, endDate, stepSize).toEphemeris();
     }
 }
 
 // ===== AUTOMATED TEST SUITE =====
+
+// Days the simulator runs before its positions are checked. Its states
+// start from the analytic ephemeris, whose truncation (~1" for Earth,
+// ~10 km for the Moon) sets the two drifting apart quadratically: about
+// 2 km and 0.3 km after a day, 1.7e4 km and 3.6e3 km after the two years
+// the conservation tests run.
+const POSITION_ARC_DAYS = 1;
+
 export class AutomatedTestSuite {
-    constructor(simulator) {
+    /**
+     * simulator: e.g. NBodySimulator; getTime() gives the epoch its
+     * tagged getPosition() results refer to
+     * ephemeris: any provider with fetchPosition(bodyId, timestamp),
+     * e.g. HorizonsAPI or AnalyticEphemeris (the offline default)
+     * events: EventFinder for the event tests; point-mass N-body Moons
+     * drift too far for eclipse timing, so it runs on its own ephemeris
+     */
+    constructor(simulator, ephemeris = new AnalyticEphemeris(), events = new EventFinder()) {
         this.simulator = simulator;
         this.verifier = new VerificationManager();
-        this.horizons = new HorizonsAPI();
+        this.ephemeris = ephemeris;
+        this.events = events;
     }
 
     async runAllTests() {
         console.log('🧪 Running automated verification tests...\n');
 
+        // Positions first, before the physics tests carry the run years on
+        this.simulator.step(POSITION_ARC_DAYS);
+        await this.testEarthPosition();
+        await this.testMoonPosition();
+
         // Physics tests
         await this.testEnergyConservation();
         await this.testAngularMomentumConservation();
         await this.testKeplersThirdLaw();
 
         // Astronomical tests
-        await this.testEarthPosition();
-        await this.testMoonPosition();
         await this.testOrbitalPeriods();
 
         // Geodesy tests
@@ -590,9 +772,10 @@ export class AutomatedTestSuite {
     async testEarthPosition() {
         console.log('Testing Earth position against JPL data...');
 
-        const timestamp = new Date();
+        const timestamp = this.simulator.getTime();
         const simulated = this.simulator.getPosition('earth');
-        const reference = await this.horizons.fetchPosition('earth', timestamp);
+        const reference = await this.ephemeris.fetchPosition('earth', timestamp);
+        simulated.contract.assertCompatible(reference.contract, 'testEarthPosition');
 
         this.verifier.verifyPosition('earth', simulated, reference.position, timestamp);
     }
@@ -600,9 +783,10 @@ export class AutomatedTestSuite {
     async testMoonPosition() {
         console.log('Testing Moon position...');
 
-        const timestamp = new Date();
+        const timestamp = this.simulator.getTime();
         const simulated = this.simulator.getPosition('moon');
-        const reference = await this.horizons.fetchPosition('moon', timestamp);
+        const reference = await this.ephemeris.fetchPosition('moon', timestamp);
+        simulated.contract.assertCompatible(reference.contract, 'testMoonPosition');
 
         this.verifier.verifyPosition('moon', simulated, reference.position, timestamp);
     }
@@ -620,7 +804,7 @@ export class AutomatedTestSuite {
     async testWGS84Landmarks() {
         console.log('Testing WGS84 coordinate transformations...');
 
-        ['greenwich', 'north_pole', 'equator_null_island', 'mount_everest'].forEach(landmark => {
+        Object.keys(WGS84_LANDMARKS).filter(landmark => WGS84_LANDMARKS[landmark].ecef).forEach(landmark => {
             const simulated = this.simulator.getLandmarkPosition(landmark);
             this.verifier.verifyWGS84Transform(landmark, simulated);
         });
@@ -629,9 +813,41 @@ export class AutomatedTestSuite {
     async testEventPredictions() {
         console.log('Testing celestial event predictions...');
 
-        // Would test eclipse predictions, conjunctions, etc.
-        // const predictedEclipse = this.simulator.predictNextEclipse();
-        // this.verifier.verifyCelestialEvent('solar_eclipse_2024', predictedEclipse.time);
+        const { eclipses } = this.events;
+        const solarEvent = KNOWN_EVENTS.solar_eclipse_2024;
+        const solar = this.nearestEvent(solarEvent, span => eclipses.findSolarEclipses(...span));
+        this.verifier.verifyCelestialEvent('solar_eclipse_2024', solar);
+        const { lat, lon } = solarEvent.location;
+        const local = eclipses.localCircumstances(solar, lat, lon);
+        this.verifier.verifyEclipseDuration('solar_eclipse_2024', local.duration);
+
+        const lunarEvent = KNOWN_EVENTS.lunar_eclipse_2025;
+        const lunar = this.nearestEvent(lunarEvent, span => eclipses.findLunarEclipses(...span));
+        this.verifier.verifyEclipseMagnitude('lunar_eclipse_2025', lunar.umbralMagnitude);
+
+        const conjunction = this.nearestEvent(KNOWN_EVENTS.jupiter_saturn_2020,
+            span => this.events.findConjunctions('jupiter', 'saturn', ...span));
+        this.verifier.verifyCelestialEvent('jupiter_saturn_2020', conjunction);
+
+        ['spring_equinox_2025', 'summer_solstice_2025'].forEach(eventId => {
+            const season = this.nearestEvent(KNOWN_EVENTS[eventId], span => this.events.findSeasons(...span));
+            this.verifier.verifyCelestialEvent(eventId, season);
+        });
+    }
+
+    /**
+     * The predicted event closest to a known one, searched two weeks either
+     * side (which holds at most one eclipse of each kind, or one season)
+     */
+    nearestEvent(event, search) {
+        const fortnight = 14 * 86400000;
+        const span = [new Date(event.date.getTime() - fortnight), new Date(event.date.getTime() + fortnight)];
+        const eventTime = JulianDate.fromDate(event.date, TIME_SCALES.UTC).to(TIME_SCALES.TDB);
+        const [nearest] = search(span)
+            .sort((a, b) => Math.abs(a.time.diffSeconds(eventTime)) - Math.abs(b.time.diffSeconds(eventTime)));
+
+        if (!nearest) throw new Error(`No ${event.type} predicted near ${event.date.toISOString()}`);
+        return nearest;
     }
 }
 
@@ -639,6 +855,7 @@ export default {
     VerificationManager,
     HorizonsAPI,
     AutomatedTestSuite,
+    REPORT_FORMATS,
     ASTRO_CONSTANTS,
     KNOWN_EVENTS,
     WGS84_LANDMARKS,